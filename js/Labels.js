@@ -954,6 +954,35 @@ function clearLabels() {
     window.showSuccess('All labels cleared successfully.', 'Labels Cleared');
 }
 
+/**
+ * Replace all labels with saved configurations keyed by layer ID (used by workspaces)
+ */
+function restoreLabels(labelConfigs) {
+    window.labelLayerGroups.forEach(labelGroup => {
+        window.map.removeLayer(labelGroup);
+    });
+    window.labelLayerGroups.clear();
+    window.activeLabels.clear();
+    
+    Object.entries(labelConfigs || {}).forEach(([layerId, config]) => {
+        const layerInfo = window.layers.get(layerId);
+        if (!layerInfo || !layerInfo.layer || !config.fieldName) return;
+        
+        // Labels are drawn with the global styles, so switch to the saved ones first
+        window.labelStyles = { ...window.labelStyles, ...config.styles };
+        
+        const labelGroup = createLabelsForLayer(layerInfo.layer, config.fieldName, layerId);
+        if (labelGroup) {
+            window.map.addLayer(labelGroup);
+            window.labelLayerGroups.set(layerId, labelGroup);
+            window.activeLabels.set(layerId, {
+                fieldName: config.fieldName,
+                styles: { ...window.labelStyles }
+            });
+        }
+    });
+}
+
 /**
  * Refresh labels when layers change
  */
@@ -1058,5 +1087,6 @@ if (document.readyState === 'loading') {
 window.initializeLabelSystem = initializeLabelSystem;
 window.refreshLabelsOnLayerChange = refreshLabelsOnLayerChange;
 window.clearAllLabels = clearLabels;
+window.restoreLabels = restoreLabels;
 
 console.log('Labels.js module loaded successfully');
\ No newline at end of file
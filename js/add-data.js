@@ -2,16 +2,24 @@
 
 // Constants
 const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-const SUPPORTED_EXTENSIONS = ['.geojson', '.json', '.kml', '.kmz', '.gpx', '.csv'];
+const SUPPORTED_EXTENSIONS = ['.geojson', '.json', '.kml', '.kmz', '.gpx', '.csv', '.zip'];
 const SUPPORTED_MIME_TYPES = [
     'application/json',
     'application/geo+json',
     'application/vnd.google-earth.kml+xml',
     'application/vnd.google-earth.kmz',
     'application/gpx+xml',
-    'text/csv'
+    'text/csv',
+    'application/zip',
+    'application/x-zip-compressed'
 ];
 
+// Binary formats that must be read as ArrayBuffer
+const BINARY_EXTENSIONS = ['kmz', 'zip'];
+
+// Lazily loaded libraries
+const JSZIP_URL = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+
 // ArcGIS REST Service patterns
 const ARCGIS_PATTERNS = {
     domain: /(arcgis\.com|arcgisonline\.com)/i,
@@ -78,6 +86,7 @@ const ARCGIS_PAGINATION_CONFIG = {
 // Initialize module
 document.addEventListener('DOMContentLoaded', () => {
     setupFileUpload();
+    setupImportCRSSelect();
     setupWebUrlLoad();
     setupWMSCapabilities();
     setupDragAndDrop();
@@ -711,20 +720,14 @@ async function handleStandardUrl(url, progress, progressBar, progressText, statu
             position += chunk.length;
         }
         
-        // Convert to text
-        const content = new TextDecoder('utf-8').decode(data);
-        
-        // Check if content looks like HTML (common error response)
-        if (content.trim().toLowerCase().startsWith('<html') || content.trim().toLowerCase().startsWith('<!doctype html')) {
-            throw new Error('URL returned HTML instead of data. Please check if the URL is correct and points to a data endpoint.');
-        }
-        
         // Process based on file type or content type
         let fileExtension = url.split('.').pop().toLowerCase();
         
         // If no extension, try to guess from content type
         if (!fileExtension || fileExtension === url) {
-            if (contentType.includes('json')) {
+            if (contentType.includes('zip')) {
+                fileExtension = 'zip';
+            } else if (contentType.includes('json')) {
                 fileExtension = 'geojson';
             } else if (contentType.includes('xml')) {
                 fileExtension = 'kml';
@@ -734,6 +737,16 @@ async function handleStandardUrl(url, progress, progressBar, progressText, statu
             }
         }
         
+        // Binary archives are parsed as-is, everything else as text
+        const content = BINARY_EXTENSIONS.includes(fileExtension)
+            ? data.buffer
+            : new TextDecoder('utf-8').decode(data);
+        
+        // Check if content looks like HTML (common error response)
+        if (typeof content === 'string' && (content.trim().toLowerCase().startsWith('<html') || content.trim().toLowerCase().startsWith('<!doctype html'))) {
+            throw new Error('URL returned HTML instead of data. Please check if the URL is correct and points to a data endpoint.');
+        }
+        
         // Update status for processing
         if (statusText) statusText.textContent = 'Processing data...';
         progressBar.style.width = '90%';
@@ -816,16 +829,26 @@ async function processFiles(files) {
             // Read and parse file
             const content = await readFile(file);
             const fileExtension = file.name.split('.').pop().toLowerCase();
-            const geoData = await parseDataByType(content, fileExtension);
             
-            // Add to map
-            await addDataToMap(geoData, file.name);
+            if (fileExtension === 'zip') {
+                // A zipped shapefile archive can hold several layers
+                const shapefiles = await parseShapefileArchive(content);
+                for (const shapefile of shapefiles) {
+                    const layerFileName = shapefiles.length === 1 ? file.name : `${shapefile.name}.shp`;
+                    await addDataToMap(shapefile.data, layerFileName);
+                }
+            } else {
+                const geoData = await parseDataByType(content, fileExtension);
+                
+                // Add to map
+                await addDataToMap(geoData, file.name);
+            }
             
             processedCount++;
             
         } catch (error) {
             console.error(`Error processing file ${file.name}:`, error);
-            await showError(`Failed to process ${file.name}`, 'File Error');
+            await showError(`Failed to process ${file.name}: ${error.message}`, 'File Error');
         }
     }
     
@@ -841,7 +864,8 @@ function readFile(file) {
         reader.onload = e => resolve(e.target.result);
         reader.onerror = e => reject(e);
         
-        if (file.name.toLowerCase().endsWith('.kmz')) {
+        const fileExtension = file.name.split('.').pop().toLowerCase();
+        if (BINARY_EXTENSIONS.includes(fileExtension)) {
             reader.readAsArrayBuffer(file);
         } else {
             reader.readAsText(file);
@@ -850,11 +874,12 @@ function readFile(file) {
 }
 
 // Parse Data by Type
+// GeoJSON, CSV and Shapefile data is reprojected to WGS84; KML/KMZ/GPX are WGS84 by definition
 async function parseDataByType(content, fileType) {
     switch (fileType.toLowerCase()) {
         case 'geojson':
         case 'json':
-            return JSON.parse(content);
+            return normalizeToWGS84(JSON.parse(content), { userCrs: getSelectedImportCRS() });
             
         case 'kml':
             const parser = new DOMParser();
@@ -862,10 +887,7 @@ async function parseDataByType(content, fileType) {
             return toGeoJSON.kml(kmlDoc);
             
         case 'kmz':
-            // Load JSZip if needed
-            if (typeof JSZip === 'undefined') {
-                await loadScript('https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js');
-            }
+            await ensureJSZip();
             
             const zip = await JSZip.loadAsync(content);
             let kmlFile = null;
@@ -892,13 +914,70 @@ async function parseDataByType(content, fileType) {
             return toGeoJSON.gpx(gpxDoc);
             
         case 'csv':
-            return convertCSVtoGeoJSON(content);
+            return normalizeToWGS84(convertCSVtoGeoJSON(content), { userCrs: getSelectedImportCRS() });
+            
+        case 'zip': {
+            // Merge every shapefile in the archive into one collection
+            const shapefiles = await parseShapefileArchive(content);
+            return {
+                type: 'FeatureCollection',
+                features: shapefiles.flatMap(shapefile => shapefile.data.features),
+                sourceCrs: shapefiles[0].data.sourceCrs
+            };
+        }
             
         default:
             throw new Error(`Unsupported file type: ${fileType}`);
     }
 }
 
+// Load JSZip if needed
+async function ensureJSZip() {
+    if (typeof JSZip === 'undefined') {
+        await loadScript(JSZIP_URL);
+    }
+}
+
+// Parse a zipped ESRI Shapefile archive into WGS84 layers
+async function parseShapefileArchive(content) {
+    await ensureJSZip();
+    
+    const zip = await JSZip.loadAsync(content);
+    const shapefiles = (await readShapefileZip(zip)).filter(shapefile => shapefile.data.features.length > 0);
+    
+    if (shapefiles.length === 0) {
+        throw new Error('Shapefile archive contains no features');
+    }
+    
+    for (const shapefile of shapefiles) {
+        shapefile.data = await normalizeToWGS84(shapefile.data, {
+            userCrs: getSelectedImportCRS(),
+            prj: shapefile.prj
+        });
+    }
+    
+    return shapefiles;
+}
+
+// Coordinate system chosen in the Add Data panel ('' = auto-detect)
+function getSelectedImportCRS() {
+    const select = document.getElementById('importCrsSelect');
+    return select ? select.value : '';
+}
+
+// Populate the import coordinate system dropdown
+function setupImportCRSSelect() {
+    const select = document.getElementById('importCrsSelect');
+    if (!select || typeof PHILIPPINE_CRS === 'undefined') return;
+    
+    PHILIPPINE_CRS.forEach(crs => {
+        const option = document.createElement('option');
+        option.value = crs.code;
+        option.textContent = `${crs.name} (${crs.code})`;
+        select.appendChild(option);
+    });
+}
+
 // Convert CSV to GeoJSON
 function convertCSVtoGeoJSON(csvContent) {
     // Load Papa Parse if needed
@@ -911,24 +990,28 @@ function convertCSVtoGeoJSON(csvContent) {
         skipEmptyLines: true
     });
     
-    // Try to find lat/lon columns
+    // Try to find lat/lon columns, then projected easting/northing (X/Y) columns
     const headers = Object.keys(result.data[0]);
-    const latColumn = headers.find(h => /^(lat|latitude)$/i.test(h));
-    const lonColumn = headers.find(h => /^(lon|lng|longitude)$/i.test(h));
+    const latColumn = headers.find(h => /^(lat|latitude)$/i.test(h)) ||
+                      headers.find(h => /^(y|northing|north)$/i.test(h));
+    const lonColumn = headers.find(h => /^(lon|lng|longitude)$/i.test(h)) ||
+                      headers.find(h => /^(x|easting|east)$/i.test(h));
     
     if (!latColumn || !lonColumn) {
-        throw new Error('CSV must contain latitude and longitude columns');
+        throw new Error('CSV must contain latitude/longitude or easting/northing (X/Y) columns');
     }
     
-    // Convert to GeoJSON
-    const features = result.data.map(row => ({
-        type: 'Feature',
-        geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(row[lonColumn]), parseFloat(row[latColumn])]
-        },
-        properties: row
-    }));
+    // Convert to GeoJSON (source CRS is resolved by parseDataByType)
+    const features = result.data
+        .filter(row => !isNaN(parseFloat(row[lonColumn])) && !isNaN(parseFloat(row[latColumn])))
+        .map(row => ({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [parseFloat(row[lonColumn]), parseFloat(row[latColumn])]
+            },
+            properties: row
+        }));
     
     return {
         type: 'FeatureCollection',
@@ -1051,6 +1134,7 @@ async function addDataToMap(geoData, fileName, fromDatabase = false, databaseId
         sourceType: options.source || 'upload',
         metadata: options.metadata || null,
         serviceUrl: options.serviceUrl || options.sourceUrl || null,
+        sourceCrs: options.sourceCrs || geoData.sourceCrs || 'EPSG:4326',
         createdAt: new Date().toISOString()
     });
     
@@ -0,0 +1,791 @@
+/**
+ * Attribute Table Module for Aéra Link WebGIS
+ * Dockable table of feature attributes for any vector layer
+ *
+ * Features:
+ * - Virtualized rows so layers with tens of thousands of features stay responsive
+ * - Column sorting, hiding and drag-to-reorder
+ * - "Show selected only" linked to the Selection Tool
+ * - Row click zooms to and highlights the feature like lot search
+ * - Inline cell editing for dynamic layers, saved back to the layers table
+ */
+
+const ATTRIBUTE_TABLE_ROW_HEIGHT = 28;
+const ATTRIBUTE_TABLE_COLUMN_WIDTH = 160;
+const ATTRIBUTE_TABLE_OVERSCAN = 10;
+
+let attributeTablePanel = null;
+
+// Current table state
+const attributeTableState = {
+    layerId: null,
+    rows: [],
+    sortField: null,
+    sortDirection: 'asc',
+    showSelectedOnly: false,
+    activeFeature: null,
+    docked: true,
+    renderScheduled: false
+};
+
+// Column order and hidden columns, remembered per layer
+const attributeTableColumns = new Map();
+
+// Open the attribute table for a layer
+function openAttributeTable(layerId) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        console.error('Layer not found:', layerId);
+        return;
+    }
+
+    if (layerInfo.sourceType === 'wms' || !layerInfo.data || !layerInfo.data.features) {
+        showNotification(`Attribute table is not available for ${layerInfo.sourceType === 'wms' ? 'WMS' : 'this'} layer type.`, 'info');
+        return;
+    }
+
+    const panel = createAttributeTablePanel();
+    panel.classList.remove('hidden');
+
+    if (attributeTableState.layerId !== layerId) {
+        attributeTableState.layerId = layerId;
+        attributeTableState.sortField = null;
+        attributeTableState.sortDirection = 'asc';
+        attributeTableState.activeFeature = null;
+        panel.querySelector('#attributeTableBody').scrollTop = 0;
+    }
+
+    refreshAttributeTable();
+}
+
+// Close the attribute table
+function closeAttributeTable() {
+    if (attributeTablePanel) {
+        attributeTablePanel.classList.add('hidden');
+        closeAttributeColumnsMenu();
+    }
+    attributeTableState.layerId = null;
+    attributeTableState.activeFeature = null;
+}
+
+// Create the table panel once and reuse it
+function createAttributeTablePanel() {
+    if (attributeTablePanel) return attributeTablePanel;
+
+    const panel = document.createElement('div');
+    panel.id = 'attributeTablePanel';
+    panel.className = 'attribute-table-panel attribute-table-docked hidden';
+
+    panel.innerHTML = `
+        <div class="attribute-table-resize" id="attributeTableResize" title="Drag to resize"></div>
+        <div class="attribute-table-header" id="attributeTableHeader">
+            <div class="flex items-center space-x-3 min-w-0">
+                <i class="fas fa-table text-neon-teal"></i>
+                <select id="attributeTableLayer" class="px-2 py-1 bg-pure-black border border-neon-teal/30 rounded text-light-gray text-sm focus:border-neon-teal focus:outline-none"></select>
+                <span id="attributeTableCount" class="text-xs text-gray-400 truncate"></span>
+            </div>
+            <div class="flex items-center space-x-2 flex-shrink-0">
+                <label class="flex items-center space-x-1 text-xs text-gray-300 cursor-pointer">
+                    <input type="checkbox" id="attributeTableSelectedOnly" class="rounded">
+                    <span>Show selected only</span>
+                </label>
+                <div class="relative">
+                    <button id="attributeTableColumnsBtn" class="attribute-table-btn" title="Show, hide and reorder columns">
+                        <i class="fas fa-columns"></i>
+                    </button>
+                    <div id="attributeTableColumnsMenu" class="attribute-table-columns-menu hidden"></div>
+                </div>
+                <button id="attributeTableDockBtn" class="attribute-table-btn" title="Undock table">
+                    <i class="fas fa-window-restore"></i>
+                </button>
+                <button id="closeAttributeTable" class="attribute-table-btn" title="Close attribute table">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        </div>
+        <div class="attribute-table-body" id="attributeTableBody">
+            <div class="attribute-table-head" id="attributeTableHead"></div>
+            <div class="attribute-table-canvas" id="attributeTableCanvas"></div>
+            <div class="attribute-table-empty hidden" id="attributeTableEmpty">No features to display</div>
+        </div>
+    `;
+
+    document.body.appendChild(panel);
+    attributeTablePanel = panel;
+
+    setupAttributeTableListeners(panel);
+    return panel;
+}
+
+// Wire up the table toolbar, scrolling and resizing
+function setupAttributeTableListeners(panel) {
+    const body = panel.querySelector('#attributeTableBody');
+    body.addEventListener('scroll', scheduleAttributeTableRender);
+
+    panel.querySelector('#closeAttributeTable').addEventListener('click', closeAttributeTable);
+
+    panel.querySelector('#attributeTableLayer').addEventListener('change', (e) => {
+        if (e.target.value) {
+            openAttributeTable(e.target.value);
+        }
+    });
+
+    panel.querySelector('#attributeTableSelectedOnly').addEventListener('change', (e) => {
+        attributeTableState.showSelectedOnly = e.target.checked;
+        body.scrollTop = 0;
+        refreshAttributeTable();
+    });
+
+    panel.querySelector('#attributeTableColumnsBtn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleAttributeColumnsMenu();
+    });
+
+    panel.querySelector('#attributeTableDockBtn').addEventListener('click', toggleAttributeTableDock);
+
+    // Close the columns menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        const menu = panel.querySelector('#attributeTableColumnsMenu');
+        if (!menu.classList.contains('hidden') && !menu.contains(e.target)) {
+            closeAttributeColumnsMenu();
+        }
+    });
+
+    setupAttributeTableResize(panel);
+    setupAttributeTableDrag(panel);
+
+    // Keep the virtualized rows filled when the window size changes
+    window.addEventListener('resize', scheduleAttributeTableRender);
+}
+
+// Rebuild rows and redraw (called on open, layer list changes and selection changes)
+function refreshAttributeTable() {
+    if (!attributeTablePanel || attributeTablePanel.classList.contains('hidden') || !attributeTableState.layerId) {
+        return;
+    }
+
+    const layerInfo = window.layers.get(attributeTableState.layerId);
+    if (!layerInfo || !layerInfo.data || !layerInfo.data.features) {
+        // Layer was removed while the table was open
+        closeAttributeTable();
+        return;
+    }
+
+    populateAttributeTableLayerSelect();
+    syncAttributeTableColumns(layerInfo);
+    buildAttributeTableRows(layerInfo);
+    renderAttributeTableHeader();
+    renderAttributeTableRows();
+    updateAttributeTableCount(layerInfo);
+}
+
+// Fill the layer dropdown with every vector layer
+function populateAttributeTableLayerSelect() {
+    const select = attributeTablePanel.querySelector('#attributeTableLayer');
+    select.innerHTML = '';
+
+    window.layerOrder.forEach(layerId => {
+        const layerInfo = window.layers.get(layerId);
+        if (!layerInfo || layerInfo.sourceType === 'wms' || !layerInfo.data || !layerInfo.data.features) return;
+
+        const option = document.createElement('option');
+        option.value = layerId;
+        option.textContent = layerInfo.name;
+        select.appendChild(option);
+    });
+
+    select.value = attributeTableState.layerId;
+}
+
+// Column settings for the current layer
+function getAttributeTableColumnSettings() {
+    const layerId = attributeTableState.layerId;
+    if (!attributeTableColumns.has(layerId)) {
+        attributeTableColumns.set(layerId, { order: [], hidden: new Set() });
+    }
+    return attributeTableColumns.get(layerId);
+}
+
+// Pick up fields added since the last refresh (scans every feature, so only done on refresh)
+function syncAttributeTableColumns(layerInfo) {
+    const settings = getAttributeTableColumnSettings();
+    const features = (layerInfo.originalData || layerInfo.data).features;
+    const known = new Set(settings.order);
+
+    features.forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(key => {
+            if (!known.has(key)) {
+                known.add(key);
+                settings.order.push(key);
+            }
+        });
+    });
+
+}
+
+// Columns currently shown, in display order
+function getVisibleAttributeColumns() {
+    const settings = getAttributeTableColumnSettings();
+    return settings.order.filter(field => !settings.hidden.has(field));
+}
+
+// Features selected with the Selection Tool on the table's layer
+function getAttributeTableSelection() {
+    if (typeof window.getSelectedFeatures !== 'function' || typeof window.getActiveSelectionLayerId !== 'function') {
+        return new Set();
+    }
+    if (window.getActiveSelectionLayerId() !== attributeTableState.layerId) {
+        return new Set();
+    }
+    return new Set(window.getSelectedFeatures());
+}
+
+// Apply the selected-only toggle and sort order
+function buildAttributeTableRows(layerInfo) {
+    let rows = layerInfo.data.features;
+
+    if (attributeTableState.showSelectedOnly) {
+        const selection = getAttributeTableSelection();
+        rows = rows.filter(feature => selection.has(feature));
+    }
+
+    if (attributeTableState.sortField) {
+        const field = attributeTableState.sortField;
+        const direction = attributeTableState.sortDirection === 'asc' ? 1 : -1;
+        rows = rows.slice().sort((a, b) =>
+            compareAttributeValues((a.properties || {})[field], (b.properties || {})[field]) * direction
+        );
+    }
+
+    attributeTableState.rows = rows;
+}
+
+// Compare attribute values: empty last, numbers numerically, text naturally
+function compareAttributeValues(a, b) {
+    const aEmpty = a === null || a === undefined || a === '';
+    const bEmpty = b === null || b === undefined || b === '';
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Feature count summary in the toolbar
+function updateAttributeTableCount(layerInfo) {
+    const total = layerInfo.data.features.length;
+    const selectedCount = getAttributeTableSelection().size;
+    const countElement = attributeTablePanel.querySelector('#attributeTableCount');
+
+    let text = `${attributeTableState.rows.length.toLocaleString()} of ${total.toLocaleString()} features`;
+    if (selectedCount > 0) {
+        text += ` • ${selectedCount.toLocaleString()} selected`;
+    }
+    if (!isAttributeTableEditable(layerInfo)) {
+        text += ' • read only';
+    }
+    countElement.textContent = text;
+
+    attributeTablePanel.querySelector('#attributeTableSelectedOnly').checked = attributeTableState.showSelectedOnly;
+    attributeTablePanel.querySelector('#attributeTableEmpty').classList.toggle('hidden', attributeTableState.rows.length > 0);
+}
+
+// Draw the sticky header row with sort indicators and drag-to-reorder
+function renderAttributeTableHeader() {
+    const head = attributeTablePanel.querySelector('#attributeTableHead');
+    const columns = getVisibleAttributeColumns();
+    head.innerHTML = '';
+    head.style.width = `${columns.length * ATTRIBUTE_TABLE_COLUMN_WIDTH}px`;
+
+    columns.forEach(field => {
+        const cell = document.createElement('div');
+        cell.className = 'attribute-table-cell attribute-table-head-cell';
+        cell.draggable = true;
+        cell.dataset.field = field;
+        cell.title = `${field} - click to sort, drag to reorder`;
+
+        const label = document.createElement('span');
+        label.className = 'truncate';
+        label.textContent = field;
+        cell.appendChild(label);
+
+        if (attributeTableState.sortField === field) {
+            const icon = document.createElement('i');
+            icon.className = `fas ${attributeTableState.sortDirection === 'asc' ? 'fa-sort-up' : 'fa-sort-down'} ml-1 text-neon-teal`;
+            cell.appendChild(icon);
+        }
+
+        // Click cycles ascending → descending → unsorted
+        cell.addEventListener('click', () => {
+            if (attributeTableState.sortField !== field) {
+                attributeTableState.sortField = field;
+                attributeTableState.sortDirection = 'asc';
+            } else if (attributeTableState.sortDirection === 'asc') {
+                attributeTableState.sortDirection = 'desc';
+            } else {
+                attributeTableState.sortField = null;
+            }
+            refreshAttributeTable();
+        });
+
+        cell.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', field);
+            cell.classList.add('dragging');
+        });
+        cell.addEventListener('dragend', () => cell.classList.remove('dragging'));
+        cell.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            cell.classList.add('drag-over');
+        });
+        cell.addEventListener('dragleave', () => cell.classList.remove('drag-over'));
+        cell.addEventListener('drop', (e) => {
+            e.preventDefault();
+            cell.classList.remove('drag-over');
+            moveAttributeColumn(e.dataTransfer.getData('text/plain'), field);
+        });
+
+        head.appendChild(cell);
+    });
+}
+
+// Move a column in front of another one
+function moveAttributeColumn(field, beforeField) {
+    if (!field || field === beforeField) return;
+
+    const settings = getAttributeTableColumnSettings();
+    const fromIndex = settings.order.indexOf(field);
+    if (fromIndex === -1) return;
+
+    settings.order.splice(fromIndex, 1);
+    settings.order.splice(settings.order.indexOf(beforeField), 0, field);
+
+    renderAttributeTableHeader();
+    renderAttributeTableRows();
+    if (!attributeTablePanel.querySelector('#attributeTableColumnsMenu').classList.contains('hidden')) {
+        renderAttributeColumnsMenu();
+    }
+}
+
+// Batch redraws into one animation frame while scrolling
+function scheduleAttributeTableRender() {
+    if (attributeTableState.renderScheduled) return;
+    attributeTableState.renderScheduled = true;
+
+    requestAnimationFrame(() => {
+        attributeTableState.renderScheduled = false;
+        if (attributeTablePanel && !attributeTablePanel.classList.contains('hidden')) {
+            renderAttributeTableRows();
+        }
+    });
+}
+
+// Render only the rows inside the scrolled viewport
+function renderAttributeTableRows() {
+    const body = attributeTablePanel.querySelector('#attributeTableBody');
+    const canvas = attributeTablePanel.querySelector('#attributeTableCanvas');
+    const head = attributeTablePanel.querySelector('#attributeTableHead');
+    const layerInfo = window.layers.get(attributeTableState.layerId);
+    if (!layerInfo) return;
+
+    const columns = getVisibleAttributeColumns();
+    const rows = attributeTableState.rows;
+    const selection = getAttributeTableSelection();
+    const editable = isAttributeTableEditable(layerInfo);
+
+    canvas.style.height = `${rows.length * ATTRIBUTE_TABLE_ROW_HEIGHT}px`;
+    canvas.style.width = `${columns.length * ATTRIBUTE_TABLE_COLUMN_WIDTH}px`;
+
+    const viewportTop = Math.max(0, body.scrollTop - head.offsetHeight);
+    const firstRow = Math.max(0, Math.floor(viewportTop / ATTRIBUTE_TABLE_ROW_HEIGHT) - ATTRIBUTE_TABLE_OVERSCAN);
+    const lastRow = Math.min(rows.length, Math.ceil((viewportTop + body.clientHeight) / ATTRIBUTE_TABLE_ROW_HEIGHT) + ATTRIBUTE_TABLE_OVERSCAN);
+
+    const fragment = document.createDocumentFragment();
+    for (let index = firstRow; index < lastRow; index++) {
+        const feature = rows[index];
+        const properties = feature.properties || {};
+        const row = document.createElement('div');
+        row.className = 'attribute-table-row';
+        if (selection.has(feature)) row.classList.add('selected');
+        if (attributeTableState.activeFeature === feature) row.classList.add('active');
+        row.style.top = `${index * ATTRIBUTE_TABLE_ROW_HEIGHT}px`;
+
+        columns.forEach(field => {
+            const cell = document.createElement('div');
+            cell.className = 'attribute-table-cell';
+            const value = properties[field];
+            cell.textContent = formatAttributeValue(value);
+            cell.title = cell.textContent;
+            if (typeof value === 'number') cell.classList.add('numeric');
+
+            if (editable) {
+                cell.addEventListener('dblclick', (e) => {
+                    e.stopPropagation();
+                    startAttributeCellEdit(cell, feature, field);
+                });
+            }
+            row.appendChild(cell);
+        });
+
+        row.addEventListener('click', () => handleAttributeRowClick(feature, row));
+        fragment.appendChild(row);
+    }
+
+    canvas.innerHTML = '';
+    canvas.appendChild(fragment);
+}
+
+// Display text for an attribute value
+function formatAttributeValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+// Zoom to and highlight the clicked feature
+function handleAttributeRowClick(feature, row) {
+    // Update the row classes in place so a following double-click still reaches the cell
+    attributeTableState.activeFeature = feature;
+    attributeTablePanel.querySelectorAll('.attribute-table-row.active').forEach(element => element.classList.remove('active'));
+    row.classList.add('active');
+
+    if (!feature.geometry) {
+        showNotification('This feature has no geometry to zoom to.', 'info');
+        return;
+    }
+
+    if (typeof window.zoomToLot === 'function') {
+        window.zoomToLot(feature);
+    } else {
+        window.map.fitBounds(L.geoJSON(feature).getBounds(), { padding: [20, 20], maxZoom: 18 });
+    }
+}
+
+// Only dynamic layers are editable - permanent layers come from Supabase Storage and
+// URL-based layers (URL, ArcGIS, WMS) are never stored, so edits could not be saved
+function isAttributeTableEditable(layerInfo) {
+    return !layerInfo.isPermanent && !layerInfo.isUrlBased && (layerInfo.isUserGenerated || layerInfo.isFilteredSelection);
+}
+
+// Replace a cell with an inline editor
+function startAttributeCellEdit(cell, feature, field) {
+    if (cell.querySelector('input')) return;
+
+    const originalValue = (feature.properties || {})[field];
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'attribute-table-input';
+    input.value = formatAttributeValue(originalValue);
+
+    cell.textContent = '';
+    cell.appendChild(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = async (save) => {
+        if (finished) return;
+        finished = true;
+
+        if (!save || input.value === formatAttributeValue(originalValue)) {
+            renderAttributeTableRows();
+            return;
+        }
+
+        try {
+            const value = parseAttributeInput(input.value, field);
+            await commitAttributeEdit(feature, field, value);
+        } catch (error) {
+            console.error('Error saving attribute edit:', error);
+            showError(error.message, 'Edit Error');
+            renderAttributeTableRows();
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+}
+
+// Convert typed text to the column's value type
+function parseAttributeInput(text, field) {
+    const trimmed = text.trim();
+    if (trimmed === '') return null;
+
+    const layerInfo = window.layers.get(attributeTableState.layerId);
+    const sample = (layerInfo.originalData || layerInfo.data).features
+        .map(feature => (feature.properties || {})[field])
+        .find(value => value !== null && value !== undefined && value !== '');
+
+    if (typeof sample === 'number') {
+        const number = Number(trimmed);
+        if (isNaN(number)) {
+            throw new Error(`"${field}" is a numeric field - enter a number.`);
+        }
+        return number;
+    }
+
+    if (typeof sample === 'boolean') {
+        if (/^(true|yes|1)$/i.test(trimmed)) return true;
+        if (/^(false|no|0)$/i.test(trimmed)) return false;
+        throw new Error(`"${field}" is a true/false field.`);
+    }
+
+    return text;
+}
+
+// Apply an attribute edit, redraw the layer and save it to the layers table
+async function commitAttributeEdit(feature, field, value) {
+    const layerId = attributeTableState.layerId;
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) return;
+
+    const previousValue = feature.properties ? feature.properties[field] : undefined;
+    const saved = await applyAttributeValue(layerId, feature, field, value);
+    if (saved) {
+        showNotification(`Saved "${field}" for layer "${layerInfo.name}"`, 'success');
+    } else {
+        console.warn(`⚠️ Attribute edit on "${layerInfo.name}" was not saved to the database`);
+        showNotification('Edit applied locally but could not be saved to the database', 'warning');
+    }
+
+    // Look the feature up again on undo/redo: geometry undo replaces the layer's feature objects
+    if (typeof window.recordCommand === 'function') {
+        const featureKey = getAttributeFeatureKey(layerInfo, feature);
+        window.recordCommand({
+            label: `Edit "${field}" in "${layerInfo.name}"`,
+            undo: () => applyAttributeValue(layerId, findAttributeFeature(layerId, featureKey), field, previousValue),
+            redo: () => applyAttributeValue(layerId, findAttributeFeature(layerId, featureKey), field, value)
+        });
+    }
+}
+
+// Feature id when it has one, otherwise its position in the layer's full feature set
+function getAttributeFeatureKey(layerInfo, feature) {
+    if (feature.id !== undefined && feature.id !== null) {
+        return { id: feature.id };
+    }
+    return { index: (layerInfo.originalData || layerInfo.data).features.indexOf(feature) };
+}
+
+// Current feature object for a key from getAttributeFeatureKey
+function findAttributeFeature(layerId, featureKey) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        throw new Error('Layer no longer exists');
+    }
+
+    const features = (layerInfo.originalData || layerInfo.data).features;
+    const feature = 'id' in featureKey
+        ? features.find(candidate => candidate.id === featureKey.id)
+        : features[featureKey.index];
+    if (!feature) {
+        throw new Error('Feature no longer exists');
+    }
+    return feature;
+}
+
+// Set one attribute value, redraw the layer and store it (undefined removes the attribute)
+async function applyAttributeValue(layerId, feature, field, value) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        throw new Error('Layer no longer exists');
+    }
+
+    if (!feature.properties) feature.properties = {};
+    if (value === undefined) {
+        delete feature.properties[field];
+    } else {
+        feature.properties[field] = value;
+    }
+
+    // Values changed in place, so the lot search index cannot notice by itself
+    if (typeof window.invalidateLotSearchIndex === 'function') {
+        window.invalidateLotSearchIndex(layerId);
+    }
+
+    // Rebuild the Leaflet layer so popups and categorical colors pick up the new value
+    if (typeof window.reapplyLayerStyling === 'function') {
+        window.reapplyLayerStyling(layerId);
+    }
+    if (layerInfo.classification && layerInfo.classification.field === field && typeof updateLegend === 'function') {
+        updateLegend();
+    }
+
+    refreshAttributeTable();
+
+    return await window.updateDynamicLayerDataInDatabase(layerId);
+}
+
+// === COLUMNS MENU ===
+
+// Show or hide the column chooser
+function toggleAttributeColumnsMenu() {
+    const menu = attributeTablePanel.querySelector('#attributeTableColumnsMenu');
+    if (menu.classList.contains('hidden')) {
+        renderAttributeColumnsMenu();
+        menu.classList.remove('hidden');
+    } else {
+        closeAttributeColumnsMenu();
+    }
+}
+
+function closeAttributeColumnsMenu() {
+    if (!attributeTablePanel) return;
+    attributeTablePanel.querySelector('#attributeTableColumnsMenu').classList.add('hidden');
+}
+
+// Checkbox list of columns with move up/down controls
+function renderAttributeColumnsMenu() {
+    const menu = attributeTablePanel.querySelector('#attributeTableColumnsMenu');
+    const settings = getAttributeTableColumnSettings();
+    menu.innerHTML = '';
+
+    const showAll = document.createElement('button');
+    showAll.className = 'attribute-table-menu-action';
+    showAll.textContent = 'Show all columns';
+    showAll.addEventListener('click', (e) => {
+        e.stopPropagation();
+        settings.hidden.clear();
+        renderAttributeColumnsMenu();
+        renderAttributeTableHeader();
+        renderAttributeTableRows();
+    });
+    menu.appendChild(showAll);
+
+    settings.order.forEach((field, index) => {
+        const item = document.createElement('div');
+        item.className = 'attribute-table-menu-item';
+
+        const label = document.createElement('label');
+        label.className = 'flex items-center space-x-2 flex-1 min-w-0 cursor-pointer';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !settings.hidden.has(field);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                settings.hidden.delete(field);
+            } else {
+                settings.hidden.add(field);
+            }
+            renderAttributeTableHeader();
+            renderAttributeTableRows();
+        });
+        const name = document.createElement('span');
+        name.className = 'truncate';
+        name.textContent = field;
+        label.appendChild(checkbox);
+        label.appendChild(name);
+        item.appendChild(label);
+
+        [['up', -1], ['down', 1]].forEach(([direction, offset]) => {
+            const button = document.createElement('button');
+            button.className = 'attribute-table-btn';
+            button.title = `Move ${direction}`;
+            button.innerHTML = `<i class="fas fa-chevron-${direction}"></i>`;
+            button.disabled = index + offset < 0 || index + offset >= settings.order.length;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                settings.order.splice(index, 1);
+                settings.order.splice(index + offset, 0, field);
+                renderAttributeColumnsMenu();
+                renderAttributeTableHeader();
+                renderAttributeTableRows();
+            });
+            item.appendChild(button);
+        });
+
+        menu.appendChild(item);
+    });
+}
+
+// === DOCKING ===
+
+// Switch between docked (bottom of the map) and floating window
+function toggleAttributeTableDock() {
+    const panel = attributeTablePanel;
+    const dockBtn = panel.querySelector('#attributeTableDockBtn');
+    attributeTableState.docked = !attributeTableState.docked;
+
+    panel.classList.toggle('attribute-table-docked', attributeTableState.docked);
+    panel.classList.toggle('attribute-table-floating', !attributeTableState.docked);
+    panel.style.left = '';
+    panel.style.top = '';
+
+    dockBtn.title = attributeTableState.docked ? 'Undock table' : 'Dock table to bottom';
+    dockBtn.innerHTML = `<i class="fas ${attributeTableState.docked ? 'fa-window-restore' : 'fa-window-maximize'}"></i>`;
+
+    scheduleAttributeTableRender();
+}
+
+// Drag the top edge to resize the docked table
+function setupAttributeTableResize(panel) {
+    const handle = panel.querySelector('#attributeTableResize');
+    let startY = 0;
+    let startHeight = 0;
+
+    const onMouseMove = (e) => {
+        const height = Math.max(150, Math.min(window.innerHeight * 0.8, startHeight + (startY - e.clientY)));
+        panel.style.height = `${height}px`;
+        scheduleAttributeTableRender();
+    };
+    const onMouseUp = () => {
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
+        document.body.style.userSelect = '';
+    };
+
+    handle.addEventListener('mousedown', (e) => {
+        if (!attributeTableState.docked) return;
+        startY = e.clientY;
+        startHeight = panel.offsetHeight;
+        document.body.style.userSelect = 'none';
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+        e.preventDefault();
+    });
+}
+
+// Drag the header to move the floating table
+function setupAttributeTableDrag(panel) {
+    const header = panel.querySelector('#attributeTableHeader');
+    let startX = 0;
+    let startY = 0;
+    let startLeft = 0;
+    let startTop = 0;
+
+    const onMouseMove = (e) => {
+        const left = Math.max(0, Math.min(window.innerWidth - panel.offsetWidth, startLeft + e.clientX - startX));
+        const top = Math.max(0, Math.min(window.innerHeight - panel.offsetHeight, startTop + e.clientY - startY));
+        panel.style.left = `${left}px`;
+        panel.style.top = `${top}px`;
+    };
+    const onMouseUp = () => {
+        document.removeEventListener('mousemove', onMouseMove);
+        document.removeEventListener('mouseup', onMouseUp);
+        document.body.style.userSelect = '';
+    };
+
+    header.addEventListener('mousedown', (e) => {
+        if (attributeTableState.docked || e.target.closest('button, select, input, label')) return;
+        startX = e.clientX;
+        startY = e.clientY;
+        startLeft = panel.offsetLeft;
+        startTop = panel.offsetTop;
+        document.body.style.userSelect = 'none';
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+        e.preventDefault();
+    });
+}
+
+// Export functions for use in other modules
+window.openAttributeTable = openAttributeTable;
+window.closeAttributeTable = closeAttributeTable;
+window.refreshAttributeTable = refreshAttributeTable;
@@ -130,6 +130,9 @@ async function signOutUser() {
 
         currentUser = null;
         updateGlobalAuthVars();
+        if (typeof window.clearCommandHistory === 'function') {
+            window.clearCommandHistory();
+        }
         console.log('User signed out successfully');
         showLoginPage();
         return { success: true };
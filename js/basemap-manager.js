@@ -250,6 +250,32 @@ function toggleLabels(show, layerName) {
     }
 }
 
+// Keys of the active basemap and label overlay (used by workspaces)
+function getBasemapState() {
+    const findKey = layer => layer ? (Object.keys(basemaps).find(key => basemaps[key] === layer) || null) : null;
+    return {
+        basemap: findKey(currentBasemap),
+        labels: findKey(currentLabels)
+    };
+}
+
+// Switch to a saved basemap and label overlay by key
+function setBasemapState(state) {
+    if (!state || !basemaps[state.basemap]) {
+        console.warn('Unknown basemap in saved state:', state);
+        return false;
+    }
+    
+    switchBasemap(state.basemap);
+    toggleLabels(Boolean(state.labels), state.labels);
+    
+    // Keep the context menu label checkboxes in sync
+    document.querySelectorAll('.label-checkbox').forEach(checkbox => {
+        checkbox.checked = Boolean(state.labels) && checkbox.getAttribute('data-labels') === state.labels;
+    });
+    return true;
+}
+
 function previewBasemapOnHover(basemapKey, labelKey = null) {
     console.log(`Previewing basemap: ${basemapKey}, labels: ${labelKey}`);
     
@@ -731,6 +757,8 @@ window.initBasemaps = initBasemaps;
 window.initializeBasemaps = initializeBasemaps;
 window.switchBasemap = switchBasemap;
 window.toggleLabels = toggleLabels;
+window.getBasemapState = getBasemapState;
+window.setBasemapState = setBasemapState;
 window.previewBasemapOnHover = previewBasemapOnHover;
 window.revertToOriginalBasemap = revertToOriginalBasemap;
 window.setupMapContextMenu = setupMapContextMenu;
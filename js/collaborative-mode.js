@@ -120,7 +120,33 @@ function applyLoadedStyleToLayer(layerId, styleData) {
     }
     
     try {
-        if (styleData.symbology_type === 'categorical' && styleData.colorMap) {
+        const graduatedClassification = typeof createGraduatedClassification === 'function'
+            ? createGraduatedClassification(styleData)
+            : null;
+        
+        if (graduatedClassification) {
+            // Apply graduated symbology from the saved class breaks
+            layerInfo.layer.setStyle(function(feature) {
+                return getGraduatedFeatureStyle(graduatedClassification, feature);
+            });
+            
+            // Update layer info with new classification
+            layerInfo.classification = graduatedClassification;
+            
+        } else if (styleData.symbology_type === 'rule' && typeof createRuleClassification === 'function') {
+            // Apply rule-based symbology from the saved rules
+            const ruleClassification = createRuleClassification(styleData);
+            if (ruleClassification) {
+                layerInfo.layer.setStyle(function(feature) {
+                    return getRuleFeatureStyle(ruleClassification, feature);
+                });
+                
+                // Update layer info with new classification
+                layerInfo.classification = ruleClassification;
+                layerInfo.hiddenCategories = new Set();
+            }
+            
+        } else if (styleData.symbology_type === 'categorical' && styleData.colorMap) {
             // Apply categorical symbology
             const layerStyleFunction = function(feature) {
                 const fieldValue = feature.properties[styleData.categoricalField];
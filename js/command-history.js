@@ -0,0 +1,129 @@
+/**
+ * Command History Module for Aéra Link WebGIS
+ * App-wide undo/redo for layer, symbology, geometry and attribute changes
+ *
+ * Features:
+ * - Modules record a command with async undo/redo handlers after each change
+ * - Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo
+ * - Handlers also reverse the matching Supabase writes
+ * - History is capped and the redo stack is cleared on each new command
+ */
+
+const COMMAND_HISTORY_LIMIT = 50;
+
+// Undo/redo stacks of { label, undo, redo }
+const commandHistory = {
+    undoStack: [],
+    redoStack: [],
+    busy: false
+};
+
+// Push a completed change onto the undo stack
+// Commands recorded while an undo/redo is running are ignored so handlers can reuse the normal code paths
+function recordCommand(command) {
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+        console.error('Invalid command, expected undo and redo functions:', command);
+        return;
+    }
+    if (commandHistory.busy) return;
+
+    commandHistory.undoStack.push(command);
+    if (commandHistory.undoStack.length > COMMAND_HISTORY_LIMIT) {
+        commandHistory.undoStack.shift();
+    }
+    commandHistory.redoStack = [];
+
+    console.log(`📝 Recorded command: ${command.label}`);
+}
+
+// Undo the most recent command
+async function undoLastCommand() {
+    if (commandHistory.busy) return;
+
+    const command = commandHistory.undoStack.pop();
+    if (!command) {
+        showNotification('Nothing to undo', 'info');
+        return;
+    }
+
+    commandHistory.busy = true;
+    try {
+        await command.undo();
+        commandHistory.redoStack.push(command);
+        showNotification(`Undo: ${command.label}`, 'info');
+        console.log(`↩️ Undid command: ${command.label}`);
+    } catch (error) {
+        console.error(`Error undoing "${command.label}":`, error);
+        showNotification(`Could not undo "${command.label}": ${error.message}`, 'error');
+    } finally {
+        commandHistory.busy = false;
+    }
+}
+
+// Redo the most recently undone command
+async function redoLastCommand() {
+    if (commandHistory.busy) return;
+
+    const command = commandHistory.redoStack.pop();
+    if (!command) {
+        showNotification('Nothing to redo', 'info');
+        return;
+    }
+
+    commandHistory.busy = true;
+    try {
+        await command.redo();
+        commandHistory.undoStack.push(command);
+        showNotification(`Redo: ${command.label}`, 'info');
+        console.log(`↪️ Redid command: ${command.label}`);
+    } catch (error) {
+        console.error(`Error redoing "${command.label}":`, error);
+        showNotification(`Could not redo "${command.label}": ${error.message}`, 'error');
+    } finally {
+        commandHistory.busy = false;
+    }
+}
+
+// Drop all recorded commands (e.g. on sign out)
+function clearCommandHistory() {
+    commandHistory.undoStack = [];
+    commandHistory.redoStack = [];
+}
+
+// Keyboard shortcuts are left to text fields and to an open geometry edit session
+function shouldIgnoreHistoryShortcut(target) {
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return true;
+    }
+    if (document.querySelector('.geometry-edit-toolbar')) {
+        return true;
+    }
+
+    // Only handle shortcuts in the main application (not on the login page)
+    const webgisContainer = document.getElementById('webgisContainer');
+    return !webgisContainer || webgisContainer.style.display === 'none';
+}
+
+// Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl/Cmd+Y
+function handleCommandHistoryKeyDown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    if (shouldIgnoreHistoryShortcut(e.target)) return;
+
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redoLastCommand();
+    } else {
+        undoLastCommand();
+    }
+}
+
+document.addEventListener('keydown', handleCommandHistoryKeyDown);
+
+// Export functions for use in other modules
+window.recordCommand = recordCommand;
+window.undoLastCommand = undoLastCommand;
+window.redoLastCommand = redoLastCommand;
+window.clearCommandHistory = clearCommandHistory;
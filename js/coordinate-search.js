@@ -0,0 +1,369 @@
+/**
+ * Coordinate Search Module for Aéra Link WebGIS
+ * Recognizes coordinates typed or pasted into the lot search box
+ *
+ * Features:
+ * - Decimal latitude/longitude in either order, with or without N/S/E/W
+ * - Degrees, minutes and seconds (14°35'58.2"N 120°59'03.1"E, N14 35 58 E120 59 3)
+ * - Easting/northing in UTM zone 51N or a PRS92 Philippines zone
+ * - Full and short Plus Codes (short codes are resolved near the map center)
+ * - Optional survey bearing and distance from the point (N 45°30' E 120.50 m)
+ * - Lots containing the point in any searchable layer
+ */
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const PLUS_CODE_GRID_ROWS = 5;
+const PLUS_CODE_GRID_COLUMNS = 4;
+
+// Easting and northing are at least this large, so "12 7" is never read as a projected coordinate
+const PROJECTED_MIN_VALUE = 10000;
+
+const PRS92_ZONE_NUMERALS = { I: 1, II: 2, III: 3, IV: 4, V: 5 };
+
+// Trailing survey bearing and distance, e.g. "N 45°30' E 120.50 m"
+const SURVEY_BEARING_PATTERN = /[\s,;]*\b([NS])\s*(\d+(?:\.\d+)?)\s*(?:[°º\s-]\s*(\d+(?:\.\d+)?)\s*['′’]?)?\s*(?:(\d+(?:\.\d+)?)\s*["″”]?)?\s*([EW])\s*[,;]?\s*(\d+(?:\.\d+)?)\s*(?:m|meters?|metres?)?\.?\s*$/i;
+
+// Bounding boxes of polygon features, kept as long as the feature object lives
+const coordinateSearchBounds = new WeakMap();
+
+// === GEOGRAPHIC COORDINATES ===
+
+// Decimal degrees from [degrees, minutes, seconds] (minutes and seconds optional)
+function toDecimalDegrees(numbers) {
+    if (numbers.length === 0 || numbers.length > 3) return null;
+    const [degrees, minutes = 0, seconds = 0] = numbers;
+    if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) return null;
+    if (numbers.length > 1 && !Number.isInteger(degrees)) return null;
+
+    const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    return degrees < 0 || Object.is(degrees, -0) ? -value : value;
+}
+
+// { lat, lng, isDMS } from decimal degrees or DMS, or null
+function parseGeographicCoordinates(text) {
+    if (!/^[\d\s.,;:°º'"′″’”NSEWnsew+-]+$/.test(text)) return null;
+
+    const tokens = text.toUpperCase().match(/[NSEW]|[+-]?\d+(?:\.\d+)?/g);
+    if (!tokens) return null;
+
+    const isHemisphere = token => /^[NSEW]$/.test(token);
+    let groups = [];
+
+    if (tokens.some(isHemisphere)) {
+        // Hemisphere letters either lead ("N14 35 E120 59") or trail ("14 35 N 120 59 E") each value
+        const leading = isHemisphere(tokens[0]);
+        let current = { hemisphere: null, numbers: [] };
+        for (const token of tokens) {
+            if (!isHemisphere(token)) {
+                current.numbers.push(Math.abs(Number(token)));
+            } else if (leading) {
+                if (current.hemisphere) groups.push(current);
+                current = { hemisphere: token, numbers: [] };
+            } else {
+                current.hemisphere = token;
+                groups.push(current);
+                current = { hemisphere: null, numbers: [] };
+            }
+        }
+        if (leading) {
+            groups.push(current);
+        } else if (current.numbers.length > 0) {
+            return null;
+        }
+    } else {
+        // Bare numbers need decimals or degree marks, so "12 7" stays a lot search
+        const hasMarks = /[°º'"′″’”]/.test(text);
+        if (!hasMarks && !tokens.every(token => token.includes('.'))) return null;
+        if (tokens.length % 2 !== 0) return null;
+
+        const half = tokens.length / 2;
+        groups = [
+            { hemisphere: null, numbers: tokens.slice(0, half).map(Number) },
+            { hemisphere: null, numbers: tokens.slice(half).map(Number) }
+        ];
+    }
+
+    if (groups.length !== 2) return null;
+    const values = groups.map(group => toDecimalDegrees(group.numbers));
+    if (values.includes(null)) return null;
+
+    let lat;
+    let lng;
+    if (groups[0].hemisphere) {
+        const signed = groups.map((group, index) => /[SW]/.test(group.hemisphere) ? -values[index] : values[index]);
+        const latIndex = groups.findIndex(group => /[NS]/.test(group.hemisphere));
+        const lngIndex = groups.findIndex(group => /[EW]/.test(group.hemisphere));
+        if (latIndex === -1 || lngIndex === -1) return null;
+        lat = signed[latIndex];
+        lng = signed[lngIndex];
+    } else {
+        [lat, lng] = values;
+        // Longitude first, as GeoJSON and many GIS tools write it
+        if (Math.abs(lat) > 90 && Math.abs(lng) <= 90) {
+            [lat, lng] = [lng, lat];
+        }
+    }
+
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { lat, lng, isDMS: groups.some(group => group.numbers.length > 1) };
+}
+
+// === PROJECTED COORDINATES ===
+
+// PRS92 Philippines zone (1-5) whose central meridian is nearest to a longitude
+function getPRS92ZoneForLongitude(lng) {
+    return Math.min(5, Math.max(1, Math.round((lng - 117) / 2) + 1));
+}
+
+// Easting/northing with the coordinate systems they may be in, or null
+function parseProjectedCoordinates(text, reference) {
+    let remaining = text.toUpperCase();
+    let system = null;
+    let zone = null;
+
+    const zoneMatch = remaining.match(/\b(?:ZONE|Z)\s*([1-5]|IV|V|I{1,3})\b/);
+    if (zoneMatch) {
+        zone = PRS92_ZONE_NUMERALS[zoneMatch[1]] || Number(zoneMatch[1]);
+        system = 'prs92';
+        remaining = remaining.replace(zoneMatch[0], ' ');
+    }
+    if (/\bUTM\b|\b51\s*N\b|\bEPSG\s*:?\s*32651\b/.test(remaining)) {
+        system = 'utm';
+    }
+    if (/\bPRS\b|\bPRS\s*-?\s*(?:92|1992)\b|\bPTM\b|\bEPSG\s*:?\s*312[1-5]\b/.test(remaining)) {
+        system = 'prs92';
+        const epsgZone = remaining.match(/\bEPSG\s*:?\s*312([1-5])\b/);
+        if (epsgZone) zone = Number(epsgZone[1]);
+    }
+
+    remaining = remaining
+        .replace(/\bEPSG\s*:?\s*\d+\b|\bUTM\b|\b(?:ZONE\s*)?51\s*N\b|\bWGS\s*-?\s*84\b|\bPRS\s*-?\s*(?:1992|92)?\b|\bPTM\b/g, ' ')
+        .replace(/(\d)\s*M([EN])\b/g, '$1 $2');
+    if (!/^[\d\s.,;:=EN]*$/.test(remaining)) return null;
+
+    const tokens = remaining.match(/[EN]|\d+(?:\.\d+)?/g) || [];
+    const numbers = tokens.filter(token => /\d/.test(token)).map(Number);
+    if (numbers.length !== 2 || numbers.some(value => value < PROJECTED_MIN_VALUE)) return null;
+
+    // Easting first unless the letters say otherwise ("N 1614567 E 291234" or "1614567N 291234E")
+    const letters = tokens.filter(token => /^[EN]$/.test(token));
+    let [easting, northing] = numbers;
+    const firstLetter = letters.length === 2 ? (/\d/.test(tokens[0]) ? tokens[1] : tokens[0]) : null;
+    if (firstLetter === 'N') {
+        [easting, northing] = [northing, easting];
+    }
+    if (easting >= 1000000 || northing >= 10000000) return null;
+
+    const prs92Zone = zone || getPRS92ZoneForLongitude(reference ? reference.lng : 121);
+    const systems = [];
+    if (system !== 'prs92') {
+        systems.push({ code: 'EPSG:32651', format: 'UTM 51N' });
+    }
+    if (system !== 'utm') {
+        systems.push({ code: `EPSG:312${prs92Zone}`, format: `PRS92 Zone ${prs92Zone}` });
+    }
+
+    return { easting, northing, systems };
+}
+
+// === PLUS CODES ===
+
+// Plus Code in a query ("7Q63HX3V+QH", "HX3V+QH Manila"), or null
+function parsePlusCode(text) {
+    const match = text.trim().toUpperCase().match(/^([23456789CFGHJMPQRVWX0]{2,8})\+([23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/);
+    if (!match) return null;
+
+    const [, beforePlus, afterPlus, locality] = match;
+    if (beforePlus.length % 2 !== 0 || afterPlus.length === 1 || afterPlus.length > 7) return null;
+
+    // Padding zeros only close full codes, e.g. "7Q630000+"
+    if (beforePlus.includes('0') && (beforePlus.length < 8 || !/^[^0]+0+$/.test(beforePlus) || afterPlus)) return null;
+
+    // The first pair cannot go past 90° latitude or 180° longitude
+    if (beforePlus.length === 8 &&
+        (PLUS_CODE_ALPHABET.indexOf(beforePlus[0]) > 8 || PLUS_CODE_ALPHABET.indexOf(beforePlus[1]) > 17)) {
+        return null;
+    }
+
+    return { code: `${beforePlus}+${afterPlus}`, isShort: beforePlus.length < 8, locality: locality || null };
+}
+
+// Center of the area a full Plus Code covers
+function decodePlusCode(code) {
+    const digits = code.replace('+', '').replace(/0+$/, '');
+    let lat = -90;
+    let lng = -180;
+    let latSize = 0;
+    let lngSize = 0;
+
+    for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+        const resolution = PLUS_CODE_PAIR_RESOLUTIONS[i / 2];
+        lat += PLUS_CODE_ALPHABET.indexOf(digits[i]) * resolution;
+        lng += PLUS_CODE_ALPHABET.indexOf(digits[i + 1]) * resolution;
+        latSize = lngSize = resolution;
+    }
+
+    // Digits after the tenth refine a 5 x 4 grid
+    for (let i = 10; i < digits.length; i++) {
+        latSize /= PLUS_CODE_GRID_ROWS;
+        lngSize /= PLUS_CODE_GRID_COLUMNS;
+        const value = PLUS_CODE_ALPHABET.indexOf(digits[i]);
+        lat += Math.floor(value / PLUS_CODE_GRID_COLUMNS) * latSize;
+        lng += (value % PLUS_CODE_GRID_COLUMNS) * lngSize;
+    }
+
+    return { lat: Math.min(lat + latSize / 2, 90), lng: lng + lngSize / 2 };
+}
+
+// First digits of the Plus Code for a location, used to complete short codes
+function encodePlusCodePrefix(lat, lng, length) {
+    let latValue = Math.min(Math.max(lat, -90), 90 - 1e-10) + 90;
+    let lngValue = ((lng + 180) % 360 + 360) % 360;
+    let prefix = '';
+
+    for (let i = 0; i < length / 2; i++) {
+        const resolution = PLUS_CODE_PAIR_RESOLUTIONS[i];
+        const latDigit = Math.floor(latValue / resolution);
+        const lngDigit = Math.floor(lngValue / resolution);
+        prefix += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lngDigit];
+        latValue -= latDigit * resolution;
+        lngValue -= lngDigit * resolution;
+    }
+    return prefix;
+}
+
+// Location of a short Plus Code nearest to a reference point (the Open Location Code recovery rule)
+function recoverShortPlusCode(shortCode, reference) {
+    const paddingLength = 8 - shortCode.indexOf('+');
+    const resolution = Math.pow(20, 2 - paddingLength / 2);
+    const halfResolution = resolution / 2;
+
+    let { lat, lng } = decodePlusCode(encodePlusCodePrefix(reference.lat, reference.lng, paddingLength) + shortCode);
+
+    if (reference.lat + halfResolution < lat && lat - resolution >= -90) {
+        lat -= resolution;
+    } else if (reference.lat - halfResolution > lat && lat + resolution <= 90) {
+        lat += resolution;
+    }
+    if (reference.lng + halfResolution < lng) {
+        lng -= resolution;
+    } else if (reference.lng - halfResolution > lng) {
+        lng += resolution;
+    }
+
+    return { lat, lng };
+}
+
+// === SURVEY BEARINGS ===
+
+// Split a trailing bearing and distance off a query: { text, bearing: { azimuth, distance, label } }
+function splitSurveyBearing(text) {
+    const match = text.match(SURVEY_BEARING_PATTERN);
+    if (!match || match.index === 0) return { text, bearing: null };
+
+    const [, from, degrees, minutes, seconds, to, distance] = match;
+    const angle = toDecimalDegrees([Number(degrees), Number(minutes || 0), Number(seconds || 0)]);
+    if (angle === null || angle > 90) return { text, bearing: null };
+
+    // Quadrant bearing to an azimuth measured clockwise from north
+    const quadrant = `${from}${to}`.toUpperCase();
+    const azimuth = { NE: angle, SE: 180 - angle, SW: 180 + angle, NW: 360 - angle }[quadrant];
+
+    const dms = `${Number(degrees)}°${minutes ? ` ${Number(minutes)}'` : ''}${seconds ? ` ${Number(seconds)}"` : ''}`;
+    return {
+        text: text.slice(0, match.index),
+        bearing: { azimuth, distance: Number(distance), label: `${quadrant[0]} ${dms} ${quadrant[1]}, ${Number(distance)} m` }
+    };
+}
+
+// === SEARCH ===
+
+// Every reading of a query as a coordinate: [{ format, lat, lng } or { format, code, easting, northing }],
+// each with the bearing to apply afterwards, if any
+function parseSearchCoordinates(query, reference) {
+    const text = (query || '').trim();
+    if (!text) return [];
+
+    // A bearing is only split off when the whole text is not a coordinate by itself
+    const attempts = [{ text, bearing: null }];
+    const split = splitSurveyBearing(text);
+    if (split.bearing) attempts.push(split);
+
+    for (const { text: coordinateText, bearing } of attempts) {
+        const geographic = parseGeographicCoordinates(coordinateText.trim());
+        if (geographic) {
+            return [{ format: geographic.isDMS ? 'DMS' : 'Lat/Lng', lat: geographic.lat, lng: geographic.lng, bearing }];
+        }
+
+        const plusCode = parsePlusCode(coordinateText);
+        if (plusCode) {
+            if (plusCode.isShort && !reference) return [];
+            const location = plusCode.isShort ? recoverShortPlusCode(plusCode.code, reference) : decodePlusCode(plusCode.code);
+            return [{ format: `Plus Code ${plusCode.code}`, ...location, bearing }];
+        }
+
+        const projected = parseProjectedCoordinates(coordinateText, reference);
+        if (projected) {
+            return projected.systems.map(({ code, format }) => ({
+                format,
+                code,
+                easting: projected.easting,
+                northing: projected.northing,
+                bearing
+            }));
+        }
+    }
+
+    return [];
+}
+
+// Latitude/longitude of a parsed coordinate, with projected values converted and the bearing applied
+async function resolveSearchCoordinate(candidate) {
+    let { lat, lng } = candidate;
+
+    if (candidate.code) {
+        await ensureProj4();
+        [lng, lat] = proj4(candidate.code, 'EPSG:4326', [candidate.easting, candidate.northing]);
+    }
+
+    if (candidate.bearing) {
+        const destination = turf.destination([lng, lat], candidate.bearing.distance / 1000, candidate.bearing.azimuth, { units: 'kilometers' });
+        [lng, lat] = destination.geometry.coordinates;
+    }
+
+    if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+    return { ...candidate, lat, lng };
+}
+
+// Polygon features containing a point, across the given layers: [{ layerId, layerName, feature, featureIndex }]
+function findLotsAtPoint(lat, lng, searchLayers) {
+    const point = turf.point([lng, lat]);
+    const found = [];
+
+    searchLayers.forEach(({ layerId, name, data }) => {
+        data.features.forEach((feature, featureIndex) => {
+            const geometry = feature && feature.geometry;
+            if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) return;
+
+            let bounds = coordinateSearchBounds.get(feature);
+            if (!bounds) {
+                bounds = turf.bbox(feature);
+                coordinateSearchBounds.set(feature, bounds);
+            }
+            if (lng < bounds[0] || lat < bounds[1] || lng > bounds[2] || lat > bounds[3]) return;
+
+            if (turf.booleanPointInPolygon(point, feature)) {
+                found.push({ layerId, layerName: name, feature, featureIndex });
+            }
+        });
+    });
+
+    return found;
+}
+
+// Export functions for use in other modules
+window.parseSearchCoordinates = parseSearchCoordinates;
+window.resolveSearchCoordinate = resolveSearchCoordinate;
+window.findLotsAtPoint = findLotsAtPoint;
+window.decodePlusCode = decodePlusCode;
@@ -0,0 +1,205 @@
+/**
+ * Coordinate Systems Module for Aéra Link WebGIS
+ * Detects the coordinate reference system of imported data and reprojects it to WGS84
+ *
+ * Features:
+ * - Catalog of Philippine EPSG codes (PRS92, Luzon 1911, UTM) with proj4 definitions
+ * - Detection from the GeoJSON `crs` member or a shapefile .prj
+ * - Fallback to the raw .prj WKT for coordinate systems outside the catalog
+ * - Heuristic check for projected coordinates that were not declared
+ */
+
+const PROJ4_URL = 'https://cdnjs.cloudflare.com/ajax/libs/proj4js/2.9.0/proj4.js';
+
+// Datum shifts to WGS84
+const PRS92_TOWGS84 = '+towgs84=-127.62,-67.24,-47.04,-3.068,4.903,1.578,-1.06';
+const LUZON1911_TOWGS84 = '+towgs84=-133,-77,-51,0,0,0,0';
+
+// Transverse Mercator zone definition shared by PRS92 and Luzon 1911
+function philippineZoneDefinition(centralMeridian, towgs84) {
+    return `+proj=tmerc +lat_0=0 +lon_0=${centralMeridian} +k=0.99995 +x_0=500000 +y_0=0 +ellps=clrk66 ${towgs84} +units=m +no_defs`;
+}
+
+// Supported coordinate systems, in the order shown in the import dropdown
+const PHILIPPINE_CRS = [
+    { code: 'EPSG:4326', name: 'WGS 84 (lon/lat)', proj4: '+proj=longlat +datum=WGS84 +no_defs', aliases: ['WGS_1984', 'CRS84'] },
+    { code: 'EPSG:32651', name: 'WGS 84 / UTM zone 51N', proj4: '+proj=utm +zone=51 +datum=WGS84 +units=m +no_defs', aliases: ['WGS_1984_UTM_Zone_51N'] },
+    { code: 'EPSG:32650', name: 'WGS 84 / UTM zone 50N', proj4: '+proj=utm +zone=50 +datum=WGS84 +units=m +no_defs', aliases: ['WGS_1984_UTM_Zone_50N'] },
+    { code: 'EPSG:32652', name: 'WGS 84 / UTM zone 52N', proj4: '+proj=utm +zone=52 +datum=WGS84 +units=m +no_defs', aliases: ['WGS_1984_UTM_Zone_52N'] },
+    { code: 'EPSG:4683', name: 'PRS92 (lon/lat)', proj4: `+proj=longlat +ellps=clrk66 ${PRS92_TOWGS84} +no_defs`, aliases: ['GCS_PRS_1992', 'PRS92', 'PRS_1992'] },
+    { code: 'EPSG:3121', name: 'PRS92 / Philippines zone 1', proj4: philippineZoneDefinition(117, PRS92_TOWGS84), aliases: ['PRS_1992_Philippines_Zone_I'] },
+    { code: 'EPSG:3122', name: 'PRS92 / Philippines zone 2', proj4: philippineZoneDefinition(119, PRS92_TOWGS84), aliases: ['PRS_1992_Philippines_Zone_II'] },
+    { code: 'EPSG:3123', name: 'PRS92 / Philippines zone 3', proj4: philippineZoneDefinition(121, PRS92_TOWGS84), aliases: ['PRS_1992_Philippines_Zone_III'] },
+    { code: 'EPSG:3124', name: 'PRS92 / Philippines zone 4', proj4: philippineZoneDefinition(123, PRS92_TOWGS84), aliases: ['PRS_1992_Philippines_Zone_IV'] },
+    { code: 'EPSG:3125', name: 'PRS92 / Philippines zone 5', proj4: philippineZoneDefinition(125, PRS92_TOWGS84), aliases: ['PRS_1992_Philippines_Zone_V'] },
+    { code: 'EPSG:4253', name: 'Luzon 1911 (lon/lat)', proj4: `+proj=longlat +ellps=clrk66 ${LUZON1911_TOWGS84} +no_defs`, aliases: ['GCS_Luzon_1911', 'Luzon_1911'] },
+    { code: 'EPSG:25391', name: 'Luzon 1911 / Philippines zone I', proj4: philippineZoneDefinition(117, LUZON1911_TOWGS84), aliases: ['Luzon_1911_Philippines_Zone_I'] },
+    { code: 'EPSG:25392', name: 'Luzon 1911 / Philippines zone II', proj4: philippineZoneDefinition(119, LUZON1911_TOWGS84), aliases: ['Luzon_1911_Philippines_Zone_II'] },
+    { code: 'EPSG:25393', name: 'Luzon 1911 / Philippines zone III', proj4: philippineZoneDefinition(121, LUZON1911_TOWGS84), aliases: ['Luzon_1911_Philippines_Zone_III'] },
+    { code: 'EPSG:25394', name: 'Luzon 1911 / Philippines zone IV', proj4: philippineZoneDefinition(123, LUZON1911_TOWGS84), aliases: ['Luzon_1911_Philippines_Zone_IV'] },
+    { code: 'EPSG:25395', name: 'Luzon 1911 / Philippines zone V', proj4: philippineZoneDefinition(125, LUZON1911_TOWGS84), aliases: ['Luzon_1911_Philippines_Zone_V'] },
+    { code: 'EPSG:3857', name: 'WGS 84 / Pseudo-Mercator', proj4: '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs', aliases: ['WGS_1984_Web_Mercator_Auxiliary_Sphere', 'Pseudo-Mercator'] }
+];
+
+const WGS84_CODE = 'EPSG:4326';
+
+// Load proj4 if needed and register the Philippine definitions
+async function ensureProj4() {
+    if (typeof proj4 === 'undefined') {
+        await loadScript(PROJ4_URL);
+    }
+    PHILIPPINE_CRS.forEach(crs => {
+        if (!proj4.defs(crs.code)) {
+            proj4.defs(crs.code, crs.proj4);
+        }
+    });
+}
+
+// Look up a catalog entry by EPSG code (accepts "EPSG:3123", "3123" or OGC URNs)
+function getCRSByCode(code) {
+    if (!code) return null;
+
+    const text = String(code).trim();
+    if (/CRS84$/i.test(text)) {
+        return PHILIPPINE_CRS.find(crs => crs.code === WGS84_CODE);
+    }
+
+    const match = text.match(/(\d{4,5})$/);
+    if (!match) return null;
+
+    return PHILIPPINE_CRS.find(crs => crs.code === `EPSG:${match[1]}`) || null;
+}
+
+// Read the (pre-RFC 7946) GeoJSON `crs` member
+function detectCRSFromGeoJSON(geoData) {
+    const name = geoData && geoData.crs && geoData.crs.properties && geoData.crs.properties.name;
+    if (!name) return null;
+
+    const crs = getCRSByCode(name);
+    if (!crs) {
+        console.warn(`GeoJSON declares unsupported CRS "${name}"`);
+    }
+    return crs;
+}
+
+// Match a .prj WKT against the catalog, falling back to the WKT itself
+function detectCRSFromPrj(prj) {
+    if (!prj) return null;
+
+    // AUTHORITY["EPSG","3123"] on the outermost CS
+    const authority = prj.match(/AUTHORITY\["EPSG",\s*"?(\d+)"?\]\]\s*$/i);
+    if (authority) {
+        const crs = getCRSByCode(authority[1]);
+        if (crs) return crs;
+    }
+
+    const nameMatch = prj.match(/^(?:PROJCS|GEOGCS)\["([^"]+)"/i);
+    if (nameMatch) {
+        const normalizedName = nameMatch[1].replace(/[\s/]+/g, '_').toLowerCase();
+        const crs = PHILIPPINE_CRS.find(entry =>
+            entry.aliases.some(alias => alias.toLowerCase() === normalizedName)
+        );
+        if (crs) return crs;
+
+        // Any plain WGS84 geographic system
+        if (/^GEOGCS\[/i.test(prj) && /WGS[ _]?(19)?84/i.test(prj)) {
+            return getCRSByCode(WGS84_CODE);
+        }
+    }
+
+    // Unknown system - let proj4 interpret the WKT directly
+    return {
+        code: null,
+        name: nameMatch ? nameMatch[1] : 'Custom (.prj)',
+        proj4: prj
+    };
+}
+
+// Whether coordinates fall outside the valid lon/lat range (i.e. are projected)
+function looksProjected(geoData) {
+    for (const feature of geoData.features || []) {
+        const position = firstPosition(feature.geometry);
+        if (position) {
+            return Math.abs(position[0]) > 180 || Math.abs(position[1]) > 90;
+        }
+    }
+    return false;
+}
+
+// First coordinate pair of a geometry
+function firstPosition(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === 'GeometryCollection') {
+        for (const child of geometry.geometries) {
+            const position = firstPosition(child);
+            if (position) return position;
+        }
+        return null;
+    }
+
+    let coords = geometry.coordinates;
+    while (Array.isArray(coords) && Array.isArray(coords[0])) {
+        coords = coords[0];
+    }
+    return Array.isArray(coords) && coords.length >= 2 ? coords : null;
+}
+
+// Reproject GeoJSON coordinates to WGS84 from a proj4 definition, EPSG code or WKT string
+async function reprojectGeoJSON(geoData, sourceDefinition) {
+    await ensureProj4();
+
+    const transformer = proj4(sourceDefinition, WGS84_CODE);
+    const transformCoordinates = coords => typeof coords[0] === 'number'
+        ? transformer.forward([coords[0], coords[1]])
+        : coords.map(transformCoordinates);
+    const transformGeometry = geometry => {
+        if (!geometry) return geometry;
+        if (geometry.type === 'GeometryCollection') {
+            return { ...geometry, geometries: geometry.geometries.map(transformGeometry) };
+        }
+        return { ...geometry, coordinates: transformCoordinates(geometry.coordinates) };
+    };
+
+    return {
+        ...geoData,
+        features: geoData.features.map(feature => ({
+            ...feature,
+            geometry: transformGeometry(feature.geometry)
+        }))
+    };
+}
+
+// Detect the source CRS and return WGS84 data annotated with `sourceCrs`
+// Priority: explicit user choice, GeoJSON `crs` member, .prj, then WGS84 if coordinates look geographic
+async function normalizeToWGS84(geoData, hints = {}) {
+    const sourceCrs = getCRSByCode(hints.userCrs) ||
+        detectCRSFromGeoJSON(geoData) ||
+        detectCRSFromPrj(hints.prj);
+
+    if (!sourceCrs) {
+        if (looksProjected(geoData)) {
+            throw new Error('Coordinates appear to be projected but no coordinate system was found. Choose one in the Coordinate System dropdown and try again.');
+        }
+        return { ...geoData, sourceCrs: WGS84_CODE };
+    }
+
+    const { crs, ...rest } = geoData;
+    const sourceLabel = sourceCrs.code || sourceCrs.name;
+
+    if (sourceCrs.code === WGS84_CODE) {
+        return { ...rest, sourceCrs: sourceLabel };
+    }
+
+    console.log(`🌐 Reprojecting ${geoData.features.length} features from ${sourceCrs.name} to WGS84`);
+    const reprojected = await reprojectGeoJSON(rest, sourceCrs.code || sourceCrs.proj4);
+    return { ...reprojected, sourceCrs: sourceLabel };
+}
+
+// Export functions for use in other modules
+window.PHILIPPINE_CRS = PHILIPPINE_CRS;
+window.ensureProj4 = ensureProj4;
+window.getCRSByCode = getCRSByCode;
+window.detectCRSFromGeoJSON = detectCRSFromGeoJSON;
+window.detectCRSFromPrj = detectCRSFromPrj;
+window.reprojectGeoJSON = reprojectGeoJSON;
+window.normalizeToWGS84 = normalizeToWGS84;
@@ -0,0 +1,297 @@
+/**
+ * Filter Presets Module for Aéra Link WebGIS
+ * Named filters that can be re-applied from the filter panel
+ *
+ * Features:
+ * - Save the active filter (layer and AND/OR conditions) under a name
+ * - Personal presets in user_filter_presets, team presets in shared_filter_presets,
+ *   following the personal/collaborative split used for styles
+ * - Apply a preset from the dropdown; presets for layers that are not loaded yet
+ *   are applied as soon as the layer arrives
+ */
+
+const FILTER_PRESET_TABLES = {
+    personal: 'user_filter_presets',
+    shared: 'shared_filter_presets'
+};
+
+// Presets listed in the dropdown (own personal presets and all shared presets)
+let filterPresetList = [];
+
+// Preset waiting for its layer to be loaded
+let pendingFilterPreset = null;
+
+// Wire up the presets row in the filter panel
+function initializeFilterPresets() {
+    const presetSelect = document.getElementById('filterPresetSelect');
+    if (!presetSelect) {
+        console.error('Filter presets controls not found');
+        return;
+    }
+
+    presetSelect.addEventListener('change', () => {
+        const preset = getSelectedFilterPreset();
+        if (preset) {
+            applyFilterPreset(preset);
+        }
+        updateFilterPresetButtons();
+    });
+
+    document.getElementById('saveFilterPresetBtn').addEventListener('click', saveFilterPreset);
+    document.getElementById('deleteFilterPresetBtn').addEventListener('click', deleteFilterPreset);
+    document.getElementById('cancelPendingFilterPresetBtn').addEventListener('click', () => {
+        pendingFilterPreset = null;
+        showPendingFilterPreset();
+    });
+
+    // Refresh the list each time the panel is opened
+    const toolBtn = document.querySelector('.tool-btn[data-tool="filter"]');
+    if (toolBtn) {
+        toolBtn.addEventListener('click', () => {
+            if (toolBtn.classList.contains('active')) {
+                loadFilterPresets();
+            }
+        });
+    }
+
+    updateFilterPresetButtons();
+}
+
+// === SUPABASE STORAGE ===
+
+// Load own personal presets and all shared presets into the dropdown
+async function loadFilterPresets() {
+    if (!window.supabase || !window.currentUser) {
+        renderFilterPresetSelect();
+        return;
+    }
+
+    try {
+        const [personalResult, sharedResult] = await Promise.all([
+            supabase
+                .from(FILTER_PRESET_TABLES.personal)
+                .select('id, name, user_id, layer, filter, updated_at')
+                .eq('user_id', currentUser.id)
+                .order('name', { ascending: true }),
+            supabase
+                .from(FILTER_PRESET_TABLES.shared)
+                .select('id, name, user_id, layer, filter, updated_at')
+                .order('name', { ascending: true })
+        ]);
+
+        const error = personalResult.error || sharedResult.error;
+        if (error) {
+            console.error('Error loading filter presets:', error);
+            showNotification('Could not load filter presets', 'error');
+            return;
+        }
+
+        filterPresetList = [
+            ...(personalResult.data || []).map(preset => ({ ...preset, scope: 'personal' })),
+            ...(sharedResult.data || []).map(preset => ({ ...preset, scope: 'shared' }))
+        ];
+        renderFilterPresetSelect();
+    } catch (error) {
+        console.error('Network error loading filter presets:', error);
+        showNotification('Could not load filter presets', 'error');
+    }
+}
+
+// Save the active filter as a preset (shared in collaborative mode, personal otherwise)
+async function saveFilterPreset() {
+    const activeFilter = window.currentFilterState && window.currentFilterState.activeFilter;
+    if (!activeFilter) {
+        await showWarning('Apply a filter first, then save it as a preset.', 'No Active Filter');
+        return false;
+    }
+    if (!window.supabase || !window.currentUser) {
+        await showWarning('Sign in to save filter presets.', 'Not Signed In');
+        return false;
+    }
+
+    const name = await showPrompt('Enter a name for this filter preset:', '', 'Save Filter Preset');
+    const presetName = (name || '').trim();
+    if (!presetName) return false;
+
+    const scope = window.collaborativeMode ? 'shared' : 'personal';
+    const table = FILTER_PRESET_TABLES[scope];
+
+    const existing = filterPresetList.find(preset =>
+        preset.scope === scope && preset.name === presetName && preset.user_id === currentUser.id
+    );
+    if (existing) {
+        const overwrite = await showConfirm(`A filter preset named "${presetName}" already exists. Overwrite it?`, 'Overwrite Preset');
+        if (!overwrite) return false;
+    }
+
+    // 'aera-direct' filters are stored against the Aera layer by name
+    const record = {
+        name: presetName,
+        layer: getLayerReference(activeFilter.layerId) || { name: activeFilter.layerName, databaseId: null },
+        filter: activeFilter.group,
+        updated_at: new Date().toISOString()
+    };
+
+    try {
+        const { error } = existing
+            ? await supabase
+                .from(table)
+                .update(record)
+                .eq('id', existing.id)
+                .eq('user_id', currentUser.id)
+            : await supabase
+                .from(table)
+                .insert({ ...record, user_id: currentUser.id, created_at: record.updated_at });
+
+        if (error) {
+            console.error('Error saving filter preset:', error);
+            showError(`Failed to save filter preset: ${error.message}`, 'Save Error');
+            return false;
+        }
+
+        console.log(`💾 Filter preset "${presetName}" saved to ${table}`);
+        showNotification(`Filter preset "${presetName}" saved${scope === 'shared' ? ' and shared with the team' : ''}`, 'success');
+        await loadFilterPresets();
+        return true;
+    } catch (error) {
+        console.error('Network error saving filter preset:', error);
+        showError('Failed to save filter preset. Check your connection and try again.', 'Save Error');
+        return false;
+    }
+}
+
+// Delete the selected preset if the user created it
+async function deleteFilterPreset() {
+    const preset = getSelectedFilterPreset();
+    if (!preset || !window.currentUser || preset.user_id !== currentUser.id) return;
+
+    const confirmed = await showConfirm(`Delete the filter preset "${preset.name}"?`, 'Delete Preset');
+    if (!confirmed) return;
+
+    try {
+        const { error } = await supabase
+            .from(FILTER_PRESET_TABLES[preset.scope])
+            .delete()
+            .eq('id', preset.id)
+            .eq('user_id', currentUser.id);
+
+        if (error) {
+            console.error('Error deleting filter preset:', error);
+            showError(`Failed to delete filter preset: ${error.message}`, 'Delete Error');
+            return;
+        }
+
+        console.log(`🗑️ Filter preset "${preset.name}" deleted`);
+        await loadFilterPresets();
+    } catch (error) {
+        console.error('Network error deleting filter preset:', error);
+        showError('Failed to delete filter preset. Check your connection and try again.', 'Delete Error');
+    }
+}
+
+// === APPLYING PRESETS ===
+
+// Apply a preset now, or once its layer has been loaded
+function applyFilterPreset(preset) {
+    const layerId = findLayerIdByReference(preset.layer);
+    const layerInfo = layerId ? window.layers.get(layerId) : null;
+
+    if (!layerInfo || !(layerInfo.originalData || layerInfo.data)) {
+        pendingFilterPreset = preset;
+        showPendingFilterPreset();
+        showNotification(`"${preset.name}" will be applied once the layer "${preset.layer.name}" is loaded`, 'info');
+        return false;
+    }
+
+    pendingFilterPreset = null;
+    showPendingFilterPreset();
+
+    // restoreFilter reports incomplete filters and empty results itself
+    const restored = restoreFilter({ layerId, group: preset.filter });
+    if (restored) {
+        showNotification(`Applied filter preset "${preset.name}"`, 'success');
+    }
+    return restored;
+}
+
+// Apply the waiting preset if its layer is now loaded (called whenever the filter layer list is rebuilt)
+function applyPendingFilterPreset() {
+    if (!pendingFilterPreset) return;
+
+    const layerId = findLayerIdByReference(pendingFilterPreset.layer);
+    const layerInfo = layerId ? window.layers.get(layerId) : null;
+    if (layerInfo && (layerInfo.originalData || layerInfo.data)) {
+        console.log(`⏳ Layer for filter preset "${pendingFilterPreset.name}" loaded, applying it`);
+        applyFilterPreset(pendingFilterPreset);
+    }
+}
+
+// === UI ===
+
+// Preset currently chosen in the dropdown
+function getSelectedFilterPreset() {
+    const presetSelect = document.getElementById('filterPresetSelect');
+    if (!presetSelect || !presetSelect.value) return null;
+
+    const [scope, id] = presetSelect.value.split(':');
+    return filterPresetList.find(preset => preset.scope === scope && String(preset.id) === id) || null;
+}
+
+// Fill the dropdown with personal and shared presets
+function renderFilterPresetSelect() {
+    const presetSelect = document.getElementById('filterPresetSelect');
+    if (!presetSelect) return;
+
+    const selectedValue = presetSelect.value;
+    presetSelect.innerHTML = '';
+    presetSelect.add(new Option(filterPresetList.length > 0 ? 'Apply a saved filter...' : 'No saved filter presets', ''));
+
+    [['personal', 'My Presets'], ['shared', 'Shared Presets']].forEach(([scope, label]) => {
+        const presets = filterPresetList.filter(preset => preset.scope === scope);
+        if (presets.length === 0) return;
+
+        const group = document.createElement('optgroup');
+        group.label = label;
+        presets.forEach(preset => {
+            const option = new Option(`${preset.name} (${preset.layer.name})`, `${scope}:${preset.id}`);
+            group.appendChild(option);
+        });
+        presetSelect.appendChild(group);
+    });
+
+    presetSelect.value = Array.from(presetSelect.options).some(option => option.value === selectedValue) ? selectedValue : '';
+    updateFilterPresetButtons();
+}
+
+// Delete is only offered for the user's own presets
+function updateFilterPresetButtons() {
+    const deleteBtn = document.getElementById('deleteFilterPresetBtn');
+    if (!deleteBtn) return;
+
+    const preset = getSelectedFilterPreset();
+    const canDelete = Boolean(preset && window.currentUser && preset.user_id === currentUser.id);
+    deleteBtn.disabled = !canDelete;
+    deleteBtn.classList.toggle('opacity-50', !canDelete);
+    deleteBtn.classList.toggle('cursor-not-allowed', !canDelete);
+}
+
+// Show or hide the "waiting for layer" note
+function showPendingFilterPreset() {
+    const pendingSection = document.getElementById('filterPresetPending');
+    if (!pendingSection) return;
+
+    if (pendingFilterPreset) {
+        document.getElementById('filterPresetPendingText').textContent =
+            `"${pendingFilterPreset.name}" is waiting for the layer "${pendingFilterPreset.layer.name}" to load`;
+        pendingSection.style.display = 'flex';
+    } else {
+        pendingSection.style.display = 'none';
+    }
+}
+
+// Export functions for use in other modules
+window.initializeFilterPresets = initializeFilterPresets;
+window.loadFilterPresets = loadFilterPresets;
+window.saveFilterPreset = saveFilterPreset;
+window.applyFilterPreset = applyFilterPreset;
+window.applyPendingFilterPreset = applyPendingFilterPreset;
@@ -1,18 +1,20 @@
 // Enhanced dynamic field population for all layer types
 function populateFilterFields(layerId) {
     console.log(`🔄 Populating fields for layer: ${layerId}`);
-    const fieldSelect = document.getElementById('filterFieldSelect');
+    const builder = document.getElementById('filterBuilder');
     
-    if (!fieldSelect) {
-        console.error('❌ filterFieldSelect element not found');
+    if (!builder) {
+        console.error('❌ filterBuilder element not found');
         return;
     }
     
-    fieldSelect.innerHTML = '<option value="">Loading fields...</option>';
+    currentFilterState.fields = [];
+    currentFilterState.fieldInfo = {};
+    currentFilterState.group = null;
     
     if (!layerId || !layers.has(layerId)) {
         console.error(`❌ Layer ${layerId} not found in layers map`);
-        fieldSelect.innerHTML = '<option value="">Layer not found</option>';
+        showFilterBuilderMessage('Layer not found');
         return;
     }
     
@@ -31,7 +33,7 @@ function populateFilterFields(layerId) {
     
     if (!geoData || !geoData.features || geoData.features.length === 0) {
         console.error(`❌ No valid GeoJSON data found for layer ${layerId}`);
-        fieldSelect.innerHTML = '<option value="">No data available</option>';
+        showFilterBuilderMessage('No data available');
         return;
     }
     
@@ -40,7 +42,7 @@ function populateFilterFields(layerId) {
         const firstFeature = geoData.features[0];
         if (!firstFeature.properties) {
             console.error(`❌ First feature has no properties for layer ${layerId}`);
-            fieldSelect.innerHTML = '<option value="">No attributes found</option>';
+            showFilterBuilderMessage('No attributes found');
             return;
         }
         
@@ -48,29 +50,25 @@ function populateFilterFields(layerId) {
         console.log(`📋 Fields found for ${layerInfo.name}:`, fieldNames);
         
         if (fieldNames.length === 0) {
-            fieldSelect.innerHTML = '<option value="">No attributes found</option>';
+            showFilterBuilderMessage('No attributes found');
             return;
         }
         
-        // Clear dropdown and add default option
-        fieldSelect.innerHTML = '<option value="">Choose a field to filter by</option>';
-        
         // Sort field names alphabetically for better UX
-        fieldNames.sort().forEach(fieldName => {
-            const option = document.createElement('option');
-            option.value = fieldName;
-            option.textContent = fieldName;
-            fieldSelect.appendChild(option);
-        });
+        currentFilterState.fields = fieldNames.sort();
+        currentFilterState.fieldInfo = detectFilterFieldInfo(geoData.features, currentFilterState.fields);
+        currentFilterState.group = createFilterGroup();
+        renderFilterBuilder();
         
-        console.log(`✅ SUCCESS: ${fieldNames.length} fields added to dropdown for layer ${layerInfo.name}`);
+        console.log(`✅ SUCCESS: ${fieldNames.length} fields available for layer ${layerInfo.name}`);
         
-        // Show the field section
-        document.getElementById('filterFieldSection').style.display = 'block';
+        // Show the condition builder and actions
+        document.getElementById('filterBuilderSection').style.display = 'block';
+        document.getElementById('filterActionsSection').style.display = 'block';
         
     } catch (error) {
         console.error(`❌ Error populating fields for layer ${layerId}:`, error);
-        fieldSelect.innerHTML = '<option value="">Error loading fields</option>';
+        showFilterBuilderMessage('Error loading fields');
     }
 }
 /**
@@ -81,12 +79,69 @@ function populateFilterFields(layerId) {
 // Filter state management
 let currentFilterState = {
     selectedLayer: null,
-    selectedField: null,
-    selectedOperator: null,
-    filterValue: null,
+    fields: [],
+    fieldInfo: {},
+    group: null,
     activeFilter: null
 };
 
+// Operators offered for each condition, the value input each one needs,
+// and the field types it applies to (no types = any field)
+const FILTER_OPERATORS = [
+    { value: 'equal', label: 'Equal to', input: 'single' },
+    { value: 'not_equal', label: 'Not equal to', input: 'single' },
+    { value: 'include', label: 'Include (any of)', input: 'multi' },
+    { value: 'does_not_include', label: 'Does not include (any of)', input: 'multi' },
+    { value: 'greater_than', label: 'Greater than', input: 'number', types: ['number'] },
+    { value: 'greater_or_equal', label: 'Greater than or equal to', input: 'number', types: ['number'] },
+    { value: 'less_than', label: 'Less than', input: 'number', types: ['number'] },
+    { value: 'less_or_equal', label: 'Less than or equal to', input: 'number', types: ['number'] },
+    { value: 'between', label: 'Between', input: 'range', types: ['number'] },
+    { value: 'top_n', label: 'Top N (highest)', input: 'count', types: ['number'] },
+    { value: 'bottom_n', label: 'Bottom N (lowest)', input: 'count', types: ['number'] },
+    { value: 'date_before', label: 'Before date', input: 'date', types: ['date'] },
+    { value: 'date_after', label: 'After date', input: 'date', types: ['date'] },
+    { value: 'date_between', label: 'Between dates', input: 'date_range', types: ['date'] },
+    { value: 'within_last_days', label: 'Within the last N days', input: 'count', types: ['date'] },
+    { value: 'contains', label: 'Contains text', input: 'text' },
+    { value: 'does_not_contain', label: 'Does not contain text', input: 'text' },
+    { value: 'starts_with', label: 'Starts with', input: 'text' },
+    { value: 'does_not_start_with', label: 'Does not start with', input: 'text' },
+    { value: 'is_empty', label: 'Is empty', input: 'none' },
+    { value: 'is_not_empty', label: 'Is not empty', input: 'none' },
+    { value: 'is_null', label: 'Is null', input: 'none' },
+    { value: 'is_not_null', label: 'Is not null', input: 'none' }
+];
+
+// Field types are detected from this many features
+const FILTER_TYPE_SAMPLE_SIZE = 500;
+
+// ISO dates (optionally with a time) and US-style 3/15/2024 dates
+const FILTER_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{4})$/;
+
+const FILTER_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ArcGIS FeatureServer dates arrive as epoch milliseconds; numbers in this range
+// (1900-2100, skipping the days around 1970 that small counts fall into) are read
+// as dates in fields whose name looks like a date
+const FILTER_EPOCH_MS_RANGE = { min: Date.UTC(1900, 0, 1), max: Date.UTC(2100, 0, 1), minMagnitude: 1e9 };
+const FILTER_DATE_FIELD_PATTERN = /date|time|created|updated|edited|modified|(^|_)(dt|at)$/i;
+
+// Spatial tests against another layer; the distance ones take meters
+const FILTER_SPATIAL_PREDICATES = [
+    { value: 'intersects', label: 'Intersects' },
+    { value: 'not_intersects', label: 'Does not intersect or touch' },
+    { value: 'within', label: 'Is completely inside' },
+    { value: 'contains', label: 'Completely contains' },
+    { value: 'within_distance', label: 'Is within distance of', distance: true },
+    { value: 'beyond_distance', label: 'Is farther than distance from', distance: true }
+];
+
+// Top-level group plus two levels of nested groups
+const FILTER_MAX_GROUP_DEPTH = 3;
+
+const FILTER_INPUT_CLASS = 'w-full px-2 py-1 bg-pure-black border border-neon-teal/30 rounded text-light-gray text-xs focus:outline-none focus:ring-1 focus:ring-neon-teal focus:border-neon-teal';
+
 // Helper function to preserve and reconstruct styling functions
 function preserveLayerStyling(layerInfo) {
     console.log('🔄 Preserving layer styling for filter operations...');
@@ -144,14 +199,14 @@ function setupNewFilterListeners() {
     
     // Check if DOM elements exist
     const filterLayerSelect = document.getElementById('filterLayerSelect');
-    const filterFieldSelect = document.getElementById('filterFieldSelect');
+    const filterBuilder = document.getElementById('filterBuilder');
     
     if (!filterLayerSelect) {
         console.error('filterLayerSelect element not found!');
         return;
     }
-    if (!filterFieldSelect) {
-        console.error('filterFieldSelect element not found!');
+    if (!filterBuilder) {
+        console.error('filterBuilder element not found!');
         return;
     }
     
@@ -160,15 +215,7 @@ function setupNewFilterListeners() {
     // Layer selection
     filterLayerSelect.addEventListener('change', handleFilterLayerChange);
     
-    // Field selection
-    filterFieldSelect.addEventListener('change', handleFilterFieldChange);
-    
-    // Operator selection
-    document.getElementById('filterOperatorSelect').addEventListener('change', handleFilterOperatorChange);
-    
-    // Value controls
-    document.getElementById('filterSingleValueSelect').addEventListener('change', handleFilterValueChange);
-    document.getElementById('filterTextInput').addEventListener('input', handleFilterValueChange);
+    // Conditions are wired as the builder renders them
     
     // Action buttons
     document.getElementById('applyFilterBtn').addEventListener('click', applyNewFilter);
@@ -399,6 +446,11 @@ function populateFilterLayers() {
         noLayersOption.textContent = "No filterable layers available";
         layerSelect.appendChild(noLayersOption);
     }
+    
+    // A preset chosen before its layer was loaded can be applied now
+    if (typeof applyPendingFilterPreset === 'function') {
+        applyPendingFilterPreset();
+    }
 }
 
 // Handle layer selection change (Step 1 → Step 2)
@@ -409,7 +461,7 @@ function handleFilterLayerChange() {
     currentFilterState.selectedLayer = layerId;
     
     // Reset subsequent steps
-    resetFilterSteps(['field', 'operator', 'value', 'actions']);
+    resetFilterSteps(['builder', 'actions']);
     
     if (layerId && layers.has(layerId)) {
         console.log(`✅ Layer ${layerId} exists in layers map, populating fields...`);
@@ -424,8 +476,8 @@ function handleFilterLayerChange() {
             visible: layerInfo.visible
         });
         
-        // Show field section first
-        document.getElementById('filterFieldSection').style.display = 'block';
+        // Show the condition builder first
+        document.getElementById('filterBuilderSection').style.display = 'block';
         
         // Use the enhanced dynamic field population for ALL layer types
         populateFilterFields(layerId);
@@ -433,86 +485,315 @@ function handleFilterLayerChange() {
     } else {
         console.log(`❌ Layer ${layerId} does not exist or is invalid`);
         console.log('Available layers:', Array.from(layers.keys()));
-        document.getElementById('filterFieldSection').style.display = 'none';
+        document.getElementById('filterBuilderSection').style.display = 'none';
     }
 }
 
 
-// Handle field selection change (Step 2 → Step 3)
-function handleFilterFieldChange() {
-    const fieldName = document.getElementById('filterFieldSelect').value;
-    currentFilterState.selectedField = fieldName;
+// === FIELD TYPES ===
+
+// Parse a property value as a date timestamp, or null
+// Plain YYYY-MM-DD dates are read as local midnight, like the date inputs;
+// epoch-millisecond numbers are taken as they are
+function parseFilterDate(value) {
+    if (isEpochMillisecondValue(value)) return value;
+    if (value === null || value === undefined || typeof value !== 'string') return null;
+    const text = value.trim();
+    if (!FILTER_DATE_PATTERN.test(text)) return null;
+    
+    const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const timestamp = dateOnly ?
+        new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])).getTime() :
+        Date.parse(text);
+    return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+// Whether a number looks like an epoch-millisecond date
+function isEpochMillisecondValue(value) {
+    return typeof value === 'number' && Number.isInteger(value) &&
+        value >= FILTER_EPOCH_MS_RANGE.min && value <= FILTER_EPOCH_MS_RANGE.max &&
+        Math.abs(value) >= FILTER_EPOCH_MS_RANGE.minMagnitude;
+}
+
+// Timestamp as YYYY-MM-DD in local time, for date inputs and summaries
+function formatFilterDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Type ('number', 'date' or 'text') and value range of each field, from a sample of features
+function detectFilterFieldInfo(features, fields) {
+    const sample = features.slice(0, FILTER_TYPE_SAMPLE_SIZE);
+    const fieldInfo = {};
+    
+    fields.forEach(field => {
+        const values = sample
+            .map(feature => (feature.properties || {})[field])
+            .filter(value => value !== null && value !== undefined && value !== '');
+        
+        // Mostly-numeric fields count as numbers, like graduated symbology does,
+        // unless they are date-named fields holding epoch milliseconds
+        const numericCount = values.filter(value => parseNumericValue(value) !== null).length;
+        const dateCount = values.filter(value => parseFilterDate(value) !== null).length;
+        const epochDateCount = FILTER_DATE_FIELD_PATTERN.test(field) ?
+            values.filter(isEpochMillisecondValue).length : 0;
+        
+        if (values.length > 0 && numericCount / values.length >= 0.8 && epochDateCount / values.length < 0.8) {
+            const numbers = getNumericFieldValues(features, field);
+            fieldInfo[field] = {
+                type: 'number',
+                min: numbers.reduce((a, b) => Math.min(a, b)),
+                max: numbers.reduce((a, b) => Math.max(a, b)),
+                integer: numbers.every(Number.isInteger)
+            };
+        } else if (values.length > 0 && dateCount / values.length >= 0.8) {
+            const dates = features
+                .map(feature => parseFilterDate((feature.properties || {})[field]))
+                .filter(timestamp => timestamp !== null);
+            fieldInfo[field] = {
+                type: 'date',
+                min: dates.reduce((a, b) => Math.min(a, b)),
+                max: dates.reduce((a, b) => Math.max(a, b))
+            };
+        } else {
+            fieldInfo[field] = { type: 'text' };
+        }
+    });
     
-    // Reset subsequent steps
-    resetFilterSteps(['operator', 'value', 'actions']);
+    return fieldInfo;
+}
+
+// Type of a field in the current layer ('text' when unknown)
+function getFilterFieldType(field) {
+    const info = currentFilterState.fieldInfo[field];
+    return info ? info.type : 'text';
+}
+
+// Operators that make sense for a field's type
+function getFilterOperatorsForField(field) {
+    const type = getFilterFieldType(field);
+    return FILTER_OPERATORS.filter(op => !op.types || op.types.includes(type));
+}
+
+// === SPATIAL CONDITIONS ===
+
+// New spatial condition against another layer
+function createFilterSpatialCondition() {
+    return { type: 'spatial', predicate: 'intersects', layer: null, distance: null };
+}
+
+// Whether a spatial predicate takes a distance
+function isDistancePredicate(predicate) {
+    const definition = FILTER_SPATIAL_PREDICATES.find(p => p.value === predicate);
+    return Boolean(definition && definition.distance);
+}
+
+// Layers a spatial condition can test against: every other layer with vector features
+function getSpatialFilterLayers() {
+    const options = [];
+    layers.forEach((layerInfo, layerId) => {
+        if (layerId === currentFilterState.selectedLayer || layerInfo.sourceType === 'wms') return;
+        if (layerInfo.data && layerInfo.data.features && layerInfo.data.features.length > 0) {
+            options.push({ value: layerId, label: layerInfo.name });
+        }
+    });
+    return options.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// Features of the layer a spatial condition refers to, or null when it is not loaded
+function getSpatialFilterTargetFeatures(reference) {
+    const layerId = findLayerIdByReference(reference);
+    const layerInfo = layerId ? layers.get(layerId) : null;
+    if (!layerInfo || !layerInfo.data || !layerInfo.data.features) return null;
+    return layerInfo.data.features.filter(feature => feature.geometry);
+}
+
+// Target geometries with their bounding boxes; distance predicates buffer
+// the targets once so each feature only needs an intersects test
+function prepareSpatialCondition(condition) {
+    const features = getSpatialFilterTargetFeatures(condition.layer) || [];
+    const distance = isDistancePredicate(condition.predicate) ? Number(condition.distance) : 0;
+    const targets = [];
+    
+    features.forEach(feature => {
+        try {
+            const geometry = distance > 0 ? turf.buffer(feature, distance, { units: 'meters' }) : feature;
+            if (geometry) {
+                targets.push({ feature: geometry, bbox: turf.bbox(geometry) });
+            }
+        } catch (error) {
+            console.warn('⚠️ Skipping target feature for spatial filter:', error);
+        }
+    });
     
-    if (fieldName) {
-        document.getElementById('filterOperatorSection').style.display = 'block';
-    } else {
-        document.getElementById('filterOperatorSection').style.display = 'none';
-    }
+    return { ...condition, targets };
+}
+
+// Every part of a feature lies inside a part of the target (booleanWithin does not take multi-geometries)
+function isFeatureInside(feature, target) {
+    const targetParts = turf.flatten(target).features;
+    return turf.flatten(feature).features.every(part => targetParts.some(targetPart => {
+        try {
+            return turf.booleanWithin(part, targetPart);
+        } catch (error) {
+            return false;
+        }
+    }));
 }
 
-// Handle operator selection change (Step 3 → Step 4)
-function handleFilterOperatorChange() {
-    const operator = document.getElementById('filterOperatorSelect').value;
-    currentFilterState.selectedOperator = operator;
+// Evaluate a prepared spatial condition for a feature
+function evaluateSpatialCondition(feature, condition) {
+    if (!feature.geometry || !condition.targets) return false;
     
-    // Reset value step
-    resetFilterSteps(['value', 'actions']);
+    // Bounding boxes rule out most target features cheaply
+    const [minX, minY, maxX, maxY] = turf.bbox(feature);
+    const candidates = condition.targets.filter(({ bbox }) =>
+        bbox[0] <= maxX && bbox[2] >= minX && bbox[1] <= maxY && bbox[3] >= minY);
     
-    if (operator) {
-        setupFilterValueInput(operator);
-        document.getElementById('filterActionsSection').style.display = 'block';
-    } else {
-        document.getElementById('filterValueSection').style.display = 'none';
-        document.getElementById('filterActionsSection').style.display = 'none';
+    const intersectsAny = () => candidates.some(target => {
+        try {
+            return turf.booleanIntersects(feature, target.feature);
+        } catch (error) {
+            return false;
+        }
+    });
+    
+    switch (condition.predicate) {
+        case 'intersects':
+        case 'within_distance':
+            return intersectsAny();
+        case 'not_intersects':
+        case 'beyond_distance':
+            return !intersectsAny();
+        case 'within':
+            return candidates.some(target => isFeatureInside(feature, target.feature));
+        case 'contains':
+            return candidates.some(target => isFeatureInside(target.feature, feature));
+        default:
+            return false;
     }
 }
 
-// Setup appropriate input control based on operator (Step 4)
-function setupFilterValueInput(operator) {
-    const valueSection = document.getElementById('filterValueSection');
-    const singleSelect = document.getElementById('filterSingleValueSelect');
-    const multiContainer = document.getElementById('filterMultiValueContainer');
-    const textInput = document.getElementById('filterTextInput');
-    
-    // Hide all inputs first
-    singleSelect.style.display = 'none';
-    multiContainer.style.display = 'none';
-    textInput.style.display = 'none';
-    
-    // Logic-only operators don't need value input
-    if (['is_empty', 'is_not_empty', 'is_null', 'is_not_null'].includes(operator)) {
-        valueSection.style.display = 'none';
-        return;
+// Readable form of a spatial condition
+function describeSpatialCondition(condition) {
+    const layerName = condition.layer ? `"${condition.layer.name}"` : 'another layer';
+    
+    switch (condition.predicate) {
+        case 'intersects':
+            return `intersects ${layerName}`;
+        case 'not_intersects':
+            return `does not touch ${layerName}`;
+        case 'within':
+            return `inside ${layerName}`;
+        case 'contains':
+            return `contains ${layerName}`;
+        case 'within_distance':
+            return `within ${condition.distance} m of ${layerName}`;
+        case 'beyond_distance':
+            return `more than ${condition.distance} m from ${layerName}`;
+        default:
+            return condition.predicate;
     }
+}
+
+// Spatial condition element: relationship, other layer and distance
+function createFilterSpatialElement(condition, parentGroup) {
+    const conditionElement = document.createElement('div');
+    conditionElement.className = 'filter-condition filter-spatial-condition space-y-2';
+    
+    const predicateRow = document.createElement('div');
+    predicateRow.className = 'flex items-center space-x-2';
+    
+    const predicateSelect = createFilterSelect('Choose a relationship', FILTER_SPATIAL_PREDICATES, condition.predicate);
+    predicateRow.appendChild(predicateSelect);
+    predicateRow.appendChild(createFilterRemoveButton('Remove condition', () => removeFilterNode(parentGroup, condition)));
+    conditionElement.appendChild(predicateRow);
+    
+    const layerSelect = createFilterSelect('Choose a layer', getSpatialFilterLayers(), findLayerIdByReference(condition.layer));
+    conditionElement.appendChild(layerSelect);
+    
+    const distanceRow = document.createElement('div');
+    distanceRow.className = 'flex items-center space-x-2';
+    const distanceInput = document.createElement('input');
+    distanceInput.type = 'number';
+    distanceInput.min = '0';
+    distanceInput.step = 'any';
+    distanceInput.placeholder = 'Distance';
+    distanceInput.className = `${FILTER_INPUT_CLASS} placeholder:text-gray-500`;
+    distanceInput.value = condition.distance ?? '';
+    const unitLabel = document.createElement('span');
+    unitLabel.className = 'text-xs text-gray-400';
+    unitLabel.textContent = 'meters';
+    distanceRow.appendChild(distanceInput);
+    distanceRow.appendChild(unitLabel);
+    distanceRow.style.display = isDistancePredicate(condition.predicate) ? 'flex' : 'none';
+    conditionElement.appendChild(distanceRow);
+    
+    predicateSelect.addEventListener('change', () => {
+        condition.predicate = predicateSelect.value;
+        distanceRow.style.display = isDistancePredicate(condition.predicate) ? 'flex' : 'none';
+    });
+    layerSelect.addEventListener('change', () => {
+        condition.layer = layerSelect.value ? getLayerReference(layerSelect.value) : null;
+    });
+    distanceInput.addEventListener('input', () => {
+        condition.distance = parseNumericValue(distanceInput.value);
+    });
     
-    valueSection.style.display = 'block';
+    return conditionElement;
+}
+
+// === FILTER BUILDER ===
+
+// New condition with nothing chosen yet
+function createFilterCondition() {
+    return { type: 'condition', field: '', operator: '', value: null };
+}
+
+// New group holding one empty condition
+function createFilterGroup(logic = 'and') {
+    return { type: 'group', logic: logic, conditions: [createFilterCondition()] };
+}
+
+// Filter group from a saved definition { group }, or from the older single-condition { field, operator, value }
+function normalizeFilterDefinition(definition) {
+    if (!definition) return null;
     
-    // Determine input type based on operator
-    if (['equal', 'not_equal'].includes(operator)) {
-        // Single value dropdown
-        singleSelect.style.display = 'block';
-        populateFilterValues('single');
-    } else if (['include', 'does_not_include'].includes(operator)) {
-        // Multi-value checkboxes
-        multiContainer.style.display = 'block';
-        populateFilterValues('multi');
-    } else {
-        // Text input for contains, starts_with, etc.
-        textInput.style.display = 'block';
-        textInput.value = '';
+    if (definition.group && definition.group.type === 'group') {
+        return JSON.parse(JSON.stringify(definition.group));
+    }
+    if (definition.field && definition.operator) {
+        return {
+            type: 'group',
+            logic: 'and',
+            conditions: [{ type: 'condition', field: definition.field, operator: definition.operator, value: definition.value }]
+        };
     }
+    return null;
 }
 
-// Populate filter values from field data
-function populateFilterValues(type) {
-    const layerId = currentFilterState.selectedLayer;
-    const fieldName = currentFilterState.selectedField;
-    
-    if (!layerId || !fieldName) return;
-    
+// Input a condition's operator needs: 'single', 'multi', 'text' or 'none'
+function getFilterOperatorInput(operator) {
+    const definition = FILTER_OPERATORS.find(op => op.value === operator);
+    return definition ? definition.input : null;
+}
+
+// Show a message in place of the condition builder
+function showFilterBuilderMessage(message) {
+    const builder = document.getElementById('filterBuilder');
+    if (!builder) return;
+    
+    builder.innerHTML = '';
+    const messageElement = document.createElement('div');
+    messageElement.className = 'text-xs text-gray-400';
+    messageElement.textContent = message;
+    builder.appendChild(messageElement);
+    document.getElementById('filterBuilderSection').style.display = 'block';
+}
+
+// Unique values of a field, for the value pickers
+function getFilterFieldValues(layerId, fieldName) {
     let geoJsonData;
     
     // Handle direct Aera loading
@@ -520,13 +801,12 @@ function populateFilterValues(type) {
         geoJsonData = window.aeraDirectData;
     } else {
         const layerInfo = layers.get(layerId);
-        if (!layerInfo) return;
-        geoJsonData = layerInfo.data;
+        if (!layerInfo) return [];
+        geoJsonData = layerInfo.originalData || layerInfo.data;
     }
     
-    if (!geoJsonData || !geoJsonData.features) return;
+    if (!geoJsonData || !geoJsonData.features) return [];
     
-    // Get unique values from the field
     const uniqueValues = new Set();
     geoJsonData.features.forEach(feature => {
         const value = feature.properties[fieldName];
@@ -535,77 +815,446 @@ function populateFilterValues(type) {
         }
     });
     
-    const sortedValues = Array.from(uniqueValues).sort();
+    return Array.from(uniqueValues).sort();
+}
+
+// Render the whole condition builder from the current group
+function renderFilterBuilder() {
+    const builder = document.getElementById('filterBuilder');
+    if (!builder) return;
+    
+    builder.innerHTML = '';
+    if (currentFilterState.group) {
+        builder.appendChild(createFilterGroupElement(currentFilterState.group, null, 1));
+    }
+}
+
+// Dropdown with a placeholder; a saved value missing from the layer is kept and marked
+function createFilterSelect(placeholder, options, selectedValue) {
+    const select = document.createElement('select');
+    select.className = FILTER_INPUT_CLASS;
+    select.add(new Option(placeholder, ''));
+    options.forEach(({ value, label }) => select.add(new Option(label, value)));
+    
+    if (selectedValue && !options.some(option => option.value === selectedValue)) {
+        select.add(new Option(`${selectedValue} (not in layer)`, selectedValue));
+    }
+    select.value = selectedValue || '';
+    return select;
+}
+
+// Small text button used for adding conditions and groups
+function createFilterBuilderButton(icon, text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'filter-builder-btn';
+    button.innerHTML = `<i class="fas ${icon} mr-1"></i>${text}`;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Remove button for a condition or nested group
+function createFilterRemoveButton(title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'filter-remove-btn';
+    button.title = title;
+    button.innerHTML = '<i class="fas fa-times"></i>';
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Group element: AND/OR choice, its conditions and subgroups, and add buttons
+function createFilterGroupElement(group, parentGroup, depth) {
+    const groupElement = document.createElement('div');
+    groupElement.className = parentGroup ? 'filter-group filter-group-nested' : 'filter-group';
+    
+    const header = document.createElement('div');
+    header.className = 'flex items-center justify-between space-x-2 mb-2';
+    
+    const logicSelect = document.createElement('select');
+    logicSelect.className = FILTER_INPUT_CLASS;
+    logicSelect.add(new Option('Match ALL (AND)', 'and'));
+    logicSelect.add(new Option('Match ANY (OR)', 'or'));
+    logicSelect.value = group.logic;
+    logicSelect.addEventListener('change', () => {
+        group.logic = logicSelect.value;
+        renderFilterBuilder();
+    });
+    header.appendChild(logicSelect);
     
-    if (type === 'single') {
-        // Populate single select dropdown
-        const singleSelect = document.getElementById('filterSingleValueSelect');
-        singleSelect.innerHTML = '<option value="">Choose a value</option>';
+    if (parentGroup) {
+        header.appendChild(createFilterRemoveButton('Remove group', () => removeFilterNode(parentGroup, group)));
+    }
+    groupElement.appendChild(header);
+    
+    group.conditions.forEach((node, index) => {
+        if (index > 0) {
+            const connector = document.createElement('div');
+            connector.className = 'filter-connector';
+            connector.textContent = group.logic.toUpperCase();
+            groupElement.appendChild(connector);
+        }
         
-        sortedValues.forEach(value => {
-            const option = document.createElement('option');
-            option.value = value;
-            option.textContent = value;
-            singleSelect.appendChild(option);
+        if (node.type === 'group') {
+            groupElement.appendChild(createFilterGroupElement(node, group, depth + 1));
+        } else if (node.type === 'spatial') {
+            groupElement.appendChild(createFilterSpatialElement(node, group));
+        } else {
+            groupElement.appendChild(createFilterConditionElement(node, group));
+        }
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'flex space-x-2 mt-2';
+    actions.appendChild(createFilterBuilderButton('fa-plus', 'Condition', () => {
+        group.conditions.push(createFilterCondition());
+        renderFilterBuilder();
+    }));
+    actions.appendChild(createFilterBuilderButton('fa-draw-polygon', 'Spatial', () => {
+        group.conditions.push(createFilterSpatialCondition());
+        renderFilterBuilder();
+    }));
+    
+    if (depth < FILTER_MAX_GROUP_DEPTH) {
+        // A subgroup usually needs the opposite logic, e.g. AND with an OR inside
+        actions.appendChild(createFilterBuilderButton('fa-layer-group', 'Group', () => {
+            group.conditions.push(createFilterGroup(group.logic === 'and' ? 'or' : 'and'));
+            renderFilterBuilder();
+        }));
+    }
+    groupElement.appendChild(actions);
+    
+    return groupElement;
+}
+
+// Condition element: field, operator and value controls
+function createFilterConditionElement(condition, parentGroup) {
+    const conditionElement = document.createElement('div');
+    conditionElement.className = 'filter-condition space-y-2';
+    
+    const fieldRow = document.createElement('div');
+    fieldRow.className = 'flex items-center space-x-2';
+    
+    const fieldSelect = createFilterSelect('Choose a field', currentFilterState.fields.map(field => {
+        const type = getFilterFieldType(field);
+        return { value: field, label: type === 'text' ? field : `${field} (${type})` };
+    }), condition.field);
+    fieldRow.appendChild(fieldSelect);
+    fieldRow.appendChild(createFilterRemoveButton('Remove condition', () => removeFilterNode(parentGroup, condition)));
+    conditionElement.appendChild(fieldRow);
+    
+    const operatorSelect = createFilterSelect('Choose how to filter', getFilterOperatorsForField(condition.field), condition.operator);
+    conditionElement.appendChild(operatorSelect);
+    
+    const valueContainer = document.createElement('div');
+    conditionElement.appendChild(valueContainer);
+    
+    fieldSelect.addEventListener('change', () => {
+        condition.field = fieldSelect.value;
+        condition.value = null;
+        
+        // The operator list depends on the field type
+        if (!getFilterOperatorsForField(condition.field).some(op => op.value === condition.operator)) {
+            condition.operator = '';
+        }
+        renderFilterBuilder();
+    });
+    
+    operatorSelect.addEventListener('change', () => {
+        const previousInput = getFilterOperatorInput(condition.operator);
+        condition.operator = operatorSelect.value;
+        
+        // Keep the value when switching between operators that take the same kind of input
+        if (getFilterOperatorInput(condition.operator) !== previousInput) {
+            condition.value = null;
+        }
+        renderFilterConditionValue(condition, valueContainer);
+    });
+    
+    renderFilterConditionValue(condition, valueContainer);
+    return conditionElement;
+}
+
+// Value control matching the condition's operator
+function renderFilterConditionValue(condition, container) {
+    container.innerHTML = '';
+    
+    const input = getFilterOperatorInput(condition.operator);
+    if (!condition.field || !input || input === 'none') {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = 'block';
+    
+    if (input === 'text') {
+        const textInput = document.createElement('input');
+        textInput.type = 'text';
+        textInput.placeholder = 'Enter text to filter by';
+        textInput.className = `${FILTER_INPUT_CLASS} placeholder:text-gray-500`;
+        textInput.value = condition.value || '';
+        textInput.addEventListener('input', () => {
+            condition.value = textInput.value.trim();
+        });
+        container.appendChild(textInput);
+        return;
+    }
+    
+    const fieldInfo = currentFilterState.fieldInfo[condition.field] || {};
+    
+    if (input === 'number') {
+        container.appendChild(createFilterSliderInput(fieldInfo, condition.value, value => {
+            condition.value = value;
+        }));
+        return;
+    }
+    
+    if (input === 'range') {
+        // Start from the full range of the layer
+        if (!Array.isArray(condition.value)) {
+            condition.value = [fieldInfo.min ?? null, fieldInfo.max ?? null];
+        }
+        ['Min', 'Max'].forEach((label, index) => {
+            container.appendChild(createFilterSliderInput(fieldInfo, condition.value[index], value => {
+                condition.value[index] = value;
+            }, label));
         });
-    } else if (type === 'multi') {
-        // Populate multi-select checkboxes
-        const multiList = document.getElementById('filterMultiValueList');
-        multiList.innerHTML = '';
+        return;
+    }
+    
+    if (input === 'count') {
+        const countInput = document.createElement('input');
+        countInput.type = 'number';
+        countInput.min = '1';
+        countInput.step = '1';
+        countInput.placeholder = condition.operator === 'within_last_days' ? 'Number of days' : 'Number of features';
+        countInput.className = `${FILTER_INPUT_CLASS} placeholder:text-gray-500`;
+        countInput.value = condition.value ?? '';
+        countInput.addEventListener('input', () => {
+            const count = parseInt(countInput.value, 10);
+            condition.value = count > 0 ? count : null;
+        });
+        container.appendChild(countInput);
+        return;
+    }
+    
+    if (input === 'date' || input === 'date_range') {
+        const dateValues = input === 'date' ? [condition.value] : (Array.isArray(condition.value) ? condition.value : [null, null]);
+        if (input === 'date_range') condition.value = dateValues;
         
-        sortedValues.forEach(value => {
-            const label = document.createElement('label');
-            label.className = 'flex items-center space-x-2 text-sm text-gray-300 cursor-pointer mb-2';
-            
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.value = value;
-            checkbox.className = 'rounded border-gray-600 bg-gray-700 text-blue-500 focus:ring-blue-500';
-            checkbox.addEventListener('change', handleFilterValueChange);
-            
-            const span = document.createElement('span');
-            span.textContent = value;
-            
-            label.appendChild(checkbox);
-            label.appendChild(span);
-            multiList.appendChild(label);
+        dateValues.forEach((dateValue, index) => {
+            const dateInput = document.createElement('input');
+            dateInput.type = 'date';
+            dateInput.className = `${FILTER_INPUT_CLASS}${index > 0 ? ' mt-2' : ''}`;
+            dateInput.title = input === 'date' ? 'Date' : (index === 0 ? 'From' : 'To');
+            if (fieldInfo.type === 'date') {
+                dateInput.min = formatFilterDate(fieldInfo.min);
+                dateInput.max = formatFilterDate(fieldInfo.max);
+            }
+            dateInput.value = dateValue || '';
+            dateInput.addEventListener('change', () => {
+                if (input === 'date') {
+                    condition.value = dateInput.value || null;
+                } else {
+                    condition.value[index] = dateInput.value || null;
+                }
+            });
+            container.appendChild(dateInput);
         });
+        return;
     }
+    
+    const values = getFilterFieldValues(currentFilterState.selectedLayer, condition.field);
+    
+    if (input === 'single') {
+        const valueSelect = createFilterSelect('Choose a value',
+            values.map(value => ({ value, label: value })), condition.value);
+        valueSelect.addEventListener('change', () => {
+            condition.value = valueSelect.value;
+        });
+        container.appendChild(valueSelect);
+        return;
+    }
+    
+    // Multi-value checkboxes
+    const selectedValues = new Set(Array.isArray(condition.value) ? condition.value : []);
+    condition.value = Array.from(selectedValues);
+    
+    const list = document.createElement('div');
+    list.className = 'filter-multi-value-list';
+    
+    values.forEach(value => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center space-x-2 text-sm text-gray-300 cursor-pointer mb-2';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = selectedValues.has(value);
+        checkbox.className = 'rounded border-gray-600 bg-gray-700 text-blue-500 focus:ring-blue-500';
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                selectedValues.add(value);
+            } else {
+                selectedValues.delete(value);
+            }
+            condition.value = values.filter(v => selectedValues.has(v));
+        });
+        
+        const span = document.createElement('span');
+        span.textContent = value;
+        
+        label.appendChild(checkbox);
+        label.appendChild(span);
+        list.appendChild(label);
+    });
+    
+    container.appendChild(list);
 }
 
-// Handle filter value change
-function handleFilterValueChange() {
-    const operator = currentFilterState.selectedOperator;
-    let value = null;
+// Range slider with a number box, bounded by the field's min/max in the layer
+function createFilterSliderInput(fieldInfo, initialValue, onChange, label) {
+    const row = document.createElement('div');
+    row.className = 'flex items-center space-x-2 mb-1';
+    
+    if (label) {
+        const labelElement = document.createElement('span');
+        labelElement.className = 'text-xs text-gray-400 w-8';
+        labelElement.textContent = label;
+        row.appendChild(labelElement);
+    }
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.className = 'flex-1 min-w-0';
+    
+    const numberInput = document.createElement('input');
+    numberInput.type = 'number';
+    numberInput.className = `${FILTER_INPUT_CLASS} w-24 flex-none`;
+    
+    const hasRange = fieldInfo.type === 'number' && Number.isFinite(fieldInfo.min) && fieldInfo.max > fieldInfo.min;
+    if (hasRange) {
+        slider.min = fieldInfo.min;
+        slider.max = fieldInfo.max;
+        slider.step = fieldInfo.integer ? '1' : 'any';
+        numberInput.step = fieldInfo.integer ? '1' : 'any';
+    } else {
+        slider.disabled = true;
+        numberInput.step = 'any';
+    }
+    
+    if (initialValue !== null && initialValue !== undefined) {
+        slider.value = initialValue;
+        numberInput.value = initialValue;
+    }
+    
+    slider.addEventListener('input', () => {
+        numberInput.value = slider.value;
+        onChange(Number(slider.value));
+    });
+    numberInput.addEventListener('input', () => {
+        const value = parseNumericValue(numberInput.value);
+        if (value !== null) slider.value = value;
+        onChange(value);
+    });
+    
+    row.appendChild(slider);
+    row.appendChild(numberInput);
+    return row;
+}
+
+// Remove a condition or group; the top-level group always keeps one condition
+function removeFilterNode(parentGroup, node) {
+    parentGroup.conditions = parentGroup.conditions.filter(child => child !== node);
+    
+    if (parentGroup === currentFilterState.group && parentGroup.conditions.length === 0) {
+        parentGroup.conditions.push(createFilterCondition());
+    }
+    renderFilterBuilder();
+}
+
+// Reasons a filter group cannot be applied yet
+function getFilterProblems(group) {
+    const problems = new Set();
     
-    if (['equal', 'not_equal'].includes(operator)) {
-        value = document.getElementById('filterSingleValueSelect').value;
-    } else if (['include', 'does_not_include'].includes(operator)) {
-        const checkboxes = document.querySelectorAll('#filterMultiValueList input[type="checkbox"]:checked');
-        value = Array.from(checkboxes).map(cb => cb.value);
-    } else if (['contains', 'does_not_contain', 'starts_with', 'does_not_start_with'].includes(operator)) {
-        value = document.getElementById('filterTextInput').value.trim();
+    if (group.conditions.length === 0) {
+        problems.add('Every group needs at least one condition.');
     }
     
-    currentFilterState.filterValue = value;
+    group.conditions.forEach(node => {
+        if (node.type === 'group') {
+            getFilterProblems(node).forEach(problem => problems.add(problem));
+        } else if (node.type === 'spatial') {
+            if (!node.layer) {
+                problems.add('Choose a layer for every spatial condition.');
+            } else if (!getSpatialFilterTargetFeatures(node.layer)) {
+                problems.add(`The layer "${node.layer.name}" is not loaded.`);
+            } else if (isDistancePredicate(node.predicate) && !(node.distance > 0)) {
+                problems.add(`Enter a distance in meters for "${node.layer.name}".`);
+            }
+        } else if (!node.field) {
+            problems.add('Choose a field for every condition.');
+        } else if (!node.operator) {
+            problems.add(`Choose how to filter "${node.field}".`);
+        } else if (getFilterOperatorInput(node.operator) !== 'none' && isFilterValueMissing(node.value)) {
+            problems.add(`Select or enter a value for "${node.field}".`);
+        } else if (node.operator === 'between' && node.value[0] > node.value[1]) {
+            problems.add(`The minimum for "${node.field}" is above the maximum.`);
+        } else if (node.operator === 'date_between' && parseFilterDate(node.value[0]) > parseFilterDate(node.value[1])) {
+            problems.add(`The start date for "${node.field}" is after the end date.`);
+        }
+    });
+    
+    return Array.from(problems);
+}
+
+// Whether a condition value is still unset (0 is a valid value)
+function isFilterValueMissing(value) {
+    if (Array.isArray(value)) {
+        return value.length === 0 || value.some(part => part === null || part === undefined || part === '');
+    }
+    return value === null || value === undefined || value === '';
+}
+
+// Resolve conditions that depend on more than one feature before filtering.
+// Top/bottom N become "at least / at most the Nth value", so features tied at
+// the cutoff are all kept; spatial conditions get their target geometries
+function prepareFilterGroup(group, features) {
+    return {
+        ...group,
+        conditions: group.conditions.map(node => {
+            if (node.type === 'group') return prepareFilterGroup(node, features);
+            if (node.type === 'spatial') return prepareSpatialCondition(node);
+            if (node.operator !== 'top_n' && node.operator !== 'bottom_n') return node;
+            
+            const isTop = node.operator === 'top_n';
+            const values = getNumericFieldValues(features, node.field).sort((a, b) => isTop ? b - a : a - b);
+            const cutoff = values.length > 0 ? values[Math.min(Number(node.value), values.length) - 1] : null;
+            
+            return {
+                type: 'condition',
+                field: node.field,
+                operator: isTop ? 'greater_or_equal' : 'less_or_equal',
+                value: cutoff
+            };
+        })
+    };
 }
 
 // Apply the new filter
 function applyNewFilter() {
-    const { selectedLayer, selectedField, selectedOperator, filterValue } = currentFilterState;
+    const { selectedLayer, group } = currentFilterState;
     
-    if (!selectedLayer || !selectedField || !selectedOperator) {
-        showWarning('Please complete all filter steps before applying.', 'Filter Incomplete');
+    if (!selectedLayer || !group) {
+        showWarning('Please choose a layer and add at least one condition before applying.', 'Filter Incomplete');
         return;
     }
     
-    // Validate value for operators that require it
-    const operatorsNeedingValue = ['equal', 'not_equal', 'include', 'does_not_include', 'contains', 'does_not_contain', 'starts_with', 'does_not_start_with'];
-    if (operatorsNeedingValue.includes(selectedOperator)) {
-        if (!filterValue || (Array.isArray(filterValue) && filterValue.length === 0)) {
-            showWarning('Please select or enter a filter value.', 'Filter Value Required');
-            return;
-        }
+    // Every condition needs a field, an operator and (for most operators) a value
+    const problems = getFilterProblems(group);
+    if (problems.length > 0) {
+        showWarning(problems.join('\n'), 'Filter Incomplete');
+        return;
     }
 
     let originalData;
@@ -646,9 +1295,8 @@ function applyNewFilter() {
     }
     
     // Apply filter logic
-    const filteredFeatures = originalData.features.filter(feature => {
-        return evaluateFilterCondition(feature, selectedField, selectedOperator, filterValue);
-    });
+    const preparedGroup = prepareFilterGroup(group, originalData.features);
+    const filteredFeatures = originalData.features.filter(feature => evaluateFilterGroup(feature, preparedGroup));
     
     console.log(`🔍 Filtered ${originalData.features.length} features down to ${filteredFeatures.length}`);
     
@@ -720,9 +1368,7 @@ function applyNewFilter() {
     currentFilterState.activeFilter = {
         layerId: selectedLayer,
         layerName: layerInfo.name,
-        field: selectedField,
-        operator: selectedOperator,
-        value: filterValue
+        group: JSON.parse(JSON.stringify(group))
     };
     
     // Show filter status
@@ -766,27 +1412,81 @@ function evaluateFilterCondition(feature, field, operator, value) {
             return fieldValue === null || fieldValue === undefined;
         case 'is_not_null':
             return fieldValue !== null && fieldValue !== undefined;
+        case 'greater_than':
+        case 'greater_or_equal':
+        case 'less_than':
+        case 'less_or_equal':
+        case 'between':
+            return compareFilterNumber(parseNumericValue(fieldValue), operator, value);
+        case 'date_before':
+        case 'date_after':
+        case 'date_between':
+        case 'within_last_days':
+            return compareFilterDate(parseFilterDate(fieldValue), operator, value);
         default:
             return true;
     }
 }
 
+// Numeric comparison; features without a number never match
+function compareFilterNumber(number, operator, value) {
+    if (number === null || value === null || value === undefined) return false;
+    
+    switch (operator) {
+        case 'greater_than':
+            return number > Number(value);
+        case 'greater_or_equal':
+            return number >= Number(value);
+        case 'less_than':
+            return number < Number(value);
+        case 'less_or_equal':
+            return number <= Number(value);
+        case 'between':
+            return number >= Number(value[0]) && number <= Number(value[1]);
+        default:
+            return false;
+    }
+}
+
+// Date comparison by whole days; features without a date never match
+function compareFilterDate(timestamp, operator, value) {
+    if (timestamp === null) return false;
+    
+    switch (operator) {
+        case 'date_before':
+            return timestamp < parseFilterDate(value);
+        case 'date_after':
+            return timestamp >= parseFilterDate(value) + FILTER_DAY_MS;
+        case 'date_between':
+            return timestamp >= parseFilterDate(value[0]) && timestamp < parseFilterDate(value[1]) + FILTER_DAY_MS;
+        case 'within_last_days': {
+            const now = Date.now();
+            return timestamp <= now && timestamp >= now - Number(value) * FILTER_DAY_MS;
+        }
+        default:
+            return false;
+    }
+}
+
+// Evaluate a group of conditions and nested groups for a feature
+function evaluateFilterGroup(feature, group) {
+    const matches = node => {
+        if (node.type === 'group') return evaluateFilterGroup(feature, node);
+        if (node.type === 'spatial') return evaluateSpatialCondition(feature, node);
+        return evaluateFilterCondition(feature, node.field, node.operator, node.value);
+    };
+    
+    return group.logic === 'or' ? group.conditions.some(matches) : group.conditions.every(matches);
+}
+
 // Show filter status
 function showFilterStatus() {
     const statusSection = document.getElementById('filterStatusSection');
     const statusText = document.getElementById('filterStatusText');
     
     if (currentFilterState.activeFilter) {
-        const { layerName, field, operator, value } = currentFilterState.activeFilter;
-        let description = `Layer: ${layerName} | Field: ${field} | ${getOperatorText(operator)}`;
-        
-        if (Array.isArray(value)) {
-            description += ` | Values: ${value.join(', ')}`;
-        } else if (value) {
-            description += ` | Value: ${value}`;
-        }
-        
-        statusText.textContent = description;
+        const { layerName, group } = currentFilterState.activeFilter;
+        statusText.textContent = `Layer: ${layerName} | ${describeFilterGroup(group)}`;
         statusSection.style.display = 'block';
     } else {
         statusSection.style.display = 'none';
@@ -800,6 +1500,17 @@ function getOperatorText(operator) {
         'not_equal': 'Not equal to',
         'include': 'Include any of',
         'does_not_include': 'Does not include any of',
+        'greater_than': 'Greater than',
+        'greater_or_equal': 'Greater than or equal to',
+        'less_than': 'Less than',
+        'less_or_equal': 'Less than or equal to',
+        'between': 'Between',
+        'top_n': 'Top N',
+        'bottom_n': 'Bottom N',
+        'date_before': 'Before',
+        'date_after': 'After',
+        'date_between': 'Between dates',
+        'within_last_days': 'Within the last N days',
         'contains': 'Contains',
         'does_not_contain': 'Does not contain',
         'starts_with': 'Starts with',
@@ -812,6 +1523,60 @@ function getOperatorText(operator) {
     return operatorMap[operator] || operator;
 }
 
+// Readable summary of a filter group, e.g. Phase = 2 AND (Status = Available OR Status = Reserved)
+function describeFilterGroup(group, isNested = false) {
+    const parts = group.conditions.map(node => {
+        if (node.type === 'group') return describeFilterGroup(node, true);
+        if (node.type === 'spatial') return describeSpatialCondition(node);
+        return describeFilterCondition(node);
+    });
+    const description = parts.join(` ${group.logic.toUpperCase()} `);
+    
+    return isNested && parts.length > 1 ? `(${description})` : description;
+}
+
+// Readable form of a single condition
+function describeFilterCondition(condition) {
+    const { field, operator, value } = condition;
+    
+    switch (operator) {
+        case 'equal':
+            return `${field} = ${value}`;
+        case 'not_equal':
+            return `${field} ≠ ${value}`;
+        case 'include':
+            return `${field} is any of [${value.join(', ')}]`;
+        case 'does_not_include':
+            return `${field} is none of [${value.join(', ')}]`;
+        case 'greater_than':
+            return `${field} > ${value}`;
+        case 'greater_or_equal':
+            return `${field} ≥ ${value}`;
+        case 'less_than':
+            return `${field} < ${value}`;
+        case 'less_or_equal':
+            return `${field} ≤ ${value}`;
+        case 'between':
+            return `${field} between ${value[0]} and ${value[1]}`;
+        case 'top_n':
+            return `top ${value} by ${field}`;
+        case 'bottom_n':
+            return `bottom ${value} by ${field}`;
+        case 'date_before':
+            return `${field} before ${value}`;
+        case 'date_after':
+            return `${field} after ${value}`;
+        case 'date_between':
+            return `${field} between ${value[0]} and ${value[1]}`;
+        case 'within_last_days':
+            return `${field} within the last ${value} day${Number(value) === 1 ? '' : 's'}`;
+        default:
+            return getFilterOperatorInput(operator) === 'text' ?
+                `${field} ${getOperatorText(operator).toLowerCase()} "${value}"` :
+                `${field} ${getOperatorText(operator).toLowerCase()}`;
+    }
+}
+
 // Clear the current filter
 function clearNewFilter() {
     if (!currentFilterState.activeFilter) {
@@ -894,7 +1659,7 @@ function clearNewFilter() {
     currentFilterState.activeFilter = null;
     
     // Reset UI
-    resetFilterSteps(['layer', 'field', 'operator', 'value', 'actions', 'status']);
+    resetFilterSteps(['layer', 'builder', 'actions', 'status']);
     
     // Zoom to full layer
     if (originalLayer.getBounds().isValid()) {
@@ -904,28 +1669,104 @@ function clearNewFilter() {
     console.log('Filter cleared, original layer restored');
 }
 
+// Re-apply a saved filter definition { layerId, group } (used by workspaces and map links)
+// Older single-condition definitions { layerId, field, operator, value } are still accepted
+// Returns false if the layer is missing or no features match
+function restoreFilter(filter) {
+    if (currentFilterState.activeFilter) {
+        clearNewFilter();
+    }
+    const group = normalizeFilterDefinition(filter);
+    if (!group || !layers.has(filter.layerId)) {
+        return false;
+    }
+    
+    // Fill in the builder so the panel shows the restored filter
+    populateFilterLayers();
+    document.getElementById('filterLayerSelect').value = filter.layerId;
+    currentFilterState.selectedLayer = filter.layerId;
+    
+    populateFilterFields(filter.layerId);
+    currentFilterState.group = group;
+    renderFilterBuilder();
+    
+    applyNewFilter();
+    return Boolean(currentFilterState.activeFilter);
+}
+
+// Field that tells the given features apart from the rest of the layer, with their values.
+// Identifier-like fields are tried first; null when no field singles out exactly these features
+function findFeatureSetField(allFeatures, features) {
+    const featureSet = new Set(features);
+    const fields = new Set();
+    features.slice(0, 500).forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(field => fields.add(field));
+    });
+    
+    const isIdentifierField = field => /(^|[_\s])(id|fid|gid|objectid|lotid|pin|code)$/i.test(field);
+    const candidates = Array.from(fields).sort((a, b) => isIdentifierField(b) - isIdentifierField(a));
+    
+    for (const field of candidates) {
+        const values = new Set();
+        const hasAllValues = features.every(feature => {
+            const value = (feature.properties || {})[field];
+            if (value === null || value === undefined || value === '') return false;
+            values.add(value.toString());
+            return true;
+        });
+        if (!hasAllValues) continue;
+        
+        const isExact = allFeatures.every(feature => {
+            if (featureSet.has(feature)) return true;
+            const value = (feature.properties || {})[field];
+            return value === null || value === undefined || !values.has(value.toString());
+        });
+        if (isExact) {
+            return { field, values: Array.from(values).sort() };
+        }
+    }
+    return null;
+}
+
+// Filter a layer down to exactly the given features (used by lot search result sets).
+// The result is an ordinary "include" condition, so it can be edited, saved and linked
+function applyFeatureSetFilter(layerId, features) {
+    const layerInfo = layers.get(layerId);
+    const data = layerInfo && (layerInfo.originalData || layerInfo.data);
+    if (!data || !data.features) {
+        showWarning('The layer of these features is not loaded in the map.', 'Filter Error');
+        return false;
+    }
+    
+    const match = findFeatureSetField(data.features, features);
+    if (!match) {
+        showWarning(`No field of "${layerInfo.name}" singles out exactly these ${features.length} features, so they cannot be turned into a filter.`, 'Filter Error');
+        return false;
+    }
+    
+    console.log(`🔍 Filtering ${layerInfo.name} to ${features.length} features by ${match.field}`);
+    return restoreFilter({
+        layerId,
+        group: {
+            type: 'group',
+            logic: 'and',
+            conditions: [{ type: 'condition', field: match.field, operator: 'include', value: match.values }]
+        }
+    });
+}
+
 // Reset filter steps UI
 function resetFilterSteps(steps) {
     if (steps.includes('layer')) {
         document.getElementById('filterLayerSelect').selectedIndex = 0;
         currentFilterState.selectedLayer = null;
     }
-    if (steps.includes('field')) {
-        document.getElementById('filterFieldSelect').innerHTML = '<option value="">Choose a field to filter by</option>';
-        document.getElementById('filterFieldSection').style.display = 'none';
-        currentFilterState.selectedField = null;
-    }
-    if (steps.includes('operator')) {
-        document.getElementById('filterOperatorSelect').selectedIndex = 0;
-        document.getElementById('filterOperatorSection').style.display = 'none';
-        currentFilterState.selectedOperator = null;
-    }
-    if (steps.includes('value')) {
-        document.getElementById('filterValueSection').style.display = 'none';
-        document.getElementById('filterSingleValueSelect').innerHTML = '<option value="">Loading values...</option>';
-        document.getElementById('filterMultiValueList').innerHTML = '';
-        document.getElementById('filterTextInput').value = '';
-        currentFilterState.filterValue = null;
+    if (steps.includes('builder')) {
+        document.getElementById('filterBuilder').innerHTML = '';
+        document.getElementById('filterBuilderSection').style.display = 'none';
+        currentFilterState.fields = [];
+        currentFilterState.fieldInfo = {};
+        currentFilterState.group = null;
     }
     if (steps.includes('actions')) {
         document.getElementById('filterActionsSection').style.display = 'none';
@@ -1075,6 +1916,15 @@ async function createLayerFromSelection() {
         // Show success message
         // Created new layer with filtered features
         
+        if (typeof window.recordCommand === 'function') {
+            const handlers = window.createLayerRemovalHandlers(layerId);
+            window.recordCommand({
+                label: `Create layer "${layerName}" from selection`,
+                undo: handlers.remove,
+                redo: handlers.restore
+            });
+        }
+        
         // Clear the selection after successful layer creation
         if (typeof window.clearSelection === 'function') {
             window.clearSelection();
@@ -1378,17 +2228,24 @@ window.tryLoadAeraDirectly = tryLoadAeraDirectly;
 window.populateFilterLayers = populateFilterLayers;
 window.handleFilterLayerChange = handleFilterLayerChange;
 window.populateFilterFields = populateFilterFields;
-window.handleFilterFieldChange = handleFilterFieldChange;
-window.handleFilterOperatorChange = handleFilterOperatorChange;
-window.setupFilterValueInput = setupFilterValueInput;
-window.populateFilterValues = populateFilterValues;
-window.handleFilterValueChange = handleFilterValueChange;
+window.createFilterGroup = createFilterGroup;
+window.normalizeFilterDefinition = normalizeFilterDefinition;
+window.renderFilterBuilder = renderFilterBuilder;
+window.getFilterProblems = getFilterProblems;
 window.applyNewFilter = applyNewFilter;
 window.evaluateFilterCondition = evaluateFilterCondition;
+window.evaluateFilterGroup = evaluateFilterGroup;
+window.prepareFilterGroup = prepareFilterGroup;
+window.evaluateSpatialCondition = evaluateSpatialCondition;
+window.detectFilterFieldInfo = detectFilterFieldInfo;
+window.parseFilterDate = parseFilterDate;
 window.showFilterStatus = showFilterStatus;
 window.getOperatorText = getOperatorText;
+window.describeFilterGroup = describeFilterGroup;
 window.clearNewFilter = clearNewFilter;
 window.resetFilterSteps = resetFilterSteps;
+window.restoreFilter = restoreFilter;
+window.applyFeatureSetFilter = applyFeatureSetFilter;
 window.updateFilterSelectedButton = updateFilterSelectedButton;
 window.getSelectedFeaturesCount = getSelectedFeaturesCount;
 window.getSelectedFeaturesAsGeoJSON = getSelectedFeaturesAsGeoJSON;
@@ -0,0 +1,841 @@
+/**
+ * Geometry Editor Module for Aéra Link WebGIS
+ * Edit session for sketching and editing features of dynamic layers with Leaflet.draw
+ *
+ * Features:
+ * - Add point, line and polygon features
+ * - Vertex editing, moving and deleting features
+ * - Splitting lines and polygons with a drawn line
+ * - Snapping to vertices of visible layers
+ * - Saves the edited FeatureCollection back to the layers table
+ */
+
+const SNAP_TOLERANCE_PX = 10;
+
+const EDIT_FEATURE_STYLE = {
+    color: '#00ffe7',
+    weight: 2,
+    opacity: 1,
+    fillColor: '#00ffe7',
+    fillOpacity: 0.15,
+    dashArray: '6 4'
+};
+
+// Current edit session state
+const geometryEditState = {
+    layerId: null,
+    editGroup: null,
+    mode: null,
+    drawHandler: null,
+    vertexLayer: null,
+    vertexSnapshot: null,
+    moveState: null,
+    snapping: true,
+    snapIndex: null,
+    snapMarker: null,
+    hasChanges: false,
+    toolbar: null
+};
+
+// Only dynamic layers stored in the layers table can be edited; URL-based layers (URL, ArcGIS, WMS) never are
+function isGeometryEditable(layerInfo) {
+    return Boolean(layerInfo) &&
+        !layerInfo.isPermanent &&
+        !layerInfo.isUrlBased &&
+        Boolean(layerInfo.isUserGenerated || layerInfo.isFilteredSelection) &&
+        Boolean(layerInfo.data && layerInfo.data.features);
+}
+
+// Start editing a layer's geometries
+function startGeometryEditSession(layerId) {
+    const layerInfo = window.layers.get(layerId);
+    if (!isGeometryEditable(layerInfo)) {
+        showWarning('Only dynamic layers (uploaded or created from a selection) can be edited.', 'Edit Geometry');
+        return;
+    }
+
+    if (geometryEditState.layerId) {
+        showWarning(`Finish editing "${window.layers.get(geometryEditState.layerId)?.name}" before starting another edit session.`, 'Edit Geometry');
+        return;
+    }
+
+    if (layerInfo.originalData && layerInfo.data !== layerInfo.originalData) {
+        showWarning('Clear the active filter on this layer before editing its geometry.', 'Edit Geometry');
+        return;
+    }
+
+    geometryEditState.layerId = layerId;
+    geometryEditState.hasChanges = false;
+    geometryEditState.editGroup = L.featureGroup().addTo(window.map);
+
+    layerInfo.data.features.forEach(feature => {
+        const editableLayer = createEditableLayer(feature);
+        if (editableLayer) {
+            geometryEditState.editGroup.addLayer(editableLayer);
+        }
+    });
+
+    // Hide the original layer while its editable copy is on the map
+    if (window.map.hasLayer(layerInfo.layer)) {
+        window.map.removeLayer(layerInfo.layer);
+    }
+
+    if (typeof window.disablePopupsOnAllLayers === 'function') {
+        window.disablePopupsOnAllLayers();
+    }
+
+    window.map.on(L.Draw.Event.CREATED, handleGeometryDrawCreated);
+    window.map.on(L.Draw.Event.EDITVERTEX, handleVertexEdited);
+    window.map.on('mousemove', handleGeometryEditMouseMove);
+    window.map.on('mouseup', finishFeatureMove);
+    document.addEventListener('keydown', handleGeometryEditKeyDown);
+
+    buildSnapIndex();
+    createGeometryEditToolbar(layerInfo);
+
+    console.log(`✏️ Started edit session for layer "${layerInfo.name}"`);
+}
+
+// Whether the editor can load a feature
+function isEditableFeature(feature) {
+    return Boolean(feature.geometry) && feature.geometry.type !== 'MultiPoint' && feature.geometry.type !== 'GeometryCollection';
+}
+
+// Build an editable Leaflet layer for a feature (multi-point and collections are not supported)
+function createEditableLayer(feature) {
+    if (!isEditableFeature(feature)) {
+        return null;
+    }
+
+    const layer = L.GeoJSON.geometryToLayer(feature, {
+        pointToLayer: (pointFeature, latlng) => L.marker(latlng),
+        style: EDIT_FEATURE_STYLE
+    });
+    if (layer.setStyle) {
+        layer.setStyle(EDIT_FEATURE_STYLE);
+    }
+
+    layer.feature = feature;
+    setupEditableLayerEvents(layer);
+    return layer;
+}
+
+// Click and drag handlers used by the delete, vertex and move modes
+function setupEditableLayerEvents(layer) {
+    layer.on('click', (e) => {
+        L.DomEvent.stopPropagation(e);
+
+        if (geometryEditState.mode === 'delete') {
+            deleteEditableLayer(layer);
+        } else if (geometryEditState.mode === 'vertex') {
+            enableVertexEditing(layer);
+        }
+    });
+
+    layer.on('mousedown', (e) => {
+        if (geometryEditState.mode === 'move') {
+            startFeatureMove(layer, e);
+        }
+    });
+
+    // Markers are dragged directly in vertex mode
+    if (layer instanceof L.Marker) {
+        layer.on('dragend', () => {
+            if (geometryEditState.snapping) {
+                const target = findSnapTarget(layer.getLatLng(), layer);
+                if (target) layer.setLatLng(target);
+            }
+            markGeometryEdited();
+        });
+    }
+}
+
+// Floating toolbar with the edit tools
+function createGeometryEditToolbar(layerInfo) {
+    const toolbar = document.createElement('div');
+    toolbar.id = 'geometryEditToolbar';
+    toolbar.className = 'geometry-edit-toolbar';
+
+    const tools = [
+        { mode: 'point', icon: 'fa-map-marker-alt', title: 'Add point' },
+        { mode: 'line', icon: 'fa-wave-square', title: 'Add line' },
+        { mode: 'polygon', icon: 'fa-draw-polygon', title: 'Add polygon' },
+        { mode: 'vertex', icon: 'fa-bezier-curve', title: 'Edit vertices (click a feature)' },
+        { mode: 'move', icon: 'fa-arrows-alt', title: 'Move feature (drag a feature)' },
+        { mode: 'delete', icon: 'fa-eraser', title: 'Delete feature (click a feature)' },
+        { mode: 'split', icon: 'fa-cut', title: 'Split features with a drawn line' }
+    ];
+
+    toolbar.innerHTML = `
+        <div class="geometry-edit-title">
+            <i class="fas fa-pen text-neon-teal mr-2"></i>
+            <span class="truncate">Editing: ${layerInfo.name}</span>
+        </div>
+        <div class="geometry-edit-tools">
+            ${tools.map(tool => `
+                <button class="geometry-edit-btn" data-mode="${tool.mode}" title="${tool.title}">
+                    <i class="fas ${tool.icon}"></i>
+                </button>
+            `).join('')}
+            <span class="geometry-edit-divider"></span>
+            <button class="geometry-edit-btn active" id="geometrySnapToggle" title="Snap to vertices of visible layers">
+                <i class="fas fa-magnet"></i>
+            </button>
+        </div>
+        <div class="geometry-edit-actions">
+            <button id="saveGeometryEdits" class="geometry-edit-save">
+                <i class="fas fa-save mr-1"></i>Save
+            </button>
+            <button id="cancelGeometryEdits" class="geometry-edit-cancel">
+                Cancel
+            </button>
+        </div>
+        <div class="geometry-edit-hint" id="geometryEditHint">Choose a tool to start editing</div>
+    `;
+
+    document.body.appendChild(toolbar);
+    geometryEditState.toolbar = toolbar;
+
+    toolbar.querySelectorAll('.geometry-edit-btn[data-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            const mode = button.dataset.mode;
+            setGeometryEditMode(geometryEditState.mode === mode ? null : mode);
+        });
+    });
+
+    toolbar.querySelector('#geometrySnapToggle').addEventListener('click', (e) => {
+        geometryEditState.snapping = !geometryEditState.snapping;
+        e.currentTarget.classList.toggle('active', geometryEditState.snapping);
+        if (!geometryEditState.snapping) hideSnapIndicator();
+    });
+
+    toolbar.querySelector('#saveGeometryEdits').addEventListener('click', saveGeometryEditSession);
+    toolbar.querySelector('#cancelGeometryEdits').addEventListener('click', cancelGeometryEditSession);
+
+    // Keep map interactions from firing through the toolbar
+    L.DomEvent.disableClickPropagation(toolbar);
+}
+
+// Switch the active tool
+function setGeometryEditMode(mode) {
+    clearGeometryEditMode();
+    geometryEditState.mode = mode;
+
+    const hints = {
+        point: 'Click on the map to add a point',
+        line: 'Click to add vertices, click the last point to finish',
+        polygon: 'Click to add vertices, click the first point to close',
+        vertex: 'Click a feature, then drag its vertices',
+        move: 'Drag a feature to move it (map panning is paused)',
+        delete: 'Click a feature to delete it',
+        split: 'Draw a line across the features to split'
+    };
+
+    if (geometryEditState.toolbar) {
+        geometryEditState.toolbar.querySelectorAll('.geometry-edit-btn[data-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        geometryEditState.toolbar.querySelector('#geometryEditHint').textContent = hints[mode] || 'Choose a tool to start editing';
+    }
+
+    if (mode === 'point' || mode === 'line' || mode === 'polygon' || mode === 'split') {
+        enableDrawHandler(mode);
+    } else if (mode === 'move') {
+        window.map.dragging.disable();
+    }
+}
+
+// Turn off whatever the current tool left enabled
+function clearGeometryEditMode() {
+    if (geometryEditState.drawHandler) {
+        geometryEditState.drawHandler.disable();
+        geometryEditState.drawHandler = null;
+    }
+
+    disableVertexEditing();
+
+    if (geometryEditState.moveState) {
+        finishFeatureMove();
+    }
+
+    // Move mode turns off map panning so dragging a feature doesn't pan the map
+    if (geometryEditState.mode === 'move') {
+        window.map.dragging.enable();
+    }
+
+    hideSnapIndicator();
+    geometryEditState.mode = null;
+}
+
+// Start a Leaflet.draw handler for the add and split tools
+function enableDrawHandler(mode) {
+    const shapeOptions = { ...EDIT_FEATURE_STYLE, dashArray: null };
+    let handler;
+
+    switch (mode) {
+        case 'point':
+            handler = new L.Draw.Marker(window.map);
+            break;
+        case 'line':
+            handler = new L.Draw.Polyline(window.map, { shapeOptions });
+            break;
+        case 'polygon':
+            handler = new L.Draw.Polygon(window.map, { shapeOptions, allowIntersection: false });
+            break;
+        case 'split':
+            handler = new L.Draw.Polyline(window.map, { shapeOptions: { ...shapeOptions, color: '#ff7800' } });
+            break;
+    }
+
+    geometryEditState.drawHandler = handler;
+    handler.enable();
+}
+
+// A feature (or split line) was drawn
+function handleGeometryDrawCreated(e) {
+    if (!geometryEditState.layerId) return;
+
+    const layer = e.layer;
+    if (geometryEditState.snapping) {
+        snapLayerVertices(layer);
+    }
+
+    if (geometryEditState.mode === 'split') {
+        splitFeaturesWithLine(layer.toGeoJSON());
+    } else {
+        if (layer.setStyle) {
+            layer.setStyle(EDIT_FEATURE_STYLE);
+        }
+        layer.feature = { type: 'Feature', properties: getBlankProperties(), geometry: null };
+        setupEditableLayerEvents(layer);
+        geometryEditState.editGroup.addLayer(layer);
+        markGeometryEdited();
+    }
+
+    // Keep the tool active for the next sketch
+    if (geometryEditState.drawHandler) {
+        geometryEditState.drawHandler.enable();
+    }
+}
+
+// New features get the layer's existing fields with empty values
+function getBlankProperties() {
+    const properties = {};
+    geometryEditState.editGroup.eachLayer(layer => {
+        Object.keys(layer.feature?.properties || {}).forEach(key => {
+            properties[key] = null;
+        });
+    });
+    return properties;
+}
+
+// Remove a feature from the edit session
+function deleteEditableLayer(layer) {
+    if (geometryEditState.vertexLayer === layer) {
+        disableVertexEditing();
+    }
+    geometryEditState.editGroup.removeLayer(layer);
+    markGeometryEdited();
+}
+
+// Record that the session has unsaved edits and refresh snap targets
+function markGeometryEdited() {
+    geometryEditState.hasChanges = true;
+    buildSnapIndex();
+}
+
+// === VERTEX EDITING ===
+
+// Enable Leaflet.draw vertex editing on one feature at a time
+function enableVertexEditing(layer) {
+    if (geometryEditState.vertexLayer === layer) return;
+    disableVertexEditing();
+
+    if (layer instanceof L.Marker) {
+        layer.dragging.enable();
+    } else if (layer.editing) {
+        layer.editing.enable();
+    } else {
+        return;
+    }
+
+    geometryEditState.vertexLayer = layer;
+    geometryEditState.vertexSnapshot = getFlatLatLngs(layer).map(latlng => [latlng.lat, latlng.lng]);
+}
+
+function disableVertexEditing() {
+    const layer = geometryEditState.vertexLayer;
+    if (!layer) return;
+
+    if (layer instanceof L.Marker) {
+        layer.dragging.disable();
+    } else if (layer.editing) {
+        layer.editing.disable();
+        if (layer.setStyle) layer.setStyle(EDIT_FEATURE_STYLE);
+    }
+
+    geometryEditState.vertexLayer = null;
+    geometryEditState.vertexSnapshot = null;
+}
+
+// All LatLng objects of a path, flattened across rings and parts
+function getFlatLatLngs(layer) {
+    if (layer instanceof L.Marker) return [layer.getLatLng()];
+
+    const flat = [];
+    const collect = latlngs => latlngs.forEach(item => Array.isArray(item) ? collect(item) : flat.push(item));
+    collect(layer.getLatLngs());
+    return flat;
+}
+
+// Snap the vertex that was just dragged or inserted
+function handleVertexEdited(e) {
+    const layer = e.poly;
+    markGeometryEdited();
+    if (!layer || layer !== geometryEditState.vertexLayer) return;
+
+    const flat = getFlatLatLngs(layer);
+    const previous = geometryEditState.vertexSnapshot || [];
+
+    if (geometryEditState.snapping) {
+        // The first vertex that differs from the snapshot is the one the user moved
+        const changedIndex = flat.findIndex((latlng, index) =>
+            !previous[index] || previous[index][0] !== latlng.lat || previous[index][1] !== latlng.lng
+        );
+
+        if (changedIndex !== -1) {
+            const target = findSnapTarget(flat[changedIndex], layer);
+            if (target) {
+                // LatLng objects are shared with the editor markers, so update them in place
+                flat[changedIndex].lat = target.lat;
+                flat[changedIndex].lng = target.lng;
+                layer.redraw();
+                layer.editing.updateMarkers();
+            }
+        }
+    }
+
+    geometryEditState.vertexSnapshot = flat.map(latlng => [latlng.lat, latlng.lng]);
+}
+
+// === MOVE ===
+
+// Begin dragging a whole feature
+function startFeatureMove(layer, e) {
+    L.DomEvent.stop(e);
+
+    geometryEditState.moveState = {
+        layer: layer,
+        startLatLng: e.latlng,
+        originalLatLngs: layer instanceof L.Marker ? layer.getLatLng() : cloneLatLngs(layer.getLatLngs())
+    };
+}
+
+// Deep copy of nested LatLng arrays
+function cloneLatLngs(latlngs) {
+    return latlngs.map(item => Array.isArray(item) ? cloneLatLngs(item) : L.latLng(item.lat, item.lng));
+}
+
+// Offset nested LatLng arrays
+function offsetLatLngs(latlngs, dLat, dLng) {
+    return latlngs.map(item => Array.isArray(item)
+        ? offsetLatLngs(item, dLat, dLng)
+        : L.latLng(item.lat + dLat, item.lng + dLng));
+}
+
+// Map mousemove: move the dragged feature and show the snap indicator
+function handleGeometryEditMouseMove(e) {
+    const moveState = geometryEditState.moveState;
+    if (moveState) {
+        const dLat = e.latlng.lat - moveState.startLatLng.lat;
+        const dLng = e.latlng.lng - moveState.startLatLng.lng;
+
+        if (moveState.layer instanceof L.Marker) {
+            moveState.layer.setLatLng([moveState.originalLatLngs.lat + dLat, moveState.originalLatLngs.lng + dLng]);
+        } else {
+            moveState.layer.setLatLngs(offsetLatLngs(moveState.originalLatLngs, dLat, dLng));
+        }
+        return;
+    }
+
+    const showsSnap = ['point', 'line', 'polygon', 'split', 'vertex'].includes(geometryEditState.mode);
+    if (geometryEditState.snapping && showsSnap) {
+        const target = findSnapTarget(e.latlng);
+        if (target) {
+            showSnapIndicator(target);
+        } else {
+            hideSnapIndicator();
+        }
+    }
+}
+
+// Finish a feature move
+function finishFeatureMove() {
+    const moveState = geometryEditState.moveState;
+    if (!moveState) return;
+
+    geometryEditState.moveState = null;
+    markGeometryEdited();
+}
+
+// === SPLIT ===
+
+// Split every line and polygon crossed by the drawn line
+function splitFeaturesWithLine(splitter) {
+    let splitCount = 0;
+
+    geometryEditState.editGroup.getLayers().forEach(layer => {
+        if (layer instanceof L.Marker) return;
+
+        const feature = layer.toGeoJSON();
+        if (!turf.booleanIntersects(feature, splitter)) return;
+
+        const pieces = splitGeometry(feature, splitter);
+        if (!pieces || pieces.length < 2) return;
+
+        pieces.forEach(piece => {
+            const newLayer = createEditableLayer({
+                type: 'Feature',
+                properties: { ...(layer.feature.properties || {}) },
+                geometry: piece
+            });
+            geometryEditState.editGroup.addLayer(newLayer);
+        });
+
+        geometryEditState.editGroup.removeLayer(layer);
+        splitCount++;
+    });
+
+    if (splitCount === 0) {
+        showNotification('The line does not split any feature - draw it all the way across', 'info');
+        return;
+    }
+
+    markGeometryEdited();
+    showNotification(`Split ${splitCount} feature${splitCount === 1 ? '' : 's'}`, 'success');
+}
+
+// Split a line or polygon feature into part geometries
+function splitGeometry(feature, splitter) {
+    const pieces = [];
+
+    turf.flattenEach(feature, part => {
+        const type = part.geometry.type;
+        let result = [];
+
+        if (type === 'LineString') {
+            result = turf.lineSplit(part, splitter).features.map(piece => piece.geometry);
+        } else if (type === 'Polygon') {
+            result = splitPolygon(part, splitter);
+        }
+
+        if (result.length > 0) {
+            pieces.push(...result);
+        } else {
+            pieces.push(part.geometry);
+        }
+    });
+
+    return pieces;
+}
+
+// Split a polygon by polygonizing its noded boundary together with the splitter
+function splitPolygon(polygon, splitter) {
+    const boundary = turf.polygonToLine(polygon);
+
+    // Node the boundary and the splitter against each other
+    const segments = [];
+    turf.flattenEach(boundary, ring => {
+        const pieces = turf.lineSplit(ring, splitter).features;
+        segments.push(...(pieces.length > 0 ? pieces : [ring]));
+    });
+
+    const cutPieces = turf.lineSplit(splitter, boundary).features;
+    (cutPieces.length > 0 ? cutPieces : [splitter]).forEach(segment => {
+        const midpoint = turf.along(segment, turf.length(segment) / 2);
+        if (turf.booleanPointInPolygon(midpoint, polygon)) {
+            segments.push(segment);
+        }
+    });
+
+    // Keep faces inside the original and clip them to it so holes survive
+    return turf.polygonize(turf.featureCollection(segments)).features
+        .filter(face => turf.booleanPointInPolygon(turf.pointOnFeature(face), polygon))
+        .map(face => turf.intersect(face, polygon))
+        .filter(Boolean)
+        .map(face => face.geometry);
+}
+
+// === SNAPPING ===
+
+// Index every vertex of the visible layers and the edit session, sorted by longitude
+// Edit session vertices remember their layer so a feature doesn't snap to itself
+function buildSnapIndex() {
+    const entries = [];
+
+    const addCoordinates = coords => {
+        if (typeof coords[0] === 'number') {
+            entries.push({ lng: coords[0], lat: coords[1], owner: null });
+        } else {
+            coords.forEach(addCoordinates);
+        }
+    };
+
+    window.layers.forEach((layerInfo, layerId) => {
+        if (layerId === geometryEditState.layerId || !layerInfo.visible || !layerInfo.data || !layerInfo.data.features) return;
+        layerInfo.data.features.forEach(feature => {
+            turf.geomEach(feature, geometry => {
+                if (geometry && geometry.coordinates) addCoordinates(geometry.coordinates);
+            });
+        });
+    });
+
+    if (geometryEditState.editGroup) {
+        geometryEditState.editGroup.eachLayer(layer => {
+            getFlatLatLngs(layer).forEach(latlng => entries.push({ lng: latlng.lng, lat: latlng.lat, owner: layer }));
+        });
+    }
+
+    entries.sort((a, b) => a.lng - b.lng);
+    geometryEditState.snapIndex = entries;
+}
+
+// Closest indexed vertex within the snap tolerance, ignoring vertices of excludeLayer
+function findSnapTarget(latlng, excludeLayer = null) {
+    const index = geometryEditState.snapIndex;
+    if (!index || index.length === 0) return null;
+
+    const point = window.map.latLngToContainerPoint(latlng);
+    const corner = window.map.containerPointToLatLng([point.x + SNAP_TOLERANCE_PX, point.y + SNAP_TOLERANCE_PX]);
+    const lngTolerance = Math.abs(corner.lng - latlng.lng);
+    const latTolerance = Math.abs(corner.lat - latlng.lat);
+
+    // Binary search for the first vertex inside the longitude window
+    let low = 0;
+    let high = index.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (index[mid].lng < latlng.lng - lngTolerance) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    for (let i = low; i < index.length && index[i].lng <= latlng.lng + lngTolerance; i++) {
+        const entry = index[i];
+        if (entry.owner && entry.owner === excludeLayer) continue;
+        if (Math.abs(entry.lat - latlng.lat) > latTolerance) continue;
+
+        const distance = point.distanceTo(window.map.latLngToContainerPoint([entry.lat, entry.lng]));
+        if (distance <= SNAP_TOLERANCE_PX && distance < bestDistance) {
+            best = entry;
+            bestDistance = distance;
+        }
+    }
+
+    return best ? L.latLng(best.lat, best.lng) : null;
+}
+
+// Snap every vertex of a freshly drawn layer
+function snapLayerVertices(layer) {
+    if (layer instanceof L.Marker) {
+        const target = findSnapTarget(layer.getLatLng());
+        if (target) layer.setLatLng(target);
+        return;
+    }
+
+    getFlatLatLngs(layer).forEach(latlng => {
+        const target = findSnapTarget(latlng);
+        if (target) {
+            latlng.lat = target.lat;
+            latlng.lng = target.lng;
+        }
+    });
+    layer.redraw();
+}
+
+function showSnapIndicator(latlng) {
+    if (!geometryEditState.snapMarker) {
+        geometryEditState.snapMarker = L.circleMarker(latlng, {
+            radius: 6,
+            color: '#ff7800',
+            weight: 2,
+            fillColor: '#ffffff',
+            fillOpacity: 0.8,
+            interactive: false
+        }).addTo(window.map);
+    } else {
+        geometryEditState.snapMarker.setLatLng(latlng);
+    }
+}
+
+function hideSnapIndicator() {
+    if (geometryEditState.snapMarker) {
+        window.map.removeLayer(geometryEditState.snapMarker);
+        geometryEditState.snapMarker = null;
+    }
+}
+
+// === SAVE / CANCEL ===
+
+// Escape leaves the current tool
+function handleGeometryEditKeyDown(e) {
+    if (e.key === 'Escape' && geometryEditState.mode) {
+        setGeometryEditMode(null);
+    }
+}
+
+// Write the edited features back to the layer and the layers table
+async function saveGeometryEditSession() {
+    const layerId = geometryEditState.layerId;
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        endGeometryEditSession();
+        return;
+    }
+
+    clearGeometryEditMode();
+
+    const features = [];
+    geometryEditState.editGroup.eachLayer(layer => {
+        const geoJSON = layer.toGeoJSON();
+        features.push({
+            ...layer.feature,
+            type: 'Feature',
+            properties: { ...(layer.feature?.properties || {}) },
+            geometry: geoJSON.geometry
+        });
+    });
+
+    // Features the editor could not load (multi-points, collections, empty geometry) are kept as-is
+    layerInfo.data.features.forEach(feature => {
+        if (!isEditableFeature(feature)) {
+            features.push(feature);
+        }
+    });
+
+    // Undo snapshots get their own properties, so later in-place attribute edits don't leak into them
+    const editedData = { ...layerInfo.data, features: features };
+    const previousData = cloneGeometryEditSnapshot(layerInfo.originalData || layerInfo.data);
+    const redoData = cloneGeometryEditSnapshot(editedData);
+    const hadChanges = geometryEditState.hasChanges;
+
+    layerInfo.data = editedData;
+    layerInfo.originalData = editedData;
+    endGeometryEditSession();
+
+    if (typeof window.reapplyLayerStyling === 'function') {
+        window.reapplyLayerStyling(layerId);
+    }
+    updateLayersList();
+    if (typeof updateLegend === 'function') {
+        updateLegend();
+    }
+
+    if (!hadChanges) {
+        showNotification('No geometry changes to save', 'info');
+        return;
+    }
+
+    const saved = await window.updateDynamicLayerDataInDatabase(layerId);
+    if (saved) {
+        showNotification(`Saved ${features.length} features to "${layerInfo.name}"`, 'success');
+    } else {
+        console.warn(`⚠️ Geometry edits on "${layerInfo.name}" were not saved to the database`);
+        showNotification('Edits applied locally but could not be saved to the database', 'warning');
+    }
+
+    if (typeof window.recordCommand === 'function') {
+        window.recordCommand({
+            label: `Geometry edits on "${layerInfo.name}"`,
+            undo: () => applyGeometryEditData(layerId, previousData),
+            redo: () => applyGeometryEditData(layerId, redoData)
+        });
+    }
+}
+
+// Copy of a FeatureCollection whose features have their own properties objects
+function cloneGeometryEditSnapshot(geoData) {
+    return {
+        ...geoData,
+        features: geoData.features.map(feature => ({ ...feature, properties: { ...(feature.properties || {}) } }))
+    };
+}
+
+// Replace the layer's features with a saved FeatureCollection (used by undo/redo)
+async function applyGeometryEditData(layerId, geoData) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        throw new Error('Layer no longer exists');
+    }
+
+    // Apply a copy so the snapshot survives attribute edits made after this undo/redo
+    const data = cloneGeometryEditSnapshot(geoData);
+    layerInfo.data = data;
+    layerInfo.originalData = data;
+
+    if (typeof window.reapplyLayerStyling === 'function') {
+        window.reapplyLayerStyling(layerId);
+    }
+    updateLayersList();
+    if (typeof updateLegend === 'function') {
+        updateLegend();
+    }
+
+    const saved = await window.updateDynamicLayerDataInDatabase(layerId);
+    if (!saved) {
+        showNotification('Edits applied locally but could not be saved to the database', 'warning');
+    }
+}
+
+// Discard the session's edits
+async function cancelGeometryEditSession() {
+    if (geometryEditState.hasChanges) {
+        const confirmed = await showConfirm('Discard all unsaved geometry edits?', 'Cancel Editing');
+        if (!confirmed) return;
+    }
+
+    const layerInfo = window.layers.get(geometryEditState.layerId);
+    endGeometryEditSession();
+
+    // Put the untouched original layer back
+    if (layerInfo && layerInfo.visible && !window.map.hasLayer(layerInfo.layer)) {
+        layerInfo.layer.addTo(window.map);
+        updateMapLayerOrder();
+    }
+}
+
+// Tear down the edit session
+function endGeometryEditSession() {
+    clearGeometryEditMode();
+
+    window.map.off(L.Draw.Event.CREATED, handleGeometryDrawCreated);
+    window.map.off(L.Draw.Event.EDITVERTEX, handleVertexEdited);
+    window.map.off('mousemove', handleGeometryEditMouseMove);
+    window.map.off('mouseup', finishFeatureMove);
+    document.removeEventListener('keydown', handleGeometryEditKeyDown);
+
+    if (geometryEditState.editGroup) {
+        window.map.removeLayer(geometryEditState.editGroup);
+    }
+    if (geometryEditState.toolbar) {
+        geometryEditState.toolbar.remove();
+    }
+
+    if (typeof window.enablePopupsOnAllLayers === 'function') {
+        window.enablePopupsOnAllLayers();
+    }
+
+    geometryEditState.layerId = null;
+    geometryEditState.editGroup = null;
+    geometryEditState.toolbar = null;
+    geometryEditState.snapIndex = null;
+    geometryEditState.hasChanges = false;
+}
+
+// Export functions for use in other modules
+window.startGeometryEditSession = startGeometryEditSession;
+window.isGeometryEditable = isGeometryEditable;
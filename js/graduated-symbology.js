@@ -0,0 +1,425 @@
+/**
+ * Graduated Symbology Module for Aéra Link WebGIS
+ * Classed color rendering for numeric fields (area, price, slope percent...)
+ *
+ * Features:
+ * - Equal interval, quantile, natural breaks (Jenks), standard deviation and manual breaks
+ * - Sequential and diverging color ramps
+ * - Histogram preview of the field with class breaks
+ * - Conversion between layer classification and user_styles/shared_styles records
+ */
+
+// === CONSTANTS ===
+
+const GRADUATED_METHODS = {
+    equal_interval: 'Equal Interval',
+    quantile: 'Quantile',
+    jenks: 'Natural Breaks (Jenks)',
+    std_dev: 'Standard Deviation',
+    manual: 'Manual'
+};
+
+const GRADUATED_COLOR_RAMPS = {
+    teal: { name: 'Teal', type: 'sequential', stops: ['#ccfbf1', '#2dd4bf', '#0f766e', '#134e4a'] },
+    blues: { name: 'Blues', type: 'sequential', stops: ['#eff6ff', '#93c5fd', '#2563eb', '#1e3a8a'] },
+    greens: { name: 'Greens', type: 'sequential', stops: ['#f0fdf4', '#86efac', '#16a34a', '#14532d'] },
+    oranges: { name: 'Oranges', type: 'sequential', stops: ['#fff7ed', '#fdba74', '#ea580c', '#7c2d12'] },
+    reds: { name: 'Reds', type: 'sequential', stops: ['#fef2f2', '#fca5a5', '#dc2626', '#7f1d1d'] },
+    purples: { name: 'Purples', type: 'sequential', stops: ['#faf5ff', '#d8b4fe', '#9333ea', '#581c87'] },
+    viridis: { name: 'Viridis', type: 'sequential', stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'] },
+    red_blue: { name: 'Red - Blue', type: 'diverging', stops: ['#b2182b', '#ef8a62', '#fddbc7', '#f7f7f7', '#d1e5f0', '#67a9cf', '#2166ac'] },
+    brown_teal: { name: 'Brown - Teal', type: 'diverging', stops: ['#8c510a', '#d8b365', '#f6e8c3', '#f5f5f5', '#c7eae5', '#5ab4ac', '#01665e'] },
+    purple_green: { name: 'Purple - Green', type: 'diverging', stops: ['#762a83', '#af8dc3', '#e7d4e8', '#f7f7f7', '#d9f0d3', '#7fbf7b', '#1b7837'] },
+    red_yellow_green: { name: 'Red - Yellow - Green', type: 'diverging', stops: ['#d73027', '#fc8d59', '#fee08b', '#ffffbf', '#d9ef8b', '#91cf60', '#1a9850'] }
+};
+
+const GRADUATED_DEFAULT_CLASSES = 5;
+const GRADUATED_MAX_CLASSES = 10;
+const GRADUATED_NO_DATA_COLOR = '#999999';
+const GRADUATED_HISTOGRAM_BINS = 24;
+
+// Jenks is O(k·n²), so large layers are classified from an evenly spaced sample
+const JENKS_SAMPLE_SIZE = 1000;
+
+// === FIELD VALUES ===
+
+// Parse a property value as a number ("1,250.5" counts), or null
+function parseNumericValue(value) {
+    if (value === null || value === undefined || value === '' || typeof value === 'boolean') return null;
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, '').trim());
+    return Number.isFinite(number) ? number : null;
+}
+
+// Numeric values of a field across features
+function getNumericFieldValues(features, field) {
+    const values = [];
+    (features || []).forEach(feature => {
+        const value = parseNumericValue((feature.properties || {})[field]);
+        if (value !== null) values.push(value);
+    });
+    return values;
+}
+
+// Fields whose non-empty values are mostly numbers
+function getNumericFields(features) {
+    const counts = {};
+    (features || []).slice(0, 500).forEach(feature => {
+        Object.entries(feature.properties || {}).forEach(([field, value]) => {
+            if (value === null || value === undefined || value === '') return;
+            counts[field] = counts[field] || { total: 0, numeric: 0 };
+            counts[field].total++;
+            if (parseNumericValue(value) !== null) counts[field].numeric++;
+        });
+    });
+
+    return Object.keys(counts).filter(field => counts[field].numeric > 0 && counts[field].numeric / counts[field].total >= 0.8);
+}
+
+// === CLASS BREAKS ===
+
+// Class breaks for values: classCount + 1 ascending numbers from min to max
+function calculateClassBreaks(values, method, classCount) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (sorted.length === 0) return [];
+
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const distinctCount = new Set(sorted).size;
+    const count = Math.max(1, Math.min(classCount, distinctCount));
+    if (min === max || count === 1) return [min, max];
+
+    let breaks;
+    switch (method) {
+        case 'quantile':
+            breaks = calculateQuantileBreaks(sorted, count);
+            break;
+        case 'jenks':
+            breaks = calculateJenksBreaks(sampleSortedValues(sorted, JENKS_SAMPLE_SIZE), count);
+            breaks[0] = min;
+            breaks[breaks.length - 1] = max;
+            break;
+        case 'std_dev':
+            breaks = calculateStdDevBreaks(sorted, count);
+            break;
+        default:
+            breaks = calculateEqualIntervalBreaks(min, max, count);
+    }
+
+    return normalizeClassBreaks(breaks);
+}
+
+// Classes of equal width
+function calculateEqualIntervalBreaks(min, max, classCount) {
+    const interval = (max - min) / classCount;
+    const breaks = [];
+    for (let i = 0; i < classCount; i++) {
+        breaks.push(min + i * interval);
+    }
+    breaks.push(max);
+    return breaks;
+}
+
+// Classes holding the same number of values
+function calculateQuantileBreaks(sorted, classCount) {
+    const breaks = [sorted[0]];
+    for (let i = 1; i < classCount; i++) {
+        breaks.push(sorted[Math.ceil(i * sorted.length / classCount) - 1]);
+    }
+    breaks.push(sorted[sorted.length - 1]);
+    return breaks;
+}
+
+// Classes one standard deviation wide, centred on the mean
+function calculateStdDevBreaks(sorted, classCount) {
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const stdDev = Math.sqrt(sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length);
+    if (stdDev === 0) return [min, max];
+
+    const breaks = [min];
+    for (let i = 1; i < classCount; i++) {
+        const value = mean + (i - classCount / 2) * stdDev;
+        if (value > min && value < max) breaks.push(value);
+    }
+    breaks.push(max);
+    return breaks;
+}
+
+// Fisher-Jenks natural breaks (minimises the variance within classes)
+function calculateJenksBreaks(sorted, classCount) {
+    const n = sorted.length;
+    const lowerClassLimits = [];
+    const varianceCombinations = [];
+
+    for (let i = 0; i <= n; i++) {
+        lowerClassLimits.push(new Array(classCount + 1).fill(0));
+        varianceCombinations.push(new Array(classCount + 1).fill(i >= 2 ? Infinity : 0));
+    }
+    for (let j = 1; j <= classCount; j++) {
+        lowerClassLimits[1][j] = 1;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0;
+        let sumSquares = 0;
+        let variance = 0;
+
+        for (let m = 1; m <= l; m++) {
+            const lowerClassLimit = l - m + 1;
+            const value = sorted[lowerClassLimit - 1];
+            sum += value;
+            sumSquares += value * value;
+            variance = sumSquares - (sum * sum) / m;
+
+            const previous = lowerClassLimit - 1;
+            if (previous !== 0) {
+                for (let j = 2; j <= classCount; j++) {
+                    if (varianceCombinations[l][j] >= variance + varianceCombinations[previous][j - 1]) {
+                        lowerClassLimits[l][j] = lowerClassLimit;
+                        varianceCombinations[l][j] = variance + varianceCombinations[previous][j - 1];
+                    }
+                }
+            }
+        }
+
+        lowerClassLimits[l][1] = 1;
+        varianceCombinations[l][1] = variance;
+    }
+
+    const breaks = new Array(classCount + 1);
+    breaks[0] = sorted[0];
+    breaks[classCount] = sorted[n - 1];
+
+    let k = n;
+    for (let j = classCount; j >= 2; j--) {
+        breaks[j - 1] = sorted[lowerClassLimits[k][j] - 2];
+        k = lowerClassLimits[k][j] - 1;
+    }
+    return breaks;
+}
+
+// Evenly spaced sample of sorted values that keeps the min and max
+function sampleSortedValues(sorted, size) {
+    if (sorted.length <= size) return sorted;
+    const sample = [];
+    for (let i = 0; i < size; i++) {
+        sample.push(sorted[Math.round(i * (sorted.length - 1) / (size - 1))]);
+    }
+    return sample;
+}
+
+// Sort breaks and drop duplicates so every class has a range
+function normalizeClassBreaks(breaks) {
+    const sorted = breaks.filter(Number.isFinite).sort((a, b) => a - b);
+    const unique = sorted.filter((value, index) => index === 0 || value !== sorted[index - 1]);
+    return unique.length === 1 ? [unique[0], unique[0]] : unique;
+}
+
+// === COLORS ===
+
+// Colors for a number of classes sampled along a ramp
+function getRampColors(rampKey, count, reversed = false) {
+    const ramp = GRADUATED_COLOR_RAMPS[rampKey] || GRADUATED_COLOR_RAMPS.teal;
+    const stops = reversed ? [...ramp.stops].reverse() : ramp.stops;
+
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        const position = count === 1 ? 0.5 : i / (count - 1);
+        colors.push(interpolateRampColor(stops, position));
+    }
+    return colors;
+}
+
+// Color at a position (0-1) along the ramp stops
+function interpolateRampColor(stops, position) {
+    const scaled = position * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    const t = scaled - index;
+
+    const from = hexToRgb(stops[index]);
+    const to = hexToRgb(stops[index + 1]);
+    const channel = key => Math.round(from[key] + (to[key] - from[key]) * t).toString(16).padStart(2, '0');
+    return `#${channel('r')}${channel('g')}${channel('b')}`;
+}
+
+// Parse a #rrggbb color
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+// CSS gradient for previewing a ramp
+function getRampGradient(rampKey, reversed = false) {
+    const ramp = GRADUATED_COLOR_RAMPS[rampKey] || GRADUATED_COLOR_RAMPS.teal;
+    const stops = reversed ? [...ramp.stops].reverse() : ramp.stops;
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+// === CLASSIFICATION ===
+
+// Check whether a layer classification is graduated
+function isGraduatedClassification(classification) {
+    return Boolean(classification && classification.type === 'graduated' && Array.isArray(classification.breaks));
+}
+
+// Index of the class a value falls in (upper bounds inclusive), or -1 without a value
+function getGraduatedClassIndex(breaks, value) {
+    const number = parseNumericValue(value);
+    if (number === null || breaks.length < 2) return -1;
+
+    for (let i = 1; i < breaks.length - 1; i++) {
+        if (number <= breaks[i]) return i - 1;
+    }
+    return breaks.length - 2;
+}
+
+// Fill color for a property value
+function getGraduatedColor(classification, value) {
+    const index = getGraduatedClassIndex(classification.breaks, value);
+    return index >= 0 ? (classification.colors[index] || GRADUATED_NO_DATA_COLOR) : GRADUATED_NO_DATA_COLOR;
+}
+
+// Leaflet style for a feature of a graduated layer
+function getGraduatedFeatureStyle(classification, feature, baseStyle = {}) {
+    return {
+        color: classification.strokeColor || baseStyle.color || '#ffffff',
+        weight: classification.strokeWidth !== undefined ? classification.strokeWidth : (baseStyle.weight || 2),
+        opacity: baseStyle.opacity || 1,
+        fillColor: getGraduatedColor(classification, (feature.properties || {})[classification.field]),
+        fillOpacity: baseStyle.fillOpacity || 1.0
+    };
+}
+
+// Format a break value for labels
+function formatBreakValue(value) {
+    return Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+// Legend rows: one per class with its range
+function getGraduatedLegendItems(classification) {
+    const items = [];
+    for (let i = 0; i < classification.breaks.length - 1; i++) {
+        items.push({
+            min: classification.breaks[i],
+            max: classification.breaks[i + 1],
+            color: classification.colors[i] || GRADUATED_NO_DATA_COLOR,
+            label: `${formatBreakValue(classification.breaks[i])} – ${formatBreakValue(classification.breaks[i + 1])}`
+        });
+    }
+    return items;
+}
+
+// Per-value color map for renderers that only understand categorical styles
+function getGraduatedColorMap(classification, features) {
+    const colorMap = {};
+    (features || []).forEach(feature => {
+        const value = (feature.properties || {})[classification.field];
+        if (value !== null && value !== undefined && !(value in colorMap)) {
+            colorMap[value] = getGraduatedColor(classification, value);
+        }
+    });
+    return colorMap;
+}
+
+// Layer classification from a saved user_styles/shared_styles record
+function createGraduatedClassification(styleData) {
+    if (!styleData || styleData.symbology_type !== 'graduated' ||
+        !Array.isArray(styleData.breaks) || !Array.isArray(styleData.colors) || !styleData.classification_field) {
+        return null;
+    }
+
+    return {
+        type: 'graduated',
+        field: styleData.classification_field,
+        method: styleData.classification_method || 'manual',
+        ramp: styleData.color_ramp || 'teal',
+        reversed: Boolean(styleData.ramp_reversed),
+        breaks: styleData.breaks.map(Number),
+        colors: styleData.colors.slice(),
+        strokeColor: styleData.stroke_color || '#ffffff',
+        strokeWidth: styleData.stroke_weight !== undefined ? parseFloat(styleData.stroke_weight) : 2
+    };
+}
+
+// Saved style record for a layer classification
+function createGraduatedStyleData(classification) {
+    return {
+        symbology_type: 'graduated',
+        stroke_color: classification.strokeColor,
+        stroke_weight: parseFloat(classification.strokeWidth),
+        fill_opacity: 1.0,
+        stroke_opacity: 1.0,
+        classification_field: classification.field,
+        classification_method: classification.method,
+        color_ramp: classification.ramp,
+        ramp_reversed: Boolean(classification.reversed),
+        breaks: classification.breaks.slice(),
+        colors: classification.colors.slice()
+    };
+}
+
+// === HISTOGRAM ===
+
+// Render an SVG histogram of the values, bars colored by class and break lines on top
+function renderGraduatedHistogram(container, values, classification) {
+    if (!container) return;
+    if (values.length === 0 || !isGraduatedClassification(classification)) {
+        container.innerHTML = '<div class="text-xs text-gray-400">No numeric values to preview</div>';
+        return;
+    }
+
+    const width = 240;
+    const height = 80;
+    const min = values.reduce((a, b) => Math.min(a, b));
+    const max = values.reduce((a, b) => Math.max(a, b));
+    const span = max - min || 1;
+
+    const bins = new Array(GRADUATED_HISTOGRAM_BINS).fill(0);
+    values.forEach(value => {
+        const index = Math.min(Math.floor((value - min) / span * GRADUATED_HISTOGRAM_BINS), GRADUATED_HISTOGRAM_BINS - 1);
+        bins[index]++;
+    });
+    const tallest = Math.max(...bins);
+    const binWidth = width / GRADUATED_HISTOGRAM_BINS;
+
+    const bars = bins.map((count, index) => {
+        const barHeight = tallest ? (count / tallest) * (height - 4) : 0;
+        const midpoint = min + (index + 0.5) * span / GRADUATED_HISTOGRAM_BINS;
+        return `<rect x="${(index * binWidth + 0.5).toFixed(1)}" y="${(height - barHeight).toFixed(1)}" width="${(binWidth - 1).toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${getGraduatedColor(classification, midpoint)}"><title>${count} feature${count === 1 ? '' : 's'}</title></rect>`;
+    }).join('');
+
+    const breakLines = classification.breaks.slice(1, -1).map(value => {
+        const x = ((value - min) / span * width).toFixed(1);
+        return `<line x1="${x}" y1="0" x2="${x}" y2="${height}" stroke="#ffffff" stroke-width="1" stroke-dasharray="3 2"><title>${formatBreakValue(value)}</title></line>`;
+    }).join('');
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" class="graduated-histogram-chart">${bars}${breakLines}</svg>
+        <div class="graduated-histogram-axis">
+            <span>${formatBreakValue(min)}</span>
+            <span>${values.length} values</span>
+            <span>${formatBreakValue(max)}</span>
+        </div>
+    `;
+}
+
+// Export functions for use in other modules
+window.GRADUATED_METHODS = GRADUATED_METHODS;
+window.GRADUATED_COLOR_RAMPS = GRADUATED_COLOR_RAMPS;
+window.parseNumericValue = parseNumericValue;
+window.getNumericFieldValues = getNumericFieldValues;
+window.getNumericFields = getNumericFields;
+window.calculateClassBreaks = calculateClassBreaks;
+window.getRampColors = getRampColors;
+window.getRampGradient = getRampGradient;
+window.isGraduatedClassification = isGraduatedClassification;
+window.getGraduatedClassIndex = getGraduatedClassIndex;
+window.getGraduatedColor = getGraduatedColor;
+window.getGraduatedFeatureStyle = getGraduatedFeatureStyle;
+window.formatBreakValue = formatBreakValue;
+window.getGraduatedLegendItems = getGraduatedLegendItems;
+window.getGraduatedColorMap = getGraduatedColorMap;
+window.createGraduatedClassification = createGraduatedClassification;
+window.createGraduatedStyleData = createGraduatedStyleData;
+window.renderGraduatedHistogram = renderGraduatedHistogram;
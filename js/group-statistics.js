@@ -0,0 +1,316 @@
+/**
+ * Group Statistics Module for Aéra Link WebGIS
+ * Breakdown of the selected features by a categorical field
+ *
+ * Features:
+ * - Count, total area and field sum per group (e.g. selected lots per STATUS or BLOCK)
+ * - Bar or pie chart of the breakdown in the floating statistics panel
+ * - Copy the table (tab separated, pastes into spreadsheets) or export it as CSV
+ */
+
+const GROUP_STATISTICS_EMPTY_LABEL = '(empty)';
+
+// Groups beyond this are merged into "Other" in the chart; the table lists every group
+const GROUP_STATISTICS_MAX_CHART_GROUPS = 8;
+
+// Breakdown currently shown, kept for copy and export
+let groupStatisticsResult = null;
+
+// Wire up the group-by controls in the statistics panel
+function initializeGroupStatistics() {
+    const groupFieldSelect = document.getElementById('statisticsGroupField');
+    if (!groupFieldSelect) {
+        console.error('Group statistics controls not found');
+        return;
+    }
+
+    ['statisticsGroupField', 'statisticsGroupMetric', 'statisticsGroupChart'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => calculateAndUpdateStatistics());
+    });
+}
+
+// Offer the same fields as the statistics field dropdown
+function populateGroupFieldDropdown() {
+    const fieldSelect = document.getElementById('statisticsFieldSelect');
+    const groupFieldSelect = document.getElementById('statisticsGroupField');
+    if (!fieldSelect || !groupFieldSelect) return;
+
+    const currentValue = groupFieldSelect.value;
+    groupFieldSelect.innerHTML = '<option value="">No grouping</option>';
+    Array.from(fieldSelect.options).forEach(option => {
+        if (option.value) {
+            groupFieldSelect.add(new Option(option.value, option.value));
+        }
+    });
+    groupFieldSelect.value = Array.from(groupFieldSelect.options).some(option => option.value === currentValue) ? currentValue : '';
+}
+
+// === CALCULATION ===
+
+// Area of a feature in square meters (0 for points and lines)
+function getGroupFeatureArea(feature) {
+    const type = feature.geometry && feature.geometry.type;
+    if (type !== 'Polygon' && type !== 'MultiPolygon') return 0;
+    try {
+        return turf.area(feature);
+    } catch (error) {
+        console.warn('Could not measure feature area:', error);
+        return 0;
+    }
+}
+
+// Count, area and optional field sum per value of the group field, largest groups first
+function calculateGroupStatistics(features, groupField, sumField) {
+    const groups = new Map();
+    let hasArea = false;
+
+    features.forEach(feature => {
+        const properties = feature.properties || {};
+        const rawValue = properties[groupField];
+        const group = rawValue === null || rawValue === undefined || rawValue === '' ? GROUP_STATISTICS_EMPTY_LABEL : String(rawValue);
+
+        if (!groups.has(group)) {
+            groups.set(group, { group, count: 0, area: 0, sum: 0 });
+        }
+        const row = groups.get(group);
+        row.count++;
+
+        const area = getGroupFeatureArea(feature);
+        if (area > 0) {
+            hasArea = true;
+            row.area += area;
+        }
+
+        if (sumField) {
+            const value = typeof properties[sumField] === 'number' ? properties[sumField] : parseFloat(properties[sumField]);
+            if (!isNaN(value)) row.sum += value;
+        }
+    });
+
+    const rows = Array.from(groups.values()).sort((a, b) => b.count - a.count || a.group.localeCompare(b.group));
+    return { groupField, sumField: sumField || null, hasArea, rows, featureCount: features.length };
+}
+
+// Rows to chart: the largest groups by the metric plus one "Other" row for the rest
+function getGroupChartRows(rows, metric) {
+    const sorted = [...rows].sort((a, b) => b[metric] - a[metric]);
+    if (sorted.length <= GROUP_STATISTICS_MAX_CHART_GROUPS) return sorted;
+
+    const shown = sorted.slice(0, GROUP_STATISTICS_MAX_CHART_GROUPS - 1);
+    const other = sorted.slice(GROUP_STATISTICS_MAX_CHART_GROUPS - 1).reduce((total, row) => {
+        total[metric] += row[metric];
+        return total;
+    }, { group: `Other (${sorted.length - shown.length} groups)`, count: 0, area: 0, sum: 0 });
+    return [...shown, other];
+}
+
+// === DISPLAY ===
+
+// Recalculate the breakdown card for the current selection; returns whether a card is shown
+function updateGroupStatistics() {
+    const floatingContainer = document.getElementById('floatingStatisticsContainer');
+    const groupFieldSelect = document.getElementById('statisticsGroupField');
+    const existingCard = floatingContainer ? floatingContainer.querySelector('.floating-statistics-group-card') : null;
+    const groupField = groupFieldSelect ? groupFieldSelect.value : '';
+
+    if (!groupField) {
+        groupStatisticsResult = null;
+        if (existingCard) existingCard.remove();
+        return false;
+    }
+
+    // The statistics field is summed per group when it holds numbers
+    const fieldSelect = document.getElementById('statisticsFieldSelect');
+    const fieldOption = fieldSelect.options[fieldSelect.selectedIndex];
+    const sumField = fieldSelect.value && fieldSelect.value !== groupField && fieldOption.dataset.isText === 'false' ?
+        fieldSelect.value : null;
+
+    groupStatisticsResult = calculateGroupStatistics(getSelectedFeatures(), groupField, sumField);
+
+    // Fall back to the count when the chosen metric is not available
+    const metricSelect = document.getElementById('statisticsGroupMetric');
+    metricSelect.querySelector('option[value="area"]').disabled = !groupStatisticsResult.hasArea;
+    metricSelect.querySelector('option[value="sum"]').disabled = !sumField;
+    metricSelect.querySelector('option[value="sum"]').textContent = sumField ? `Sum of ${sumField}` : 'Sum (choose a numeric field)';
+    if (metricSelect.selectedOptions[0].disabled) {
+        metricSelect.value = 'count';
+    }
+
+    const card = existingCard || document.createElement('div');
+    if (!existingCard) {
+        card.className = 'floating-statistics-group-card';
+        floatingContainer.prepend(card);
+    }
+    renderGroupStatisticsCard(card, groupStatisticsResult, metricSelect.value, document.getElementById('statisticsGroupChart').value);
+    return true;
+}
+
+// Fill the breakdown card with the chart, table and copy/export buttons
+function renderGroupStatisticsCard(card, result, metric, chartType) {
+    if (result.featureCount === 0) {
+        card.innerHTML = `
+            <div class="floating-statistics-header">
+                <div class="floating-statistics-operation">breakdown</div>
+                <div class="floating-statistics-field">by "${escapeGroupText(result.groupField)}"</div>
+            </div>
+            <div class="floating-statistics-no-features">No features selected</div>
+            <div class="floating-statistics-help-text">Select features on the map to calculate statistics</div>
+        `;
+        return;
+    }
+
+    const headerCells = [result.groupField, 'Count'];
+    if (result.hasArea) headerCells.push('Area (ha)');
+    if (result.sumField) headerCells.push(`Sum of ${result.sumField}`);
+
+    const bodyRows = result.rows.map(row => {
+        const cells = [escapeGroupText(row.group), row.count.toLocaleString()];
+        if (result.hasArea) cells.push(formatGroupValue(row.area / 10000));
+        if (result.sumField) cells.push(formatGroupValue(row.sum));
+        return `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+    }).join('');
+
+    card.innerHTML = `
+        <div class="floating-statistics-header">
+            <div class="floating-statistics-operation">breakdown</div>
+            <div class="floating-statistics-field">by "${escapeGroupText(result.groupField)}" (${result.featureCount} features)</div>
+        </div>
+        <div class="group-statistics-chart">${renderGroupStatisticsChart(result.rows, metric, chartType)}</div>
+        <div class="group-statistics-table-wrapper">
+            <table class="group-statistics-table">
+                <thead><tr>${headerCells.map(cell => `<th>${escapeGroupText(cell)}</th>`).join('')}</tr></thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        </div>
+        <div class="group-statistics-actions">
+            <button class="group-statistics-copy" title="Copy table"><i class="fas fa-copy mr-1"></i>Copy</button>
+            <button class="group-statistics-csv" title="Export table as CSV"><i class="fas fa-file-csv mr-1"></i>CSV</button>
+        </div>
+    `;
+
+    card.querySelector('.group-statistics-copy').addEventListener('click', copyGroupStatistics);
+    card.querySelector('.group-statistics-csv').addEventListener('click', exportGroupStatisticsCSV);
+}
+
+// Bar or pie chart of one metric per group
+function renderGroupStatisticsChart(rows, metric, chartType) {
+    const chartRows = getGroupChartRows(rows, metric);
+    const total = chartRows.reduce((sum, row) => sum + row[metric], 0);
+    if (total <= 0) {
+        return '<div class="text-xs text-gray-400">Nothing to chart</div>';
+    }
+
+    const colors = generateColorPalette(chartRows.length);
+    const valueText = row => metric === 'area' ? `${formatGroupValue(row.area / 10000)} ha` : formatGroupValue(row[metric]);
+
+    if (chartType === 'pie') {
+        let angle = -Math.PI / 2;
+        const slices = chartRows.map((row, index) => {
+            const sweep = row[metric] / total * Math.PI * 2;
+            const title = `<title>${escapeGroupText(row.group)}: ${valueText(row)}</title>`;
+            // A single group is a full circle, which an arc path cannot draw
+            if (sweep >= Math.PI * 2 - 1e-9) {
+                return `<circle cx="50" cy="50" r="48" fill="${colors[index]}">${title}</circle>`;
+            }
+            const start = [50 + 48 * Math.cos(angle), 50 + 48 * Math.sin(angle)];
+            angle += sweep;
+            const end = [50 + 48 * Math.cos(angle), 50 + 48 * Math.sin(angle)];
+            const largeArc = sweep > Math.PI ? 1 : 0;
+            return `<path d="M50,50 L${start[0].toFixed(2)},${start[1].toFixed(2)} A48,48 0 ${largeArc} 1 ${end[0].toFixed(2)},${end[1].toFixed(2)} Z" fill="${colors[index]}">${title}</path>`;
+        }).join('');
+
+        const legend = chartRows.map((row, index) => `
+            <div class="group-statistics-legend-row">
+                <span class="group-statistics-swatch" style="background: ${colors[index]}"></span>
+                <span class="group-statistics-label">${escapeGroupText(row.group)}</span>
+                <span>${(row[metric] / total * 100).toFixed(1)}%</span>
+            </div>
+        `).join('');
+
+        return `<svg viewBox="0 0 100 100" class="group-statistics-pie">${slices}</svg><div>${legend}</div>`;
+    }
+
+    const largest = Math.max(...chartRows.map(row => row[metric]));
+    return chartRows.map((row, index) => `
+        <div class="group-statistics-bar-row" title="${escapeGroupText(row.group)}: ${valueText(row)}">
+            <span class="group-statistics-label">${escapeGroupText(row.group)}</span>
+            <span class="group-statistics-bar-track">
+                <span class="group-statistics-bar" style="width: ${(row[metric] / largest * 100).toFixed(1)}%; background: ${colors[index]}"></span>
+            </span>
+            <span class="group-statistics-value">${valueText(row)}</span>
+        </div>
+    `).join('');
+}
+
+// Escape a group value or field name for HTML content and attributes
+function escapeGroupText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Number shown in the breakdown, at most two decimals
+function formatGroupValue(value) {
+    return Number(value.toFixed(2)).toLocaleString();
+}
+
+// === COPY AND EXPORT ===
+
+// Breakdown as rows of plain values, header first
+function getGroupStatisticsTable(result) {
+    const header = [result.groupField, 'Count'];
+    if (result.hasArea) header.push('Area (sq m)', 'Area (ha)');
+    if (result.sumField) header.push(`Sum of ${result.sumField}`);
+
+    const rows = result.rows.map(row => {
+        const values = [row.group, row.count];
+        if (result.hasArea) values.push(Number(row.area.toFixed(2)), Number((row.area / 10000).toFixed(4)));
+        if (result.sumField) values.push(row.sum);
+        return values;
+    });
+    return [header, ...rows];
+}
+
+// Copy the breakdown as tab separated text
+async function copyGroupStatistics() {
+    if (!groupStatisticsResult) return;
+
+    const text = getGroupStatisticsTable(groupStatisticsResult)
+        .map(row => row.map(value => String(value).replace(/[\t\r\n]+/g, ' ')).join('\t'))
+        .join('\n');
+    try {
+        await navigator.clipboard.writeText(text);
+        showNotification('Breakdown copied to clipboard', 'success');
+    } catch (error) {
+        console.error('Error copying breakdown:', error);
+        showError('Could not copy the breakdown to the clipboard.', 'Copy Failed');
+    }
+}
+
+// Download the breakdown as a CSV file named after the layer and group field
+function exportGroupStatisticsCSV() {
+    if (!groupStatisticsResult) return;
+    // CSV helpers live in layer-export.js, which loads after this file
+    if (typeof window.escapeCSV !== 'function' || typeof window.getExportFileName !== 'function' || typeof window.downloadBlob !== 'function') {
+        showError('CSV export is not available. Please reload the page and try again.', 'Export Failed');
+        return;
+    }
+
+    const csvRows = getGroupStatisticsTable(groupStatisticsResult).map(row => row.map(window.escapeCSV).join(','));
+    // Byte order mark so spreadsheet apps detect UTF-8
+    const csv = '\uFEFF' + csvRows.join('\r\n') + '\r\n';
+
+    const layerInfo = window.layers.get(getActiveSelectionLayerId());
+    const fileName = `${window.getExportFileName(layerInfo ? layerInfo.name : 'selection')}_by_${window.getExportFileName(groupStatisticsResult.groupField)}.csv`;
+    window.downloadBlob(new Blob([csv], { type: 'text/csv;charset=utf-8' }), fileName);
+    console.log(`📊 Breakdown exported to ${fileName}`);
+}
+
+// Export functions for use in other modules
+window.initializeGroupStatistics = initializeGroupStatistics;
+window.populateGroupFieldDropdown = populateGroupFieldDropdown;
+window.calculateGroupStatistics = calculateGroupStatistics;
+window.updateGroupStatistics = updateGroupStatistics;
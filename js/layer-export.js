@@ -0,0 +1,466 @@
+/**
+ * Layer Export Module for Aéra Link WebGIS
+ * Downloads vector layers from the layer manager in common GIS formats
+ *
+ * Features:
+ * - GeoJSON, KML (with symbology colors), CSV (WKT or X/Y columns) and zipped Shapefile
+ * - Option to export only the features currently visible on the map
+ *   (respects the active attribute filter and hidden legend categories)
+ */
+
+const EXPORT_FORMATS = {
+    geojson: { label: 'GeoJSON (.geojson)', extension: 'geojson' },
+    kml: { label: 'KML (.kml)', extension: 'kml' },
+    'csv-wkt': { label: 'CSV with WKT geometry (.csv)', extension: 'csv' },
+    'csv-xy': { label: 'CSV with X/Y columns (.csv)', extension: 'csv' },
+    shapefile: { label: 'Shapefile (.zip)', extension: 'zip' }
+};
+
+// Open the export dialog for a layer
+function openLayerExportDialog(layerId) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        console.error('Layer not found:', layerId);
+        return;
+    }
+
+    if (layerInfo.sourceType === 'wms' || !layerInfo.data || !layerInfo.data.features) {
+        showNotification(`Export is not available for ${layerInfo.sourceType === 'wms' ? 'WMS' : 'this'} layer type.`, 'info');
+        return;
+    }
+
+    const totalCount = getExportFeatures(layerInfo, false).length;
+    const visibleCount = getExportFeatures(layerInfo, true).length;
+    const isFiltered = visibleCount !== totalCount;
+
+    const exportPanel = document.createElement('div');
+    exportPanel.id = 'layerExportDialog';
+    exportPanel.className = 'symbology-editor-draggable';
+    exportPanel.style.top = '100px';
+    exportPanel.style.right = '20px';
+
+    exportPanel.innerHTML = `
+        <div class="symbology-editor-header">
+            <div class="flex items-center justify-between">
+                <h3 class="text-lg font-semibold text-white flex items-center">
+                    <i class="fas fa-file-export mr-2 text-teal-400"></i>
+                    Export Layer
+                </h3>
+                <button id="closeLayerExport" class="text-gray-400 hover:text-white transition-colors">
+                    <i class="fas fa-times text-lg"></i>
+                </button>
+            </div>
+            <div class="text-sm text-gray-300 mt-1">Layer: ${layerInfo.name}</div>
+        </div>
+
+        <div class="symbology-editor-content">
+            <div class="mb-4">
+                <label class="block text-sm font-medium text-gray-300 mb-2">Format</label>
+                <select id="exportFormat" class="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-teal-500 focus:border-transparent">
+                    ${Object.entries(EXPORT_FORMATS).map(([value, format]) => `<option value="${value}">${format.label}</option>`).join('')}
+                </select>
+            </div>
+
+            <div class="mb-4">
+                <label class="flex items-center space-x-2 cursor-pointer">
+                    <input type="checkbox" id="exportVisibleOnly" class="rounded" ${isFiltered ? 'checked' : ''}>
+                    <span class="text-sm text-gray-300">Only features visible on the map</span>
+                </label>
+                <div id="exportFeatureCount" class="text-xs text-gray-400 mt-2"></div>
+            </div>
+
+            <div class="text-xs text-gray-400 mb-4">
+                Coordinates are exported in WGS84 (EPSG:4326).
+            </div>
+
+            <div class="flex space-x-2 mt-4">
+                <button id="confirmLayerExport" class="flex-1 bg-teal-600 hover:bg-teal-700 text-white px-4 py-2 rounded-lg transition-colors">
+                    <i class="fas fa-download mr-2"></i>Export
+                </button>
+                <button id="cancelLayerExport" class="flex-1 bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors">
+                    Cancel
+                </button>
+            </div>
+        </div>
+    `;
+
+    // Remove any existing export dialog
+    const existingDialog = document.getElementById('layerExportDialog');
+    if (existingDialog) {
+        existingDialog.remove();
+    }
+
+    document.body.appendChild(exportPanel);
+    makeDraggable(exportPanel);
+    setupOutsideClickClose(exportPanel);
+
+    const visibleOnlyCheckbox = exportPanel.querySelector('#exportVisibleOnly');
+    const featureCount = exportPanel.querySelector('#exportFeatureCount');
+    const updateFeatureCount = () => {
+        const count = visibleOnlyCheckbox.checked ? visibleCount : totalCount;
+        featureCount.textContent = `${count} of ${totalCount} features will be exported`;
+    };
+    visibleOnlyCheckbox.addEventListener('change', updateFeatureCount);
+    updateFeatureCount();
+
+    const closeDialog = () => exportPanel.remove();
+    exportPanel.querySelector('#closeLayerExport').addEventListener('click', closeDialog);
+    exportPanel.querySelector('#cancelLayerExport').addEventListener('click', closeDialog);
+
+    const confirmBtn = exportPanel.querySelector('#confirmLayerExport');
+    confirmBtn.addEventListener('click', async () => {
+        const format = exportPanel.querySelector('#exportFormat').value;
+        const originalText = confirmBtn.innerHTML;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Exporting...';
+        confirmBtn.disabled = true;
+
+        try {
+            await exportLayer(layerId, format, { visibleOnly: visibleOnlyCheckbox.checked });
+            closeDialog();
+        } catch (error) {
+            console.error('Error exporting layer:', error);
+            confirmBtn.innerHTML = originalText;
+            confirmBtn.disabled = false;
+            showError(`Export failed: ${error.message}`, 'Export Error');
+        }
+    });
+}
+
+// Export a layer to a file download
+// options.visibleOnly limits the export to features currently drawn on the map
+async function exportLayer(layerId, format, options = {}) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        throw new Error('Layer not found');
+    }
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const features = getExportFeatures(layerInfo, options.visibleOnly);
+    if (features.length === 0) {
+        throw new Error('There are no features to export');
+    }
+
+    const featureCollection = { type: 'FeatureCollection', features: features };
+    const baseName = getExportFileName(layerInfo.name);
+    let blob;
+
+    switch (format) {
+        case 'geojson':
+            blob = new Blob([JSON.stringify(featureCollection)], { type: 'application/geo+json' });
+            break;
+        case 'kml':
+            blob = new Blob([buildKML(layerInfo, featureCollection)], { type: 'application/vnd.google-earth.kml+xml' });
+            break;
+        case 'csv-wkt':
+            blob = new Blob([buildCSV(featureCollection, 'wkt')], { type: 'text/csv;charset=utf-8' });
+            break;
+        case 'csv-xy':
+            blob = new Blob([buildCSV(featureCollection, 'xy')], { type: 'text/csv;charset=utf-8' });
+            break;
+        case 'shapefile': {
+            await ensureJSZip();
+            const zip = new JSZip();
+            writeShapefileZip(zip, baseName, featureCollection);
+            blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            break;
+        }
+    }
+
+    const filename = `${baseName}.${EXPORT_FORMATS[format].extension}`;
+    downloadBlob(blob, filename);
+
+    console.log(`💾 Exported ${features.length} features from "${layerInfo.name}" as ${format}`);
+    showNotification(`Exported ${features.length} features to ${filename}`, 'success');
+}
+
+// Features to export: everything, or only what the active filter and legend toggles leave visible
+function getExportFeatures(layerInfo, visibleOnly) {
+    if (!visibleOnly) {
+        return (layerInfo.originalData || layerInfo.data).features;
+    }
+
+    // layerInfo.data holds the filtered features while a filter is applied
+    const features = layerInfo.data.features;
+    if (isRuleClassification(layerInfo.classification)) {
+        return features.filter(feature =>
+            isRuleFeatureVisible(layerInfo.classification, feature, layerInfo.hiddenCategories)
+        );
+    }
+
+    const classificationField = layerInfo.classification && layerInfo.classification.field;
+    if (!classificationField || !layerInfo.hiddenCategories || layerInfo.hiddenCategories.size === 0) {
+        return features;
+    }
+
+    return features.filter(feature =>
+        !layerInfo.hiddenCategories.has((feature.properties || {})[classificationField])
+    );
+}
+
+// File-system friendly base name for a layer
+function getExportFileName(layerName) {
+    return String(layerName || 'layer')
+        .replace(/\.(geojson|json|kml|kmz|csv|zip|shp)$/i, '')
+        .replace(/[^\w\-]+/g, '_')
+        .replace(/^_+|_+$/g, '') || 'layer';
+}
+
+// Trigger a browser download for a blob
+function downloadBlob(blob, filename) {
+    if (typeof saveAs === 'function') {
+        saveAs(blob, filename);
+        return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// === KML ===
+
+// Resolve the Leaflet style a feature is drawn with (mirrors reapplyLayerStyling)
+function getFeatureExportStyle(layerInfo, feature) {
+    const baseStyle = layerInfo.style || {};
+    const classification = layerInfo.classification;
+
+    if (isGraduatedClassification(classification)) {
+        return getGraduatedFeatureStyle(classification, feature, baseStyle);
+    }
+
+    if (isRuleClassification(classification)) {
+        return getRuleFeatureStyle(classification, feature, layerInfo.hiddenCategories);
+    }
+
+    if (classification && classification.field && classification.colorMap) {
+        const fieldValue = (feature.properties || {})[classification.field];
+        return {
+            color: classification.strokeColor || baseStyle.color || '#ffffff',
+            fillColor: classification.colorMap[fieldValue] || baseStyle.fillColor || '#888888',
+            weight: classification.strokeWidth || baseStyle.weight || 2,
+            opacity: baseStyle.opacity || 1,
+            fillOpacity: baseStyle.fillOpacity || 1.0
+        };
+    }
+
+    return {
+        color: baseStyle.color || '#3388ff',
+        fillColor: baseStyle.fillColor || baseStyle.color || '#3388ff',
+        weight: baseStyle.weight || 2,
+        opacity: baseStyle.opacity !== undefined ? baseStyle.opacity : 1,
+        fillOpacity: baseStyle.fillOpacity !== undefined ? baseStyle.fillOpacity : 0.2
+    };
+}
+
+// Convert #RRGGBB plus opacity to KML's aabbggrr
+function toKMLColor(hex, opacity) {
+    let value = String(hex || '#ffffff').replace('#', '');
+    if (value.length === 3) {
+        value = value.split('').map(char => char + char).join('');
+    }
+    if (!/^[0-9a-f]{6}$/i.test(value)) {
+        value = 'ffffff';
+    }
+
+    const alpha = Math.round(Math.max(0, Math.min(1, opacity)) * 255).toString(16).padStart(2, '0');
+    return `${alpha}${value.slice(4, 6)}${value.slice(2, 4)}${value.slice(0, 2)}`.toLowerCase();
+}
+
+// Escape text for XML content and attributes
+function escapeXML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Build a KML document with one shared style per distinct symbol
+function buildKML(layerInfo, featureCollection) {
+    const styles = new Map();
+    const placemarks = [];
+
+    featureCollection.features.forEach((feature, index) => {
+        if (!feature.geometry) return;
+
+        const style = getFeatureExportStyle(layerInfo, feature);
+        const styleKey = `${style.color}|${style.fillColor}|${style.weight}|${style.opacity}|${style.fillOpacity}`;
+        if (!styles.has(styleKey)) {
+            styles.set(styleKey, { id: `style${styles.size + 1}`, style: style });
+        }
+
+        const properties = feature.properties || {};
+        const nameField = Object.keys(properties).find(key => /^name$/i.test(key));
+        const name = nameField ? properties[nameField] : `Feature ${index + 1}`;
+        const data = Object.entries(properties)
+            .map(([key, value]) => `<Data name="${escapeXML(key)}"><value>${escapeXML(formatCSVValue(value))}</value></Data>`)
+            .join('');
+
+        placemarks.push(
+            `    <Placemark>\n` +
+            `      <name>${escapeXML(name)}</name>\n` +
+            `      <styleUrl>#${styles.get(styleKey).id}</styleUrl>\n` +
+            `      <ExtendedData>${data}</ExtendedData>\n` +
+            `      ${geometryToKML(feature.geometry)}\n` +
+            `    </Placemark>`
+        );
+    });
+
+    const styleElements = Array.from(styles.values()).map(({ id, style }) =>
+        `    <Style id="${id}">\n` +
+        `      <LineStyle><color>${toKMLColor(style.color, style.opacity)}</color><width>${style.weight}</width></LineStyle>\n` +
+        `      <PolyStyle><color>${toKMLColor(style.fillColor, style.fillOpacity)}</color></PolyStyle>\n` +
+        `      <IconStyle><color>${toKMLColor(style.fillColor, 1)}</color></IconStyle>\n` +
+        `    </Style>`
+    );
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+        '  <Document>\n' +
+        `    <name>${escapeXML(layerInfo.name)}</name>\n` +
+        styleElements.join('\n') + '\n' +
+        placemarks.join('\n') + '\n' +
+        '  </Document>\n' +
+        '</kml>\n';
+}
+
+// Convert a GeoJSON geometry to KML geometry markup
+function geometryToKML(geometry) {
+    const coordinatesText = coords => coords.map(position => `${position[0]},${position[1]}`).join(' ');
+    const polygonKML = rings =>
+        '<Polygon>' +
+        `<outerBoundaryIs><LinearRing><coordinates>${coordinatesText(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+        rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing><coordinates>${coordinatesText(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+        '</Polygon>';
+
+    switch (geometry.type) {
+        case 'Point':
+            return `<Point><coordinates>${coordinatesText([geometry.coordinates])}</coordinates></Point>`;
+        case 'LineString':
+            return `<LineString><coordinates>${coordinatesText(geometry.coordinates)}</coordinates></LineString>`;
+        case 'Polygon':
+            return polygonKML(geometry.coordinates);
+        case 'MultiPoint':
+            return `<MultiGeometry>${geometry.coordinates.map(position => geometryToKML({ type: 'Point', coordinates: position })).join('')}</MultiGeometry>`;
+        case 'MultiLineString':
+            return `<MultiGeometry>${geometry.coordinates.map(line => geometryToKML({ type: 'LineString', coordinates: line })).join('')}</MultiGeometry>`;
+        case 'MultiPolygon':
+            return `<MultiGeometry>${geometry.coordinates.map(polygonKML).join('')}</MultiGeometry>`;
+        case 'GeometryCollection':
+            return `<MultiGeometry>${geometry.geometries.map(geometryToKML).join('')}</MultiGeometry>`;
+        default:
+            return '';
+    }
+}
+
+// === CSV ===
+
+// Build CSV text with geometry as a WKT column or as X/Y columns (point features use the point,
+// other geometries their centroid)
+function buildCSV(featureCollection, geometryMode) {
+    const columns = [];
+    featureCollection.features.forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(key => {
+            if (!columns.includes(key)) columns.push(key);
+        });
+    });
+
+    const geometryColumns = geometryMode === 'wkt' ? ['WKT'] : ['X', 'Y'];
+    const rows = featureCollection.features.map(feature => {
+        const properties = feature.properties || {};
+        const values = columns.map(column => formatCSVValue(properties[column]));
+
+        if (geometryMode === 'wkt') {
+            values.push(feature.geometry ? geometryToWKT(feature.geometry) : '');
+        } else {
+            const position = getFeaturePosition(feature.geometry);
+            values.push(position ? position[0] : '', position ? position[1] : '');
+        }
+        return values;
+    });
+
+    const csvRows = [columns.concat(geometryColumns), ...rows].map(row => row.map(escapeCSV).join(','));
+    // Byte order mark so spreadsheet apps detect UTF-8
+    return '\uFEFF' + csvRows.join('\r\n') + '\r\n';
+}
+
+// Plain text representation of an attribute value
+function formatCSVValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Quote a CSV cell when needed
+function escapeCSV(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Representative X/Y position for a feature
+function getFeaturePosition(geometry) {
+    if (!geometry) return null;
+    if (geometry.type === 'Point') return geometry.coordinates;
+
+    if (typeof turf !== 'undefined') {
+        return turf.centroid(geometry).geometry.coordinates;
+    }
+
+    // Fallback: average of all vertices
+    const positions = [];
+    const collect = coords => typeof coords[0] === 'number' ? positions.push(coords) : coords.forEach(collect);
+    if (geometry.type === 'GeometryCollection') {
+        geometry.geometries.forEach(child => collect(child.coordinates));
+    } else {
+        collect(geometry.coordinates);
+    }
+    if (positions.length === 0) return null;
+
+    return [
+        positions.reduce((sum, position) => sum + position[0], 0) / positions.length,
+        positions.reduce((sum, position) => sum + position[1], 0) / positions.length
+    ];
+}
+
+// Convert a GeoJSON geometry to Well-Known Text
+function geometryToWKT(geometry) {
+    const positionText = position => `${position[0]} ${position[1]}`;
+    const lineText = coords => `(${coords.map(positionText).join(', ')})`;
+    const polygonText = rings => `(${rings.map(lineText).join(', ')})`;
+
+    switch (geometry.type) {
+        case 'Point':
+            return `POINT (${positionText(geometry.coordinates)})`;
+        case 'MultiPoint':
+            return `MULTIPOINT (${geometry.coordinates.map(position => `(${positionText(position)})`).join(', ')})`;
+        case 'LineString':
+            return `LINESTRING ${lineText(geometry.coordinates)}`;
+        case 'MultiLineString':
+            return `MULTILINESTRING (${geometry.coordinates.map(lineText).join(', ')})`;
+        case 'Polygon':
+            return `POLYGON ${polygonText(geometry.coordinates)}`;
+        case 'MultiPolygon':
+            return `MULTIPOLYGON (${geometry.coordinates.map(polygonText).join(', ')})`;
+        case 'GeometryCollection':
+            return `GEOMETRYCOLLECTION (${geometry.geometries.map(geometryToWKT).join(', ')})`;
+        default:
+            return '';
+    }
+}
+
+// Export functions for use in other modules
+window.openLayerExportDialog = openLayerExportDialog;
+window.exportLayer = exportLayer;
+window.geometryToWKT = geometryToWKT;
+window.buildCSV = buildCSV;
+window.downloadBlob = downloadBlob;
+window.getExportFileName = getExportFileName;
+window.escapeCSV = escapeCSV;
+window.escapeXML = escapeXML;
@@ -67,12 +67,30 @@ function addDataToMapWithPreloadedStyle(geoData, fileName, preloadedStyle, isPer
     // Apply style based on symbology type
     let layerStyleFunction;
     
+    // Graduated symbology classes a numeric field by its saved breaks
+    const graduatedClassification = createGraduatedClassification(preloadedStyle);
+    
+    // Rule-based symbology styles features by the first expression rule they match
+    const ruleClassification = createRuleClassification(preloadedStyle);
+    
     // Check for categorical symbology - handle both old and new database formats
-    const isCategorical = preloadedStyle.symbology_type === 'categorical' || 
+    const isCategorical = !graduatedClassification && !ruleClassification && (preloadedStyle.symbology_type === 'categorical' || 
                          (preloadedStyle.categoricalField && preloadedStyle.colorMap) ||
-                         (preloadedStyle.classification_field && preloadedStyle.categories);
+                         (preloadedStyle.classification_field && preloadedStyle.categories));
     
-    if (isCategorical) {
+    if (graduatedClassification) {
+        console.log(`📈 Applying graduated symbology with preloaded breaks for field: ${graduatedClassification.field}`);
+        layerStyleFunction = function(feature) {
+            return getGraduatedFeatureStyle(graduatedClassification, feature);
+        };
+        
+    } else if (ruleClassification) {
+        console.log(`📐 Applying rule-based symbology with ${ruleClassification.rules.length} preloaded rules`);
+        layerStyleFunction = function(feature) {
+            return getRuleFeatureStyle(ruleClassification, feature);
+        };
+        
+    } else if (isCategorical) {
         // Categorical symbology - apply color mapping per feature
         console.log('📊 Applying categorical symbology with preloaded colors');
         
@@ -161,8 +179,12 @@ function addDataToMapWithPreloadedStyle(geoData, fileName, preloadedStyle, isPer
         createdAt: new Date().toISOString()
     };
     
-    // Store classification info if this is categorical symbology
-    if (isCategorical && finalStyle.categoricalField && finalStyle.colorMap) {
+    // Store classification info if this is graduated, rule-based or categorical symbology
+    if (graduatedClassification) {
+        layerInfo.classification = graduatedClassification;
+    } else if (ruleClassification) {
+        layerInfo.classification = ruleClassification;
+    } else if (isCategorical && finalStyle.categoricalField && finalStyle.colorMap) {
         layerInfo.classification = {
             field: finalStyle.categoricalField,
             colorMap: finalStyle.colorMap,
@@ -843,14 +865,15 @@ async function deleteDynamicLayerFromDatabase(layerId, layerName = 'Unknown') {
         }
 
         console.log(`Executing delete query with ${queryDescription}`);
-        const { data, error } = await query;
+        const { data, error } = await query.select();
 
         if (error) {
             console.error(`Error deleting layer "${layerName}" from database:`, error);
             return { success: false, error: `Database error: ${error.message}` };
         } else {
             console.log(`Layer "${layerName}" deleted from database successfully`);
-            return { success: true };
+            // Deleted rows are returned so the delete can be undone
+            return { success: true, deletedRows: data || [] };
         }
     } catch (error) {
         console.error(`Network error deleting layer "${layerName}" from database:`, error);
@@ -902,6 +925,7 @@ function clearOldLayerCaches() {
 }
 
 // Load initial data - permanent layers from Supabase Storage
+// Returns a promise that resolves once permanent and dynamic layers have loaded
 function loadInitialData() {
     // Show initialization loading screen (only once per session, auto-hides after 1 second)
     if (typeof window.showInitializationLoading === 'function') {
@@ -914,27 +938,35 @@ function loadInitialData() {
     sessionStorage.removeItem('layer_1_symbology');
     
     // Load permanent layers from Supabase Storage
+    let permanentLayersLoaded = Promise.resolve();
     if (supabase && currentUser) {
         console.log('🗂️ Loading permanent layers from Supabase Storage...');
-        loadPermanentLayersWithSymbology();
+        permanentLayersLoaded = loadPermanentLayersWithSymbology();
     } else {
         console.warn('⚠️ Supabase not available or user not authenticated - permanent layers will not load');
     }
     
     // Load dynamic layers from database
+    let dynamicLayersLoaded = Promise.resolve();
     if (supabase && currentUser) {
-        setTimeout(() => {
-            loadDynamicLayersFromDatabase();
-            
-            // Populate filter layers after database layers load
+        dynamicLayersLoaded = new Promise(resolve => {
             setTimeout(() => {
-                console.log('Database layers loaded, refreshing filter layers');
-                populateFilterLayers();
-            }, 500);
-        }, 700);
+                loadDynamicLayersFromDatabase().finally(resolve);
+                
+                // Populate filter layers after database layers load
+                setTimeout(() => {
+                    console.log('Database layers loaded, refreshing filter layers');
+                    populateFilterLayers();
+                }, 500);
+            }, 700);
+        });
     } else {
         console.warn('⚠️ Supabase not available or user not authenticated - dynamic layers will not load');
     }
+    
+    return Promise.all([permanentLayersLoaded, dynamicLayersLoaded]).catch(error => {
+        console.error('Error loading initial layers:', error);
+    });
 }
 
 // Load all permanent layers from Supabase Storage with their correct symbology
@@ -1072,12 +1104,19 @@ async function refreshPermanentLayerSymbology() {
                 // Update layer info with the new style
                 layerInfo.style = storedSymbology;
                 
-                // Update classification info if categorical
+                // Update classification info if graduated, rule-based or categorical
+                const graduatedClassification = createGraduatedClassification(storedSymbology);
+                const ruleClassification = createRuleClassification(storedSymbology);
                 const isCategorical = storedSymbology.symbology_type === 'categorical' || 
                                      (storedSymbology.categoricalField && storedSymbology.colorMap) ||
                                      (storedSymbology.classification_field && storedSymbology.categories);
                 
-                if (isCategorical) {
+                if (graduatedClassification) {
+                    layerInfo.classification = graduatedClassification;
+                } else if (ruleClassification) {
+                    layerInfo.classification = ruleClassification;
+                    layerInfo.hiddenCategories = new Set();
+                } else if (isCategorical) {
                     // Handle different database formats for categorical data
                     let fieldName, colorMap;
                     
@@ -1127,12 +1166,24 @@ async function applyStoredSymbologyToLayer(layerId, storedSymbology) {
         return;
     }
     
-    // Check for categorical symbology
+    // Check for graduated, rule-based or categorical symbology
+    const graduatedClassification = createGraduatedClassification(storedSymbology);
+    const ruleClassification = createRuleClassification(storedSymbology);
     const isCategorical = storedSymbology.symbology_type === 'categorical' || 
                          (storedSymbology.categoricalField && storedSymbology.colorMap) ||
                          (storedSymbology.classification_field && storedSymbology.categories);
     
-    if (isCategorical) {
+    if (graduatedClassification) {
+        console.log(`Applying graduated symbology to layer ${layerId}:`, graduatedClassification);
+        layerInfo.layer.setStyle(function(feature) {
+            return getGraduatedFeatureStyle(graduatedClassification, feature);
+        });
+    } else if (ruleClassification) {
+        console.log(`Applying ${ruleClassification.rules.length} symbology rules to layer ${layerId}`);
+        layerInfo.layer.setStyle(function(feature) {
+            return getRuleFeatureStyle(ruleClassification, feature);
+        });
+    } else if (isCategorical) {
         // Handle categorical symbology
         let fieldName, colorMap;
         
@@ -1361,6 +1412,15 @@ function updateLayersList() {
                     <button class="zoom-btn text-gray-400 hover:text-blue-400 text-sm transition-all duration-200 bg-transparent border-0 p-1.5 rounded hover:bg-blue-500 hover:bg-opacity-20" data-layer="${layerId}" title="Zoom to layer">
                         <i class="fas fa-search-plus"></i>
                     </button>
+                    ${!layerInfo.isPermanent && !layerInfo.isUrlBased ? `<button class="edit-geometry-btn text-gray-400 hover:text-yellow-300 text-sm transition-all duration-200 bg-transparent border-0 p-1.5 rounded hover:bg-yellow-500 hover:bg-opacity-20" data-layer="${layerId}" title="Edit geometry">
+                        <i class="fas fa-draw-polygon"></i>
+                    </button>` : ''}
+                    ${layerInfo.sourceType !== 'wms' ? `<button class="table-btn text-gray-400 hover:text-white text-sm transition-all duration-200 bg-transparent border-0 p-1.5 rounded hover:bg-white hover:bg-opacity-10" data-layer="${layerId}" title="Open attribute table">
+                        <i class="fas fa-table"></i>
+                    </button>` : ''}
+                    ${layerInfo.sourceType !== 'wms' ? `<button class="export-btn text-gray-400 hover:text-green-400 text-sm transition-all duration-200 bg-transparent border-0 p-1.5 rounded hover:bg-green-500 hover:bg-opacity-20" data-layer="${layerId}" title="Export layer">
+                        <i class="fas fa-file-export"></i>
+                    </button>` : ''}
                     ${layerInfo.sourceType !== 'wms' ? `<button class="symbology-btn text-neon-teal hover:text-teal-300 text-sm transition-all duration-200 bg-transparent border-0 p-1.5 rounded hover:bg-neon-teal hover:bg-opacity-20" data-layer="${layerId}" title="Edit Symbology">
                         <i class="fas fa-palette"></i>
                     </button>` : ''}
@@ -1460,12 +1520,71 @@ function updateLayersList() {
             }
         });
 
+        // Add edit geometry button event listener
+        const editGeometryBtn = layerDiv.querySelector('.edit-geometry-btn');
+        if (editGeometryBtn) {
+            editGeometryBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                console.log('Edit geometry button clicked for layer:', layerId);
+                try {
+                    startGeometryEditSession(layerId);
+                } catch (error) {
+                    console.error('Error starting edit session:', error);
+                    showError('Error starting edit session. Check console for details.', 'Edit Error');
+                }
+            });
+        }
+
+        // Add attribute table button event listener
+        const tableBtn = layerDiv.querySelector('.table-btn');
+        if (tableBtn) {
+            tableBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                console.log('Attribute table button clicked for layer:', layerId);
+                try {
+                    openAttributeTable(layerId);
+                } catch (error) {
+                    console.error('Error opening attribute table:', error);
+                    showError('Error opening attribute table. Check console for details.', 'Attribute Table Error');
+                }
+            });
+        }
+
+        // Add export button event listener
+        const exportBtn = layerDiv.querySelector('.export-btn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                console.log('Export button clicked for layer:', layerId);
+                try {
+                    openLayerExportDialog(layerId);
+                } catch (error) {
+                    console.error('Error opening export dialog:', error);
+                    showError('Error opening export dialog. Check console for details.', 'Export Error');
+                }
+            });
+        }
+
     });
     
     // Update map layer order after UI update
     updateMapLayerOrder();
     // Update selection layer dropdown
     updateSelectionLayerDropdown();
+    // Keep an open attribute table in sync with layer changes
+    if (typeof window.refreshAttributeTable === 'function') {
+        window.refreshAttributeTable();
+    }
+    // Index new or changed layers for lot search
+    if (typeof window.refreshLotSearchLayers === 'function') {
+        window.refreshLotSearchLayers();
+    }
 }
 
 // Enhanced drag and drop for full vertical reordering
@@ -1604,6 +1723,8 @@ function reorderLayerWithPosition(draggedLayerId, targetLayerId, dropZone) {
         return;
     }
     
+    const previousOrder = [...layerOrder];
+    
     // Remove the dragged layer from its current position
     const draggedLayer = layerOrder.splice(draggedIndex, 1)[0];
     
@@ -1644,6 +1765,26 @@ function reorderLayerWithPosition(draggedLayerId, targetLayerId, dropZone) {
     
     // Visual feedback is already provided by the panel reordering and map layer changes
     // No notification needed as the user can see the result directly
+    
+    if (typeof window.recordCommand === 'function') {
+        const newOrder = [...layerOrder];
+        window.recordCommand({
+            label: `Move layer "${draggedLayerName}"`,
+            undo: async () => applyLayerOrder(previousOrder),
+            redo: async () => applyLayerOrder(newOrder)
+        });
+    }
+}
+
+// Replace the layer order in place (used by undo/redo)
+// Layers added since the order was captured stay on top, removed ones are skipped
+function applyLayerOrder(order) {
+    const addedLayers = layerOrder.filter(id => !order.includes(id));
+    const orderedLayers = order.filter(id => window.layers.has(id));
+    layerOrder.splice(0, layerOrder.length, ...addedLayers, ...orderedLayers);
+    
+    updateLayersList();
+    updateMapLayerOrder(true);
 }
 
 // Enhanced reorder layers with full vertical reordering capability
@@ -2282,8 +2423,10 @@ function initializeRealTimeLegendUpdates() {
 function toggleCategoryVisibility(layerId, categoryValue, categoryElement) {
     const layerInfo = window.layers.get(layerId);
     
-    // Get classification data from multiple sources
-    const classificationData = extractClassificationData(layerInfo);
+    // Get classification data from multiple sources; rule-based layers toggle rule ids
+    const classificationData = layerInfo && isRuleClassification(layerInfo.classification)
+        ? layerInfo.classification
+        : extractClassificationData(layerInfo);
     if (!layerInfo || !classificationData) {
         console.warn(`Layer ${layerId} does not have categorical classification data`);
         return;
@@ -2445,6 +2588,22 @@ function reapplyLayerStyling(layerId) {
             // Get the original style function
             const baseStyle = layerInfo.style || {};
             
+            // Apply graduated styling if available
+            if (isGraduatedClassification(layerInfo.classification)) {
+                return {
+                    ...baseStyle,
+                    ...getGraduatedFeatureStyle(layerInfo.classification, feature, baseStyle)
+                };
+            }
+            
+            // Apply rule-based styling, hiding features of rules toggled off in the legend
+            if (isRuleClassification(layerInfo.classification)) {
+                return {
+                    ...baseStyle,
+                    ...getRuleFeatureStyle(layerInfo.classification, feature, layerInfo.hiddenCategories)
+                };
+            }
+            
             // Apply categorical styling if available
             if (layerInfo.classification && layerInfo.classification.field && layerInfo.classification.colorMap) {
                 const fieldValue = feature.properties[layerInfo.classification.field];
@@ -2477,6 +2636,22 @@ function reapplyLayerStyling(layerId) {
         pointToLayer: (feature, latlng) => {
             const style = layerInfo.style || {};
             
+            // Apply graduated styling if available
+            if (isGraduatedClassification(layerInfo.classification)) {
+                return L.circleMarker(latlng, {
+                    radius: 8,
+                    ...getGraduatedFeatureStyle(layerInfo.classification, feature, style)
+                });
+            }
+            
+            // Apply rule-based styling if available
+            if (isRuleClassification(layerInfo.classification)) {
+                return L.circleMarker(latlng, {
+                    radius: 8,
+                    ...getRuleFeatureStyle(layerInfo.classification, feature, layerInfo.hiddenCategories)
+                });
+            }
+            
             // Apply categorical styling if available
             if (layerInfo.classification && layerInfo.classification.field && layerInfo.classification.colorMap) {
                 const fieldValue = feature.properties[layerInfo.classification.field];
@@ -2624,7 +2799,58 @@ async function updateLayerNameInDatabase(layerId, newName) {
     }
 }
 
+// Save a dynamic layer's current features back to the layers table (after attribute or geometry edits)
+async function updateDynamicLayerDataInDatabase(layerId) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        return false;
+    }
+
+    // Only dynamic layers already stored in the layers table are updated; URL-based layers are never stored
+    const shouldUpdateDatabase = !layerInfo.isPermanent && !layerInfo.isUrlBased &&
+        (layerInfo.isUserGenerated || layerInfo.isFilteredSelection);
+    if (!shouldUpdateDatabase || !layerInfo.databaseId || !window.supabase || !window.currentUser) {
+        return false;
+    }
+
+    // Always store the full feature set, not the filtered view
+    const geoData = layerInfo.originalData || layerInfo.data;
+    const update = {
+        geojson_data: geoData,
+        updated_at: new Date().toISOString()
+    };
+
+    try {
+        const { data, error } = await supabase
+            .from('layers')
+            .update(update)
+            .eq('id', layerInfo.databaseId)
+            .eq('user_id', currentUser.id)
+            .select('id');
+        if (error) {
+            console.error('Error updating layer data in database:', error);
+            return false;
+        }
+
+        // No matching row means nothing was stored, so don't report the edit as saved
+        if (!data || data.length === 0) {
+            console.warn(`⚠️ Layer "${layerInfo.name}" not found in database - edits kept locally only`);
+            return false;
+        }
+
+        console.log(`💾 Layer "${layerInfo.name}" data updated in database`);
+        return true;
+    } catch (error) {
+        console.error('Database error during layer data update:', error);
+        return false;
+    }
+}
+
 window.updateLayerNameInDatabase = updateLayerNameInDatabase;
+window.removeLayerFromWorkspace = removeLayerFromWorkspace;
+window.restoreRemovedLayer = restoreRemovedLayer;
+window.createLayerRemovalHandlers = createLayerRemovalHandlers;
+window.updateDynamicLayerDataInDatabase = updateDynamicLayerDataInDatabase;
 window.updateLegend = enhancedUpdateLegend;
 window.toggleCategoryVisibility = toggleCategoryVisibility;
 window.toggleAllCategories = toggleAllCategories;
@@ -2730,6 +2956,7 @@ async function renameLayer(layerId, currentName) {
             }
 
             // Update layer name in memory
+            const previousName = layerInfo.name;
             layerInfo.name = trimmedName;
             
             // Update database if it's a dynamic layer that should be saved
@@ -2779,6 +3006,14 @@ async function renameLayer(layerId, currentName) {
             
             console.log(`Layer renamed from "${currentName}" to "${trimmedName}"`);
             // Layer renamed
+            
+            if (typeof window.recordCommand === 'function') {
+                window.recordCommand({
+                    label: `Rename layer "${previousName}" to "${trimmedName}"`,
+                    undo: () => applyLayerRename(layerId, previousName),
+                    redo: () => applyLayerRename(layerId, trimmedName)
+                });
+            }
         }
     } catch (error) {
         console.error('Error renaming layer:', error);
@@ -2803,49 +3038,24 @@ async function deleteLayer(layerId, layerName) {
     try {
         // Confirm deletion
         const confirmed = await showConfirm(
-            'Delete Layer', 
-            `Are you sure you want to delete the layer "${layerName}"?\n\nThis action cannot be undone.`
+            `Are you sure you want to delete the layer "${layerName}"?\n\nYou can undo this with Ctrl+Z.`,
+            'Delete Layer'
         );
         
         if (confirmed) {
-            // Remove from map
-            if (layerInfo.layer && window.map.hasLayer(layerInfo.layer)) {
-                window.map.removeLayer(layerInfo.layer);
-            }
-
-            // Remove from database if it's a dynamic layer
-            if (layerInfo.fromDatabase && layerInfo.databaseId) {
-                const { error } = await supabase
-                    .from('layers')
-                    .delete()
-                    .eq('id', layerInfo.databaseId)
-                    .eq('user_id', currentUser.id);
-                
-                if (error) {
-                    console.error('Error deleting layer from database:', error);
-                    showNotification('Layer removed from map but failed to delete from database', 'warning');
-                } else {
-                    console.log('Layer deleted from database');
-                }
-            }
-
-            // Remove from memory
-            window.layers.delete(layerId);
-            
-            // Remove from layer order
-            const orderIndex = window.layerOrder.indexOf(layerId);
-            if (orderIndex > -1) {
-                window.layerOrder.splice(orderIndex, 1);
-            }
-
-            // Update UI
-            updateLayersList();
-            enhancedUpdateLegend();
-            updateSelectionLayerDropdown();
-            populateFilterLayers();
+            const removal = await removeLayerFromWorkspace(layerId);
             
             console.log(`Layer deleted: ${layerName} (${layerId})`);
             // Layer deleted
+            
+            if (removal && typeof window.recordCommand === 'function') {
+                const handlers = createLayerRemovalHandlers(layerId, removal);
+                window.recordCommand({
+                    label: `Delete layer "${layerName}"`,
+                    undo: handlers.restore,
+                    redo: handlers.remove
+                });
+            }
         }
     } catch (error) {
         console.error('Error deleting layer:', error);
@@ -2853,6 +3063,124 @@ async function deleteLayer(layerId, layerName) {
     }
 }
 
+// Rename a layer in memory and in the layers table (used by undo/redo)
+async function applyLayerRename(layerId, name) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        throw new Error('Layer no longer exists');
+    }
+
+    // The database lookup falls back to the current name, so update it before renaming in memory
+    await updateLayerNameInDatabase(layerId, name);
+    layerInfo.name = name;
+
+    updateLayersList();
+    enhancedUpdateLegend();
+    updateSelectionLayerDropdown();
+    populateFilterLayers();
+}
+
+// Remove a layer from the map, the layer order and the layers table
+// Returns what restoreRemovedLayer needs to put it back
+async function removeLayerFromWorkspace(layerId) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) {
+        return null;
+    }
+
+    // Remove from map
+    if (layerInfo.layer && window.map.hasLayer(layerInfo.layer)) {
+        window.map.removeLayer(layerInfo.layer);
+    }
+
+    // Remove from database if it's a dynamic layer
+    let deletedRows = [];
+    if ((layerInfo.fromDatabase || layerInfo.databaseId) && window.supabase && window.currentUser) {
+        const result = await deleteDynamicLayerFromDatabase(layerId, layerInfo.name);
+        if (result.success) {
+            deletedRows = result.deletedRows || [];
+        } else {
+            showNotification('Layer removed from map but failed to delete from database', 'warning');
+        }
+    }
+
+    // Remove from memory
+    window.layers.delete(layerId);
+    
+    // Remove from layer order
+    const orderIndex = window.layerOrder.indexOf(layerId);
+    if (orderIndex > -1) {
+        window.layerOrder.splice(orderIndex, 1);
+    }
+
+    // Update UI
+    updateLayersList();
+    enhancedUpdateLegend();
+    updateSelectionLayerDropdown();
+    populateFilterLayers();
+
+    return { layerInfo, orderIndex, deletedRows };
+}
+
+// Put a removed layer back under its original id, re-inserting its deleted database rows
+async function restoreRemovedLayer(layerId, removal) {
+    const { layerInfo, orderIndex, deletedRows } = removal;
+
+    if (deletedRows.length > 0 && window.supabase && window.currentUser) {
+        // Let the database assign new ids rather than reusing the deleted ones
+        const rows = deletedRows.map(({ id, ...row }) => row);
+        const { data, error } = await supabase
+            .from('layers')
+            .insert(rows)
+            .select('id');
+
+        if (error) {
+            console.error('Error restoring layer in database:', error);
+            showNotification('Layer restored locally but could not be restored in the database', 'warning');
+        } else if (data && data.length > 0) {
+            layerInfo.databaseId = data[0].id;
+            layerInfo.fromDatabase = true;
+            console.log(`Layer "${layerInfo.name}" restored in database`);
+        }
+    }
+
+    window.layers.set(layerId, layerInfo);
+    if (!window.layerOrder.includes(layerId)) {
+        const index = orderIndex > -1 ? Math.min(orderIndex, window.layerOrder.length) : 0;
+        window.layerOrder.splice(index, 0, layerId);
+    }
+
+    if (layerInfo.visible && layerInfo.layer) {
+        layerInfo.layer.addTo(window.map);
+    }
+
+    updateMapLayerOrder();
+    updateLayersList();
+    enhancedUpdateLegend();
+    updateSelectionLayerDropdown();
+    populateFilterLayers();
+}
+
+// Undo/redo handlers that remove a layer and restore it, sharing the latest removal
+function createLayerRemovalHandlers(layerId, removal = null) {
+    let lastRemoval = removal;
+    return {
+        remove: async () => {
+            lastRemoval = await removeLayerFromWorkspace(layerId);
+            if (!lastRemoval) {
+                throw new Error('Layer no longer exists');
+            }
+        },
+        restore: async () => {
+            if (!lastRemoval) {
+                throw new Error('Layer was not removed');
+            }
+            await restoreRemovedLayer(layerId, lastRemoval);
+            lastRemoval = null;
+        }
+    };
+}
+
 // Note: Selection dropdown functionality handled by updateSelectionLayerDropdown function
 
 // Toggle all categories in a layer
@@ -2905,6 +3233,16 @@ function updateLayerCategoryVisibility(layerId) {
 
     const hiddenCategories = layerInfo.hiddenCategories || new Set();
     
+    // Rule-based layers hide the features whose matching rule is toggled off
+    if (isRuleClassification(layerInfo.classification)) {
+        const classification = layerInfo.classification;
+        layerInfo.layer.setStyle(function(feature) {
+            return getRuleFeatureStyle(classification, feature, hiddenCategories);
+        });
+        console.log(`Updated rule visibility for layer ${layerInfo.name}, hidden: ${hiddenCategories.size} rules`);
+        return true;
+    }
+    
     // Update the layer style function to hide/show categories
     layerInfo.layer.setStyle(function(feature) {
         const value = feature.properties[layerInfo.classification.field];
@@ -3061,9 +3399,98 @@ function enhancedUpdateLegend() {
         layerHeader.appendChild(layerNameDiv);
         
         // Check for categorical classification
-        const classificationData = extractClassificationData(layerInfo);
+        const hasClassedSymbology = isGraduatedClassification(layerInfo.classification) || isRuleClassification(layerInfo.classification);
+        const classificationData = hasClassedSymbology ? null : extractClassificationData(layerInfo);
         
-        if (classificationData && classificationData.colorMap && Object.keys(classificationData.colorMap).length > 1) {
+        if (isRuleClassification(layerInfo.classification)) {
+            // Rule-based layer - one toggleable row per rule, in rule order
+            console.log(`Creating rule-based legend for: ${layerInfo.name}`);
+            
+            legendContainer.appendChild(layerHeader);
+            
+            const rulesContainer = document.createElement('div');
+            rulesContainer.className = 'legend-categories space-y-2';
+            
+            getRuleLegendItems(layerInfo.classification).forEach(item => {
+                const ruleItem = document.createElement('div');
+                ruleItem.className = 'legend-item flex items-center space-x-3 p-2 rounded hover:bg-gray-700/30 cursor-pointer transition-colors';
+                ruleItem.dataset.categoryValue = item.id;
+                ruleItem.dataset.layerId = layerInfo.layerId;
+                ruleItem.title = item.expression;
+                
+                const isHidden = layerInfo.hiddenCategories && layerInfo.hiddenCategories.has(item.id);
+                if (isHidden) {
+                    ruleItem.classList.add('legend-item-hidden');
+                }
+                
+                const colorSwatch = document.createElement('div');
+                colorSwatch.className = 'legend-color-toggle w-5 h-5 rounded border-2 cursor-pointer transition-all duration-200 hover:scale-110';
+                colorSwatch.style.backgroundColor = item.fillColor;
+                colorSwatch.style.borderColor = item.strokeColor || '#ffffff';
+                colorSwatch.style.borderWidth = '2px';
+                colorSwatch.style.opacity = isHidden ? '0.3' : '1';
+                colorSwatch.title = `Click to toggle visibility of "${item.label}"`;
+                
+                const ruleLabel = document.createElement('span');
+                ruleLabel.className = 'text-xs text-gray-300 flex-1';
+                ruleLabel.textContent = item.label;
+                
+                const eyeIndicator = document.createElement('i');
+                eyeIndicator.className = `toggle-eye fas ${isHidden ? 'fa-eye-slash text-red-400' : 'fa-eye text-green-400'} text-sm cursor-pointer hover:scale-110 transition-all`;
+                eyeIndicator.title = isHidden ? 'Click to show category' : 'Click to hide category';
+                
+                [eyeIndicator, colorSwatch].forEach(toggle => {
+                    toggle.addEventListener('click', (e) => {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        toggleCategoryVisibility(layerInfo.layerId, item.id, ruleItem);
+                    });
+                });
+                
+                ruleItem.appendChild(colorSwatch);
+                ruleItem.appendChild(ruleLabel);
+                ruleItem.appendChild(eyeIndicator);
+                rulesContainer.appendChild(ruleItem);
+            });
+            
+            legendContainer.appendChild(rulesContainer);
+            
+        } else if (isGraduatedClassification(layerInfo.classification)) {
+            // Graduated layer - show one row per class range
+            console.log(`Creating graduated legend for: ${layerInfo.name}`);
+            
+            legendContainer.appendChild(layerHeader);
+            
+            const fieldLabel = document.createElement('div');
+            fieldLabel.className = 'text-xs text-gray-400 mb-2';
+            fieldLabel.textContent = layerInfo.classification.field;
+            legendContainer.appendChild(fieldLabel);
+            
+            const classesContainer = document.createElement('div');
+            classesContainer.className = 'legend-categories space-y-2';
+            
+            getGraduatedLegendItems(layerInfo.classification).forEach(item => {
+                const classItem = document.createElement('div');
+                classItem.className = 'legend-item flex items-center space-x-3 p-2';
+                
+                const colorSwatch = document.createElement('div');
+                colorSwatch.className = 'legend-color w-5 h-5 rounded border-2';
+                colorSwatch.style.backgroundColor = item.color;
+                colorSwatch.style.borderColor = layerInfo.classification.strokeColor || '#ffffff';
+                colorSwatch.style.borderWidth = '2px';
+                
+                const rangeLabel = document.createElement('span');
+                rangeLabel.className = 'text-xs text-gray-300 flex-1';
+                rangeLabel.textContent = item.label;
+                
+                classItem.appendChild(colorSwatch);
+                classItem.appendChild(rangeLabel);
+                classesContainer.appendChild(classItem);
+            });
+            
+            legendContainer.appendChild(classesContainer);
+            
+        } else if (classificationData && classificationData.colorMap && Object.keys(classificationData.colorMap).length > 1) {
             // Categorical layer - show categories with toggles
             console.log(`Creating categorical legend for: ${layerInfo.name}`);
             
@@ -0,0 +1,666 @@
+/**
+ * Lot Search Index Module for Aéra Link WebGIS
+ * In-memory search index behind the header lot search
+ *
+ * Features:
+ * - One index per layer, built once and reused on every keystroke
+ * - Values split into tokens with case, accents and leading zeros normalized
+ * - Block/lot forms such as "Blk 12 Lt 7", "B12-L07" and "Block 12 Lot 7" treated alike
+ * - Prefix matching while typing and edit-distance matching for typos
+ * - Indexes rebuild when a layer's data is replaced or its attributes are edited
+ * - Query syntax: field qualifiers (block:12, status:"for sale"), comparisons (area>400),
+ *   quoted phrases and negation (-status:sold, -sold)
+ */
+
+// Words that mean "block" or "lot" in lot identifiers
+const LOT_INDEX_MARKERS = {
+    block: ['block', 'blk', 'blck', 'blok', 'bk', 'b'],
+    lot: ['lot', 'lt', 'lots', 'l']
+};
+
+// Single letters only count as markers when a number follows ("B12", not "Phase 2B")
+const LOT_INDEX_SHORT_MARKERS = ['b', 'l'];
+
+// Normalized field names that hold block and lot numbers (also used for lot identifiers such as "B12-L7")
+const LOT_ID_BLOCK_FIELDS = ['BLOCK', 'BLOCKNO', 'BLK', 'BLKNO'];
+const LOT_ID_LOT_FIELDS = ['LOTNO', 'LOT', 'LOTNUMBER'];
+
+// One query term: optional "-", optional field and operator, then a quoted phrase or a word
+const LOT_QUERY_TERM_PATTERN = /(-?)(?:([A-Za-z_][\w.]*)\s*(>=|<=|>|<|=|:)\s*)?(?:"([^"]*)"?|(\S+))/g;
+const LOT_QUERY_COMPARISONS = ['>', '<', '>=', '<='];
+
+// Match weights, summed over the tokens of a query
+const LOT_INDEX_WEIGHTS = {
+    blockLot: 30,
+    clause: 15,
+    exactValue: 10,
+    exact: 10,
+    prefix: 6,
+    fuzzy: 4
+};
+
+// Cap on how many indexed terms one query token may expand to
+const LOT_INDEX_MAX_EXPANSIONS = 200;
+
+// Delay before building indexes after layers change
+const LOT_INDEX_BUILD_DELAY = 500;
+
+// Built indexes by layer id: { data, featureCount, index }
+const lotSearchIndexes = new Map();
+let lotSearchIndexBuildTimer = null;
+
+// === TOKENIZING ===
+
+// Uppercase a field name and drop spaces and punctuation ("LOT NO." -> "LOTNO")
+function normalizeLotFieldName(fieldName) {
+    return fieldName.toString().toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Lowercase a value and strip accents ("Dasmariñas" -> "dasmarinas")
+function normalizeSearchText(value) {
+    return value.toString().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Split a value into search tokens ("Blk 12 Lt 07" and "B12-L7" -> ["block", "12", "lot", "7"])
+function tokenizeSearchText(value) {
+    const parts = normalizeSearchText(value)
+        .replace(/([a-z])(\d)/g, '$1 $2')
+        .replace(/(\d)([a-z])/g, '$1 $2')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+
+    return parts.map((part, index) => {
+        if (/^\d+$/.test(part)) {
+            return part.replace(/^0+(?=\d)/, '');
+        }
+        if (LOT_INDEX_SHORT_MARKERS.includes(part) && !/^\d+$/.test(parts[index + 1] || '')) {
+            return part;
+        }
+        if (LOT_INDEX_MARKERS.block.includes(part)) return 'block';
+        if (LOT_INDEX_MARKERS.lot.includes(part)) return 'lot';
+        return part;
+    });
+}
+
+// Pull "block <n>" and "lot <n>" out of a token list; the remaining tokens are returned as rest
+function parseBlockLotTokens(tokens) {
+    const result = { block: null, lot: null, rest: [] };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        if ((token === 'block' || token === 'lot') && result[token] === null && next !== undefined && /^\d/.test(next)) {
+            result[token] = next;
+            i++;
+        } else {
+            result.rest.push(token);
+        }
+    }
+
+    // A marker the user has not finished typing the number for
+    const last = result.rest[result.rest.length - 1];
+    if ((last === 'block' || last === 'lot') && (result.block !== null || result.lot !== null)) {
+        result.rest.pop();
+    }
+
+    return result;
+}
+
+// Keys under which a block/lot pair is indexed: "12|7", "12|" and "|7"
+function getBlockLotKeys(block, lot) {
+    const keys = [];
+    if (block !== null && lot !== null) keys.push(`${block}|${lot}`);
+    if (block !== null) keys.push(`${block}|`);
+    if (lot !== null) keys.push(`|${lot}`);
+    return keys;
+}
+
+// Edit distance counting swapped neighbours as one edit ("feild" -> "field"),
+// or maxDistance + 1 as soon as it is certain to exceed maxDistance
+function getBoundedEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// === BUILDING ===
+
+// Build the index for a layer's features
+function buildLotSearchIndex(features) {
+    const index = {
+        features,
+        fields: [],
+        fieldIdsByName: new Map(), // field name -> fieldId
+        terms: new Map(),       // token -> [featureIndex, fieldId, featureIndex, fieldId, ...]
+        values: new Map(),      // whole value as joined tokens -> [featureIndex, fieldId, ...]
+        sortedTerms: [],        // for prefix lookups
+        wordsByLength: new Map(), // non-numeric tokens by length, for typo lookups
+        blockLots: new Map()    // "12|7" -> [featureIndex, fieldId, ...]; fieldId -1 for block/lot fields
+    };
+    const fieldIds = index.fieldIdsByName;
+
+    const addPosting = (map, key, featureIndex, fieldId) => {
+        let postings = map.get(key);
+        if (!postings) {
+            postings = [];
+            map.set(key, postings);
+        }
+        postings.push(featureIndex, fieldId);
+    };
+
+    features.forEach((feature, featureIndex) => {
+        if (!feature || !feature.properties) return;
+
+        Object.entries(feature.properties).forEach(([field, value]) => {
+            if (value === null || value === undefined || value === '' || typeof value === 'object') return;
+
+            if (!fieldIds.has(field)) {
+                fieldIds.set(field, index.fields.length);
+                index.fields.push(field);
+            }
+            const fieldId = fieldIds.get(field);
+
+            const tokens = tokenizeSearchText(value);
+            new Set(tokens).forEach(token => addPosting(index.terms, token, featureIndex, fieldId));
+            addPosting(index.values, tokens.join(' '), featureIndex, fieldId);
+
+            // Identifiers such as "B12-L07" held in a single field
+            const blockLot = parseBlockLotTokens(tokens);
+            getBlockLotKeys(blockLot.block, blockLot.lot)
+                .forEach(key => addPosting(index.blockLots, key, featureIndex, fieldId));
+        });
+
+        // Separate block and lot fields, read the same way lot links are
+        const identifier = typeof window.getLotIdentifier === 'function' ? window.getLotIdentifier(feature) : null;
+        if (identifier !== null) {
+            const tokens = tokenizeSearchText(identifier);
+            const blockLot = parseBlockLotTokens(tokens);
+            if (blockLot.block === null && blockLot.lot === null && tokens.length === 1) {
+                blockLot.lot = tokens[0];
+            }
+            getBlockLotKeys(blockLot.block, blockLot.lot)
+                .forEach(key => addPosting(index.blockLots, key, featureIndex, -1));
+        }
+    });
+
+    index.sortedTerms = Array.from(index.terms.keys()).sort();
+    index.sortedTerms.forEach(term => {
+        if (/^\d+$/.test(term)) return;
+        if (!index.wordsByLength.has(term.length)) index.wordsByLength.set(term.length, []);
+        index.wordsByLength.get(term.length).push(term);
+    });
+
+    return index;
+}
+
+// Index for a layer, rebuilt when its data was replaced, resized or invalidated
+function getLotSearchIndex(layerId, data) {
+    const cached = lotSearchIndexes.get(layerId);
+    if (cached && cached.data === data && cached.featureCount === data.features.length) {
+        return cached.index;
+    }
+
+    const startTime = performance.now();
+    const index = buildLotSearchIndex(data.features);
+    lotSearchIndexes.set(layerId, { data, featureCount: data.features.length, index });
+    console.log(`🗂️ Built lot search index for ${layerId}: ${data.features.length} features, ${index.sortedTerms.length} terms in ${Math.round(performance.now() - startTime)} ms`);
+    return index;
+}
+
+// Drop the index of one layer (or all layers) so it is rebuilt on the next search
+function invalidateLotSearchIndex(layerId) {
+    if (layerId === undefined) {
+        lotSearchIndexes.clear();
+    } else {
+        lotSearchIndexes.delete(layerId);
+    }
+}
+
+// Build missing indexes in the background, one layer at a time, so typing never waits for them
+function scheduleLotSearchIndexBuild(searchLayers) {
+    clearTimeout(lotSearchIndexBuildTimer);
+
+    // Forget layers that were removed
+    const layerIds = new Set(searchLayers.map(layer => layer.layerId));
+    Array.from(lotSearchIndexes.keys()).forEach(layerId => {
+        if (!layerIds.has(layerId)) lotSearchIndexes.delete(layerId);
+    });
+
+    const pending = searchLayers.filter(({ layerId, data }) => {
+        const cached = lotSearchIndexes.get(layerId);
+        return !cached || cached.data !== data || cached.featureCount !== data.features.length;
+    });
+    if (pending.length === 0) return;
+
+    lotSearchIndexBuildTimer = setTimeout(() => {
+        const { layerId, data } = pending[0];
+        getLotSearchIndex(layerId, data);
+        scheduleLotSearchIndexBuild(searchLayers);
+    }, LOT_INDEX_BUILD_DELAY);
+}
+
+// === QUERYING ===
+
+// Every indexed term starting with the token, found by binary search
+function findPrefixTerms(index, token) {
+    let low = 0;
+    let high = index.sortedTerms.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (index.sortedTerms[mid] < token) low = mid + 1;
+        else high = mid;
+    }
+    const prefixed = [];
+    for (let i = low; i < index.sortedTerms.length && index.sortedTerms[i].startsWith(token); i++) {
+        prefixed.push(index.sortedTerms[i]);
+    }
+    return prefixed;
+}
+
+// Indexed terms matching one query token: Map term -> { matchType, weight }
+function findMatchingTerms(index, token, allowPrefix) {
+    const matches = new Map();
+
+    if (index.terms.has(token)) {
+        matches.set(token, { matchType: 'exact', weight: LOT_INDEX_WEIGHTS.exact });
+    }
+
+    if (allowPrefix) {
+        // Shortest completions first: "1" should reach "12" before "10473"
+        findPrefixTerms(index, token).sort((a, b) => a.length - b.length).slice(0, LOT_INDEX_MAX_EXPANSIONS).forEach(term => {
+            if (!matches.has(term)) {
+                matches.set(term, { matchType: 'prefix', weight: LOT_INDEX_WEIGHTS.prefix });
+            }
+        });
+    }
+
+    // Numbers are never typo-matched: lot 17 is not lot 7
+    if (token.length >= 4 && !/^\d+$/.test(token)) {
+        const maxDistance = token.length >= 8 ? 2 : 1;
+        let count = 0;
+        for (let length = token.length - maxDistance; length <= token.length + maxDistance; length++) {
+            for (const term of index.wordsByLength.get(length) || []) {
+                if (matches.has(term)) continue;
+                const distance = getBoundedEditDistance(token, term, maxDistance);
+                if (distance <= maxDistance) {
+                    matches.set(term, { matchType: 'fuzzy', weight: LOT_INDEX_WEIGHTS.fuzzy - distance });
+                    if (++count >= LOT_INDEX_MAX_EXPANSIONS) return matches;
+                }
+            }
+        }
+    }
+
+    return matches;
+}
+
+// Empty per-feature hit: { score, fields: Map fieldId -> matchType, clauses: Map fieldId -> clause text }
+function createLotSearchHit() {
+    return { score: 0, fields: new Map(), clauses: new Map() };
+}
+
+// Features matching free text (every token must match), or null when the text has no tokens
+function findFreeTextHits(index, text, fieldIds) {
+    let tokens = tokenizeSearchText(text);
+    if (tokens.length === 0) return null;
+
+    // featureIndex -> hit
+    let hits = null;
+
+    const addHit = (target, featureIndex, fieldId, matchType, weight) => {
+        let hit = target.get(featureIndex);
+        if (!hit) {
+            hit = createLotSearchHit();
+            target.set(featureIndex, hit);
+        }
+        hit.score = Math.max(hit.score, weight);
+        if (fieldId !== -1 && !hit.fields.has(fieldId)) hit.fields.set(fieldId, matchType);
+    };
+
+    // Block and lot numbers narrow the search before anything else
+    const blockLot = parseBlockLotTokens(tokens);
+    if (blockLot.block !== null || blockLot.lot !== null) {
+        const postings = index.blockLots.get(`${blockLot.block ?? ''}|${blockLot.lot ?? ''}`);
+        if (postings) {
+            hits = new Map();
+            for (let i = 0; i < postings.length; i += 2) {
+                if (fieldIds && !fieldIds.has(postings[i + 1])) continue;
+                addHit(hits, postings[i], postings[i + 1], 'exact', LOT_INDEX_WEIGHTS.blockLot);
+            }
+            tokens = blockLot.rest;
+        }
+    }
+
+    // Earlier tokens are complete words; the last one may still be being typed.
+    // The rarest token goes first so common words only filter features already found
+    const tokenTerms = tokens.map((token, tokenIndex) => {
+        const allowPrefix = tokenIndex === tokens.length - 1 || (token.length >= 3 && !/^\d+$/.test(token));
+        const terms = findMatchingTerms(index, token, allowPrefix);
+        let postingCount = 0;
+        terms.forEach((_, term) => postingCount += index.terms.get(term).length);
+        return { terms, postingCount };
+    }).sort((a, b) => a.postingCount - b.postingCount);
+
+    tokenTerms.forEach(({ terms }) => {
+        const tokenHits = new Map();
+
+        terms.forEach(({ matchType, weight }, term) => {
+            const postings = index.terms.get(term);
+            for (let i = 0; i < postings.length; i += 2) {
+                const featureIndex = postings[i];
+                if (fieldIds && !fieldIds.has(postings[i + 1])) continue;
+                if (hits && !hits.has(featureIndex)) continue;
+                addHit(tokenHits, featureIndex, postings[i + 1], matchType, weight);
+            }
+        });
+
+        if (!hits) {
+            hits = tokenHits;
+            return;
+        }
+
+        // Keep only features matched by every token so far
+        const combined = new Map();
+        tokenHits.forEach((tokenHit, featureIndex) => {
+            const hit = hits.get(featureIndex);
+            tokenHit.fields.forEach((matchType, fieldId) => {
+                if (!hit.fields.has(fieldId)) hit.fields.set(fieldId, matchType);
+            });
+            hit.score += tokenHit.score;
+            combined.set(featureIndex, hit);
+        });
+        hits = combined;
+    });
+
+    if (!hits) return new Map();
+
+    // Values equal to the whole text rank above values that merely contain its words
+    const exactValues = index.values.get(tokenizeSearchText(text).join(' ')) || [];
+    for (let i = 0; i < exactValues.length; i += 2) {
+        const hit = hits.get(exactValues[i]);
+        if (!hit || (fieldIds && !fieldIds.has(exactValues[i + 1]))) continue;
+        hit.score += LOT_INDEX_WEIGHTS.exactValue;
+        hit.fields.set(exactValues[i + 1], 'exact');
+    }
+
+    return hits;
+}
+
+// === QUERY SYNTAX ===
+
+// Split a query into free text, quoted phrases, excluded words and field clauses:
+// block:12 lot:7 status:"for sale" area>400 -status:sold -reserved
+function parseLotSearchQuery(query) {
+    const parsed = { text: [], phrases: [], excluded: [], clauses: [] };
+    const text = query || '';
+
+    for (const match of text.matchAll(LOT_QUERY_TERM_PATTERN)) {
+        const [raw, negation, field, operator, quoted, word] = match;
+        const value = quoted !== undefined ? quoted : word;
+        const negated = negation === '-';
+
+        if (field) {
+            // The term at the very end may still be being typed
+            const partial = match.index + raw.length === text.length && !/["\s]$/.test(raw.slice(field.length + 1));
+            parsed.clauses.push({ field, operator, value, negated, partial, raw: raw.trim() });
+        } else if (negated) {
+            parsed.excluded.push(tokenizeSearchText(value));
+        } else {
+            parsed.text.push(value);
+            if (quoted !== undefined) parsed.phrases.push(tokenizeSearchText(value));
+        }
+    }
+
+    parsed.text = parsed.text.join(' ');
+    parsed.phrases = parsed.phrases.filter(tokens => tokens.length > 1);
+    parsed.excluded = parsed.excluded.filter(tokens => tokens.length > 0);
+    return parsed;
+}
+
+// Field ids a qualifier refers to: the same name, any block/lot field for block/lot, or a name it starts
+function resolveQueryField(index, fieldName) {
+    const normalized = normalizeLotFieldName(fieldName);
+    const keys = index.fields.map(normalizeLotFieldName);
+    const idsWhere = test => keys.map((key, fieldId) => test(key) ? fieldId : -1).filter(fieldId => fieldId !== -1);
+
+    let fieldIds = idsWhere(key => key === normalized);
+    if (fieldIds.length === 0) {
+        const aliases = [LOT_ID_BLOCK_FIELDS, LOT_ID_LOT_FIELDS].find(names => names.includes(normalized));
+        if (aliases) fieldIds = idsWhere(key => aliases.includes(key));
+    }
+    if (fieldIds.length === 0 && normalized.length >= 2) {
+        fieldIds = idsWhere(key => key.startsWith(normalized));
+    }
+    return fieldIds;
+}
+
+// A clause ready to test against this index, or null while it is still incomplete ("status:")
+function prepareQueryClause(index, clause) {
+    const prepared = { ...clause, fieldIds: resolveQueryField(index, clause.field), blockLotFeatures: null };
+
+    if (LOT_QUERY_COMPARISONS.includes(clause.operator)) {
+        prepared.number = parseFloat(clause.value.replace(/,/g, ''));
+        return Number.isFinite(prepared.number) ? prepared : null;
+    }
+
+    prepared.tokens = tokenizeSearchText(clause.value);
+    if (prepared.tokens.length === 0) return null;
+
+    // block:12 also finds lots whose identifier sits in one field, e.g. "B12-L07"
+    const normalized = normalizeLotFieldName(clause.field);
+    const isBlock = LOT_ID_BLOCK_FIELDS.includes(normalized);
+    if ((isBlock || LOT_ID_LOT_FIELDS.includes(normalized)) && prepared.tokens.length === 1) {
+        const postings = index.blockLots.get(isBlock ? `${prepared.tokens[0]}|` : `|${prepared.tokens[0]}`) || [];
+        prepared.blockLotFeatures = new Set(postings.filter((_, i) => i % 2 === 0));
+    }
+
+    prepared.matches = findClauseFeatures(index, prepared);
+    return prepared;
+}
+
+// True when the tokens appear one after another in the value tokens
+// (with partial, a last word only has to start a value token; numbers always match whole)
+function containsTokenSequence(valueTokens, tokens, partial = false) {
+    const last = tokens.length - 1;
+    const prefixLast = partial && !/^\d+$/.test(tokens[last]);
+    for (let start = 0; start + tokens.length <= valueTokens.length; start++) {
+        if (tokens.every((token, offset) => prefixLast && offset === last ?
+            valueTokens[start + offset].startsWith(token) :
+            valueTokens[start + offset] === token)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Test one attribute value against a comparison clause (area>400)
+function matchesQueryComparison(value, clause) {
+    if (value === null || value === undefined || value === '') return false;
+
+    const number = typeof value === 'number' ? value : parseFloat(value.toString().replace(/,/g, ''));
+    if (!Number.isFinite(number)) return false;
+    switch (clause.operator) {
+        case '>': return number > clause.number;
+        case '<': return number < clause.number;
+        case '>=': return number >= clause.number;
+        case '<=': return number <= clause.number;
+    }
+    return false;
+}
+
+// Features with a value (of the given fields, if any) holding the tokens in order: Map featureIndex -> fieldId.
+// Postings narrow the feature and field pairs first, so only those values are tokenized again to check the order
+function findTokenSequenceMatches(index, tokens, fieldIds, partial = false) {
+    const last = tokens.length - 1;
+    const fieldCount = index.fields.length;
+
+    // With partial, a last word may be any term it starts (numbers always match whole).
+    // The rarest token goes first so common words only filter pairs already found
+    const tokenTerms = tokens.map((token, tokenIndex) => {
+        const terms = partial && tokenIndex === last && !/^\d+$/.test(token) ?
+            findPrefixTerms(index, token) :
+            (index.terms.has(token) ? [token] : []);
+        let postingCount = 0;
+        terms.forEach(term => postingCount += index.terms.get(term).length);
+        return { terms, postingCount };
+    }).sort((a, b) => a.postingCount - b.postingCount);
+
+    // Pairs stored as featureIndex * fieldCount + fieldId
+    let pairs = null;
+    for (const { terms } of tokenTerms) {
+        const tokenPairs = new Set();
+        terms.forEach(term => {
+            const postings = index.terms.get(term);
+            for (let i = 0; i < postings.length; i += 2) {
+                if (fieldIds && !fieldIds.has(postings[i + 1])) continue;
+                const pair = postings[i] * fieldCount + postings[i + 1];
+                if (!pairs || pairs.has(pair)) tokenPairs.add(pair);
+            }
+        });
+        pairs = tokenPairs;
+        if (pairs.size === 0) break;
+    }
+
+    // Keep the lowest matching field id per feature
+    const matches = new Map();
+    pairs.forEach(pair => {
+        const featureIndex = Math.floor(pair / fieldCount);
+        const fieldId = pair % fieldCount;
+        if (matches.has(featureIndex) && matches.get(featureIndex) < fieldId) return;
+        if (tokens.length > 1) {
+            const value = index.features[featureIndex].properties[index.fields[fieldId]];
+            if (!containsTokenSequence(tokenizeSearchText(value), tokens, partial)) return;
+        }
+        matches.set(featureIndex, fieldId);
+    });
+    return matches;
+}
+
+// Features matching a field:value clause: Map featureIndex -> fieldId, -1 when only the block/lot identifier matches
+function findClauseFeatures(index, clause) {
+    const fieldIds = new Set(clause.fieldIds);
+    let matches;
+
+    if (clause.operator === '=') {
+        matches = new Map();
+        const postings = index.values.get(clause.tokens.join(' ')) || [];
+        for (let i = 0; i < postings.length; i += 2) {
+            if (!fieldIds.has(postings[i + 1])) continue;
+            if (!matches.has(postings[i]) || matches.get(postings[i]) > postings[i + 1]) {
+                matches.set(postings[i], postings[i + 1]);
+            }
+        }
+    } else {
+        matches = findTokenSequenceMatches(index, clause.tokens, fieldIds, clause.partial);
+    }
+
+    (clause.blockLotFeatures || []).forEach(featureIndex => {
+        if (!matches.has(featureIndex)) matches.set(featureIndex, -1);
+    });
+    return matches;
+}
+
+// Field id through which a feature matches a clause, -1 when only its block/lot identifier does, or null
+function findClauseMatch(index, featureIndex, clause) {
+    if (clause.matches) {
+        return clause.matches.has(featureIndex) ? clause.matches.get(featureIndex) : null;
+    }
+    const properties = index.features[featureIndex].properties;
+    const fieldId = clause.fieldIds.find(id => matchesQueryComparison(properties[index.fields[id]], clause));
+    return fieldId !== undefined ? fieldId : null;
+}
+
+// Starting features for a query without free text: those of its narrowest field:value clause, or every feature
+function getClauseCandidates(index, clauses) {
+    const candidates = new Map();
+    const narrowing = clauses
+        .filter(clause => !clause.negated && clause.matches)
+        .sort((a, b) => a.matches.size - b.matches.size)[0];
+
+    if (!narrowing) {
+        index.features.forEach((feature, featureIndex) => {
+            if (feature && feature.properties) candidates.set(featureIndex, createLotSearchHit());
+        });
+        return candidates;
+    }
+
+    narrowing.matches.forEach((_, featureIndex) => candidates.set(featureIndex, createLotSearchHit()));
+    return candidates;
+}
+
+// Search an index with free text and query syntax. Returns all hits sorted by score:
+// [{ featureIndex, score, matches: [{ field, matchType, clause }] }]
+// options.fields limits the free text (not the clauses) to those fields
+function queryLotSearchIndex(index, query, options = {}) {
+    const fieldIds = options.fields && options.fields.length > 0 ?
+        new Set(options.fields.map(field => index.fieldIdsByName.get(field)).filter(fieldId => fieldId !== undefined)) :
+        null;
+
+    const parsed = parseLotSearchQuery(query);
+    const clauses = parsed.clauses.map(clause => prepareQueryClause(index, clause)).filter(Boolean);
+    if (!parsed.text && clauses.length === 0 && parsed.excluded.length === 0) return [];
+    if (parsed.text && fieldIds && fieldIds.size === 0) return [];
+
+    const hits = findFreeTextHits(index, parsed.text, fieldIds) || getClauseCandidates(index, clauses);
+
+    // Phrases and excluded words are looked up once, then tested per feature as set membership
+    const phraseMatches = parsed.phrases.map(tokens => findTokenSequenceMatches(index, tokens, fieldIds));
+    const excludedFeatures = new Set();
+    parsed.excluded.forEach(tokens => {
+        findTokenSequenceMatches(index, tokens, null).forEach((_, featureIndex) => excludedFeatures.add(featureIndex));
+    });
+
+    const results = [];
+    hits.forEach((hit, featureIndex) => {
+        if (!phraseMatches.every(matches => matches.has(featureIndex))) return;
+        if (excludedFeatures.has(featureIndex)) return;
+
+        for (const clause of clauses) {
+            const fieldId = findClauseMatch(index, featureIndex, clause);
+            if (clause.negated ? fieldId !== null : fieldId === null) return;
+            if (clause.negated) continue;
+
+            hit.score += LOT_INDEX_WEIGHTS.clause;
+            if (fieldId !== -1) {
+                hit.fields.set(fieldId, 'exact');
+                hit.clauses.set(fieldId, clause.raw);
+            }
+        }
+
+        const matches = [];
+        hit.fields.forEach((matchType, fieldId) => matches.push({
+            field: index.fields[fieldId],
+            matchType,
+            clause: hit.clauses.get(fieldId) || null
+        }));
+        results.push({ featureIndex, score: hit.score, matches });
+    });
+
+    return results.sort((a, b) => b.score - a.score || a.featureIndex - b.featureIndex);
+}
+
+// Export functions for use in other modules
+window.tokenizeSearchText = tokenizeSearchText;
+window.parseBlockLotTokens = parseBlockLotTokens;
+window.buildLotSearchIndex = buildLotSearchIndex;
+window.getLotSearchIndex = getLotSearchIndex;
+window.invalidateLotSearchIndex = invalidateLotSearchIndex;
+window.scheduleLotSearchIndexBuild = scheduleLotSearchIndexBuild;
+window.queryLotSearchIndex = queryLotSearchIndex;
+window.parseLotSearchQuery = parseLotSearchQuery;
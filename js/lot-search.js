@@ -1,28 +1,43 @@
 /**
  * Lot Search Module for Aéra Link WebGIS
- * Provides EXCLUSIVE search functionality for the Aera.geojson layer ONLY
- * 
- * IMPORTANT: This search is strictly restricted to Aera.geojson data.
- * No other layers (permanent, dynamic, or user-uploaded) are included in search results.
+ * Provides search across the parcel and project layers loaded in the map
  * 
  * Features:
- * - Global search across all fields in Aera.geojson (when no fields selected)
+ * - Search one chosen layer or all searchable layers (any loaded vector layer)
+ * - Indexed, typo-tolerant matching (see lot-search-index.js), e.g. "Blk 12 Lt 7" finds "B12-L07"
+ * - Coordinates, easting/northing and Plus Codes (see coordinate-search.js) drop a marker
+ *   and report the lot containing the point
+ * - Query syntax for power users: block:12 lot:7, status:"for sale" area>400, -status:sold;
+ *   fields matched by a clause are highlighted in the results
+ * - Global search across all fields (when no fields selected)
  * - Strictly scoped field-specific search using inline modifiers (type '/' to select field)
  * - Visual field tags with easy removal
  * - No fallback when fields are selected - search is strictly scoped to selected fields only
+ * - Each result shows the layer it came from
+ * - Actions on the whole result set: select all matches, turn them into a filter,
+ *   export them as CSV/GeoJSON; the header gives the true match count beyond the display limit
+ * - Recent searches and pinned lots (see search-history.js) while the search box is empty
  * - Keyboard navigation for both field selection and results
  * - Responsive design matching the black-and-teal UI theme
- * - Exclusive targeting of Aera.geojson data with no cross-layer contamination
  */
 
+const SEARCH_RESULT_LIMIT = 50;
+
 let searchTimeout = null;
-let searchResults = [];
+let searchResults = []; // First SEARCH_RESULT_LIMIT matches, as displayed
+let searchHits = []; // Every match of the current query as { layer, hit }, best first
 let currentHighlightedFeature = null;
 let isSearchInitialized = false;
 let availableFields = [];
 let selectedFields = [];
 let fieldDropdownVisible = false;
 let searchOverlayMask = null; // Black overlay mask for search emphasis
+let searchLayerScope = 'all'; // Layer id to search, or 'all' for every searchable layer
+let coordinateResults = []; // Readings of the query as a coordinate, listed above the lots
+let coordinateSearchRequest = 0; // Ignores coordinate lookups overtaken by newer input
+let coordinateSearchMarker = null;
+let shownSearchHistory = []; // Recent entries and pins as listed in the dropdown
+let shownPinnedLots = [];
 
 // Initialize the lot search functionality
 export function initializeLotSearch() {
@@ -39,9 +54,11 @@ export function initializeLotSearch() {
 
     // Update placeholder to reflect lot search functionality
     searchInput.placeholder = 'Search lots...';
+    searchInput.title = 'Search lots, coordinates or Plus Codes. Qualify with block:12 lot:7, status:"for sale", area>400; exclude with -status:sold';
 
     // Create search results dropdown
     createSearchDropdown();
+    createLayerScopeSelect();
 
     // Add event listeners
     searchInput.addEventListener('input', handleSearchInput);
@@ -83,6 +100,68 @@ function createSearchDropdown() {
     searchContainer.appendChild(dropdown);
 }
 
+// Create the layer scope dropdown inside the search bar
+function createLayerScopeSelect() {
+    const searchContainer = document.querySelector('#headerSearchInput').parentElement;
+    
+    const scopeSelect = document.createElement('select');
+    scopeSelect.id = 'searchLayerScope';
+    scopeSelect.title = 'Layer to search';
+    scopeSelect.className = `
+        absolute top-1/2 -translate-y-1/2 right-2 w-24 bg-pure-black text-neon-teal text-xs
+        border border-neon-teal/30 rounded-full px-2 py-0.5 focus:outline-none cursor-pointer z-10
+    `;
+    
+    // Layers come and go, so refresh the list whenever it is opened
+    scopeSelect.addEventListener('mousedown', updateLayerScopeOptions);
+    scopeSelect.addEventListener('focus', updateLayerScopeOptions);
+    scopeSelect.addEventListener('change', handleLayerScopeChange);
+    
+    searchContainer.appendChild(scopeSelect);
+    updateLayerScopeOptions();
+}
+
+// Keep the search indexes built as layers are loaded, replaced and removed
+// (called by the layer manager whenever the layer list changes)
+function refreshLotSearchLayers() {
+    scheduleLotSearchIndexBuild(getSearchableLayers());
+}
+
+// Fill the layer scope dropdown with the searchable layers
+function updateLayerScopeOptions() {
+    const scopeSelect = document.getElementById('searchLayerScope');
+    if (!scopeSelect) return;
+    
+    const layers = getSearchableLayers();
+    scopeSelect.innerHTML = '';
+    scopeSelect.add(new Option('All layers', 'all'));
+    layers.forEach(layer => scopeSelect.add(new Option(layer.name, layer.layerId)));
+    scheduleLotSearchIndexBuild(layers);
+    
+    // Fall back to all layers when the chosen layer was removed
+    if (!layers.some(layer => layer.layerId === searchLayerScope)) {
+        searchLayerScope = 'all';
+    }
+    scopeSelect.value = searchLayerScope;
+}
+
+// Search a different layer (or all layers)
+function handleLayerScopeChange(event) {
+    searchLayerScope = event.target.value;
+    
+    // Field choices depend on the layers being searched
+    selectedFields = [];
+    updateFieldIndicator();
+    extractAvailableFields();
+    
+    const searchInput = document.getElementById('headerSearchInput');
+    const query = searchInput ? searchInput.value.trim() : '';
+    if (query && !query.endsWith('/')) {
+        performLotSearch(query);
+    }
+    console.log(`🗂️ Lot search scope: ${searchLayerScope === 'all' ? 'all layers' : searchLayerScope}`);
+}
+
 // Initialize field dropdown system
 function initializeFieldDropdown() {
     const searchContainer = document.querySelector('#headerSearchInput').parentElement;
@@ -110,7 +189,7 @@ function createFieldIndicator() {
     const fieldIndicator = document.createElement('div');
     fieldIndicator.id = 'fieldIndicator';
     fieldIndicator.className = `
-        absolute top-1/2 -translate-y-1/2 right-2 hidden
+        absolute top-1/2 -translate-y-1/2 right-28 hidden
         w-6 h-6 bg-neon-teal/20 border border-neon-teal rounded-full
         flex items-center justify-center cursor-pointer
         text-neon-teal text-xs font-bold
@@ -141,28 +220,31 @@ function createFieldIndicator() {
     searchContainer.appendChild(fieldIndicator);
 }
 
-// Extract available fields from Aera.geojson data EXCLUSIVELY
+// Extract available fields from the layers being searched
 function extractAvailableFields() {
-    const aeraData = getAeraData();
-    if (!aeraData || !aeraData.features || aeraData.features.length === 0) {
-        console.log('📋 No Aera.geojson data available for field extraction');
+    const searchLayers = getSearchLayers();
+    if (searchLayers.length === 0) {
+        console.log('📋 No searchable layers available for field extraction');
+        availableFields = [];
         return;
     }
     
     const fieldSet = new Set();
     
-    // Extract fields from first few features to get comprehensive list
-    const samplesToCheck = Math.min(10, aeraData.features.length);
-    for (let i = 0; i < samplesToCheck; i++) {
-        const feature = aeraData.features[i];
-        if (feature.properties) {
-            Object.keys(feature.properties).forEach(key => {
-                if (feature.properties[key] !== null && feature.properties[key] !== undefined) {
-                    fieldSet.add(key);
-                }
-            });
+    // Extract fields from first few features of each layer to get comprehensive list
+    searchLayers.forEach(({ data }) => {
+        const samplesToCheck = Math.min(10, data.features.length);
+        for (let i = 0; i < samplesToCheck; i++) {
+            const feature = data.features[i];
+            if (feature.properties) {
+                Object.keys(feature.properties).forEach(key => {
+                    if (feature.properties[key] !== null && feature.properties[key] !== undefined) {
+                        fieldSet.add(key);
+                    }
+                });
+            }
         }
-    }
+    });
     
     availableFields = Array.from(fieldSet).sort((a, b) => {
         // Prioritize common fields
@@ -184,7 +266,7 @@ function extractAvailableFields() {
         return a.localeCompare(b);
     });
     
-    console.log(`📋 Extracted ${availableFields.length} fields from Aera.geojson exclusively:`, availableFields);
+    console.log(`📋 Extracted ${availableFields.length} fields from ${searchLayers.length} layer(s):`, availableFields);
 }
 
 // Handle search input with debouncing
@@ -208,9 +290,10 @@ function handleSearchInput(event) {
         clearTimeout(searchTimeout);
     }
 
-    // Hide dropdown if query is empty
+    // Show recent searches and pins instead of results if query is empty
     if (!query) {
-        hideSearchDropdown();
+        displaySearchHistory();
+        removeCoordinateSearchMarker();
         return;
     }
 
@@ -220,131 +303,181 @@ function handleSearchInput(event) {
     }, 150);
 }
 
-// Perform the actual search through Aera.geojson data EXCLUSIVELY
+// Perform the actual search through the chosen layer or all searchable layers
 function performLotSearch(query) {
     const fieldsText = selectedFields.length > 0 ? 
         ` (strictly scoped to field${selectedFields.length > 1 ? 's' : ''}: ${selectedFields.join(', ')})` : 
         ' (global search across all fields)';
-    console.log(`🔍 Searching EXCLUSIVELY in Aera.geojson for: "${query}"${fieldsText}`);
+    console.log(`🔍 Searching for: "${query}"${fieldsText}`);
     
-    const aeraData = getAeraData();
-    if (!aeraData) {
-        console.error('❌ Aera.geojson data not found - search is restricted to Aera.geojson only');
-        showNoResultsMessage('Aera.geojson data not loaded');
-        return;
-    }
+    updateCoordinateResults(query);
 
-    if (!aeraData.features || aeraData.features.length === 0) {
-        console.error('❌ No features found in Aera.geojson data');
-        showNoResultsMessage('No features in Aera.geojson');
+    const searchLayers = getSearchLayers();
+    if (searchLayers.length === 0) {
+        console.error('❌ No searchable layers loaded');
+        showNoResultsMessage('No searchable layers loaded');
         return;
     }
 
-    // Additional validation to ensure we have the correct Aera.geojson data
-    console.log(`📊 Searching through ${aeraData.features.length} features in Aera.geojson exclusively`);
+    const featureCount = searchLayers.reduce((count, layer) => count + layer.data.features.length, 0);
+    console.log(`📊 Searching through ${featureCount} features in ${searchLayers.length} layer(s)`);
 
-    // Search through all features and their properties
-    searchResults = [];
-    const queryLower = query.toLowerCase();
-
-    aeraData.features.forEach((feature, index) => {
-        if (!feature.properties) return;
-
-        const matches = [];
-        
-        if (selectedFields.length > 0) {
-            // Strictly scoped search - ONLY search within selected fields
-            selectedFields.forEach(selectedField => {
-                const fieldValue = feature.properties[selectedField];
-                if (fieldValue && fieldValue.toString().toLowerCase().includes(queryLower)) {
-                    matches.push({
-                        field: selectedField,
-                        value: fieldValue,
-                        matchType: fieldValue.toString().toLowerCase() === queryLower ? 'exact' : 'partial',
-                        isPriorityField: true // Mark as priority field match
-                    });
-                }
-            });
-            // No fallback to other fields when specific fields are selected
-        } else {
-            // Global search through all property values
-            Object.entries(feature.properties).forEach(([key, value]) => {
-                if (value && value.toString().toLowerCase().includes(queryLower)) {
-                    matches.push({
-                        field: key,
-                        value: value,
-                        matchType: value.toString().toLowerCase() === queryLower ? 'exact' : 'partial',
-                        isPriorityField: false
-                    });
-                }
-            });
-        }
-
-        if (matches.length > 0) {
-            searchResults.push({
-                feature: feature,
-                featureIndex: index,
-                matches: matches,
-                // Priority scoring: priority field matches first, then exact matches, then partial matches
-                score: matches.reduce((score, match) => {
-                    let matchScore = 0;
-                    if (match.isPriorityField) {
-                        matchScore += 20; // High bonus for priority field matches
-                    }
-                    if (match.matchType === 'exact') {
-                        matchScore += 10; // Bonus for exact matches
-                    } else {
-                        matchScore += 1; // Base score for partial matches
-                    }
-                    return score + matchScore;
-                }, 0)
-            });
-        }
+    // Query each layer's prebuilt index
+    const hits = [];
+    searchLayers.forEach(layer => {
+        const index = getLotSearchIndex(layer.layerId, layer.data);
+        queryLotSearchIndex(index, query, { fields: selectedFields }).forEach(hit => hits.push({ layer, hit }));
     });
 
     // Sort results by relevance score (highest first)
-    searchResults.sort((a, b) => b.score - a.score);
-
-    // Limit to 50 results
-    searchResults = searchResults.slice(0, 50);
+    hits.sort((a, b) => b.hit.score - a.hit.score);
+
+    // Only the first results are built for display; the result set actions use every hit
+    searchHits = hits;
+    searchResults = hits.slice(0, SEARCH_RESULT_LIMIT).map(({ layer, hit }) => {
+        const feature = layer.data.features[hit.featureIndex];
+        return {
+            feature: feature,
+            featureIndex: hit.featureIndex,
+            layerId: layer.layerId,
+            layerName: layer.name,
+            matches: hit.matches.map(match => ({
+                field: match.field,
+                value: feature.properties[match.field],
+                matchType: match.matchType,
+                clause: match.clause,
+                isPriorityField: selectedFields.length > 0
+            })),
+            score: hit.score
+        };
+    });
 
-    console.log(`📊 Found ${searchResults.length} matching lots`);
+    console.log(`📊 Found ${hits.length} matching lots`);
     displaySearchResults();
 }
 
 
-// Get Aera.geojson data from various possible sources
-function getAeraData() {
-    // First try to get from window.aeraDirectData (direct loaded data)
-    if (window.aeraDirectData) {
-        console.log('Using aeraDirectData for search');
-        return window.aeraDirectData;
-    }
+// Vector layers that can be searched, as { layerId, name, data }
+function getSearchableLayers() {
+    const searchable = [];
 
-    // Then try to find it in the layers registry - STRICTLY target Aera.geojson only
     if (window.layers) {
         for (const [layerId, layerInfo] of window.layers) {
-            // Only match layers specifically named 'Aera' or 'Aera.geojson'
-            // Remove the generic isPermanent check to prevent matching other permanent layers
-            if (layerInfo.name === 'Aera' || layerInfo.name === 'Aera.geojson') {
-                console.log(`Using layer data from ${layerId} (${layerInfo.name}) for search`);
-                return layerInfo.originalData || layerInfo.data;
+            // Unfiltered data, so lots hidden by a filter can still be found
+            const data = layerInfo.originalData || layerInfo.data;
+            if (layerInfo.sourceType === 'wms' || !data || !Array.isArray(data.features) || data.features.length === 0) {
+                continue;
             }
+            searchable.push({ layerId, name: layerInfo.name, data });
         }
     }
 
-    console.error('❌ Could not find Aera.geojson data - only Aera/Aera.geojson layers are supported for search');
+    // Aera loaded straight from storage for the filter panel when it is not in the layer list
+    const hasAeraLayer = searchable.some(layer => layer.name === 'Aera' || layer.name === 'Aera.geojson');
+    if (window.aeraDirectData && window.aeraDirectData.features && !hasAeraLayer) {
+        searchable.push({ layerId: 'aera-direct', name: 'Aera', data: window.aeraDirectData });
+    }
+
+    return searchable;
+}
+
+// Layers the search box currently targets
+function getSearchLayers() {
+    const searchable = getSearchableLayers();
+    if (searchLayerScope === 'all') return searchable;
+
+    const chosen = searchable.filter(layer => layer.layerId === searchLayerScope);
+    return chosen.length > 0 ? chosen : searchable;
+}
+
+// LOT_ID_BLOCK_FIELDS, LOT_ID_LOT_FIELDS and normalizeLotFieldName come from lot-search-index.js
+
+// Compare lot values ignoring case, surrounding spaces and leading zeros
+function normalizeLotValue(value) {
+    return value.toString().trim().toUpperCase().replace(/^0+(?=\d)/, '');
+}
+
+// Get the first non-empty value among the given normalized field names
+function findLotPropertyValue(properties, fieldNames) {
+    for (const fieldName of fieldNames) {
+        const key = Object.keys(properties).find(k => normalizeLotFieldName(k) === fieldName);
+        if (key && properties[key] !== null && properties[key] !== undefined && properties[key] !== '') {
+            return properties[key];
+        }
+    }
     return null;
 }
 
+// Short identifier for a lot, e.g. "B12-L7" when it has block and lot fields
+function getLotIdentifier(feature) {
+    const properties = (feature && feature.properties) || {};
+    const block = findLotPropertyValue(properties, LOT_ID_BLOCK_FIELDS);
+    const lot = findLotPropertyValue(properties, LOT_ID_LOT_FIELDS);
+
+    if (block !== null && lot !== null) {
+        return `B${block.toString().trim()}-L${lot.toString().trim()}`;
+    }
+    return lot !== null ? lot.toString().trim() : null;
+}
+
+// Searchable layers matching a saved layer reference, or all of them when it is not loaded
+function getReferencedSearchLayers(layerReference) {
+    const searchable = getSearchableLayers();
+    if (!layerReference) return searchable;
+
+    const layerId = findLayerIdByReference(layerReference);
+    const referenced = searchable.filter(layer =>
+        layer.layerId === layerId || (layer.layerId === 'aera-direct' && layer.name === layerReference.name)
+    );
+    return referenced.length > 0 ? referenced : searchable;
+}
+
+// Find a lot in the searchable layers by identifier ("B12-L7", a lot number or any exact property value);
+// a layer reference { name, databaseId } looks in that layer first
+function findLotFeature(lotId, layerReference = null) {
+    if (!lotId) return null;
+
+    const target = normalizeLotValue(lotId);
+    const features = getReferencedSearchLayers(layerReference)
+        .flatMap(layer => layer.data.features)
+        .filter(feature => feature.properties && feature.geometry);
+    if (features.length === 0) return null;
+
+    // Same identifier as the one written into links
+    let match = features.find(feature => {
+        const identifier = getLotIdentifier(feature);
+        return identifier !== null && normalizeLotValue(identifier) === target;
+    });
+    if (match) return match;
+
+    // Block and lot written in another form, e.g. "BLK 12 - LOT 7"
+    const parts = lotId.toString().match(/^\s*B(?:LK|LOCK)?\.?\s*([^\s-]+)\s*-\s*L(?:OT)?\.?\s*(\S+)\s*$/i);
+    if (parts) {
+        const block = normalizeLotValue(parts[1]);
+        const lot = normalizeLotValue(parts[2]);
+        match = features.find(feature => {
+            const featureBlock = findLotPropertyValue(feature.properties, LOT_ID_BLOCK_FIELDS);
+            const featureLot = findLotPropertyValue(feature.properties, LOT_ID_LOT_FIELDS);
+            return featureBlock !== null && featureLot !== null &&
+                normalizeLotValue(featureBlock) === block && normalizeLotValue(featureLot) === lot;
+        });
+        if (match) return match;
+    }
+
+    // Fall back to an exact match on any property (e.g. a title number)
+    return features.find(feature => Object.values(feature.properties).some(value =>
+        value !== null && value !== undefined && value !== '' && normalizeLotValue(value) === target
+    )) || null;
+}
+
 // Display search results in the dropdown
 function displaySearchResults() {
     const dropdown = document.getElementById('lotSearchDropdown');
     if (!dropdown) return;
 
-    if (searchResults.length === 0) {
+    if (searchResults.length === 0 && coordinateResults.length === 0) {
         const message = selectedFields.length > 0 ? 
-            `No matches found in selected field${selectedFields.length !== 1 ? 's' : ''}: ${selectedFields.join(', ')}` : 
+            `No matches found in selected field${selectedFields.length !== 1 ? 's' : ''}: ${escapeResultText(selectedFields.join(', '))}` : 
             'No matching lots found';
         showNoResultsMessage(message);
         return;
@@ -360,11 +493,20 @@ function displaySearchResults() {
         return `
             <div class="search-result-item p-3 hover:bg-neon-teal/10 cursor-pointer border-b border-gray-700/30 last:border-b-0 transition-colors duration-150" 
                  data-result-index="${index}">
+                <div class="flex items-center justify-between mb-1">
+                    <div class="text-xs text-neon-teal truncate">
+                        <i class="fas fa-layer-group mr-1"></i>${escapeResultText(result.layerName)}
+                    </div>
+                    ${renderLotPinButton(isResultPinned(result), 'result', index)}
+                </div>
                 <div class="flex flex-col space-y-1">
                     ${displayFields.map(field => `
                         <div class="flex justify-between items-center">
-                            <span class="text-xs text-gray-400 uppercase tracking-wide">${field.label}:</span>
-                            <span class="text-sm text-light-gray font-medium">${field.value}</span>
+                            <span class="text-xs text-gray-400 uppercase tracking-wide">
+                                ${escapeResultText(field.label)}:
+                                ${field.clause ? `<span class="ml-1 px-1 rounded border border-neon-teal/40 text-neon-teal normal-case tracking-normal">${escapeResultText(field.clause)}</span>` : ''}
+                            </span>
+                            <span class="text-sm ${field.clause ? 'text-neon-teal' : 'text-light-gray'} font-medium">${escapeResultText(field.value)}</span>
                         </div>
                     `).join('')}
                 </div>
@@ -377,24 +519,65 @@ function displaySearchResults() {
         `;
     }).join('');
 
+    const layerCount = new Set(searchHits.map(({ layer }) => layer.layerId)).size;
+    const layerText = layerCount > 1 ? ` in ${layerCount} layers` : '';
+    const countText = `${searchHits.length.toLocaleString()} lot${searchHits.length !== 1 ? 's' : ''} found${layerText}`;
     const headerText = selectedFields.length > 0 ? 
-        `${searchResults.length} lot${searchResults.length !== 1 ? 's' : ''} found in selected field${selectedFields.length !== 1 ? 's' : ''}: ${selectedFields.join(', ')}` :
-        `${searchResults.length} lot${searchResults.length !== 1 ? 's' : ''} found (global search)`;
+        `${countText} in selected field${selectedFields.length !== 1 ? 's' : ''}: ${escapeResultText(selectedFields.join(', '))}` :
+        `${countText} (global search)`;
+    const limitText = searchHits.length > searchResults.length ? 
+        `Showing the best ${searchResults.length}` : '';
+
+    const coordinateItems = coordinateResults.map((result, index) => `
+        <div class="search-result-item p-3 hover:bg-neon-teal/10 cursor-pointer border-b border-gray-700/30 transition-colors duration-150${index === 0 ? ' selected' : ''}" 
+             data-coordinate-index="${index}">
+            <div class="text-xs text-neon-teal mb-1 truncate">
+                <i class="fas fa-map-marker-alt mr-1"></i>${result.format}${result.bearing ? ` → ${result.bearing.label}` : ''}
+            </div>
+            <div class="text-sm text-light-gray font-medium">${formatSearchCoordinate(result)}</div>
+            <div class="text-xs text-gray-400 mt-1">${describeCoordinateLots(result.lots)}</div>
+        </div>
+    `).join('');
 
     dropdown.innerHTML = `
-        <div class="p-2 border-b border-gray-700/30">
-            <div class="text-xs text-gray-400 uppercase tracking-wide">
-                ${headerText}
+        ${coordinateItems}
+        ${searchResults.length > 0 ? `
+            <div class="p-2 border-b border-gray-700/30 flex items-start justify-between gap-2">
+                <div class="text-xs text-gray-400 uppercase tracking-wide">
+                    ${headerText}
+                    ${limitText ? `<div class="text-gray-500 normal-case tracking-normal">${limitText}</div>` : ''}
+                </div>
+                <div class="flex items-center gap-1 flex-shrink-0">
+                    <button type="button" class="search-action-btn px-1.5 py-0.5 text-gray-400 hover:text-neon-teal" data-search-action="select" title="Select all ${searchHits.length} matches (Shift: add, Ctrl: remove)">
+                        <i class="fas fa-object-group"></i>
+                    </button>
+                    <button type="button" class="search-action-btn px-1.5 py-0.5 text-gray-400 hover:text-neon-teal" data-search-action="filter" title="Filter the layer to these matches">
+                        <i class="fas fa-filter"></i>
+                    </button>
+                    <button type="button" class="search-action-btn px-1.5 py-0.5 text-gray-400 hover:text-neon-teal" data-search-action="csv" title="Export matches as CSV">
+                        <i class="fas fa-file-csv"></i>
+                    </button>
+                    <button type="button" class="search-action-btn px-1.5 py-0.5 text-gray-400 hover:text-neon-teal" data-search-action="geojson" title="Export matches as GeoJSON">
+                        <i class="fas fa-file-code"></i>
+                    </button>
+                </div>
             </div>
-        </div>
+        ` : ''}
         ${resultItems}
     `;
 
     // Add click event listeners to result items
     dropdown.querySelectorAll('.search-result-item').forEach(item => {
-        item.addEventListener('click', handleResultClick);
+        const isCoordinate = item.dataset.coordinateIndex !== undefined;
+        item.addEventListener('click', isCoordinate ? handleCoordinateResultClick : handleResultClick);
         item.addEventListener('mouseenter', handleResultHover);
     });
+    dropdown.querySelectorAll('.search-action-btn').forEach(button => {
+        button.addEventListener('click', handleSearchAction);
+    });
+    dropdown.querySelectorAll('.search-pin-btn').forEach(button => {
+        button.addEventListener('click', handlePinButtonClick);
+    });
 
     showSearchDropdown();
 }
@@ -413,7 +596,19 @@ function getDisplayFields(properties, matches) {
     const displayFields = [];
     const usedFields = new Set();
 
-    // First, add high-priority matched fields
+    // Fields matched by a query clause (e.g. block:12) come first, tagged with the clause
+    matches.forEach(match => {
+        if (match.clause && !usedFields.has(match.field)) {
+            displayFields.push({
+                label: formatFieldLabel(match.field),
+                value: match.value,
+                clause: match.clause
+            });
+            usedFields.add(match.field);
+        }
+    });
+
+    // Then high-priority matched fields
     matches.forEach(match => {
         const fieldLower = match.field.toLowerCase();
         if (priorityFields.some(pf => fieldLower.includes(pf)) && !usedFields.has(match.field)) {
@@ -459,6 +654,15 @@ function getDisplayFields(properties, matches) {
     return displayFields;
 }
 
+// Escape text typed by the user before showing it in the results
+function escapeResultText(text) {
+    return text.toString()
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 // Format field labels for display
 function formatFieldLabel(fieldName) {
     return fieldName
@@ -493,18 +697,412 @@ function handleResultClick(event) {
     if (result && result.feature) {
         // Clear any existing search highlights first
         clearSearchHighlight();
+        removeCoordinateSearchMarker();
         
         zoomToLot(result.feature);
         hideSearchDropdown();
         
+        // Keep the selected lot in the shareable map link
+        if (typeof window.setMapLinkLot === 'function') {
+            window.setMapLinkLot(getLotIdentifier(result.feature));
+        }
+        
         // Clear search input
         const searchInput = document.getElementById('headerSearchInput');
         if (searchInput) {
+            addRecentSearchQuery(searchInput.value);
             searchInput.blur();
         }
+        const reference = getResultLotReference(result);
+        addRecentSearchLot(reference.lotId, reference.layer);
     }
 }
 
+// === RESULT SET ACTIONS ===
+
+// Run a result set action from the dropdown header
+function handleSearchAction(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (searchHits.length === 0) return;
+
+    const searchInput = document.getElementById('headerSearchInput');
+    if (searchInput) {
+        addRecentSearchQuery(searchInput.value);
+    }
+
+    switch (event.currentTarget.dataset.searchAction) {
+        case 'select':
+            selectAllSearchResults(event);
+            break;
+        case 'filter':
+            filterToSearchResults();
+            break;
+        case 'csv':
+        case 'geojson':
+            exportSearchResults(event.currentTarget.dataset.searchAction);
+            break;
+    }
+}
+
+// Every matched feature, grouped by layer as [{ layerId, name, features }]
+function getSearchHitLayers() {
+    const hitLayers = new Map();
+    searchHits.forEach(({ layer, hit }) => {
+        if (!hitLayers.has(layer.layerId)) {
+            hitLayers.set(layer.layerId, { layerId: layer.layerId, name: layer.name, features: [] });
+        }
+        hitLayers.get(layer.layerId).features.push(layer.data.features[hit.featureIndex]);
+    });
+    return Array.from(hitLayers.values());
+}
+
+// The layer holding all matches; selections and filters work on one layer at a time
+function getSingleSearchHitLayer(action) {
+    const hitLayers = getSearchHitLayers();
+    if (hitLayers.length === 1) return hitLayers[0];
+
+    showWarning(`The matches come from ${hitLayers.length} layers. Choose one layer in the search scope to ${action} them.`, 'Several Layers');
+    return null;
+}
+
+// Select every match with the selection tools; Shift adds to and Ctrl removes from the selection
+function selectAllSearchResults(event) {
+    const hitLayer = getSingleSearchHitLayer('select');
+    if (!hitLayer || typeof window.selectLayerFeatures !== 'function') return;
+
+    window.selectLayerFeatures(hitLayer.layerId, hitLayer.features, {
+        shiftKey: event.shiftKey,
+        ctrlKey: event.ctrlKey,
+        metaKey: event.metaKey
+    });
+    hideSearchDropdown();
+    showNotification(`Selected ${hitLayer.features.length} lot${hitLayer.features.length !== 1 ? 's' : ''} in "${hitLayer.name}"`, 'success');
+}
+
+// Filter the layer down to the matches
+function filterToSearchResults() {
+    const hitLayer = getSingleSearchHitLayer('filter');
+    if (!hitLayer || typeof window.applyFeatureSetFilter !== 'function') return;
+
+    if (window.applyFeatureSetFilter(hitLayer.layerId, hitLayer.features)) {
+        clearSearchHighlight();
+        hideSearchDropdown();
+        showNotification(`Filtered "${hitLayer.name}" to ${hitLayer.features.length} matching lot${hitLayer.features.length !== 1 ? 's' : ''}`, 'success');
+    }
+}
+
+// Download every match as CSV (with WKT geometry) or GeoJSON; matches from several
+// layers get a source_layer attribute
+function exportSearchResults(format) {
+    const isMultiLayer = new Set(searchHits.map(({ layer }) => layer.layerId)).size > 1;
+    const features = searchHits.map(({ layer, hit }) => {
+        const feature = layer.data.features[hit.featureIndex];
+        return isMultiLayer ?
+            { ...feature, properties: { source_layer: layer.name, ...feature.properties } } :
+            feature;
+    });
+    const featureCollection = { type: 'FeatureCollection', features };
+
+    const searchInput = document.getElementById('headerSearchInput');
+    const baseName = getExportFileName(`lot_search_${searchInput ? searchInput.value.trim() : ''}`);
+    const filename = `${baseName}.${format}`;
+    const blob = format === 'csv' ?
+        new Blob([buildCSV(featureCollection, 'wkt')], { type: 'text/csv;charset=utf-8' }) :
+        new Blob([JSON.stringify(featureCollection)], { type: 'application/geo+json' });
+
+    downloadBlob(blob, filename);
+    console.log(`💾 Exported ${features.length} search matches as ${format}`);
+    showNotification(`Exported ${features.length} lot${features.length !== 1 ? 's' : ''} to ${filename}`, 'success');
+}
+
+// === RECENT SEARCHES AND PINNED LOTS ===
+
+// Identifier and layer reference under which a result is kept in the history and pins
+function getResultLotReference(result) {
+    const match = result.matches.find(m => m.value !== null && m.value !== undefined && m.value !== '');
+    const layer = result.layerId === 'aera-direct' ? null : getLayerReference(result.layerId);
+    return {
+        lotId: getLotIdentifier(result.feature) || (match ? String(match.value) : null),
+        layer: layer || { name: result.layerName, databaseId: null }
+    };
+}
+
+// Whether a search result is one of the user's pinned lots
+function isResultPinned(result) {
+    const reference = getResultLotReference(result);
+    return Boolean(reference.lotId && findPinnedLot(reference.lotId, reference.layer));
+}
+
+// Pin toggle for a lot listed in the dropdown
+function renderLotPinButton(isPinned, source, index) {
+    return `
+        <button type="button" class="search-pin-btn px-1 flex-shrink-0 ${isPinned ? 'text-neon-teal' : 'text-gray-500 hover:text-neon-teal'}" 
+                data-pin-source="${source}" data-pin-index="${index}" title="${isPinned ? 'Unpin lot' : 'Pin lot'}">
+            <i class="fas fa-thumbtack"></i>
+        </button>
+    `;
+}
+
+// Show pinned lots and recent searches while the search box is empty
+function displaySearchHistory() {
+    const dropdown = document.getElementById('lotSearchDropdown');
+    if (!dropdown) return;
+
+    shownPinnedLots = getPinnedLots().slice();
+    shownSearchHistory = getSearchHistory();
+    if (shownPinnedLots.length === 0 && shownSearchHistory.length === 0) {
+        hideSearchDropdown();
+        return;
+    }
+
+    const pinnedItems = shownPinnedLots.map((pin, index) => `
+        <div class="search-result-item p-3 hover:bg-neon-teal/10 cursor-pointer border-b border-gray-700/30 transition-colors duration-150 flex items-center justify-between" 
+             data-pinned-index="${index}">
+            <div class="truncate">
+                <span class="text-sm text-light-gray font-medium">${escapeResultText(pin.lot_id)}</span>
+                ${pin.layer ? `<span class="text-xs text-gray-400 ml-2">${escapeResultText(pin.layer.name)}</span>` : ''}
+            </div>
+            ${renderLotPinButton(true, 'pinned', index)}
+        </div>
+    `).join('');
+
+    const historyItems = shownSearchHistory.map((entry, index) => entry.type === 'query' ? `
+        <div class="search-result-item p-3 hover:bg-neon-teal/10 cursor-pointer border-b border-gray-700/30 transition-colors duration-150 truncate" 
+             data-history-index="${index}">
+            <i class="fas fa-history text-gray-500 mr-2"></i><span class="text-sm text-light-gray">${escapeResultText(entry.query)}</span>
+        </div>
+    ` : `
+        <div class="search-result-item p-3 hover:bg-neon-teal/10 cursor-pointer border-b border-gray-700/30 transition-colors duration-150 flex items-center justify-between" 
+             data-history-index="${index}">
+            <div class="truncate">
+                <i class="fas fa-map-marker-alt text-gray-500 mr-2"></i><span class="text-sm text-light-gray font-medium">${escapeResultText(entry.lotId)}</span>
+                ${entry.layer ? `<span class="text-xs text-gray-400 ml-2">${escapeResultText(entry.layer.name)}</span>` : ''}
+            </div>
+            ${renderLotPinButton(Boolean(findPinnedLot(entry.lotId, entry.layer)), 'history', index)}
+        </div>
+    `).join('');
+
+    dropdown.innerHTML = `
+        ${pinnedItems ? `
+            <div class="p-2 border-b border-gray-700/30">
+                <div class="text-xs text-gray-400 uppercase tracking-wide"><i class="fas fa-thumbtack mr-1"></i>Pinned lots</div>
+            </div>
+            ${pinnedItems}
+        ` : ''}
+        ${historyItems ? `
+            <div class="p-2 border-b border-gray-700/30 flex items-center justify-between">
+                <div class="text-xs text-gray-400 uppercase tracking-wide">Recent searches</div>
+                <button type="button" id="clearSearchHistoryBtn" class="text-xs text-gray-500 hover:text-neon-teal">Clear</button>
+            </div>
+            ${historyItems}
+        ` : ''}
+    `;
+
+    dropdown.querySelectorAll('.search-result-item').forEach(item => {
+        item.addEventListener('click', handleSearchHistoryClick);
+        item.addEventListener('mouseenter', handleResultHover);
+    });
+    dropdown.querySelectorAll('.search-pin-btn').forEach(button => {
+        button.addEventListener('click', handlePinButtonClick);
+    });
+    const clearButton = document.getElementById('clearSearchHistoryBtn');
+    if (clearButton) {
+        clearButton.addEventListener('click', event => {
+            event.preventDefault();
+            event.stopPropagation();
+            clearSearchHistory();
+            displaySearchHistory();
+        });
+    }
+
+    showSearchDropdown();
+}
+
+// Re-run a recent query, or open a pinned or recent lot
+function handleSearchHistoryClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const item = event.currentTarget;
+    const pin = item.dataset.pinnedIndex !== undefined ? shownPinnedLots[parseInt(item.dataset.pinnedIndex)] : null;
+    const entry = pin ?
+        { type: 'lot', lotId: pin.lot_id, layer: pin.layer } :
+        shownSearchHistory[parseInt(item.dataset.historyIndex)];
+    if (!entry) return;
+
+    const searchInput = document.getElementById('headerSearchInput');
+    if (entry.type === 'query') {
+        if (searchInput) {
+            searchInput.value = entry.query;
+            searchInput.focus();
+        }
+        performLotSearch(entry.query);
+        return;
+    }
+
+    openSavedLot(entry.lotId, entry.layer);
+    if (searchInput) {
+        searchInput.blur();
+    }
+}
+
+// Zoom to a lot kept in the history or pins
+function openSavedLot(lotId, layer) {
+    const feature = findLotFeature(lotId, layer);
+    if (!feature) {
+        showWarning(`Lot "${lotId}" was not found in the loaded layers.`, 'Lot Not Found');
+        return;
+    }
+
+    clearSearchHighlight();
+    removeCoordinateSearchMarker();
+    zoomToLot(feature);
+    hideSearchDropdown();
+
+    if (typeof window.setMapLinkLot === 'function') {
+        window.setMapLinkLot(lotId);
+    }
+    addRecentSearchLot(lotId, layer);
+}
+
+// Lot a pin button belongs to, as { lotId, layer }
+function getPinButtonLotReference(button) {
+    const index = parseInt(button.dataset.pinIndex);
+    switch (button.dataset.pinSource) {
+        case 'result':
+            return searchResults[index] ? getResultLotReference(searchResults[index]) : null;
+        case 'history':
+            return shownSearchHistory[index] ? { lotId: shownSearchHistory[index].lotId, layer: shownSearchHistory[index].layer } : null;
+        case 'pinned':
+            return shownPinnedLots[index] ? { lotId: shownPinnedLots[index].lot_id, layer: shownPinnedLots[index].layer } : null;
+    }
+    return null;
+}
+
+// Pin or unpin a lot, then redraw the dropdown with the new state
+async function handlePinButtonClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const reference = getPinButtonLotReference(event.currentTarget);
+    if (!reference || !reference.lotId) return;
+
+    await togglePinnedLot(reference.lotId, reference.layer);
+
+    const searchInput = document.getElementById('headerSearchInput');
+    if (searchInput && !searchInput.value.trim()) {
+        displaySearchHistory();
+    } else {
+        displaySearchResults();
+    }
+}
+
+// === COORDINATE SEARCH ===
+
+// List the query's coordinate readings (with the lots at each point) above the lot results
+async function updateCoordinateResults(query) {
+    const requestId = ++coordinateSearchRequest;
+    const center = window.map ? window.map.getCenter() : null;
+    const candidates = parseSearchCoordinates(query, center ? { lat: center.lat, lng: center.lng } : null);
+
+    coordinateResults = [];
+    if (candidates.length === 0) return;
+
+    try {
+        const resolved = (await Promise.all(candidates.map(resolveSearchCoordinate))).filter(Boolean);
+        if (requestId !== coordinateSearchRequest) return;
+
+        const searchLayers = getSearchableLayers();
+        coordinateResults = resolved.map(result => ({ ...result, lots: findLotsAtPoint(result.lat, result.lng, searchLayers) }));
+        console.log(`📍 "${query}" read as ${coordinateResults.map(result => result.format).join(', ')}`);
+        displaySearchResults();
+    } catch (error) {
+        console.error('❌ Error reading coordinates:', error);
+    }
+}
+
+// "14.599512, 120.984222"
+function formatSearchCoordinate(result) {
+    return `${result.lat.toFixed(6)}, ${result.lng.toFixed(6)}`;
+}
+
+// Short name for a lot found at a coordinate, escaped for HTML
+function getCoordinateLotLabel(lot) {
+    const identifier = getLotIdentifier(lot.feature);
+    if (identifier !== null) return escapeResultText(`${lot.layerName}: ${identifier}`);
+
+    const [field] = getDisplayFields(lot.feature.properties || {}, []);
+    return escapeResultText(field ? `${lot.layerName}: ${field.label} ${field.value}` : `${lot.layerName}: feature ${lot.featureIndex + 1}`);
+}
+
+// Which lots contain a coordinate, for the result list and marker popup
+function describeCoordinateLots(lots) {
+    if (lots.length === 0) return 'Not inside any lot';
+    return `Inside ${lots.map(getCoordinateLotLabel).join('; ')}`;
+}
+
+// Handle coordinate result click
+function handleCoordinateResultClick(event) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const result = coordinateResults[parseInt(event.currentTarget.dataset.coordinateIndex)];
+    if (!result) return;
+
+    clearSearchHighlight();
+    showCoordinateOnMap(result);
+    hideSearchDropdown();
+
+    const searchInput = document.getElementById('headerSearchInput');
+    if (searchInput) {
+        addRecentSearchQuery(searchInput.value);
+        searchInput.blur();
+    }
+}
+
+// Drop a marker at a searched coordinate, zoom there and highlight the lot containing it
+function showCoordinateOnMap(result) {
+    if (!window.map) return;
+
+    removeCoordinateSearchMarker();
+
+    const latlng = L.latLng(result.lat, result.lng);
+    window.map.setView(latlng, Math.max(window.map.getZoom(), 18));
+
+    coordinateSearchMarker = L.marker(latlng)
+        .addTo(window.map)
+        .bindPopup(`
+            <div class="text-sm">
+                <div class="font-semibold">${result.format}</div>
+                ${result.bearing ? `<div>${result.bearing.label}</div>` : ''}
+                <div>${formatSearchCoordinate(result)}</div>
+                <div class="mt-1">${describeCoordinateLots(result.lots)}</div>
+            </div>
+        `)
+        .openPopup();
+
+    if (result.lots.length > 0) {
+        highlightLotFeature(result.lots[0].feature);
+
+        // Keep the lot in the shareable map link
+        if (typeof window.setMapLinkLot === 'function') {
+            window.setMapLinkLot(getLotIdentifier(result.lots[0].feature));
+        }
+    }
+
+    console.log(`📍 Showing ${formatSearchCoordinate(result)} (${result.format}), ${result.lots.length} lot(s) at the point`);
+}
+
+// Remove the marker dropped by a coordinate search
+function removeCoordinateSearchMarker() {
+    if (coordinateSearchMarker && window.map) {
+        window.map.removeLayer(coordinateSearchMarker);
+    }
+    coordinateSearchMarker = null;
+}
+
 // Handle result item hover
 function handleResultHover(event) {
     // Remove highlight from other items
@@ -572,74 +1170,77 @@ function highlightLotFeature(feature) {
     }
 
     // === Fallback: Manual reverse mask + SVG overlay ===
-    if (typeof window.createSelectionOverlayMask === 'function') {
-        // World-sized outer ring (GeoJSON uses [lng, lat])
-        const outerRing = [
-            [-180, -90],
-            [180, -90],
-            [180, 90],
-            [-180, 90],
-            [-180, -90]
-        ];
-
-        let holeCoords;
+    currentHighlightedFeature = {
+        feature,
+        layers: createSearchHighlightLayers(feature)
+    };
 
-        if (feature.geometry.type === 'Polygon') {
-            holeCoords = feature.geometry.coordinates[0];
-        } else if (feature.geometry.type === 'MultiPolygon') {
-            holeCoords = feature.geometry.coordinates[0][0];
-        } else {
-            console.error('❌ Unsupported geometry type for mask:', feature.geometry.type);
-            return;
-        }
-
-        // Construct reversed mask (outer polygon with inner hole)
-        const maskGeoJSON = {
-            type: 'Feature',
-            geometry: {
-                type: 'Polygon',
-                coordinates: [outerRing, holeCoords]
-            }
-        };
+    console.log('✅ Applied fallback mask + animated outline');
 
-        // Add black translucent mask
-        const maskLayer = L.geoJSON(maskGeoJSON, {
-            style: {
-                fillColor: 'black',
-                fillOpacity: 0.6,
-                color: 'black',
-                weight: 0
-            }
-        }).addTo(window.map);
-
-        // Add animated glowing outline of the selected polygon above the mask
-        const highlightLayer = L.geoJSON(feature, {
-            renderer: L.svg(),
-            style: {
-                color: '#00ffe7',
-                weight: 5,
-                opacity: 1,
-                fill: false,
-                dashArray: '10 15',
-                className: 'chase-glow'
-            }
-        }).addTo(window.map);
+    // Auto cleanup
+    setTimeout(() => {
+        clearSearchHighlight();
+    }, 4000);
+}
 
-        // Store reference
-        currentHighlightedFeature = {
-            feature,
-            layers: [maskLayer, highlightLayer]
-        };
+// Add a reverse mask and animated outline for a feature of any geometry type
+function createSearchHighlightLayers(feature) {
+    // World-sized outer ring (GeoJSON uses [lng, lat])
+    const outerRing = [
+        [-180, -90],
+        [180, -90],
+        [180, 90],
+        [-180, 90],
+        [-180, -90]
+    ];
 
-        console.log('✅ Applied fallback mask + animated outline');
+    // Every polygon part becomes a hole; points and lines stay under the mask with the outline drawn on top
+    const holes = [];
+    const geometries = feature.geometry.type === 'GeometryCollection' ?
+        feature.geometry.geometries : [feature.geometry];
+    geometries.forEach(geometry => {
+        if (geometry.type === 'Polygon') {
+            holes.push(geometry.coordinates[0]);
+        } else if (geometry.type === 'MultiPolygon') {
+            geometry.coordinates.forEach(polygon => holes.push(polygon[0]));
+        }
+    });
 
-        // Auto cleanup
-        setTimeout(() => {
-            clearSearchHighlight();
-        }, 4000);
-    } else {
-        console.error('❌ No visual system available for search highlighting');
-    }
+    // Construct reversed mask (outer polygon with inner holes)
+    const maskGeoJSON = {
+        type: 'Feature',
+        geometry: {
+            type: 'Polygon',
+            coordinates: [outerRing, ...holes]
+        }
+    };
+
+    // Add black translucent mask
+    const maskLayer = L.geoJSON(maskGeoJSON, {
+        style: {
+            fillColor: 'black',
+            fillOpacity: 0.6,
+            color: 'black',
+            weight: 0
+        }
+    }).addTo(window.map);
+
+    // Add animated glowing outline of the selected feature above the mask
+    const highlightStyle = {
+        color: '#00ffe7',
+        weight: 5,
+        opacity: 1,
+        fill: false,
+        dashArray: '10 15',
+        className: 'chase-glow'
+    };
+    const highlightLayer = L.geoJSON(feature, {
+        renderer: L.svg(),
+        style: highlightStyle,
+        pointToLayer: (point, latlng) => L.circleMarker(latlng, { ...highlightStyle, radius: 12 })
+    }).addTo(window.map);
+
+    return [maskLayer, highlightLayer];
 }
 
 // Clean up search highlight and overlay mask
@@ -758,12 +1359,27 @@ function selectResultItem(items, index) {
 
 // Handle search input focus
 function handleSearchFocus(event) {
+    updateLayerScopeOptions();
+
     const query = event.target.value.trim();
     if (query === '/' || query.endsWith('/')) {
         showFieldDropdown();
     } else if (query && searchResults.length > 0) {
         showSearchDropdown();
+    } else if (!query) {
+        displaySearchHistory();
     }
+
+    // Pins are loaded once per user; redraw when they arrive
+    const shownPins = getPinnedLots();
+    loadPinnedLots().then(pins => {
+        if (pins === shownPins || pins.length + shownPins.length === 0 || document.activeElement !== event.target) return;
+        if (!event.target.value.trim()) {
+            displaySearchHistory();
+        } else if (searchResults.length > 0) {
+            displaySearchResults();
+        }
+    });
 }
 
 // Handle search input blur with delay to allow clicks
@@ -1065,14 +1681,9 @@ function handleFieldDropdownKeyNav(event, dropdown) {
     }
 }
 
-// Legacy search overlay mask function - kept for compatibility but deprecated
-// Now using unified selection visuals system instead
+// Persistent search overlay mask (no auto cleanup), for features from any layer
 function createSearchOverlayMask(feature) {
-    console.warn('⚠️ createSearchOverlayMask is deprecated. Using unified selection visuals instead.');
-    
-    // This function is now handled by the unified selection visuals system
-    // If unified visuals are not available, this provides minimal fallback
-    if (!window.map || !feature) {
+    if (!window.map || !feature || !feature.geometry) {
         return;
     }
 
@@ -1088,14 +1699,18 @@ function createSearchOverlayMask(feature) {
         return;
     }
 
-    // Minimal fallback implementation
-    console.log('✅ Applied minimal search overlay mask fallback');
+    searchOverlayMask = createSearchHighlightLayers(feature);
+    console.log('✅ Applied search overlay mask');
 }
 
 // Remove the search overlay mask
 function removeSearchOverlayMask() {
-    if (searchOverlayMask && searchOverlayMask.parentNode) {
-        searchOverlayMask.parentNode.removeChild(searchOverlayMask);
+    if (searchOverlayMask && window.map) {
+        searchOverlayMask.forEach(layer => {
+            if (window.map.hasLayer(layer)) {
+                window.map.removeLayer(layer);
+            }
+        });
         searchOverlayMask = null;
         console.log('✅ Removed search overlay mask');
     }
@@ -1136,7 +1751,13 @@ function createSearchPathFromCoordinates(coordinates) {
 
 // Export functions for external use
 window.initializeLotSearch = initializeLotSearch;
+window.refreshLotSearchLayers = refreshLotSearchLayers;
 window.clearAllSelectedFields = clearAllSelectedFields;
 window.clearSearchHighlight = clearSearchHighlight; // Export search highlight clearing function
 window.createSearchOverlayMask = createSearchOverlayMask;
-window.removeSearchOverlayMask = removeSearchOverlayMask;
\ No newline at end of file
+window.zoomToLot = zoomToLot;
+window.highlightLotFeature = highlightLotFeature;
+window.findLotFeature = findLotFeature;
+window.getLotIdentifier = getLotIdentifier;
+window.removeSearchOverlayMask = removeSearchOverlayMask;
+window.removeCoordinateSearchMarker = removeCoordinateSearchMarker;
\ No newline at end of file
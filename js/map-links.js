@@ -0,0 +1,297 @@
+/**
+ * Map Links Module for Aéra Link WebGIS
+ * Shareable deep-link URLs that encode the current map view in the hash
+ *
+ * Features:
+ * - Center/zoom, basemap, visible layers, active filter and searched lot in the URL hash
+ * - Hash is kept up to date as the map changes
+ * - Links are restored after login, once layers have finished loading
+ * - Short lot links such as #lot=B12-L7 open zoomed to and highlighting the lot
+ * - "Copy Link to This View" in the map context menu
+ */
+
+const MAP_LINK_UPDATE_DELAY = 400;
+const MAP_LINK_FILTER_LOGIC = ['and', 'or'];
+
+// Link state
+let mapLinkLot = null;
+let mapLinkUpdateTimer = null;
+let isRestoringMapLink = false;
+let isMapLinkSyncActive = false;
+
+// Compact array form of a filter group for the URL: ['and', [[field, operator, value], ['or', [...]]]]
+// Spatial conditions are written as { spatial, layer, distance } with the layer name
+function encodeMapLinkFilterGroup(group) {
+    return [group.logic, group.conditions.map(node => {
+        if (node.type === 'group') return encodeMapLinkFilterGroup(node);
+        if (node.type === 'spatial') {
+            return { spatial: node.predicate, layer: node.layer ? node.layer.name : null, distance: node.distance };
+        }
+        return [node.field, node.operator, node.value];
+    })];
+}
+
+// Filter group from its compact array form
+function decodeMapLinkFilterGroup([logic, conditions]) {
+    if (!MAP_LINK_FILTER_LOGIC.includes(logic) || !Array.isArray(conditions)) {
+        throw new Error('Invalid filter group');
+    }
+    return {
+        type: 'group',
+        logic,
+        conditions: conditions.map(node => {
+            if (!Array.isArray(node)) {
+                return {
+                    type: 'spatial',
+                    predicate: node.spatial,
+                    layer: node.layer ? { name: node.layer, databaseId: null } : null,
+                    distance: node.distance ?? null
+                };
+            }
+            return MAP_LINK_FILTER_LOGIC.includes(node[0]) && Array.isArray(node[1]) ?
+                decodeMapLinkFilterGroup(node) :
+                { type: 'condition', field: node[0], operator: node[1], value: node[2] };
+        })
+    };
+}
+
+// Build the hash for the current map view
+function buildMapLinkHash() {
+    const params = new URLSearchParams();
+
+    const center = window.map.getCenter();
+    params.set('center', `${center.lat.toFixed(6)},${center.lng.toFixed(6)}`);
+    params.set('zoom', window.map.getZoom());
+
+    if (typeof getBasemapState === 'function') {
+        const basemapState = getBasemapState();
+        if (basemapState.basemap) params.set('basemap', basemapState.basemap);
+        if (basemapState.labels) params.set('labels', basemapState.labels);
+    }
+
+    // Layer ids change between sessions, so layers are linked by name
+    window.layerOrder.forEach(layerId => {
+        const layerInfo = window.layers.get(layerId);
+        if (layerInfo && layerInfo.visible) {
+            params.append('layer', layerInfo.name);
+        }
+    });
+
+    const activeFilter = window.currentFilterState && window.currentFilterState.activeFilter;
+    if (activeFilter && window.layers.has(activeFilter.layerId)) {
+        params.set('filter', JSON.stringify([
+            window.layers.get(activeFilter.layerId).name,
+            encodeMapLinkFilterGroup(activeFilter.group)
+        ]));
+    }
+
+    if (mapLinkLot) params.set('lot', mapLinkLot);
+
+    return `#${params.toString()}`;
+}
+
+// Parse a map link hash, or null when it holds no map link
+function parseMapLinkHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const link = {};
+
+    const center = (params.get('center') || '').split(',').map(Number);
+    const zoom = Number(params.get('zoom'));
+    if (center.length === 2 && center.every(Number.isFinite)) {
+        link.center = center;
+        link.zoom = Number.isFinite(zoom) && params.has('zoom') ? zoom : null;
+    }
+
+    if (params.get('basemap')) {
+        link.basemap = { basemap: params.get('basemap'), labels: params.get('labels') || null };
+    }
+
+    if (params.has('layer')) {
+        link.layers = params.getAll('layer');
+    }
+
+    if (params.get('filter')) {
+        try {
+            const filter = JSON.parse(params.get('filter'));
+            // Links made before compound filters hold [layerName, field, operator, value]
+            link.filter = filter.length === 2 ?
+                { layerName: filter[0], group: decodeMapLinkFilterGroup(filter[1]) } :
+                { layerName: filter[0], field: filter[1], operator: filter[2], value: filter[3] };
+        } catch (error) {
+            console.warn('⚠️ Ignoring malformed filter in map link:', error);
+        }
+    }
+
+    if (params.get('lot')) {
+        link.lot = params.get('lot');
+    }
+
+    return Object.keys(link).length > 0 ? link : null;
+}
+
+// Full URL for the current map view
+function getMapLinkUrl() {
+    return `${window.location.href.split('#')[0]}${buildMapLinkHash()}`;
+}
+
+// Write the current view into the address bar without adding history entries
+function updateMapLinkHash() {
+    if (!window.map || isRestoringMapLink) return;
+    history.replaceState(null, '', buildMapLinkHash());
+}
+
+// Debounce hash updates while the map is moving or layers are toggled
+function scheduleMapLinkUpdate() {
+    if (!isMapLinkSyncActive || isRestoringMapLink) return;
+    clearTimeout(mapLinkUpdateTimer);
+    mapLinkUpdateTimer = setTimeout(updateMapLinkHash, MAP_LINK_UPDATE_DELAY);
+}
+
+// Remember the lot picked from the lot search so it is part of the link
+function setMapLinkLot(lotId) {
+    mapLinkLot = lotId || null;
+    scheduleMapLinkUpdate();
+}
+
+// Keep the hash in sync with the map from now on
+function startMapLinkSync() {
+    if (isMapLinkSyncActive) return;
+    isMapLinkSyncActive = true;
+
+    // Layer toggles, filters and basemap switches all add or remove map layers
+    window.map.on('moveend layeradd layerremove', scheduleMapLinkUpdate);
+    updateMapLinkHash();
+}
+
+// Show exactly the linked layers
+function applyMapLinkLayers(layerNames) {
+    const missingLayers = [];
+    const visibleLayerIds = new Set();
+
+    layerNames.forEach(name => {
+        const layerId = findLayerIdByReference({ name });
+        if (layerId) {
+            visibleLayerIds.add(layerId);
+        } else {
+            missingLayers.push(name);
+        }
+    });
+
+    window.layers.forEach((layerInfo, layerId) => {
+        const visible = visibleLayerIds.has(layerId);
+        if (layerInfo.layer) {
+            if (visible && !window.map.hasLayer(layerInfo.layer)) {
+                window.map.addLayer(layerInfo.layer);
+            } else if (!visible && window.map.hasLayer(layerInfo.layer)) {
+                window.map.removeLayer(layerInfo.layer);
+            }
+        }
+        layerInfo.visible = visible;
+    });
+
+    updateMapLayerOrder(true);
+    updateLayersList();
+    updateLegend();
+
+    return missingLayers;
+}
+
+// Restore the view encoded in the URL hash after login
+async function restoreMapLinkFromHash(initialDataLoaded) {
+    const link = parseMapLinkHash(window.location.hash);
+    if (!link) {
+        startMapLinkSync();
+        return;
+    }
+
+    console.log('🔗 Restoring map link:', link);
+    isRestoringMapLink = true;
+
+    try {
+        // The view and basemap do not depend on layers, so apply them straight away
+        if (link.center) {
+            window.map.setView(link.center, link.zoom !== null ? link.zoom : window.map.getZoom());
+        }
+        if (link.basemap && typeof setBasemapState === 'function') {
+            setBasemapState(link.basemap);
+        }
+
+        await initialDataLoaded;
+
+        const problems = [];
+
+        if (link.layers) {
+            const missingLayers = applyMapLinkLayers(link.layers);
+            if (missingLayers.length > 0) {
+                problems.push(`Layers not available: ${missingLayers.join(', ')}`);
+            }
+        }
+
+        if (link.filter) {
+            const layerId = findLayerIdByReference({ name: link.filter.layerName });
+            const restored = restoreFilter(layerId ? {
+                layerId,
+                group: link.filter.group,
+                field: link.filter.field,
+                operator: link.filter.operator,
+                value: link.filter.value
+            } : null);
+            if (!restored) {
+                problems.push(`Filter on "${link.filter.layerName}" could not be applied`);
+            } else if (link.center) {
+                // Filters zoom to their result; the linked view wins
+                window.map.setView(link.center, link.zoom !== null ? link.zoom : window.map.getZoom());
+            }
+        }
+
+        if (link.lot) {
+            const feature = typeof findLotFeature === 'function' ? findLotFeature(link.lot) : null;
+            if (feature) {
+                zoomToLot(feature);
+                mapLinkLot = link.lot;
+            } else {
+                problems.push(`Lot "${link.lot}" was not found`);
+            }
+        }
+
+        if (problems.length > 0) {
+            showWarning(problems.join('\n'), 'Map Link');
+        }
+    } catch (error) {
+        console.error('Error restoring map link:', error);
+        showError('Could not open map link: ' + error.message, 'Map Link');
+    } finally {
+        isRestoringMapLink = false;
+        startMapLinkSync();
+    }
+}
+
+// Copy a link to the current view to the clipboard
+async function copyMapLink() {
+    const url = getMapLinkUrl();
+    try {
+        await navigator.clipboard.writeText(url);
+        showNotification('Map link copied to clipboard', 'success');
+    } catch (error) {
+        console.error('Error copying map link:', error);
+        showPrompt('Copy this link:', url, 'Map Link');
+    }
+}
+
+// Wire the context menu entry
+function initializeMapLinks() {
+    const copyOption = document.getElementById('copyMapLinkOption');
+    if (copyOption) {
+        copyOption.addEventListener('click', () => {
+            hideMapContextMenu();
+            copyMapLink();
+        });
+    }
+}
+
+// Export functions for use in other modules
+window.initializeMapLinks = initializeMapLinks;
+window.restoreMapLinkFromHash = restoreMapLinkFromHash;
+window.setMapLinkLot = setMapLinkLot;
+window.getMapLinkUrl = getMapLinkUrl;
+window.copyMapLink = copyMapLink;
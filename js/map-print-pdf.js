@@ -0,0 +1,676 @@
+/**
+ * Print Layout PDF Module for Aéra Link WebGIS
+ * Browser-side PDF export for the Map Composer (no desktop build needed)
+ *
+ * Features:
+ * - Page sizes A4–A0 and Letter in portrait or landscape, or the composer canvas size
+ * - Title block with logo, title, date, author, scale and basemap attribution
+ * - Vector layers written as PDF vector paths with the styles they are drawn with on the map,
+ *   so filters and hidden legend categories carry over
+ * - Basemap tiles placed as an image underneath when the tile server allows it
+ * - North arrow, scale bar and a legend built from the current symbology
+ */
+
+const JSPDF_URL = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
+const PRINT_LOGO_URL = 'assets/AERA LOGO.png';
+
+// Paper sizes in millimetres (portrait)
+const PRINT_PAGE_SIZES = {
+    a4: { label: 'A4', width: 210, height: 297 },
+    a3: { label: 'A3', width: 297, height: 420 },
+    a2: { label: 'A2', width: 420, height: 594 },
+    a1: { label: 'A1', width: 594, height: 841 },
+    a0: { label: 'A0', width: 841, height: 1189 },
+    letter: { label: 'Letter', width: 215.9, height: 279.4 }
+};
+
+const PRINT_MM_PER_PIXEL = 25.4 / 96;
+const PRINT_BASEMAP_DPI = 150;
+const PRINT_MAX_TILES = 150;
+const PRINT_TILE_TIMEOUT = 15000;
+const PRINT_MERCATOR_EXTENT = 20037508.342789244;
+
+// Load jsPDF on first use
+async function ensureJsPDF() {
+    if (!window.jspdf) {
+        await loadScript(JSPDF_URL);
+    }
+}
+
+// Page size in millimetres for a paper size and orientation; 'custom' uses the given size
+function getPrintPageSize(pageSize, orientation, customSize) {
+    const paper = PRINT_PAGE_SIZES[pageSize];
+    const width = paper ? paper.width : customSize.width;
+    const height = paper ? paper.height : customSize.height;
+    const isLandscape = orientation === 'landscape';
+    return {
+        width: isLandscape ? Math.max(width, height) : Math.min(width, height),
+        height: isLandscape ? Math.min(width, height) : Math.max(width, height)
+    };
+}
+
+// Frames of the page: map, legend panel and title block; sizes grow with the paper
+function createPrintLayout(page, hasLegend) {
+    const unit = Math.min(page.width, page.height) / 210;
+    const margin = Math.max(8, Math.round(Math.min(page.width, page.height) * 0.035));
+    const gap = 3 * unit;
+    const titleHeight = 22 * unit;
+    const legendWidth = hasLegend ? Math.min(60 * unit, page.width * 0.3) : 0;
+
+    const contentWidth = page.width - 2 * margin;
+    const mapHeight = page.height - 2 * margin - titleHeight - gap;
+    const mapWidth = contentWidth - (hasLegend ? legendWidth + gap : 0);
+
+    return {
+        unit,
+        map: { x: margin, y: margin, width: mapWidth, height: mapHeight },
+        legend: hasLegend ? { x: margin + mapWidth + gap, y: margin, width: legendWidth, height: mapHeight } : null,
+        title: { x: margin, y: page.height - margin - titleHeight, width: contentWidth, height: titleHeight }
+    };
+}
+
+// === PROJECTION ===
+
+// Web Mercator metres for a longitude/latitude
+function projectPrintCoordinate(lng, lat) {
+    const point = L.Projection.SphericalMercator.project(L.latLng(lat, lng));
+    return [point.x, point.y];
+}
+
+// Fit the composer extent into the map frame; the frame shows a little more on the long side
+function createPrintProjection(bounds, frame) {
+    const [west, south] = projectPrintCoordinate(bounds.getWest(), bounds.getSouth());
+    const [east, north] = projectPrintCoordinate(bounds.getEast(), bounds.getNorth());
+    const scale = Math.min(frame.width / (east - west), frame.height / (north - south)); // mm per metre
+    const centerX = (west + east) / 2;
+    const centerY = (south + north) / 2;
+
+    const toMercator = (x, y) => [
+        centerX + (x - frame.x - frame.width / 2) / scale,
+        centerY - (y - frame.y - frame.height / 2) / scale
+    ];
+    const [minX, maxY] = toMercator(frame.x, frame.y);
+    const [maxX, minY] = toMercator(frame.x + frame.width, frame.y + frame.height);
+    const southWest = L.Projection.SphericalMercator.unproject(L.point(minX, minY));
+    const northEast = L.Projection.SphericalMercator.unproject(L.point(maxX, maxY));
+
+    return {
+        scale,
+        mercatorBounds: { minX, minY, maxX, maxY },
+        visibleBounds: [southWest.lng, southWest.lat, northEast.lng, northEast.lat],
+        centerLat: L.Projection.SphericalMercator.unproject(L.point(centerX, centerY)).lat,
+        toPage(lng, lat) {
+            const [x, y] = projectPrintCoordinate(lng, lat);
+            return [frame.x + frame.width / 2 + (x - centerX) * scale, frame.y + frame.height / 2 - (y - centerY) * scale];
+        }
+    };
+}
+
+// Ground metres per millimetre of paper at the centre of the map
+function getPrintGroundResolution(projection) {
+    return Math.cos(projection.centerLat * Math.PI / 180) / projection.scale;
+}
+
+// === BASEMAP ===
+
+// Load a tile image; resolves null when it fails or takes too long
+function loadPrintTile(url) {
+    return new Promise(resolve => {
+        const image = new Image();
+        const timer = setTimeout(() => resolve(null), PRINT_TILE_TIMEOUT);
+        image.crossOrigin = 'anonymous';
+        image.onload = () => { clearTimeout(timer); resolve(image); };
+        image.onerror = () => { clearTimeout(timer); resolve(null); };
+        image.src = url;
+    });
+}
+
+// Tile URL for a Leaflet tile layer
+function getPrintTileUrl(tileLayer, x, y, zoom) {
+    const subdomains = tileLayer.options.subdomains || 'abc';
+    return L.Util.template(tileLayer._url, L.extend({
+        r: '',
+        s: subdomains[Math.abs(x + y) % subdomains.length],
+        x,
+        y: tileLayer.options.tms ? Math.pow(2, zoom) - 1 - y : y,
+        z: zoom
+    }, tileLayer.options));
+}
+
+// Basemap and label tile layers currently on the map (null when there is none)
+function getPrintTileLayers() {
+    const state = typeof window.getBasemapState === 'function' ? getBasemapState() : {};
+    const getTileLayer = key => {
+        const layer = key && window.basemaps ? window.basemaps[key] : null;
+        return layer && layer._url ? layer : null;
+    };
+    return { basemap: getTileLayer(state.basemap), labels: getTileLayer(state.labels) };
+}
+
+// Render the basemap (and labels) for the map frame into a JPEG, or null when none of the basemap's
+// tiles loaded (tiles from servers without CORS headers fail to load with crossOrigin set)
+async function renderPrintBasemap(projection, frame) {
+    const { basemap, labels } = getPrintTileLayers();
+    const tileLayers = [basemap, labels].filter(Boolean);
+    if (tileLayers.length === 0) return null;
+
+    const maxZoom = Math.min(...tileLayers.map(layer => layer.options.maxZoom || 19));
+    const worldSize = 2 * PRINT_MERCATOR_EXTENT;
+    const targetPixelsPerMm = PRINT_BASEMAP_DPI / 25.4;
+    let zoom = Math.min(maxZoom, Math.max(0, Math.ceil(Math.log2(targetPixelsPerMm * worldSize / (256 * projection.scale)))));
+
+    // Pixel range of the frame at a zoom level
+    const getPixelBounds = z => {
+        const pixelsPerMetre = 256 * Math.pow(2, z) / worldSize;
+        const { minX, minY, maxX, maxY } = projection.mercatorBounds;
+        return {
+            left: (minX + PRINT_MERCATOR_EXTENT) * pixelsPerMetre,
+            top: (PRINT_MERCATOR_EXTENT - maxY) * pixelsPerMetre,
+            right: (maxX + PRINT_MERCATOR_EXTENT) * pixelsPerMetre,
+            bottom: (PRINT_MERCATOR_EXTENT - minY) * pixelsPerMetre
+        };
+    };
+    const countTiles = pixels =>
+        (Math.floor(pixels.right / 256) - Math.floor(pixels.left / 256) + 1) *
+        (Math.floor(pixels.bottom / 256) - Math.floor(pixels.top / 256) + 1);
+
+    while (zoom > 0 && countTiles(getPixelBounds(zoom)) * tileLayers.length > PRINT_MAX_TILES) {
+        zoom--;
+    }
+
+    const pixels = getPixelBounds(zoom);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(pixels.right - pixels.left));
+    canvas.height = Math.max(1, Math.round(pixels.bottom - pixels.top));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const tileCount = Math.pow(2, zoom);
+    let loadedBaseTiles = 0; // Tiles of the bottom layer; labels alone on white are not a basemap
+    let missingTiles = 0;
+    for (const tileLayer of tileLayers) {
+        const requests = [];
+        for (let tileX = Math.floor(pixels.left / 256); tileX <= Math.floor(pixels.right / 256); tileX++) {
+            for (let tileY = Math.floor(pixels.top / 256); tileY <= Math.floor(pixels.bottom / 256); tileY++) {
+                if (tileY < 0 || tileY >= tileCount) continue;
+                const wrappedX = ((tileX % tileCount) + tileCount) % tileCount;
+                requests.push(loadPrintTile(getPrintTileUrl(tileLayer, wrappedX, tileY, zoom)).then(image => {
+                    if (image) {
+                        ctx.drawImage(image, tileX * 256 - pixels.left, tileY * 256 - pixels.top);
+                        if (tileLayer === tileLayers[0]) loadedBaseTiles++;
+                    } else {
+                        missingTiles++;
+                    }
+                }));
+            }
+        }
+        await Promise.all(requests);
+    }
+
+    if (loadedBaseTiles === 0) {
+        console.warn('⚠️ No basemap tiles could be loaded (the tile server may not allow CORS), printing without basemap');
+        return null;
+    }
+
+    console.log(`🗺️ Basemap rendered at zoom ${zoom} (${canvas.width} × ${canvas.height} px, ${missingTiles} tiles missing)`);
+    return canvas.toDataURL('image/jpeg', 0.9);
+}
+
+// Basemap attribution as plain text
+function getPrintAttribution() {
+    const { basemap } = getPrintTileLayers();
+    const attribution = basemap && basemap.options.attribution;
+    if (!attribution) return '';
+    const element = document.createElement('div');
+    element.innerHTML = attribution;
+    return element.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// === VECTOR LAYERS ===
+
+// Visible vector layers from bottom to top
+function getPrintVectorLayers() {
+    const orderedIds = window.layerOrder.filter(layerId => window.layers.has(layerId));
+    window.layers.forEach((layerInfo, layerId) => {
+        if (!orderedIds.includes(layerId)) orderedIds.push(layerId);
+    });
+
+    return orderedIds.reverse()
+        .map(layerId => window.layers.get(layerId))
+        .filter(layerInfo => layerInfo.layer && layerInfo.visible !== false && window.map.hasLayer(layerInfo.layer) &&
+            layerInfo.sourceType !== 'wms' && typeof layerInfo.layer.eachLayer === 'function');
+}
+
+// Leaflet layers drawing a feature, with the style they are drawn with; a MultiPoint or
+// GeometryCollection feature is drawn as a group that carries the feature itself
+function getPrintFeatureLayers(layer, result = []) {
+    if (layer.feature && layer.feature.geometry) {
+        result.push(layer);
+    } else if (layer.eachLayer) {
+        layer.eachLayer(child => getPrintFeatureLayers(child, result));
+    }
+    return result;
+}
+
+// Leaflet path options as a print style, or null when nothing would be visible;
+// groups are styled like their first part
+function getPrintFeatureStyle(featureLayer) {
+    const styleLayer = featureLayer.getLayers ? featureLayer.getLayers()[0] : featureLayer;
+    if (!styleLayer) return null;
+    const options = styleLayer.options || {};
+    const isMarker = styleLayer instanceof L.Marker;
+    const color = options.color || '#3388ff';
+    const style = {
+        stroke: isMarker || options.stroke !== false,
+        strokeColor: isMarker ? '#ffffff' : color,
+        strokeOpacity: options.opacity ?? 1,
+        weight: (isMarker ? 1.5 : options.weight ?? 3) * PRINT_MM_PER_PIXEL,
+        fill: isMarker || Boolean(options.fill),
+        fillColor: isMarker ? '#3388ff' : options.fillColor || color,
+        fillOpacity: isMarker ? 1 : options.fillOpacity ?? 0.2,
+        radius: (isMarker ? 6 : options.radius || 6) * PRINT_MM_PER_PIXEL
+    };
+
+    const showsStroke = style.stroke && style.strokeOpacity > 0 && style.weight > 0;
+    const showsFill = style.fill && style.fillOpacity > 0;
+    return showsStroke || showsFill ? style : null;
+}
+
+// Any CSS color as #rrggbb for jsPDF
+const printColorContext = document.createElement('canvas').getContext('2d');
+function toPrintColor(color) {
+    printColorContext.fillStyle = '#000000';
+    printColorContext.fillStyle = color;
+    const value = printColorContext.fillStyle;
+    if (value.startsWith('#')) return value;
+    const channels = value.match(/\d+(\.\d+)?/g) || [0, 0, 0];
+    return '#' + channels.slice(0, 3).map(channel => Number(channel).toString(16).padStart(2, '0')).join('');
+}
+
+// Apply a print style to the document, reusing graphics states for the same opacities
+function applyPrintStyle(doc, style, graphicsStates) {
+    const key = `${style.fillOpacity}|${style.strokeOpacity}`;
+    if (!graphicsStates.has(key)) {
+        graphicsStates.set(key, new doc.GState({ opacity: style.fillOpacity, 'stroke-opacity': style.strokeOpacity }));
+    }
+    doc.setGState(graphicsStates.get(key));
+    doc.setDrawColor(toPrintColor(style.strokeColor));
+    doc.setFillColor(toPrintColor(style.fillColor));
+    doc.setLineWidth(style.weight);
+}
+
+// Add a line or ring to the current path, skipping vertices closer than a tenth of a millimetre
+function tracePrintLine(doc, coordinates, toPage, closed) {
+    let last = null;
+    coordinates.forEach((coordinate, index) => {
+        const point = toPage(coordinate[0], coordinate[1]);
+        const isEnd = index === coordinates.length - 1;
+        if (last && !isEnd && Math.abs(point[0] - last[0]) < 0.1 && Math.abs(point[1] - last[1]) < 0.1) return;
+        if (last) {
+            doc.lineTo(point[0], point[1]);
+        } else {
+            doc.moveTo(point[0], point[1]);
+        }
+        last = point;
+    });
+    if (closed && last) doc.close();
+}
+
+// Paint the current path with the style's fill and/or stroke
+function paintPrintPath(doc, style, canFill) {
+    const fill = canFill && style.fill && style.fillOpacity > 0;
+    const stroke = style.stroke && style.strokeOpacity > 0;
+    if (fill && stroke) doc.fillStrokeEvenOdd();
+    else if (fill) doc.fillEvenOdd();
+    else if (stroke) doc.stroke();
+    else doc.discardPath();
+}
+
+// Draw a GeoJSON geometry as vector paths
+function drawPrintGeometry(doc, geometry, style, toPage) {
+    switch (geometry.type) {
+        case 'Point':
+        case 'MultiPoint': {
+            const points = geometry.type === 'Point' ? [geometry.coordinates] : geometry.coordinates;
+            const paint = style.fill && style.stroke ? 'FD' : style.fill ? 'F' : 'S';
+            points.forEach(coordinate => {
+                const [x, y] = toPage(coordinate[0], coordinate[1]);
+                doc.circle(x, y, style.radius, paint);
+            });
+            break;
+        }
+        case 'LineString':
+            tracePrintLine(doc, geometry.coordinates, toPage, false);
+            paintPrintPath(doc, style, false);
+            break;
+        case 'MultiLineString':
+            geometry.coordinates.forEach(line => tracePrintLine(doc, line, toPage, false));
+            paintPrintPath(doc, style, false);
+            break;
+        case 'Polygon':
+            geometry.coordinates.forEach(ring => tracePrintLine(doc, ring, toPage, true));
+            paintPrintPath(doc, style, true);
+            break;
+        case 'MultiPolygon':
+            geometry.coordinates.forEach(polygon => polygon.forEach(ring => tracePrintLine(doc, ring, toPage, true)));
+            paintPrintPath(doc, style, true);
+            break;
+        case 'GeometryCollection':
+            geometry.geometries.forEach(part => drawPrintGeometry(doc, part, style, toPage));
+            break;
+    }
+}
+
+// Whether a feature's bounding box overlaps the printed area
+function isPrintFeatureVisible(feature, visibleBounds) {
+    try {
+        const [minX, minY, maxX, maxY] = turf.bbox(feature);
+        return maxX >= visibleBounds[0] && minX <= visibleBounds[2] && maxY >= visibleBounds[1] && minY <= visibleBounds[3];
+    } catch (error) {
+        return false;
+    }
+}
+
+// Draw all visible vector layers into the map frame, clipped to it
+function drawPrintVectorLayers(doc, projection, frame) {
+    const graphicsStates = new Map();
+    let featureCount = 0;
+
+    doc.saveGraphicsState();
+    doc.rect(frame.x, frame.y, frame.width, frame.height, null);
+    doc.clip();
+    doc.discardPath();
+
+    getPrintVectorLayers().forEach(layerInfo => {
+        getPrintFeatureLayers(layerInfo.layer).forEach(featureLayer => {
+            const style = getPrintFeatureStyle(featureLayer);
+            if (!style || !isPrintFeatureVisible(featureLayer.feature, projection.visibleBounds)) return;
+
+            applyPrintStyle(doc, style, graphicsStates);
+            drawPrintGeometry(doc, featureLayer.feature.geometry, style, projection.toPage);
+            featureCount++;
+        });
+    });
+
+    doc.restoreGraphicsState();
+    return featureCount;
+}
+
+// === LEGEND ===
+
+// Legend for the printed layers, from the same symbology the legend panel shows;
+// categories hidden in the legend are left out
+function getPrintLegendEntries() {
+    return getPrintVectorLayers().reverse().map(layerInfo => {
+        const hidden = layerInfo.hiddenCategories || new Set();
+        const sample = getPrintFeatureLayers(layerInfo.layer)[0];
+        const geometryType = sample ? sample.feature.geometry.type.replace('Multi', '') : 'Polygon';
+        let items = [];
+
+        if (isRuleClassification(layerInfo.classification)) {
+            items = getRuleLegendItems(layerInfo.classification)
+                .filter(item => !hidden.has(item.id))
+                .map(item => ({ label: item.label, fillColor: item.fillColor, strokeColor: item.strokeColor || '#ffffff' }));
+        } else if (isGraduatedClassification(layerInfo.classification)) {
+            items = getGraduatedLegendItems(layerInfo.classification)
+                .map(item => ({ label: item.label, fillColor: item.color, strokeColor: layerInfo.classification.strokeColor || '#ffffff' }));
+        } else {
+            const classificationData = extractClassificationData(layerInfo);
+            if (classificationData && classificationData.colorMap && Object.keys(classificationData.colorMap).length > 1) {
+                items = Object.entries(classificationData.colorMap)
+                    .filter(([value]) => !hidden.has(value))
+                    .map(([value, fillColor]) => ({ label: value, fillColor, strokeColor: classificationData.strokeColor || '#ffffff' }));
+            }
+        }
+
+        if (items.length === 0) {
+            // Single symbol: the style features are drawn with
+            const style = sample ? getPrintFeatureStyle(sample) : null;
+            return {
+                name: null,
+                geometryType,
+                items: [{ label: layerInfo.name, fillColor: style ? style.fillColor : '#888888', strokeColor: style ? style.strokeColor : '#ffffff' }]
+            };
+        }
+        return { name: layerInfo.name, geometryType, items };
+    });
+}
+
+// Legend symbol for a geometry type
+function drawPrintLegendSwatch(doc, x, y, width, height, item, geometryType) {
+    doc.setDrawColor(toPrintColor(item.strokeColor));
+    doc.setFillColor(toPrintColor(item.fillColor));
+    if (geometryType === 'LineString') {
+        doc.setDrawColor(toPrintColor(item.fillColor));
+        doc.setLineWidth(height / 4);
+        doc.line(x, y + height / 2, x + width, y + height / 2);
+    } else if (geometryType === 'Point') {
+        doc.setLineWidth(0.2);
+        doc.circle(x + width / 2, y + height / 2, height / 2, 'FD');
+    } else {
+        doc.setLineWidth(0.3);
+        doc.rect(x, y, width, height, 'FD');
+    }
+}
+
+// Legend panel beside the map; entries that do not fit are summarised
+function drawPrintLegend(doc, frame, entries, unit) {
+    const padding = 3 * unit;
+    const lineHeight = 4.5 * unit;
+    const swatchWidth = 6 * unit;
+    const swatchHeight = 3.5 * unit;
+    const bottom = frame.y + frame.height - padding;
+    let y = frame.y + padding;
+
+    doc.setDrawColor('#333333');
+    doc.setLineWidth(0.3);
+    doc.rect(frame.x, frame.y, frame.width, frame.height, 'S');
+
+    doc.setTextColor('#111111');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(10 * unit);
+    doc.text('Legend', frame.x + padding, y + 3.5 * unit);
+    y += 8 * unit;
+
+    const rows = [];
+    entries.forEach(entry => {
+        if (entry.name) rows.push({ heading: entry.name });
+        entry.items.forEach(item => rows.push({ item, geometryType: entry.geometryType }));
+    });
+
+    for (let index = 0; index < rows.length; index++) {
+        if (y + lineHeight > bottom) {
+            doc.setFont('helvetica', 'italic');
+            doc.setFontSize(7 * unit);
+            doc.text(`+${rows.length - index} more`, frame.x + padding, y + 3 * unit);
+            break;
+        }
+
+        const row = rows[index];
+        const textWidth = frame.width - 2 * padding - (row.heading ? 0 : swatchWidth + 2 * unit);
+        if (row.heading) {
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(8 * unit);
+            doc.text(doc.splitTextToSize(row.heading, textWidth)[0], frame.x + padding, y + 3 * unit);
+        } else {
+            drawPrintLegendSwatch(doc, frame.x + padding, y + 0.5 * unit, swatchWidth, swatchHeight, row.item, row.geometryType);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(7 * unit);
+            doc.text(doc.splitTextToSize(String(row.item.label), textWidth)[0], frame.x + padding + swatchWidth + 2 * unit, y + 3 * unit);
+        }
+        y += lineHeight;
+    }
+}
+
+// === MAP FURNITURE ===
+
+// North arrow in the top right corner of the map
+function drawPrintNorthArrow(doc, frame, unit) {
+    const size = 10 * unit;
+    const x = frame.x + frame.width - size - 3 * unit;
+    const y = frame.y + 3 * unit;
+    const centerX = x + size / 2;
+
+    doc.setFillColor('#ffffff');
+    doc.setDrawColor('#333333');
+    doc.setLineWidth(0.2);
+    doc.roundedRect(x, y, size, size * 1.4, 1, 1, 'FD');
+
+    doc.setLineWidth(0.3);
+    doc.setFillColor('#111111');
+    doc.triangle(centerX, y + 4 * unit, centerX - size * 0.3, y + size * 1.25, centerX, y + size * 1.05, 'FD');
+    doc.setFillColor('#ffffff');
+    doc.triangle(centerX, y + 4 * unit, centerX + size * 0.3, y + size * 1.25, centerX, y + size * 1.05, 'FD');
+
+    doc.setTextColor('#111111');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8 * unit);
+    doc.text('N', centerX, y + 3.3 * unit, { align: 'center' });
+}
+
+// Round distance (1, 2 or 5 times a power of ten) no longer than the given one
+function getPrintNiceDistance(metres) {
+    const power = Math.pow(10, Math.floor(Math.log10(metres)));
+    return [5, 2, 1].map(factor => factor * power).find(distance => distance <= metres) || power;
+}
+
+// Distance label in m or km
+function formatPrintDistance(metres) {
+    return metres >= 1000 ? `${metres / 1000} km` : `${metres} m`;
+}
+
+// Scale bar in the bottom left corner of the map
+function drawPrintScaleBar(doc, frame, projection, unit) {
+    const metresPerMm = getPrintGroundResolution(projection);
+    const distance = getPrintNiceDistance(metresPerMm * frame.width * 0.25);
+    const barWidth = distance / metresPerMm;
+    const segments = 4;
+    const x = frame.x + 4 * unit;
+    const y = frame.y + frame.height - 9 * unit;
+
+    doc.setFillColor('#ffffff');
+    doc.setDrawColor('#333333');
+    doc.setLineWidth(0.2);
+    doc.roundedRect(x - 2 * unit, y - 4.5 * unit, barWidth + 10 * unit, 11 * unit, 1, 1, 'FD');
+
+    for (let i = 0; i < segments; i++) {
+        doc.setFillColor(i % 2 === 0 ? '#111111' : '#ffffff');
+        doc.rect(x + i * barWidth / segments, y, barWidth / segments, 1.5 * unit, 'FD');
+    }
+
+    doc.setTextColor('#111111');
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(6.5 * unit);
+    doc.text('0', x, y - 1 * unit, { align: 'center' });
+    doc.text(formatPrintDistance(distance), x + barWidth, y - 1 * unit, { align: 'center' });
+    doc.text(`1:${Math.round(metresPerMm * 1000).toLocaleString()}`, x, y + 4.5 * unit);
+}
+
+// Load the logo as an image element, or null if it is missing
+function loadPrintLogo() {
+    return new Promise(resolve => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => resolve(null);
+        image.src = PRINT_LOGO_URL;
+    });
+}
+
+// Title block along the bottom of the page: logo, title, date and author, scale and attribution
+function drawPrintTitleBlock(doc, frame, options, projection, unit, logo) {
+    const padding = 3 * unit;
+    doc.setDrawColor('#333333');
+    doc.setLineWidth(0.3);
+    doc.rect(frame.x, frame.y, frame.width, frame.height, 'S');
+
+    let textX = frame.x + padding;
+    if (logo) {
+        const logoHeight = frame.height - 2 * padding;
+        const logoWidth = Math.min(logoHeight * logo.naturalWidth / logo.naturalHeight, frame.width * 0.25);
+        doc.addImage(logo, 'PNG', textX, frame.y + padding, logoWidth, logoWidth * logo.naturalHeight / logo.naturalWidth);
+        textX += logoWidth + 2 * padding;
+        doc.setLineWidth(0.2);
+        doc.line(textX - padding, frame.y + padding, textX - padding, frame.y + frame.height - padding);
+    }
+
+    const rightX = frame.x + frame.width - padding;
+    const titleWidth = rightX - textX - frame.width * 0.3;
+
+    doc.setTextColor('#111111');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16 * unit);
+    doc.text(doc.splitTextToSize(options.title || 'Aéra Link Map', titleWidth)[0], textX, frame.y + padding + 6 * unit);
+
+    const date = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8 * unit);
+    doc.setTextColor('#444444');
+    const details = [`Date: ${date}`, options.author ? `Author: ${options.author}` : null].filter(Boolean).join('    ');
+    doc.text(details, textX, frame.y + padding + 12 * unit);
+
+    const scaleText = `Scale 1:${Math.round(getPrintGroundResolution(projection) * 1000).toLocaleString()} at ${options.pageLabel}`;
+    doc.text(scaleText, rightX, frame.y + padding + 4 * unit, { align: 'right' });
+    doc.text('WGS 84 / Pseudo-Mercator (EPSG:3857)', rightX, frame.y + padding + 8 * unit, { align: 'right' });
+
+    const attribution = options.basemapIncluded ? getPrintAttribution() : '';
+    if (attribution) {
+        doc.setFontSize(6 * unit);
+        doc.text(doc.splitTextToSize(`Basemap: ${attribution}`, frame.width * 0.4)[0], rightX, frame.y + padding + 12 * unit, { align: 'right' });
+    }
+}
+
+// === EXPORT ===
+
+// Build the print layout PDF for an extent and download it
+// options: { bounds, pageSize, orientation, customSize: { width, height } (mm), title, author,
+//            northArrow, scaleBar, legend }
+async function exportPrintLayoutPDF(options) {
+    await ensureJsPDF();
+
+    const page = getPrintPageSize(options.pageSize, options.orientation, options.customSize);
+    const legendEntries = options.legend ? getPrintLegendEntries() : [];
+    const layout = createPrintLayout(page, legendEntries.length > 0);
+    const projection = createPrintProjection(options.bounds, layout.map);
+    const pageLabel = PRINT_PAGE_SIZES[options.pageSize] ? PRINT_PAGE_SIZES[options.pageSize].label : `${Math.round(page.width)} × ${Math.round(page.height)} mm`;
+
+    const doc = new window.jspdf.jsPDF({
+        orientation: page.width > page.height ? 'landscape' : 'portrait',
+        unit: 'mm',
+        format: [page.width, page.height],
+        compress: true
+    });
+    doc.setProperties({ title: options.title || 'Aéra Link Map', author: options.author || '', creator: 'Aéra Link WebGIS' });
+
+    const [basemapImage, logo] = await Promise.all([renderPrintBasemap(projection, layout.map), loadPrintLogo()]);
+    if (basemapImage) {
+        doc.addImage(basemapImage, 'JPEG', layout.map.x, layout.map.y, layout.map.width, layout.map.height);
+    }
+
+    const featureCount = drawPrintVectorLayers(doc, projection, layout.map);
+
+    doc.setDrawColor('#333333');
+    doc.setLineWidth(0.4);
+    doc.rect(layout.map.x, layout.map.y, layout.map.width, layout.map.height, 'S');
+
+    if (options.northArrow) drawPrintNorthArrow(doc, layout.map, layout.unit);
+    if (options.scaleBar) drawPrintScaleBar(doc, layout.map, projection, layout.unit);
+    if (layout.legend) drawPrintLegend(doc, layout.legend, legendEntries, layout.unit);
+    drawPrintTitleBlock(doc, layout.title, { ...options, pageLabel, basemapIncluded: Boolean(basemapImage) }, projection, layout.unit, logo);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = `${getExportFileName(options.title || 'aera-link-map')}-${timestamp}.pdf`;
+    downloadBlob(doc.output('blob'), filename);
+
+    console.log(`🖨️ Exported ${pageLabel} PDF with ${featureCount} vector features to ${filename}`);
+    return {
+        filename,
+        featureCount,
+        basemapSkipped: !basemapImage && Boolean(getPrintTileLayers().basemap)
+    };
+}
+
+// Export functions for use in other modules
+window.PRINT_PAGE_SIZES = PRINT_PAGE_SIZES;
+window.getPrintPageSize = getPrintPageSize;
+window.exportPrintLayoutPDF = exportPrintLayoutPDF;
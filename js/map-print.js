@@ -109,17 +109,8 @@ async function handlePrintButtonClick() {
         console.log('Recheck result:', isTauri ? 'Tauri detected' : 'Still not detected');
     }
     
-    if (!isTauri) {
-        // Browser environment - show restriction message
-        await showAlert(
-            'This print tool is only available in the desktop version of this app. Please install and use the desktop version to export high-resolution maps.',
-            'Desktop Feature Only'
-        );
-        return;
-    }
-    
-    // Tauri environment - open Map Composer
-    console.log('Opening Map Composer in Tauri environment');
+    // Desktop renders with the native renderer, the browser with the PDF layout generator
+    console.log(`Opening Map Composer in ${isTauri ? 'Tauri' : 'browser'} environment`);
     openMapComposer();
 }
 
@@ -176,6 +167,28 @@ function createMapComposerUI() {
                 </div>
                 
                 <div class="composer-controls">
+                    <div class="control-group">
+                        <label class="control-label">
+                            <i class="fas fa-file mr-2"></i>
+                            Page Size
+                        </label>
+                        <div class="control-row">
+                            <select id="pageSize" class="control-input">
+                                <option value="custom">Custom canvas size</option>
+                                <option value="a4">A4</option>
+                                <option value="a3">A3</option>
+                                <option value="a2">A2</option>
+                                <option value="a1">A1</option>
+                                <option value="a0">A0</option>
+                                <option value="letter">Letter</option>
+                            </select>
+                            <select id="pageOrientation" class="control-input">
+                                <option value="landscape">Landscape</option>
+                                <option value="portrait">Portrait</option>
+                            </select>
+                        </div>
+                    </div>
+                    
                     <div class="control-group">
                         <label class="control-label">
                             <i class="fas fa-expand-arrows-alt mr-2"></i>
@@ -253,6 +266,16 @@ function createMapComposerUI() {
                         </div>
                     </div>
                     
+                    <div class="control-group">
+                        <label class="control-label">
+                            <i class="fas fa-user mr-2"></i>
+                            Author
+                        </label>
+                        <div class="control-row">
+                            <input type="text" id="layoutAuthor" placeholder="Shown in the title block (optional)" class="control-input">
+                        </div>
+                    </div>
+                    
                     <div class="control-group">
                         <label class="control-label">
                             <i class="fas fa-eye mr-2"></i>
@@ -281,6 +304,22 @@ function createMapComposerUI() {
     // Add to page
     document.body.appendChild(mapComposerWindow);
     
+    const authorInput = document.getElementById('layoutAuthor');
+    if (authorInput && window.currentUser) {
+        authorInput.value = currentUser.email || '';
+    }
+    
+    // The browser exports vector PDF layouts (or a screenshot as PNG/JPEG); TIFF and world files need the desktop renderer
+    if (!isTauriEnvironment()) {
+        document.querySelector('#exportFormat option[value="tiff"]')?.remove();
+        document.getElementById('exportFormat').value = 'pdf';
+        document.getElementById('includeWorldFile')?.closest('.checkbox-row')?.remove();
+        document.getElementById('pageSize').value = 'a4';
+    } else {
+        // The desktop renderer lays out the canvas size; paper sizes are for browser PDFs only
+        document.getElementById('pageSize')?.closest('.control-group')?.remove();
+    }
+    
     // Setup event listeners
     setupComposerEventListeners();
     
@@ -465,6 +504,26 @@ function createStyledGeoJSONClone(layerInfo) {
     
     const style = layerInfo.style || {};
     
+    // Graduated symbology keeps its class colors in the composer
+    if (isGraduatedClassification(layerInfo.classification)) {
+        const classification = layerInfo.classification;
+        return L.geoJSON(layerInfo.data, {
+            style: feature => getGraduatedFeatureStyle(classification, feature, {
+                fillOpacity: style.fill_opacity || style.fillOpacity || layerInfo.opacity || 1.0
+            }),
+            renderer: L.canvas()
+        });
+    }
+    
+    // Rule-based symbology keeps its rule styles and legend toggles in the composer
+    if (isRuleClassification(layerInfo.classification)) {
+        const classification = layerInfo.classification;
+        return L.geoJSON(layerInfo.data, {
+            style: feature => getRuleFeatureStyle(classification, feature, layerInfo.hiddenCategories),
+            renderer: L.canvas()
+        });
+    }
+    
     // Check if this is categorical symbology
     const isCategorical = style.symbology_type === 'categorical' || 
                          (style.categoricalField && style.colorMap) ||
@@ -624,6 +683,13 @@ function setupComposerEventListeners() {
     if (canvasHeight) canvasHeight.addEventListener('input', updateOutputDimensions);
     if (exportDPI) exportDPI.addEventListener('input', updateOutputDimensions);
     
+    // Page size inputs
+    const pageSize = document.getElementById('pageSize');
+    const pageOrientation = document.getElementById('pageOrientation');
+    
+    if (pageSize) pageSize.addEventListener('change', updateComposerPageSize);
+    if (pageOrientation) pageOrientation.addEventListener('change', updateComposerPageSize);
+    
     // Action buttons
     const exportBtn = document.getElementById('exportMapBtn');
     const resetBtn = document.getElementById('resetExtentBtn');
@@ -632,6 +698,21 @@ function setupComposerEventListeners() {
     if (resetBtn) resetBtn.addEventListener('click', resetComposerExtent);
     
     // Initial calculation
+    updateComposerPageSize();
+}
+
+// A paper size replaces the canvas size for browser PDFs, so the canvas inputs only apply to 'custom'
+function updateComposerPageSize() {
+    const pageSize = document.getElementById('pageSize')?.value || 'custom';
+    const canvasWidth = document.getElementById('canvasWidth');
+    const canvasHeight = document.getElementById('canvasHeight');
+    const isCustom = !window.PRINT_PAGE_SIZES || !PRINT_PAGE_SIZES[pageSize];
+    
+    if (canvasWidth && canvasHeight) {
+        canvasWidth.disabled = !isCustom;
+        canvasHeight.disabled = !isCustom;
+    }
+    
     updateOutputDimensions();
 }
 
@@ -1006,7 +1087,32 @@ async function exportHighResolutionMapBrowser() {
 
         // Get export settings
         const format = document.getElementById('exportFormat')?.value || 'png';
-        const title = document.getElementById('mapTitle')?.value || '';
+        const title = document.getElementById('layoutTitle')?.value || '';
+        
+        // PDF: vector page layout with the composer's layout elements
+        if (format === 'pdf') {
+            const canvasWidth = parseInt(document.getElementById('canvasWidth')?.value || 1920);
+            const canvasHeight = parseInt(document.getElementById('canvasHeight')?.value || 1080);
+            const result = await exportPrintLayoutPDF({
+                bounds: composerCurrentExtent || window.map.getBounds(),
+                pageSize: document.getElementById('pageSize')?.value || 'custom',
+                orientation: document.getElementById('pageOrientation')?.value || 'landscape',
+                // Same pixel-to-mm conversion as the desktop renderer
+                customSize: { width: canvasWidth * 25.4 / 96, height: canvasHeight * 25.4 / 96 },
+                title,
+                author: document.getElementById('layoutAuthor')?.value.trim() || '',
+                northArrow: document.getElementById('includeNorthArrow')?.checked || false,
+                scaleBar: document.getElementById('includeScaleBar')?.checked || false,
+                legend: document.getElementById('includeLegend')?.checked || false
+            });
+            
+            let message = `Map exported successfully as ${result.filename}`;
+            if (result.basemapSkipped) {
+                message += '\n\nThe basemap could not be embedded (its tile server does not allow it), so only the vector layers were printed.';
+            }
+            await showSuccess(message);
+            return;
+        }
         
         // Get map container
         const mapContainer = document.getElementById('map');
@@ -1118,7 +1224,10 @@ function getFormattedLayerData() {
                     id: layerId,
                     name: layerInfo.name,
                     type: layerInfo.type || 'geojson',
-                    data: layerInfo.data,
+                    // Rule-based layers send only drawn features, tagged with their rule
+                    data: isRuleClassification(layerInfo.classification)
+                        ? annotateRuleMatches(layerInfo.classification, layerInfo.data, layerInfo.hiddenCategories)
+                        : layerInfo.data,
                     visible: true,
                     opacity: layerInfo.opacity || 1.0,
                     style: formatLayerStyle(layerInfo)
@@ -1141,7 +1250,17 @@ function formatLayerStyle(layerInfo) {
     let categoricalField = null;
     let symbologyType = null;
     
-    if (layerInfo.classification) {
+    if (isGraduatedClassification(layerInfo.classification)) {
+        // The native renderer draws categories, so each value gets its class color
+        symbologyType = 'categorical';
+        categoricalField = layerInfo.classification.field;
+        colorMap = getGraduatedColorMap(layerInfo.classification, layerInfo.data && layerInfo.data.features);
+    } else if (isRuleClassification(layerInfo.classification)) {
+        // Features carry their matched rule id (see annotateRuleMatches)
+        symbologyType = 'categorical';
+        categoricalField = RULE_MATCH_PROPERTY;
+        colorMap = getRuleColorMap(layerInfo.classification);
+    } else if (layerInfo.classification) {
         symbologyType = 'categorical';
         categoricalField = layerInfo.classification.field;
         colorMap = layerInfo.classification.colorMap;
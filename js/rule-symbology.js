@@ -0,0 +1,543 @@
+/**
+ * Rule-Based Symbology Module for Aéra Link WebGIS
+ * Styles features by ordered expression rules such as STATUS = 'Sold' AND AREA > 500
+ *
+ * Features:
+ * - Expression rules with =, !=, <, <=, >, >=, IN, LIKE, IS NULL, AND, OR, NOT and parentheses
+ * - Ordered rules: a feature takes the style of the first rule it matches
+ * - Optional else rule for features that match no rule
+ * - Per-rule fill color, stroke color, stroke width and fill opacity
+ * - Conversion between layer classification and user_styles/shared_styles records
+ */
+
+// === CONSTANTS ===
+
+const RULE_ELSE_ID = 'else';
+const RULE_INVISIBLE_STYLE = { color: '#000000', weight: 0, opacity: 0, fillColor: '#000000', fillOpacity: 0 };
+
+// Property holding the matched rule id in features handed to renderers that only draw categories
+const RULE_MATCH_PROPERTY = '__rule';
+
+const RULE_COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+const RULE_KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'LIKE', 'IS', 'NULL'];
+
+// Parsed expressions, so each rule is parsed once rather than once per feature
+const RULE_EXPRESSION_CACHE_SIZE = 500;
+const ruleExpressionCache = new Map();
+let ruleIdCounter = 0;
+
+// === EXPRESSION PARSING ===
+
+// Split an expression into tokens
+function tokenizeRuleExpression(expression) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < expression.length) {
+        const char = expression[position];
+
+        if (/\s/.test(char)) {
+            position++;
+            continue;
+        }
+
+        if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, value: char, position });
+            position++;
+            continue;
+        }
+
+        const operator = ['<=', '>=', '<>', '!=', '==', '=', '<', '>'].find(op => expression.startsWith(op, position));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position });
+            position += operator.length;
+            continue;
+        }
+
+        // 'text' is a value and "Field Name" is a field; a doubled quote escapes itself
+        if (char === '\'' || char === '"') {
+            let value = '';
+            let end = position + 1;
+            while (end < expression.length) {
+                if (expression[end] === char) {
+                    if (expression[end + 1] === char) {
+                        value += char;
+                        end += 2;
+                        continue;
+                    }
+                    break;
+                }
+                value += expression[end];
+                end++;
+            }
+            if (end >= expression.length) {
+                throw new Error(`Missing closing ${char} for text starting at position ${position + 1}`);
+            }
+            tokens.push({ type: char === '\'' ? 'string' : 'field', value, position });
+            position = end + 1;
+            continue;
+        }
+
+        const numberMatch = /^-?(\d+\.?\d*|\.\d+)/.exec(expression.slice(position));
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: Number(numberMatch[0]), position });
+            position += numberMatch[0].length;
+            continue;
+        }
+
+        const wordMatch = /^[A-Za-z_][\w.]*/.exec(expression.slice(position));
+        if (wordMatch) {
+            const upper = wordMatch[0].toUpperCase();
+            tokens.push(RULE_KEYWORDS.includes(upper)
+                ? { type: 'keyword', value: upper, position }
+                : { type: 'field', value: wordMatch[0], position });
+            position += wordMatch[0].length;
+            continue;
+        }
+
+        throw new Error(`Unexpected "${char}" at position ${position + 1}`);
+    }
+
+    return tokens;
+}
+
+// Parse an expression into a condition tree; throws with a readable message when invalid
+function parseRuleExpression(expression) {
+    const tokens = tokenizeRuleExpression(String(expression || ''));
+    let index = 0;
+
+    if (tokens.length === 0) {
+        throw new Error('Enter a condition, e.g. STATUS = \'Sold\'');
+    }
+
+    const peek = () => tokens[index];
+    const describe = token => token ? `"${token.value}" at position ${token.position + 1}` : 'end of expression';
+    const isKeyword = (token, keyword) => token && token.type === 'keyword' && token.value === keyword;
+
+    const expectValue = () => {
+        const token = tokens[index++];
+        if (!token || (token.type !== 'string' && token.type !== 'number')) {
+            throw new Error(`Expected a value but found ${describe(token)}`);
+        }
+        return token.value;
+    };
+
+    const parseComparison = () => {
+        const fieldToken = tokens[index++];
+        if (!fieldToken || fieldToken.type !== 'field') {
+            throw new Error(`Expected a field name but found ${describe(fieldToken)}`);
+        }
+        const field = fieldToken.value;
+
+        let negated = false;
+        if (isKeyword(peek(), 'IS')) {
+            index++;
+            if (isKeyword(peek(), 'NOT')) {
+                index++;
+                negated = true;
+            }
+            if (!isKeyword(peek(), 'NULL')) {
+                throw new Error(`Expected NULL but found ${describe(peek())}`);
+            }
+            index++;
+            return { type: 'null', field, negated };
+        }
+
+        if (isKeyword(peek(), 'NOT')) {
+            index++;
+            negated = true;
+        }
+
+        if (isKeyword(peek(), 'IN')) {
+            index++;
+            if (!peek() || peek().type !== '(') {
+                throw new Error(`Expected ( after IN but found ${describe(peek())}`);
+            }
+            index++;
+            const values = [expectValue()];
+            while (peek() && peek().type === ',') {
+                index++;
+                values.push(expectValue());
+            }
+            if (!peek() || peek().type !== ')') {
+                throw new Error(`Expected ) but found ${describe(peek())}`);
+            }
+            index++;
+            return { type: 'in', field, values, negated };
+        }
+
+        if (isKeyword(peek(), 'LIKE')) {
+            index++;
+            const pattern = String(expectValue());
+            return { type: 'like', field, pattern, negated };
+        }
+
+        if (negated) {
+            throw new Error(`Expected IN or LIKE after NOT but found ${describe(peek())}`);
+        }
+
+        const operatorToken = tokens[index++];
+        if (!operatorToken || operatorToken.type !== 'operator' || !RULE_COMPARISON_OPERATORS.includes(operatorToken.value)) {
+            throw new Error(`Expected an operator after "${field}" but found ${describe(operatorToken)}`);
+        }
+        return { type: 'compare', field, operator: operatorToken.value, value: expectValue() };
+    };
+
+    const parsePrimary = () => {
+        if (isKeyword(peek(), 'NOT')) {
+            index++;
+            return { type: 'not', operand: parsePrimary() };
+        }
+        if (peek() && peek().type === '(') {
+            index++;
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw new Error(`Expected ) but found ${describe(peek())}`);
+            }
+            index++;
+            return node;
+        }
+        return parseComparison();
+    };
+
+    const parseAnd = () => {
+        let node = parsePrimary();
+        while (isKeyword(peek(), 'AND')) {
+            index++;
+            node = { type: 'and', left: node, right: parsePrimary() };
+        }
+        return node;
+    };
+
+    const parseOr = () => {
+        let node = parseAnd();
+        while (isKeyword(peek(), 'OR')) {
+            index++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    };
+
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+    return tree;
+}
+
+// Parsed expression from the cache: { tree } or { error }
+function compileRuleExpression(expression) {
+    const key = String(expression || '');
+    if (!ruleExpressionCache.has(key)) {
+        // Typing in the editor parses every intermediate expression
+        if (ruleExpressionCache.size >= RULE_EXPRESSION_CACHE_SIZE) {
+            ruleExpressionCache.clear();
+        }
+        try {
+            ruleExpressionCache.set(key, { tree: parseRuleExpression(key) });
+        } catch (error) {
+            ruleExpressionCache.set(key, { error: error.message });
+        }
+    }
+    return ruleExpressionCache.get(key);
+}
+
+// Fields referenced by a condition tree
+function getRuleTreeFields(node, fields = new Set()) {
+    if (!node) return fields;
+    if (node.field) fields.add(node.field);
+    getRuleTreeFields(node.left, fields);
+    getRuleTreeFields(node.right, fields);
+    getRuleTreeFields(node.operand, fields);
+    return fields;
+}
+
+// Field name as written in an expression, quoted when it is not a plain name
+function formatRuleField(field) {
+    const isPlainName = /^[A-Za-z_][\w.]*$/.test(field) && !RULE_KEYWORDS.includes(field.toUpperCase());
+    return isPlainName ? field : `"${field.replace(/"/g, '""')}"`;
+}
+
+// Error message for an expression, or null when it is valid for the given fields
+function validateRuleExpression(expression, availableFields) {
+    const compiled = compileRuleExpression(expression);
+    if (compiled.error) return compiled.error;
+
+    if (availableFields) {
+        const missing = Array.from(getRuleTreeFields(compiled.tree)).filter(field => !availableFields.includes(field));
+        if (missing.length > 0) {
+            return `Unknown field${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// === EXPRESSION EVALUATION ===
+
+// Compare a property value with a literal; numbers compare numerically, text case-insensitively
+function compareRuleValue(fieldValue, operator, literal) {
+    if (fieldValue === null || fieldValue === undefined) return false;
+
+    let difference;
+    if (typeof literal === 'number') {
+        const number = parseNumericValue(fieldValue);
+        if (number === null) return operator === '!=' || operator === '<>';
+        difference = number - literal;
+    } else {
+        const text = String(fieldValue).trim().toLowerCase();
+        const expected = literal.trim().toLowerCase();
+        difference = text === expected ? 0 : (text < expected ? -1 : 1);
+    }
+
+    switch (operator) {
+        case '=':
+        case '==':
+            return difference === 0;
+        case '!=':
+        case '<>':
+            return difference !== 0;
+        case '<':
+            return difference < 0;
+        case '<=':
+            return difference <= 0;
+        case '>':
+            return difference > 0;
+        case '>=':
+            return difference >= 0;
+        default:
+            return false;
+    }
+}
+
+// Turn a LIKE pattern (% any text, _ one character) into a regular expression
+function getLikeRegex(pattern) {
+    const source = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+// Evaluate a condition tree against feature properties
+function evaluateRuleTree(node, properties) {
+    switch (node.type) {
+        case 'and':
+            return evaluateRuleTree(node.left, properties) && evaluateRuleTree(node.right, properties);
+        case 'or':
+            return evaluateRuleTree(node.left, properties) || evaluateRuleTree(node.right, properties);
+        case 'not':
+            return !evaluateRuleTree(node.operand, properties);
+        case 'compare':
+            return compareRuleValue(properties[node.field], node.operator, node.value);
+        case 'in': {
+            const value = properties[node.field];
+            const found = value !== null && value !== undefined &&
+                node.values.some(literal => compareRuleValue(value, '=', literal));
+            return node.negated ? !found : found;
+        }
+        case 'like': {
+            const value = properties[node.field];
+            if (!node.regex) node.regex = getLikeRegex(node.pattern);
+            const found = value !== null && value !== undefined && node.regex.test(String(value));
+            return node.negated ? !found : found;
+        }
+        case 'null': {
+            const value = properties[node.field];
+            const isNull = value === null || value === undefined || String(value).trim() === '';
+            return node.negated ? !isNull : isNull;
+        }
+        default:
+            return false;
+    }
+}
+
+// Whether a feature matches an expression; invalid expressions match nothing
+function matchesRuleExpression(expression, feature) {
+    const compiled = compileRuleExpression(expression);
+    return !compiled.error && evaluateRuleTree(compiled.tree, feature.properties || {});
+}
+
+// === RULE CLASSIFICATION ===
+
+// Unique id for a rule, used for legend toggles within a session
+function createRuleId() {
+    ruleIdCounter++;
+    return `rule-${ruleIdCounter}`;
+}
+
+// New rule with default styling
+function createRule(expression = '', fillColor = '#14b8a6') {
+    return {
+        id: createRuleId(),
+        label: '',
+        expression: expression,
+        fillColor: fillColor,
+        strokeColor: '#ffffff',
+        strokeWidth: 2,
+        fillOpacity: 1.0
+    };
+}
+
+// Check whether a layer classification is rule-based
+function isRuleClassification(classification) {
+    return Boolean(classification && classification.type === 'rule' && Array.isArray(classification.rules));
+}
+
+// First rule a feature matches, the else rule, or null when nothing applies
+function getMatchingRule(classification, feature) {
+    const rule = classification.rules.find(candidate => matchesRuleExpression(candidate.expression, feature));
+    if (rule) return rule;
+    return classification.elseRule && classification.elseRule.enabled ? classification.elseRule : null;
+}
+
+// Whether a feature is drawn, given the rules hidden from the legend
+function isRuleFeatureVisible(classification, feature, hiddenRules) {
+    const rule = getMatchingRule(classification, feature);
+    return Boolean(rule) && !(hiddenRules && hiddenRules.has(rule.id));
+}
+
+// Leaflet style for a feature of a rule-based layer
+function getRuleFeatureStyle(classification, feature, hiddenRules) {
+    const rule = getMatchingRule(classification, feature);
+    if (!rule || (hiddenRules && hiddenRules.has(rule.id))) {
+        return { ...RULE_INVISIBLE_STYLE };
+    }
+
+    return {
+        color: rule.strokeColor || '#ffffff',
+        weight: rule.strokeWidth !== undefined ? rule.strokeWidth : 2,
+        opacity: 1,
+        fillColor: rule.fillColor || '#888888',
+        fillOpacity: rule.fillOpacity !== undefined ? rule.fillOpacity : 1.0
+    };
+}
+
+// Label shown for a rule: its name, or the expression when unnamed
+function getRuleLabel(rule) {
+    return (rule.label || '').trim() || rule.expression || 'Rule';
+}
+
+// Legend rows: one per rule, then the else rule when enabled
+function getRuleLegendItems(classification) {
+    const rules = classification.rules.slice();
+    if (classification.elseRule && classification.elseRule.enabled) {
+        rules.push(classification.elseRule);
+    }
+
+    return rules.map(rule => ({
+        id: rule.id,
+        label: getRuleLabel(rule),
+        expression: rule.id === RULE_ELSE_ID ? 'Features matching no other rule' : rule.expression,
+        fillColor: rule.fillColor,
+        strokeColor: rule.strokeColor,
+        fillOpacity: rule.fillOpacity
+    }));
+}
+
+// Number of features per rule id, plus unmatched features
+function countRuleMatches(classification, features) {
+    const counts = { unmatched: 0 };
+    classification.rules.forEach(rule => { counts[rule.id] = 0; });
+    counts[RULE_ELSE_ID] = 0;
+
+    (features || []).forEach(feature => {
+        const rule = getMatchingRule(classification, feature);
+        if (rule) {
+            counts[rule.id]++;
+        } else {
+            counts.unmatched++;
+        }
+    });
+    return counts;
+}
+
+// Rule id to fill color, for renderers that only understand categorical styles
+function getRuleColorMap(classification) {
+    const colorMap = {};
+    getRuleLegendItems(classification).forEach(item => {
+        colorMap[item.id] = item.fillColor;
+    });
+    return colorMap;
+}
+
+// Copy of the visible features with the matched rule id stored in RULE_MATCH_PROPERTY
+function annotateRuleMatches(classification, data, hiddenRules) {
+    const features = [];
+    ((data && data.features) || []).forEach(feature => {
+        const rule = getMatchingRule(classification, feature);
+        if (!rule || (hiddenRules && hiddenRules.has(rule.id))) return;
+        features.push({
+            ...feature,
+            properties: { ...(feature.properties || {}), [RULE_MATCH_PROPERTY]: rule.id }
+        });
+    });
+    return { ...data, features };
+}
+
+// Layer classification from a saved user_styles/shared_styles record
+function createRuleClassification(styleData) {
+    if (!styleData || styleData.symbology_type !== 'rule' || !Array.isArray(styleData.rules)) {
+        return null;
+    }
+
+    const toRule = (savedRule, id) => ({
+        id: id,
+        label: savedRule.label || '',
+        expression: savedRule.expression || '',
+        fillColor: savedRule.fill_color || '#888888',
+        strokeColor: savedRule.stroke_color || '#ffffff',
+        strokeWidth: savedRule.stroke_weight !== undefined ? parseFloat(savedRule.stroke_weight) : 2,
+        fillOpacity: savedRule.fill_opacity !== undefined ? parseFloat(savedRule.fill_opacity) : 1.0
+    });
+
+    const savedElse = styleData.else_rule || { enabled: false };
+    return {
+        type: 'rule',
+        rules: styleData.rules.map(savedRule => toRule(savedRule, createRuleId())),
+        elseRule: {
+            ...toRule({ label: 'Other', ...savedElse }, RULE_ELSE_ID),
+            enabled: Boolean(savedElse.enabled)
+        }
+    };
+}
+
+// Saved style record for a layer classification
+function createRuleStyleData(classification) {
+    const toSavedRule = rule => ({
+        label: rule.label || '',
+        expression: rule.expression,
+        fill_color: rule.fillColor,
+        stroke_color: rule.strokeColor,
+        stroke_weight: parseFloat(rule.strokeWidth),
+        fill_opacity: parseFloat(rule.fillOpacity)
+    });
+
+    const elseRule = classification.elseRule;
+    const savedElse = toSavedRule(elseRule);
+    delete savedElse.expression;
+
+    return {
+        symbology_type: 'rule',
+        fill_opacity: 1.0,
+        stroke_opacity: 1.0,
+        rules: classification.rules.map(toSavedRule),
+        else_rule: { ...savedElse, enabled: Boolean(elseRule.enabled) }
+    };
+}
+
+// Export functions for use in other modules
+window.RULE_ELSE_ID = RULE_ELSE_ID;
+window.RULE_MATCH_PROPERTY = RULE_MATCH_PROPERTY;
+window.parseRuleExpression = parseRuleExpression;
+window.formatRuleField = formatRuleField;
+window.validateRuleExpression = validateRuleExpression;
+window.matchesRuleExpression = matchesRuleExpression;
+window.createRule = createRule;
+window.isRuleClassification = isRuleClassification;
+window.getMatchingRule = getMatchingRule;
+window.isRuleFeatureVisible = isRuleFeatureVisible;
+window.getRuleFeatureStyle = getRuleFeatureStyle;
+window.getRuleLabel = getRuleLabel;
+window.getRuleLegendItems = getRuleLegendItems;
+window.countRuleMatches = countRuleMatches;
+window.getRuleColorMap = getRuleColorMap;
+window.annotateRuleMatches = annotateRuleMatches;
+window.createRuleClassification = createRuleClassification;
+window.createRuleStyleData = createRuleStyleData;
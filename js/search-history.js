@@ -0,0 +1,211 @@
+/**
+ * Search History Module for Aéra Link WebGIS
+ * Recent lot searches and pinned lots for the header search box
+ *
+ * Features:
+ * - Per-user history of recent queries and opened lots, kept in this browser
+ * - Pinned lots in user_pinned_lots, so they follow the user between the
+ *   browser and desktop builds
+ * - Lots are stored by identifier and layer reference, like filter presets,
+ *   so they are found again after layers are reloaded
+ */
+
+const SEARCH_HISTORY_LIMIT = 12;
+const SEARCH_HISTORY_STORAGE_KEY = 'lotSearchHistory';
+const PINNED_LOTS_TABLE = 'user_pinned_lots';
+
+// Pins of the signed-in user, and whose pins they are
+let pinnedLotList = [];
+let pinnedLotsUserId = null;
+
+// === RECENT SEARCHES ===
+
+// History is kept per user on this device
+function getSearchHistoryStorageKey() {
+    return `${SEARCH_HISTORY_STORAGE_KEY}:${window.currentUser ? currentUser.id : 'guest'}`;
+}
+
+// Recent entries, newest first: { type: 'query', query } or { type: 'lot', lotId, layer }
+function getSearchHistory() {
+    try {
+        const history = JSON.parse(localStorage.getItem(getSearchHistoryStorageKey()));
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable search history:', error);
+        return [];
+    }
+}
+
+// Two entries for the same query or the same lot
+function isSameSearchHistoryEntry(a, b) {
+    if (a.type !== b.type) return false;
+    return a.type === 'query' ?
+        a.query.toLowerCase() === b.query.toLowerCase() :
+        a.lotId === b.lotId && (a.layer && a.layer.name) === (b.layer && b.layer.name);
+}
+
+// Put an entry at the top of the history, dropping older copies of it
+function addSearchHistoryEntry(entry) {
+    const history = getSearchHistory().filter(existing => !isSameSearchHistoryEntry(existing, entry));
+    history.unshift({ ...entry, usedAt: new Date().toISOString() });
+
+    try {
+        localStorage.setItem(getSearchHistoryStorageKey(), JSON.stringify(history.slice(0, SEARCH_HISTORY_LIMIT)));
+    } catch (error) {
+        console.warn('⚠️ Could not save search history:', error);
+    }
+}
+
+// Remember a query the user acted on
+function addRecentSearchQuery(query) {
+    const text = (query || '').trim();
+    if (text) {
+        addSearchHistoryEntry({ type: 'query', query: text });
+    }
+}
+
+// Remember a lot the user opened
+function addRecentSearchLot(lotId, layer) {
+    if (lotId) {
+        addSearchHistoryEntry({ type: 'lot', lotId: String(lotId), layer: layer || null });
+    }
+}
+
+// Forget this user's recent searches
+function clearSearchHistory() {
+    try {
+        localStorage.removeItem(getSearchHistoryStorageKey());
+    } catch (error) {
+        console.warn('⚠️ Could not clear search history:', error);
+    }
+}
+
+// === PINNED LOTS ===
+
+// Pins currently loaded for the signed-in user
+function getPinnedLots() {
+    return window.currentUser && pinnedLotsUserId === currentUser.id ? pinnedLotList : [];
+}
+
+// Pin of a lot, if it is pinned
+function findPinnedLot(lotId, layer) {
+    return getPinnedLots().find(pin =>
+        pin.lot_id === String(lotId) && (pin.layer && pin.layer.name) === (layer && layer.name)
+    ) || null;
+}
+
+// Load the user's pins (once per user unless forced)
+async function loadPinnedLots(force = false) {
+    if (!window.supabase || !window.currentUser) {
+        pinnedLotList = [];
+        pinnedLotsUserId = null;
+        return [];
+    }
+    if (!force && pinnedLotsUserId === currentUser.id) {
+        return pinnedLotList;
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from(PINNED_LOTS_TABLE)
+            .select('id, user_id, lot_id, layer, created_at')
+            .eq('user_id', currentUser.id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error loading pinned lots:', error);
+            return getPinnedLots();
+        }
+
+        pinnedLotList = data || [];
+        pinnedLotsUserId = currentUser.id;
+        console.log(`📌 Loaded ${pinnedLotList.length} pinned lots`);
+        return pinnedLotList;
+    } catch (error) {
+        console.error('Network error loading pinned lots:', error);
+        return getPinnedLots();
+    }
+}
+
+// Pin a lot for one-click navigation
+async function pinLot(lotId, layer) {
+    if (!window.supabase || !window.currentUser) {
+        await showWarning('Sign in to pin lots.', 'Not Signed In');
+        return false;
+    }
+    await loadPinnedLots();
+    if (findPinnedLot(lotId, layer)) return true;
+
+    try {
+        const { data, error } = await supabase
+            .from(PINNED_LOTS_TABLE)
+            .insert({
+                user_id: currentUser.id,
+                lot_id: String(lotId),
+                layer: layer || null,
+                created_at: new Date().toISOString()
+            })
+            .select('id, user_id, lot_id, layer, created_at')
+            .single();
+
+        if (error) {
+            console.error('Error pinning lot:', error);
+            showError(`Failed to pin lot: ${error.message}`, 'Pin Error');
+            return false;
+        }
+
+        pinnedLotList.push(data);
+        console.log(`📌 Pinned lot ${lotId}`);
+        return true;
+    } catch (error) {
+        console.error('Network error pinning lot:', error);
+        showError('Failed to pin lot. Check your connection and try again.', 'Pin Error');
+        return false;
+    }
+}
+
+// Remove a pin
+async function unpinLot(pin) {
+    if (!pin || !window.supabase || !window.currentUser) return false;
+
+    try {
+        const { error } = await supabase
+            .from(PINNED_LOTS_TABLE)
+            .delete()
+            .eq('id', pin.id)
+            .eq('user_id', currentUser.id);
+
+        if (error) {
+            console.error('Error unpinning lot:', error);
+            showError(`Failed to unpin lot: ${error.message}`, 'Pin Error');
+            return false;
+        }
+
+        pinnedLotList = pinnedLotList.filter(existing => existing.id !== pin.id);
+        console.log(`📌 Unpinned lot ${pin.lot_id}`);
+        return true;
+    } catch (error) {
+        console.error('Network error unpinning lot:', error);
+        showError('Failed to unpin lot. Check your connection and try again.', 'Pin Error');
+        return false;
+    }
+}
+
+// Pin a lot, or unpin it when it is already pinned; returns whether it is pinned afterwards
+async function togglePinnedLot(lotId, layer) {
+    const pin = findPinnedLot(lotId, layer);
+    if (pin) {
+        return !(await unpinLot(pin));
+    }
+    return pinLot(lotId, layer);
+}
+
+// Export functions for use in other modules
+window.getSearchHistory = getSearchHistory;
+window.addRecentSearchQuery = addRecentSearchQuery;
+window.addRecentSearchLot = addRecentSearchLot;
+window.clearSearchHistory = clearSearchHistory;
+window.getPinnedLots = getPinnedLots;
+window.findPinnedLot = findPinnedLot;
+window.loadPinnedLots = loadPinnedLots;
+window.togglePinnedLot = togglePinnedLot;
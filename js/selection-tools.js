@@ -83,6 +83,50 @@ let currentFillLayer = null;
 let activeSelectionLayerId = null;
 let hasStartedDrawing = false;
 
+// Selection shapes with the hint shown for each; radius and click select on a single click
+const SELECTION_MODES = {
+    freehand: 'Click to start, draw the shape, then click again to finish.',
+    rectangle: 'Click one corner, then click the opposite corner.',
+    circle: 'Click the center, then click a point on the edge.',
+    radius: 'Click a point to select features within the radius around it.',
+    click: 'Click a feature to select it. Shift-click adds or removes it.'
+};
+
+// Outline for rectangle, circle and radius shapes while drawing
+const SELECTION_SHAPE_STYLE = { color: '#ff7800', weight: 3, opacity: 0.8, fillColor: '#ff7800', fillOpacity: 0.15 };
+
+// Click pick accepts features this many pixels from the click (points and lines are hard to hit exactly)
+const SELECTION_CLICK_TOLERANCE = 6;
+
+let selectionMode = 'freehand';
+
+// Statistics that need a numeric field
+const NUMERIC_STATISTICS = ['sum', 'average', 'min', 'max', 'median', 'std_dev', 'p25', 'p75', 'p90'];
+
+// Statistics measured from the selected geometries rather than a field
+const GEOMETRY_STATISTICS = ['area', 'perimeter', 'length'];
+
+// Card titles for operations whose value is not a readable name
+const STATISTICS_OPERATION_LABELS = {
+    std_dev: 'std deviation',
+    p25: '25th percentile',
+    p75: '75th percentile',
+    p90: '90th percentile',
+    count_distinct: 'distinct values',
+    null_count: 'empty values',
+    area: 'total area',
+    perimeter: 'total perimeter',
+    length: 'total line length'
+};
+
+// Relationships offered by select by location (same values as the spatial filter predicates)
+const SELECT_BY_LOCATION_PREDICATES = [
+    { value: 'intersects', label: 'Intersect' },
+    { value: 'within', label: 'Are completely within' },
+    { value: 'contains', label: 'Completely contain' },
+    { value: 'within_distance', label: 'Are within a distance of' }
+];
+
 // Initialize selection tools
 function initializeSelectionTools(map) {
     // Create a layer group for drawn items
@@ -92,7 +136,7 @@ function initializeSelectionTools(map) {
     // Remove the old draw control - we'll implement custom freehand drawing
     drawControl = null;
 
-    // Two-click freehand drawing event handlers
+    // Two-click drawing event handlers (freehand, rectangle and circle), single-click for radius and pick
     function handleMouseDown(e) {
         if (!isSelectionActive || window.isMiddleMouseDown) return;
         
@@ -103,6 +147,32 @@ function initializeSelectionTools(map) {
         e.originalEvent.preventDefault();
         e.originalEvent.stopPropagation();
         
+        // Capture modifier key state at the time of selection
+        const modifierKeys = {
+            shiftKey: e.originalEvent.shiftKey || false,
+            ctrlKey: e.originalEvent.ctrlKey || e.originalEvent.metaKey || false
+        };
+        
+        if (selectionMode === 'click') {
+            selectFeatureAtPoint(e.latlng, modifierKeys);
+            return;
+        }
+        
+        if (selectionMode === 'radius') {
+            const radius = getSelectionRadius();
+            if (!radius) {
+                window.showWarning('Enter a selection radius in meters greater than zero.', 'Radius Required');
+                return;
+            }
+            
+            // Show the searched circle briefly
+            removeSelectionDrawingLayers();
+            currentFillLayer = L.circle(e.latlng, { ...SELECTION_SHAPE_STYLE, radius }).addTo(map);
+            findIntersectingFeaturesWithPolygon(createCirclePath(e.latlng, radius), modifierKeys);
+            setTimeout(removeSelectionDrawingLayers, 200);
+            return;
+        }
+        
         if (!hasStartedDrawing) {
             // First click - start drawing
             hasStartedDrawing = true;
@@ -110,11 +180,16 @@ function initializeSelectionTools(map) {
             drawingPath = [e.latlng];
             
             // Clear any existing drawing layers
-            if (currentDrawingLayer) {
-                map.removeLayer(currentDrawingLayer);
+            removeSelectionDrawingLayers();
+            
+            if (selectionMode === 'rectangle') {
+                currentFillLayer = L.rectangle(L.latLngBounds(e.latlng, e.latlng), SELECTION_SHAPE_STYLE).addTo(map);
+                return;
             }
-            if (currentFillLayer) {
-                map.removeLayer(currentFillLayer);
+            
+            if (selectionMode === 'circle') {
+                currentFillLayer = L.circle(e.latlng, { ...SELECTION_SHAPE_STYLE, radius: 0 }).addTo(map);
+                return;
             }
             
             // Create initial drawing layer (line only)
@@ -139,34 +214,34 @@ function initializeSelectionTools(map) {
             hasStartedDrawing = false;
             isDrawing = false;
             
-            // Add final point to the path
-            drawingPath.push(e.latlng);
+            const startPoint = drawingPath[0];
             
-            // Close the shape and perform selection
-            if (drawingPath.length > 1) {
-                // Close the polygon - use the exact drawn path without buffering
-                const closedPath = [...drawingPath, drawingPath[0]];
-                
-                // Capture modifier key state at the time of selection
-                const modifierKeys = {
-                    shiftKey: e.originalEvent.shiftKey || false,
-                    ctrlKey: e.originalEvent.ctrlKey || e.originalEvent.metaKey || false
-                };
+            if (selectionMode === 'rectangle') {
+                const bounds = L.latLngBounds(startPoint, e.latlng);
+                findIntersectingFeaturesWithPolygon([
+                    bounds.getSouthWest(),
+                    bounds.getNorthWest(),
+                    bounds.getNorthEast(),
+                    bounds.getSouthEast(),
+                    bounds.getSouthWest()
+                ], modifierKeys);
+            } else if (selectionMode === 'circle') {
+                const radius = map.distance(startPoint, e.latlng);
+                if (radius > 0) {
+                    findIntersectingFeaturesWithPolygon(createCirclePath(startPoint, radius), modifierKeys);
+                }
+            } else {
+                // Add final point to the path
+                drawingPath.push(e.latlng);
                 
-                findIntersectingFeaturesWithPolygon(closedPath, modifierKeys);
+                // Close the polygon - use the exact drawn path without buffering
+                if (drawingPath.length > 1) {
+                    findIntersectingFeaturesWithPolygon([...drawingPath, drawingPath[0]], modifierKeys);
+                }
             }
             
             // Remove the drawing layers after a brief delay to show completion
-            setTimeout(() => {
-                if (currentDrawingLayer) {
-                    map.removeLayer(currentDrawingLayer);
-                    currentDrawingLayer = null;
-                }
-                if (currentFillLayer) {
-                    map.removeLayer(currentFillLayer);
-                    currentFillLayer = null;
-                }
-            }, 200);
+            setTimeout(removeSelectionDrawingLayers, 200);
             
             // Clear the drawing path
             drawingPath = [];
@@ -179,29 +254,42 @@ function initializeSelectionTools(map) {
     function handleMouseMove(e) {
         if (!isSelectionActive || !isDrawing || window.isMiddleMouseDown) return;
         
+        if (!hasStartedDrawing) return;
+        
+        // Rectangle and circle follow the cursor from the first click
+        if (selectionMode === 'rectangle') {
+            if (currentFillLayer) {
+                currentFillLayer.setBounds(L.latLngBounds(drawingPath[0], e.latlng));
+            }
+            return;
+        }
+        if (selectionMode === 'circle') {
+            if (currentFillLayer) {
+                currentFillLayer.setRadius(map.distance(drawingPath[0], e.latlng));
+            }
+            return;
+        }
+        
         // Continuously add points to the drawing path for true freehand drawing
-        if (hasStartedDrawing) {
-            // Add current mouse position to the path for smooth freehand drawing
-            drawingPath.push(e.latlng);
-            
-            // Debounce drawing updates to improve performance during rapid movement
-            if (mouseMoveDebounce) {
-                clearTimeout(mouseMoveDebounce);
+        drawingPath.push(e.latlng);
+        
+        // Debounce drawing updates to improve performance during rapid movement
+        if (mouseMoveDebounce) {
+            clearTimeout(mouseMoveDebounce);
+        }
+        
+        mouseMoveDebounce = setTimeout(() => {
+            // Update the drawing layer with the full freehand path
+            if (currentDrawingLayer) {
+                currentDrawingLayer.setLatLngs(drawingPath);
             }
             
-            mouseMoveDebounce = setTimeout(() => {
-                // Update the drawing layer with the full freehand path
-                if (currentDrawingLayer) {
-                    currentDrawingLayer.setLatLngs(drawingPath);
-                }
-                
-                // Update fill layer - create closed shape from the complete drawn path
-                if (currentFillLayer && drawingPath.length > 2) {
-                    const fillPath = [...drawingPath, drawingPath[0]]; // Close the shape
-                    currentFillLayer.setLatLngs([fillPath]);
-                }
-            }, 16); // ~60fps update rate
-        }
+            // Update fill layer - create closed shape from the complete drawn path
+            if (currentFillLayer && drawingPath.length > 2) {
+                const fillPath = [...drawingPath, drawingPath[0]]; // Close the shape
+                currentFillLayer.setLatLngs([fillPath]);
+            }
+        }, 16); // ~60fps update rate
     }
 
     // Mouse up handler - not used in two-click mode
@@ -274,6 +362,11 @@ function setupSelectionListeners() {
     document.getElementById('activateSelectTool').addEventListener('click', activateSelectionTool);
     document.getElementById('clearSelection').addEventListener('click', clearSelection);
     document.getElementById('showStatistics').addEventListener('click', toggleStatisticsPanel);
+    setupQuerySelectionListeners();
+    
+    if (typeof initializeGroupStatistics === 'function') {
+        initializeGroupStatistics();
+    }
 
     // Real-time statistics field selection handler
     document.getElementById('statisticsFieldSelect').addEventListener('change', function(e) {
@@ -287,6 +380,12 @@ function setupSelectionListeners() {
         }
     });
 
+    // Selection shape handler; a shape that is half drawn is dropped
+    document.getElementById('selectionModeSelect').addEventListener('change', function(e) {
+        setSelectionMode(e.target.value);
+    });
+    setSelectionMode(document.getElementById('selectionModeSelect').value);
+
     // Layer selection dropdown handler
     document.getElementById('activeLayerSelect').addEventListener('change', function(e) {
         activeSelectionLayerId = e.target.value;
@@ -314,6 +413,8 @@ function setupSelectionListeners() {
                 deactivateSelectionTool();
             }
         }
+        
+        updateQuerySelectionControls();
     });
     
     // Initial population of the layer dropdown with existing layers
@@ -378,14 +479,7 @@ function deactivateSelectionTool() {
         window.map.off('mouseup', window.map._freehandHandlers.mouseup);
         
         // Clean up any current drawing
-        if (currentDrawingLayer) {
-            window.map.removeLayer(currentDrawingLayer);
-            currentDrawingLayer = null;
-        }
-        if (currentFillLayer) {
-            window.map.removeLayer(currentFillLayer);
-            currentFillLayer = null;
-        }
+        removeSelectionDrawingLayers();
         drawingPath = [];
         
         // RE-ENABLE popups on all layers after selection mode
@@ -609,20 +703,7 @@ function findIntersectingFeaturesWithPolygon(polygonPath, modifierKeys = {}) {
     }
 
     // Batch process features for better performance
-    const featuresToProcess = [];
-    
-    // Collect all features first
-    if (targetLayer.layer.eachLayer) {
-        // FeatureGroup or LayerGroup
-        targetLayer.layer.eachLayer(function(layer) {
-            if (layer.feature && layer.feature.geometry) {
-                featuresToProcess.push(layer.feature);
-            }
-        });
-    } else if (targetLayer.layer.feature) {
-        // Single feature layer
-        featuresToProcess.push(targetLayer.layer.feature);
-    }
+    const featuresToProcess = getSelectionLayerFeatures(activeSelectionLayerId);
 
     // Process features in batches to prevent UI blocking
     function processBatch(startIndex, batchSize = 100) {
@@ -658,56 +739,7 @@ function findIntersectingFeaturesWithPolygon(polygonPath, modifierKeys = {}) {
     }
 
     function finishSelection() {
-
-        // Apply selection based on modifier keys
-        if (modifierKeys.ctrlKey || modifierKeys.metaKey) {
-            // Ctrl/Cmd key: Remove from selection
-            intersectingFeatures.forEach(feature => {
-                // More efficient duplicate finding using feature ID or properties hash
-                const featureHash = feature.id || JSON.stringify(feature.properties);
-                const index = selectedFeatures.findIndex(f => {
-                    const selectedHash = f.id || JSON.stringify(f.properties);
-                    return selectedHash === featureHash;
-                });
-                if (index > -1) {
-                    selectedFeatures.splice(index, 1);
-                }
-                // Remove from global memory if it exists
-                if (feature.id) {
-                    window.selectedFeaturesMemory.removeFeature(feature.id);
-                }
-            });
-        } else if (modifierKeys.shiftKey) {
-            // Shift key: Add to selection (avoid duplicates)
-            intersectingFeatures.forEach(feature => {
-                const featureHash = feature.id || JSON.stringify(feature.properties);
-                const exists = selectedFeatures.some(f => {
-                    const selectedHash = f.id || JSON.stringify(f.properties);
-                    return selectedHash === featureHash;
-                });
-                if (!exists) {
-                    selectedFeatures.push(feature);
-                    // Add to global memory
-                    window.selectedFeaturesMemory.addFeature(feature);
-                }
-            });
-        } else {
-            // No modifier: Replace selection
-            selectedFeatures = [...intersectingFeatures];
-            // Clear and repopulate global memory
-            window.selectedFeaturesMemory.clear();
-            intersectingFeatures.forEach(feature => {
-                window.selectedFeaturesMemory.addFeature(feature);
-            });
-            // Update source layer in metadata
-            window.selectedFeaturesMemory.metadata.sourceLayer = activeSelectionLayerId;
-        }
-
-        // Batch update visual highlights and UI
-        requestAnimationFrame(() => {
-            updateHighlights();
-            updateSelectionInfo();
-        });
+        applySelectionResult(intersectingFeatures, modifierKeys);
     }
 
     // Start batch processing
@@ -718,6 +750,321 @@ function findIntersectingFeaturesWithPolygon(polygonPath, modifierKeys = {}) {
     }
 }
 
+// Apply matched features to the selection: Ctrl/Cmd removes, Shift adds, no modifier replaces
+function applySelectionResult(matchedFeatures, modifierKeys = {}) {
+    // Apply selection based on modifier keys
+    if (modifierKeys.ctrlKey || modifierKeys.metaKey) {
+        // Ctrl/Cmd key: Remove from selection
+        matchedFeatures.forEach(feature => {
+            // More efficient duplicate finding using feature ID or properties hash
+            const featureHash = getSelectionFeatureKey(feature);
+            const index = selectedFeatures.findIndex(f => getSelectionFeatureKey(f) === featureHash);
+            if (index > -1) {
+                selectedFeatures.splice(index, 1);
+            }
+            // Remove from global memory if it exists
+            if (feature.id) {
+                window.selectedFeaturesMemory.removeFeature(feature.id);
+            }
+        });
+    } else if (modifierKeys.shiftKey) {
+        // Shift key: Add to selection (avoid duplicates)
+        matchedFeatures.forEach(feature => {
+            const featureHash = getSelectionFeatureKey(feature);
+            const exists = selectedFeatures.some(f => getSelectionFeatureKey(f) === featureHash);
+            if (!exists) {
+                selectedFeatures.push(feature);
+                // Add to global memory
+                window.selectedFeaturesMemory.addFeature(feature);
+            }
+        });
+    } else {
+        // No modifier: Replace selection
+        selectedFeatures = [...matchedFeatures];
+        // Clear and repopulate global memory
+        window.selectedFeaturesMemory.clear();
+        matchedFeatures.forEach(feature => {
+            window.selectedFeaturesMemory.addFeature(feature);
+        });
+        // Update source layer in metadata
+        window.selectedFeaturesMemory.metadata.sourceLayer = activeSelectionLayerId;
+    }
+
+    // Batch update visual highlights and UI
+    requestAnimationFrame(() => {
+        updateHighlights();
+        updateSelectionInfo();
+    });
+}
+
+// Select features of a layer picked elsewhere (e.g. lot search results); the layer becomes
+// the active selection layer, and a selection on another layer is replaced
+function selectLayerFeatures(layerId, features, modifierKeys = {}) {
+    if (layerId !== activeSelectionLayerId) {
+        const activeLayerSelect = document.getElementById('activeLayerSelect');
+        if (activeLayerSelect && Array.from(activeLayerSelect.options).some(option => option.value === layerId)) {
+            activeLayerSelect.value = layerId;
+            activeLayerSelect.dispatchEvent(new Event('change'));
+        } else {
+            activeSelectionLayerId = layerId;
+        }
+        modifierKeys = {};
+    }
+
+    console.log(`🎯 Selecting ${features.length} features of ${layerId}`);
+    applySelectionResult(features, modifierKeys);
+}
+
+// Switch the selection shape
+function setSelectionMode(mode) {
+    selectionMode = SELECTION_MODES[mode] ? mode : 'freehand';
+    
+    hasStartedDrawing = false;
+    isDrawing = false;
+    drawingPath = [];
+    removeSelectionDrawingLayers();
+    
+    document.getElementById('selectionRadiusRow').style.display = selectionMode === 'radius' ? 'flex' : 'none';
+    document.getElementById('selectionModeHint').textContent = SELECTION_MODES[selectionMode];
+}
+
+// Fixed radius in meters for the radius mode, or null when it is not a positive number
+function getSelectionRadius() {
+    const radius = parseFloat(document.getElementById('selectionRadius').value);
+    return radius > 0 ? radius : null;
+}
+
+// Remove the shape drawn for the current selection
+function removeSelectionDrawingLayers() {
+    if (currentDrawingLayer) {
+        window.map.removeLayer(currentDrawingLayer);
+        currentDrawingLayer = null;
+    }
+    if (currentFillLayer) {
+        window.map.removeLayer(currentFillLayer);
+        currentFillLayer = null;
+    }
+}
+
+// Closed path approximating a circle of the given radius in meters
+function createCirclePath(center, radius) {
+    const circle = turf.circle([center.lng, center.lat], radius, { units: 'meters', steps: 64 });
+    return circle.geometry.coordinates[0].map(([lng, lat]) => L.latLng(lat, lng));
+}
+
+// Key identifying a feature in the selection (same comparison as add and remove)
+function getSelectionFeatureKey(feature) {
+    return feature.id || JSON.stringify(feature.properties);
+}
+
+// Select the topmost feature of the active layer under a click; Shift-click toggles it
+function selectFeatureAtPoint(latlng, modifierKeys = {}) {
+    if (!activeSelectionLayerId || !window.layers || !window.layers.has(activeSelectionLayerId)) {
+        console.warn('No active layer selected for feature selection or layers not available');
+        return;
+    }
+    
+    const point = turf.point([latlng.lng, latlng.lat]);
+    const clickPoint = window.map.latLngToContainerPoint(latlng);
+    const tolerance = window.map.distance(latlng, window.map.containerPointToLatLng(clickPoint.add([SELECTION_CLICK_TOLERANCE, 0])));
+    const hitArea = turf.circle(point, tolerance, { units: 'meters', steps: 16 });
+    
+    const hits = getSelectionLayerFeatures(activeSelectionLayerId).filter(feature => {
+        try {
+            const type = feature.geometry.type;
+            return type === 'Polygon' || type === 'MultiPolygon'
+                ? turf.booleanPointInPolygon(point, feature)
+                : turf.booleanIntersects(feature, hitArea);
+        } catch (error) {
+            console.warn('Click test failed for feature:', error);
+            return false;
+        }
+    });
+    
+    // Features drawn later sit on top
+    const picked = hits.slice(-1);
+    
+    if (modifierKeys.shiftKey && picked.length > 0) {
+        const key = getSelectionFeatureKey(picked[0]);
+        const isSelected = selectedFeatures.some(f => getSelectionFeatureKey(f) === key);
+        applySelectionResult(picked, isSelected ? { ctrlKey: true } : { shiftKey: true });
+        return;
+    }
+    
+    applySelectionResult(picked, modifierKeys);
+}
+
+// Features drawn on a layer, as GeoJSON
+function getSelectionLayerFeatures(layerId) {
+    const layerInfo = window.layers && window.layers.get(layerId);
+    const features = [];
+    if (!layerInfo || !layerInfo.layer) {
+        return features;
+    }
+
+    if (layerInfo.layer.eachLayer) {
+        // FeatureGroup or LayerGroup
+        layerInfo.layer.eachLayer(function(layer) {
+            if (layer.feature && layer.feature.geometry) {
+                features.push(layer.feature);
+            }
+        });
+    } else if (layerInfo.layer.feature) {
+        // Single feature layer
+        features.push(layerInfo.layer.feature);
+    }
+    return features;
+}
+
+// Field names of the active selection layer
+function getSelectionLayerFields() {
+    const fields = new Set();
+    getSelectionLayerFeatures(activeSelectionLayerId).slice(0, 500).forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(field => fields.add(field));
+    });
+    return Array.from(fields).sort((a, b) => a.localeCompare(b));
+}
+
+// Select features of the active layer that match an attribute expression
+function selectByAttribute(expression, modifierKeys = {}) {
+    if (!activeSelectionLayerId || !window.layers.has(activeSelectionLayerId)) {
+        window.showWarning('Please select a layer from the dropdown first.', 'Layer Required');
+        return null;
+    }
+    if (!String(expression || '').trim()) {
+        window.showWarning('Enter an expression such as STATUS = \'Available\' AND AREA > 500.', 'Expression Required');
+        return null;
+    }
+
+    const error = validateRuleExpression(expression, getSelectionLayerFields());
+    if (error) {
+        window.showWarning(error, 'Invalid Expression');
+        return null;
+    }
+
+    const matchedFeatures = getSelectionLayerFeatures(activeSelectionLayerId)
+        .filter(feature => matchesRuleExpression(expression, feature));
+
+    console.log(`🔎 Select by attribute: ${matchedFeatures.length} features match "${expression}"`);
+    applySelectionResult(matchedFeatures, modifierKeys);
+    return matchedFeatures;
+}
+
+// Select features of the active layer by their spatial relationship to features of another layer
+function selectByLocation(predicate, otherLayerId, distance, modifierKeys = {}) {
+    if (!activeSelectionLayerId || !window.layers.has(activeSelectionLayerId)) {
+        window.showWarning('Please select a layer from the dropdown first.', 'Layer Required');
+        return null;
+    }
+    if (!otherLayerId || !window.layers.has(otherLayerId)) {
+        window.showWarning('Choose the layer to compare the active layer against.', 'Layer Required');
+        return null;
+    }
+    if (isDistancePredicate(predicate) && !(Number(distance) > 0)) {
+        window.showWarning('Enter a distance in meters greater than zero.', 'Distance Required');
+        return null;
+    }
+
+    // Spatial filter conditions use the same predicates, so their evaluation is shared
+    const condition = prepareSpatialCondition({
+        type: 'spatial',
+        predicate,
+        layer: getLayerReference(otherLayerId),
+        distance: isDistancePredicate(predicate) ? Number(distance) : null
+    });
+
+    const matchedFeatures = getSelectionLayerFeatures(activeSelectionLayerId).filter(feature => {
+        try {
+            return evaluateSpatialCondition(feature, condition);
+        } catch (error) {
+            console.warn('Spatial test failed for feature:', error);
+            return false;
+        }
+    });
+
+    console.log(`📍 Select by location: ${matchedFeatures.length} features ${describeSpatialCondition(condition)}`);
+    applySelectionResult(matchedFeatures, modifierKeys);
+    return matchedFeatures;
+}
+
+// Refresh the field list and the comparison layers of the query selection controls
+function updateQuerySelectionControls() {
+    const fieldSelect = document.getElementById('selectByAttributeField');
+    const locationLayerSelect = document.getElementById('selectByLocationLayer');
+    if (!fieldSelect || !locationLayerSelect) {
+        return;
+    }
+
+    fieldSelect.innerHTML = '<option value="">Insert field...</option>';
+    if (activeSelectionLayerId) {
+        getSelectionLayerFields().forEach(field => fieldSelect.add(new Option(field, field)));
+    }
+
+    const currentLayer = locationLayerSelect.value;
+    locationLayerSelect.innerHTML = '<option value="">Choose a layer</option>';
+    window.layers.forEach((layerInfo, layerId) => {
+        if (layerId !== activeSelectionLayerId && layerInfo.sourceType !== 'wms' &&
+            layerInfo.data && layerInfo.data.features && layerInfo.data.features.length > 0) {
+            locationLayerSelect.add(new Option(layerInfo.name, layerId));
+        }
+    });
+    if (Array.from(locationLayerSelect.options).some(option => option.value === currentLayer)) {
+        locationLayerSelect.value = currentLayer;
+    }
+
+    const hasLayer = Boolean(activeSelectionLayerId);
+    document.getElementById('selectByAttributeBtn').disabled = !hasLayer;
+    document.getElementById('selectByLocationBtn').disabled = !hasLayer;
+}
+
+// Setup select by attribute and select by location controls
+function setupQuerySelectionListeners() {
+    const expressionInput = document.getElementById('selectByAttributeExpression');
+    const fieldSelect = document.getElementById('selectByAttributeField');
+    const predicateSelect = document.getElementById('selectByLocationPredicate');
+    const distanceRow = document.getElementById('selectByLocationDistanceRow');
+    if (!expressionInput || !predicateSelect) {
+        console.error('Query selection controls not found');
+        return;
+    }
+
+    // Insert the picked field name at the cursor
+    fieldSelect.addEventListener('change', function() {
+        if (!this.value) return;
+        const fieldText = formatRuleField(this.value);
+        const start = expressionInput.selectionStart;
+        const end = expressionInput.selectionEnd;
+        expressionInput.value = expressionInput.value.slice(0, start) + fieldText + expressionInput.value.slice(end);
+        expressionInput.focus();
+        expressionInput.setSelectionRange(start + fieldText.length, start + fieldText.length);
+        this.value = '';
+    });
+
+    SELECT_BY_LOCATION_PREDICATES.forEach(({ value, label }) => predicateSelect.add(new Option(label, value)));
+    predicateSelect.addEventListener('change', function() {
+        distanceRow.style.display = isDistancePredicate(this.value) ? 'flex' : 'none';
+    });
+
+    // Modifier keys held while clicking work like they do when drawing
+    document.getElementById('selectByAttributeBtn').addEventListener('click', function(e) {
+        selectByAttribute(expressionInput.value, {
+            shiftKey: e.shiftKey,
+            ctrlKey: e.ctrlKey || e.metaKey
+        });
+    });
+
+    document.getElementById('selectByLocationBtn').addEventListener('click', function(e) {
+        selectByLocation(
+            predicateSelect.value,
+            document.getElementById('selectByLocationLayer').value,
+            document.getElementById('selectByLocationDistance').value,
+            { shiftKey: e.shiftKey, ctrlKey: e.ctrlKey || e.metaKey }
+        );
+    });
+
+    updateQuerySelectionControls();
+}
+
 // Update visual highlights for selected features using clean, non-animated approach
 function updateHighlights() {
     // Clear existing visual layers
@@ -925,6 +1272,11 @@ function updateSelectionInfo() {
         window.updateFilterSelectedButton();
     }
     
+    // Reflect the selection in an open attribute table
+    if (typeof window.refreshAttributeTable === 'function') {
+        window.refreshAttributeTable();
+    }
+    
     // Hide feature list - we only show the count now
     listElement.style.display = 'none';
     listElement.innerHTML = '';
@@ -1032,9 +1384,13 @@ function populateFieldDropdown() {
         }
         
         // Mark text fields
-        option.dataset.isText = 'true';
+        option.dataset.isText = hasNonNumeric ? 'true' : 'false';
         fieldSelect.appendChild(option);
     });
+    
+    if (typeof populateGroupFieldDropdown === 'function') {
+        populateGroupFieldDropdown();
+    }
 }
 
 // Real-time statistics calculation and display as floating cards
@@ -1047,9 +1403,16 @@ function calculateAndUpdateStatistics() {
     const selectedOperations = Array.from(document.querySelectorAll('.statistics-operation-checkbox:checked'))
         .map(checkbox => checkbox.value);
     
+    // Geometry measures need no field, every other operation does
+    const hasOperationsToShow = selectedOperations.some(operation =>
+        selectedField || GEOMETRY_STATISTICS.includes(operation));
+    
+    // Breakdown by a group field is shown above the operation cards
+    const hasGroupStatistics = typeof updateGroupStatistics === 'function' && updateGroupStatistics();
+    
     // Hide container if no field or operations selected
-    if (!selectedField || selectedOperations.length === 0) {
-        floatingContainer.style.display = 'none';
+    if (!hasOperationsToShow) {
+        floatingContainer.style.display = hasGroupStatistics ? 'block' : 'none';
         clearFloatingStatisticsCards();
         return;
     }
@@ -1057,7 +1420,7 @@ function calculateAndUpdateStatistics() {
     // Show container
     floatingContainer.style.display = 'block';
     
-    const isTextField = fieldSelect.options[fieldSelect.selectedIndex].dataset.isText === 'true';
+    const isTextField = selectedField !== '' && fieldSelect.options[fieldSelect.selectedIndex].dataset.isText === 'true';
     const hasSelectedFeatures = selectedFeatures.length > 0;
     
     // Get currently displayed operations to compare
@@ -1086,56 +1449,137 @@ function calculateAndUpdateStatistics() {
             return; // Only return from this iteration, continue with next operation
         }
         
-        let resultValue = null;
-        let isValidOperation = true;
-        
-        if (!hasSelectedFeatures) {
-            resultValue = "No features selected";
-        } else {
-            // Extract values from selected features
-            const values = selectedFeatures.map(feature => {
-                const value = feature.properties[selectedField];
-                if (isTextField) return value;
-                return typeof value === 'number' ? value : parseFloat(value);
-            }).filter(val => val !== null && val !== undefined && (!isTextField ? !isNaN(val) : true));
-            
-            // Calculate based on operation
-            switch (operation) {
-                case 'sum':
-                    if (isTextField) isValidOperation = false;
-                    else resultValue = values.reduce((sum, val) => sum + val, 0);
-                    break;
-                case 'average':
-                    if (isTextField) isValidOperation = false;
-                    else resultValue = values.length > 0 ? values.reduce((sum, val) => sum + val, 0) / values.length : 0;
-                    break;
-                case 'mode':
-                    if (values.length > 0) {
-                        const frequency = {};
-                        values.forEach(val => frequency[val] = (frequency[val] || 0) + 1);
-                        const maxFreq = Math.max(...Object.values(frequency));
-                        const modes = Object.keys(frequency).filter(val => frequency[val] === maxFreq);
-                        resultValue = modes.length === 1 ? (isTextField ? modes[0] : parseFloat(modes[0])) : modes.join(', ');
-                    } else resultValue = isTextField ? 'N/A' : 0;
-                    break;
-                case 'min':
-                    if (isTextField) isValidOperation = false;
-                    else resultValue = values.length > 0 ? Math.min(...values) : 0;
-                    break;
-                case 'max':
-                    if (isTextField) isValidOperation = false;
-                    else resultValue = values.length > 0 ? Math.max(...values) : 0;
-                    break;
-            }
-        }
+        const resultValue = hasSelectedFeatures ?
+            computeSelectionStatistic(operation, selectedField, isTextField) :
+            "No features selected";
         
         // Only display if it's a valid operation - create new card
-        if (isValidOperation) {
+        if (resultValue !== undefined && (selectedField || GEOMETRY_STATISTICS.includes(operation))) {
             createFloatingStatisticsCard(selectedField, operation, resultValue, hasSelectedFeatures ? selectedFeatures.length : 0, hasSelectedFeatures);
         }
     });
 }
 
+// Calculate one statistic for the selected features; undefined when the operation does not apply to the field
+function computeSelectionStatistic(operation, field, isTextField) {
+    if (GEOMETRY_STATISTICS.includes(operation)) {
+        return measureSelectedGeometries(operation);
+    }
+    if (!field || (isTextField && NUMERIC_STATISTICS.includes(operation))) {
+        return undefined;
+    }
+    
+    const rawValues = selectedFeatures.map(feature => (feature.properties || {})[field]);
+    
+    // Extract values from selected features
+    const values = rawValues.map(value => {
+        if (isTextField) return value;
+        return typeof value === 'number' ? value : parseFloat(value);
+    }).filter(val => val !== null && val !== undefined && val !== '' && (!isTextField ? !isNaN(val) : true));
+    
+    const sum = values.reduce((total, val) => total + val, 0);
+    const sortedValues = isTextField ? values : [...values].sort((a, b) => a - b);
+    
+    // Calculate based on operation
+    switch (operation) {
+        case 'sum':
+            return sum;
+        case 'average':
+            return values.length > 0 ? sum / values.length : 0;
+        case 'mode':
+            if (values.length > 0) {
+                const frequency = {};
+                values.forEach(val => frequency[val] = (frequency[val] || 0) + 1);
+                const maxFreq = Math.max(...Object.values(frequency));
+                const modes = Object.keys(frequency).filter(val => frequency[val] === maxFreq);
+                return modes.length === 1 ? (isTextField ? modes[0] : parseFloat(modes[0])) : modes.join(', ');
+            }
+            return isTextField ? 'N/A' : 0;
+        case 'min':
+            return values.length > 0 ? sortedValues[0] : 0;
+        case 'max':
+            return values.length > 0 ? sortedValues[sortedValues.length - 1] : 0;
+        case 'median':
+            return getPercentile(sortedValues, 50);
+        case 'p25':
+            return getPercentile(sortedValues, 25);
+        case 'p75':
+            return getPercentile(sortedValues, 75);
+        case 'p90':
+            return getPercentile(sortedValues, 90);
+        case 'std_dev': {
+            // Sample standard deviation, as spreadsheets report it
+            if (values.length < 2) return 0;
+            const mean = sum / values.length;
+            const squaredDiffs = values.reduce((total, val) => total + Math.pow(val - mean, 2), 0);
+            return Math.sqrt(squaredDiffs / (values.length - 1));
+        }
+        case 'count_distinct':
+            return new Set(values.map(String)).size;
+        case 'null_count':
+            return rawValues.filter(value => value === null || value === undefined || value === '').length;
+        default:
+            return undefined;
+    }
+}
+
+// Value at a percentile of sorted numbers, interpolating between neighbouring values
+function getPercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return 0;
+    
+    const position = (sortedValues.length - 1) * percentile / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+// Total area (square meters), perimeter or line length (meters) of the selected geometries
+function measureSelectedGeometries(operation) {
+    return selectedFeatures.reduce((total, feature) => {
+        if (!feature.geometry) return total;
+        
+        const type = feature.geometry.type;
+        const isPolygon = type === 'Polygon' || type === 'MultiPolygon';
+        const isLine = type === 'LineString' || type === 'MultiLineString';
+        
+        try {
+            if (operation === 'area' && isPolygon) {
+                return total + turf.area(feature);
+            }
+            if (operation === 'perimeter' && isPolygon) {
+                return total + turf.length(turf.polygonToLine(feature), { units: 'meters' });
+            }
+            if (operation === 'length' && isLine) {
+                return total + turf.length(feature, { units: 'meters' });
+            }
+        } catch (error) {
+            console.warn('Could not measure feature geometry:', error);
+        }
+        return total;
+    }, 0);
+}
+
+// Card title for an operation
+function getStatisticLabel(operation) {
+    return STATISTICS_OPERATION_LABELS[operation] || operation;
+}
+
+// What a card is calculated from
+function getStatisticSubject(operation, field) {
+    return GEOMETRY_STATISTICS.includes(operation) ? 'of selected geometries' : `of "${field}"`;
+}
+
+// Caption under a card value; geometry measures show their units, area also in hectares
+function getStatisticCaption(operation, value) {
+    if (operation === 'area') {
+        return `sq m (${Number((value / 10000).toFixed(4)).toLocaleString()} ha)`;
+    }
+    if (operation === 'perimeter' || operation === 'length') {
+        return 'meters';
+    }
+    return getStatisticLabel(operation);
+}
+
 // Update content of existing card without recreating it
 function updateExistingCard(operation, field, isTextField, hasSelectedFeatures) {
     const floatingContainer = document.getElementById('floatingStatisticsContainer');
@@ -1143,84 +1587,60 @@ function updateExistingCard(operation, field, isTextField, hasSelectedFeatures)
     
     if (!existingCard) return;
     
-    let resultValue = null;
-    let isValidOperation = true;
+    const resultValue = hasSelectedFeatures ?
+        computeSelectionStatistic(operation, field, isTextField) :
+        "No features selected";
     
-    if (!hasSelectedFeatures) {
-        resultValue = "No features selected";
-    } else {
-        // Extract values from selected features
-        const values = selectedFeatures.map(feature => {
-            const value = feature.properties[field];
-            if (isTextField) return value;
-            return typeof value === 'number' ? value : parseFloat(value);
-        }).filter(val => val !== null && val !== undefined && (!isTextField ? !isNaN(val) : true));
-        
-        // Calculate based on operation
-        switch (operation) {
-            case 'sum':
-                if (isTextField) isValidOperation = false;
-                else resultValue = values.reduce((sum, val) => sum + val, 0);
-                break;
-            case 'average':
-                if (isTextField) isValidOperation = false;
-                else resultValue = values.length > 0 ? values.reduce((sum, val) => sum + val, 0) / values.length : 0;
-                break;
-            case 'mode':
-                if (values.length > 0) {
-                    const frequency = {};
-                    values.forEach(val => frequency[val] = (frequency[val] || 0) + 1);
-                    const maxFreq = Math.max(...Object.values(frequency));
-                    const modes = Object.keys(frequency).filter(val => frequency[val] === maxFreq);
-                    resultValue = modes.length === 1 ? (isTextField ? modes[0] : parseFloat(modes[0])) : modes.join(', ');
-                } else resultValue = isTextField ? 'N/A' : 0;
-                break;
-            case 'min':
-                if (isTextField) isValidOperation = false;
-                else resultValue = values.length > 0 ? Math.min(...values) : 0;
-                break;
-            case 'max':
-                if (isTextField) isValidOperation = false;
-                else resultValue = values.length > 0 ? Math.max(...values) : 0;
-                break;
-        }
+    // Operations that stop applying (e.g. sum after switching to a text field) drop their card
+    if (resultValue === undefined) {
+        existingCard.remove();
+        return;
     }
     
     // Update the card content
-    if (isValidOperation) {
-        const headerElement = existingCard.querySelector('.floating-statistics-field');
-        const numberElement = existingCard.querySelector('.floating-statistics-number');
-        const helpTextElement = existingCard.querySelector('.floating-statistics-help-text');
-        
-        if (headerElement) {
-            headerElement.textContent = hasSelectedFeatures ? 
-                `of "${field}" (${selectedFeatures.length} features)` : 
-                `of "${field}"`;
+    const headerElement = existingCard.querySelector('.floating-statistics-field');
+    const numberElement = existingCard.querySelector('.floating-statistics-number') ||
+        existingCard.querySelector('.floating-statistics-no-features');
+    const helpTextElement = existingCard.querySelector('.floating-statistics-help-text');
+    const captionElement = existingCard.querySelector('.floating-statistics-label');
+    
+    if (headerElement) {
+        headerElement.textContent = hasSelectedFeatures ? 
+            `${getStatisticSubject(operation, field)} (${selectedFeatures.length} features)` : 
+            getStatisticSubject(operation, field);
+    }
+    
+    if (!hasSelectedFeatures) {
+        // Show "No features selected" message
+        if (numberElement) {
+            numberElement.textContent = resultValue;
+            numberElement.className = 'floating-statistics-no-features';
         }
-        
-        if (!hasSelectedFeatures) {
-            // Show "No features selected" message
-            if (numberElement) {
+        if (helpTextElement) {
+            helpTextElement.textContent = "Select features on the map to calculate statistics";
+        }
+    } else {
+        // Show result with animation for numeric values
+        if (numberElement) {
+            numberElement.className = 'floating-statistics-number';
+            if (typeof resultValue === 'number') {
+                const currentValue = parseFloat(numberElement.textContent.replace(/,/g, '')) || 0;
+                animateFloatingCounter(numberElement, currentValue, resultValue, operation);
+            } else {
                 numberElement.textContent = resultValue;
-                numberElement.className = 'floating-statistics-no-features';
-            }
-            if (helpTextElement) {
-                helpTextElement.textContent = "Select features on the map to calculate statistics";
             }
+        }
+        if (helpTextElement) {
+            helpTextElement.textContent = '';
+        }
+        // Cards created while nothing was selected have no caption yet
+        if (captionElement) {
+            captionElement.textContent = getStatisticCaption(operation, resultValue);
         } else {
-            // Show result with animation for numeric values
-            if (numberElement) {
-                numberElement.className = 'floating-statistics-number';
-                if (typeof resultValue === 'number') {
-                    const currentValue = parseFloat(numberElement.textContent.replace(/,/g, '')) || 0;
-                    animateFloatingCounter(numberElement, currentValue, resultValue, operation);
-                } else {
-                    numberElement.textContent = resultValue;
-                }
-            }
-            if (helpTextElement) {
-                helpTextElement.textContent = '';
-            }
+            const caption = document.createElement('div');
+            caption.className = 'floating-statistics-label';
+            caption.textContent = getStatisticCaption(operation, resultValue);
+            existingCard.appendChild(caption);
         }
     }
 }
@@ -1235,9 +1655,9 @@ function clearFloatingStatisticsCards() {
             card.style.animation = 'fadeOutAtPosition 0.3s ease-in forwards';
         });
         
-        // Remove all cards after animation
+        // Remove all cards after animation (the group breakdown card manages itself)
         setTimeout(() => {
-            floatingContainer.innerHTML = '';
+            cards.forEach(card => card.remove());
         }, 300);
     }
 }
@@ -1267,8 +1687,8 @@ function createFloatingStatisticsCard(field, operation, value, count, hasFeature
         // Special styling for "No features selected" message
         card.innerHTML = `
             <div class="floating-statistics-header">
-                <div class="floating-statistics-operation">${operation}</div>
-                <div class="floating-statistics-field">of "${field}"</div>
+                <div class="floating-statistics-operation">${getStatisticLabel(operation)}</div>
+                <div class="floating-statistics-field">${getStatisticSubject(operation, field)}</div>
             </div>
             <div class="floating-statistics-no-features">${formattedValue}</div>
             <div class="floating-statistics-help-text">Select features on the map to calculate statistics</div>
@@ -1277,11 +1697,11 @@ function createFloatingStatisticsCard(field, operation, value, count, hasFeature
         // Normal result display with animated counter
         card.innerHTML = `
             <div class="floating-statistics-header">
-                <div class="floating-statistics-operation">${operation}</div>
-                <div class="floating-statistics-field">of "${field}" (${count} features)</div>
+                <div class="floating-statistics-operation">${getStatisticLabel(operation)}</div>
+                <div class="floating-statistics-field">${getStatisticSubject(operation, field)} (${count} features)</div>
             </div>
             <div class="floating-statistics-number" data-target-value="${typeof value === 'number' ? value : 0}">0</div>
-            <div class="floating-statistics-label">${operation}</div>
+            <div class="floating-statistics-label">${getStatisticCaption(operation, value)}</div>
         `;
     }
     
@@ -1378,6 +1798,12 @@ window.getSelectedFeatures = getSelectedFeatures;
 window.getActiveSelectionLayerId = getActiveSelectionLayerId;
 window.setActiveSelectionLayerId = setActiveSelectionLayerId;
 window.getIsSelectionActive = getIsSelectionActive;
+window.setSelectionMode = setSelectionMode;
+window.selectFeatureAtPoint = selectFeatureAtPoint;
+window.selectLayerFeatures = selectLayerFeatures;
+window.selectByAttribute = selectByAttribute;
+window.selectByLocation = selectByLocation;
+window.updateQuerySelectionControls = updateQuerySelectionControls;
 
 // Helper function to determine if a feature is from Aera layer
 function isFeatureFromAeraLayer(feature) {
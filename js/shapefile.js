@@ -0,0 +1,743 @@
+/**
+ * Shapefile Module for Aéra Link WebGIS
+ * Reads zipped ESRI Shapefiles into GeoJSON FeatureCollections
+ *
+ * Features:
+ * - Point, MultiPoint, PolyLine and Polygon shapes (Z/M variants are read as 2D)
+ * - Polygon ring orientation handling (clockwise outer rings, counter-clockwise holes)
+ * - DBF attribute parsing with code page detection (.cpg file or DBF language driver id)
+ * - Returns the raw .prj text so the importer can reproject to WGS84
+ * - Writes FeatureCollections back to .shp/.shx/.dbf/.prj/.cpg (one shapefile per geometry type)
+ */
+
+// DBF language driver ids mapped to TextDecoder labels
+const DBF_LANGUAGE_DRIVERS = {
+    0x03: 'windows-1252',
+    0x13: 'shift_jis',
+    0x26: 'ibm866',
+    0x4D: 'gbk',
+    0x4E: 'euc-kr',
+    0x4F: 'big5',
+    0x57: 'windows-1252',
+    0x58: 'windows-1252',
+    0x59: 'windows-1252',
+    0x65: 'ibm866',
+    0x7C: 'windows-874',
+    0x7D: 'windows-1255',
+    0x7E: 'windows-1256',
+    0xC8: 'windows-1250',
+    0xC9: 'windows-1251',
+    0xCA: 'windows-1254',
+    0xCB: 'windows-1253',
+    0xCC: 'windows-1257'
+};
+
+// .cpg code page numbers that don't follow the windows-XXXX naming
+const CPG_CODE_PAGES = {
+    '65001': 'utf-8',
+    '866': 'ibm866',
+    '874': 'windows-874',
+    '932': 'shift_jis',
+    '936': 'gbk',
+    '949': 'euc-kr',
+    '950': 'big5'
+};
+
+// Read every shapefile in a JSZip archive
+// Returns [{ name, data: FeatureCollection, prj: string|null }]
+async function readShapefileZip(zip) {
+    const entries = {};
+
+    zip.forEach((path, entry) => {
+        if (entry.dir || path.startsWith('__MACOSX/')) return;
+
+        const match = path.match(/^(.*)\.(shp|dbf|prj|cpg)$/i);
+        if (!match) return;
+
+        const baseName = match[1];
+        if (!entries[baseName]) entries[baseName] = {};
+        entries[baseName][match[2].toLowerCase()] = entry;
+    });
+
+    const baseNames = Object.keys(entries).filter(baseName => entries[baseName].shp);
+    if (baseNames.length === 0) {
+        throw new Error('No .shp file found in ZIP archive');
+    }
+
+    const results = [];
+
+    for (const baseName of baseNames) {
+        const files = entries[baseName];
+        const shpBuffer = await files.shp.async('arraybuffer');
+        const dbfBuffer = files.dbf ? await files.dbf.async('arraybuffer') : null;
+        const prj = files.prj ? (await files.prj.async('string')).trim() : null;
+        const cpg = files.cpg ? (await files.cpg.async('string')).trim() : null;
+
+        const geometries = parseShpGeometries(shpBuffer);
+        const records = dbfBuffer ? parseDbfRecords(dbfBuffer, cpg) : [];
+
+        if (dbfBuffer && records.length !== geometries.length) {
+            console.warn(`Shapefile "${baseName}": ${geometries.length} shapes but ${records.length} DBF records`);
+        }
+
+        const features = [];
+        geometries.forEach((geometry, index) => {
+            // Deleted DBF rows still have a shape record - drop both
+            if (records[index] === null) return;
+
+            features.push({
+                type: 'Feature',
+                geometry: geometry,
+                properties: records[index] || {}
+            });
+        });
+
+        results.push({
+            name: baseName.split('/').pop(),
+            data: { type: 'FeatureCollection', features: features },
+            prj: prj
+        });
+
+        console.log(`📦 Read shapefile "${baseName}": ${features.length} features${prj ? ' (with .prj)' : ''}`);
+    }
+
+    return results;
+}
+
+// Parse all shape records from a .shp buffer
+function parseShpGeometries(buffer) {
+    const view = new DataView(buffer);
+
+    if (buffer.byteLength < 100 || view.getInt32(0, false) !== 9994) {
+        throw new Error('Invalid .shp file');
+    }
+
+    // File length is stored in 16-bit words
+    const fileLength = Math.min(view.getInt32(24, false) * 2, buffer.byteLength);
+    const geometries = [];
+    let offset = 100;
+
+    while (offset + 8 <= fileLength) {
+        const contentLength = view.getInt32(offset + 4, false) * 2;
+        const contentStart = offset + 8;
+
+        geometries.push(parseShpRecord(view, contentStart, contentLength));
+        offset = contentStart + contentLength;
+    }
+
+    return geometries;
+}
+
+// Parse a single shape record into a GeoJSON geometry (null shapes return null)
+function parseShpRecord(view, offset, length) {
+    if (length < 4) return null;
+
+    const shapeType = view.getInt32(offset, true);
+
+    switch (shapeType) {
+        case 0:
+            return null;
+
+        case 1:
+        case 11:
+        case 21:
+            return {
+                type: 'Point',
+                coordinates: [view.getFloat64(offset + 4, true), view.getFloat64(offset + 12, true)]
+            };
+
+        case 8:
+        case 18:
+        case 28: {
+            const numPoints = view.getInt32(offset + 36, true);
+            const points = readShpPoints(view, offset + 40, numPoints);
+            return numPoints === 1
+                ? { type: 'Point', coordinates: points[0] }
+                : { type: 'MultiPoint', coordinates: points };
+        }
+
+        case 3:
+        case 13:
+        case 23: {
+            const parts = readShpParts(view, offset);
+            return parts.length === 1
+                ? { type: 'LineString', coordinates: parts[0] }
+                : { type: 'MultiLineString', coordinates: parts };
+        }
+
+        case 5:
+        case 15:
+        case 25:
+            return buildPolygonGeometry(readShpParts(view, offset));
+
+        default:
+            throw new Error(`Unsupported shape type: ${shapeType}`);
+    }
+}
+
+// Read an array of XY points
+function readShpPoints(view, offset, count) {
+    const points = new Array(count);
+    for (let i = 0; i < count; i++) {
+        points[i] = [
+            view.getFloat64(offset + i * 16, true),
+            view.getFloat64(offset + i * 16 + 8, true)
+        ];
+    }
+    return points;
+}
+
+// Read the parts of a PolyLine/Polygon record as arrays of points
+function readShpParts(view, offset) {
+    const numParts = view.getInt32(offset + 36, true);
+    const numPoints = view.getInt32(offset + 40, true);
+    const partsStart = offset + 44;
+    const points = readShpPoints(view, partsStart + numParts * 4, numPoints);
+
+    const parts = [];
+    for (let i = 0; i < numParts; i++) {
+        const start = view.getInt32(partsStart + i * 4, true);
+        const end = i < numParts - 1 ? view.getInt32(partsStart + (i + 1) * 4, true) : numPoints;
+        parts.push(points.slice(start, end));
+    }
+    return parts;
+}
+
+// Group shapefile rings into GeoJSON polygons
+// Shapefile outer rings are clockwise and holes counter-clockwise; GeoJSON uses the opposite
+function buildPolygonGeometry(rings) {
+    const outers = [];
+    const holes = [];
+
+    rings.forEach(ring => {
+        if (ring.length < 4) return;
+        if (ringSignedArea(ring) < 0) {
+            outers.push([ring.slice().reverse()]);
+        } else {
+            holes.push(ring.slice().reverse());
+        }
+    });
+
+    holes.forEach(hole => {
+        const container = outers.find(polygon => pointInRing(hole[0], polygon[0]));
+        if (container) {
+            container.push(hole);
+        } else {
+            // Orphan hole - some writers get the winding wrong, treat it as an outer ring
+            outers.push([hole.slice().reverse()]);
+        }
+    });
+
+    if (outers.length === 0) return null;
+
+    return outers.length === 1
+        ? { type: 'Polygon', coordinates: outers[0] }
+        : { type: 'MultiPolygon', coordinates: outers };
+}
+
+// Shoelace area: positive for counter-clockwise rings
+function ringSignedArea(ring) {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return area / 2;
+}
+
+// Ray casting point-in-ring test
+function pointInRing(point, ring) {
+    const [x, y] = point;
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Resolve the text encoding for a DBF from its .cpg file or language driver id
+function resolveDbfEncoding(cpg, languageDriverId) {
+    const candidates = [];
+
+    if (cpg) {
+        const code = cpg.toUpperCase().replace(/^ANSI\s*/, '').replace(/[\s_]/g, '');
+
+        if (code === 'UTF8' || code === 'UTF-8') {
+            candidates.push('utf-8');
+        } else if (CPG_CODE_PAGES[code]) {
+            candidates.push(CPG_CODE_PAGES[code]);
+        } else if (/^125\d$/.test(code)) {
+            candidates.push(`windows-${code}`);
+        } else if (/^8859(\d+)$/.test(code)) {
+            candidates.push(`iso-8859-${code.slice(4)}`);
+        }
+        candidates.push(cpg.trim().toLowerCase());
+    }
+
+    if (DBF_LANGUAGE_DRIVERS[languageDriverId]) {
+        candidates.push(DBF_LANGUAGE_DRIVERS[languageDriverId]);
+    }
+
+    for (const label of candidates) {
+        try {
+            new TextDecoder(label);
+            return label;
+        } catch (e) {
+            console.warn(`Unsupported shapefile code page "${label}"`);
+        }
+    }
+
+    return null;
+}
+
+// Parse DBF attribute records (deleted rows are returned as null)
+function parseDbfRecords(buffer, cpg) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    const recordCount = view.getUint32(4, true);
+    const headerLength = view.getUint16(8, true);
+    const recordLength = view.getUint16(10, true);
+    const languageDriverId = view.getUint8(29);
+
+    // Without a declared code page, prefer UTF-8 and fall back to Windows-1252
+    let encoding = resolveDbfEncoding(cpg, languageDriverId);
+    if (!encoding) {
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(headerLength));
+            encoding = 'utf-8';
+        } catch (e) {
+            encoding = 'windows-1252';
+        }
+    }
+    const decoder = new TextDecoder(encoding);
+
+    // Field descriptors are 32 bytes each, terminated by 0x0D
+    const fields = [];
+    let fieldOffset = 0;
+    for (let offset = 32; offset + 32 <= headerLength && bytes[offset] !== 0x0D; offset += 32) {
+        const nameBytes = bytes.subarray(offset, offset + 11);
+        const nameEnd = nameBytes.indexOf(0);
+        fields.push({
+            name: decoder.decode(nameEnd === -1 ? nameBytes : nameBytes.subarray(0, nameEnd)).trim(),
+            type: String.fromCharCode(bytes[offset + 11]),
+            offset: fieldOffset + 1, // skip the deletion flag
+            length: bytes[offset + 16]
+        });
+        fieldOffset += bytes[offset + 16];
+    }
+
+    const records = [];
+    for (let i = 0; i < recordCount; i++) {
+        const recordStart = headerLength + i * recordLength;
+        if (recordStart + recordLength > bytes.length) break;
+
+        // '*' marks a deleted record
+        if (bytes[recordStart] === 0x2A) {
+            records.push(null);
+            continue;
+        }
+
+        const properties = {};
+        fields.forEach(field => {
+            const start = recordStart + field.offset;
+            const raw = decoder.decode(bytes.subarray(start, start + field.length));
+            properties[field.name] = parseDbfValue(raw, field.type);
+        });
+        records.push(properties);
+    }
+
+    return records;
+}
+
+// Convert a raw DBF field string to a JavaScript value
+function parseDbfValue(raw, type) {
+    const value = raw.replace(/\0/g, '').trim();
+
+    switch (type) {
+        case 'N':
+        case 'F': {
+            if (value === '' || /^\*+$/.test(value)) return null;
+            const number = parseFloat(value);
+            return isNaN(number) ? null : number;
+        }
+
+        case 'L':
+            if (/^[TY]$/i.test(value)) return true;
+            if (/^[FN]$/i.test(value)) return false;
+            return null;
+
+        case 'D':
+            if (!/^\d{8}$/.test(value)) return value || null;
+            return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+
+        default:
+            return value;
+    }
+}
+
+// === SHAPEFILE WRITER ===
+
+// Shape type codes and file name suffixes used when a layer mixes geometry types
+const SHP_WRITE_TYPES = {
+    point: { shapeType: 1, suffix: 'points' },
+    multipoint: { shapeType: 8, suffix: 'multipoints' },
+    polyline: { shapeType: 3, suffix: 'lines' },
+    polygon: { shapeType: 5, suffix: 'polygons' }
+};
+
+// Exports are always written in WGS84
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+// Add a FeatureCollection to a JSZip archive as one or more shapefiles
+// Returns the base names that were written
+function writeShapefileZip(zip, baseName, geoData) {
+    const groups = {};
+    const nullFeatures = [];
+
+    geoData.features.forEach(feature => {
+        const group = getShpWriteGroup(feature.geometry);
+        if (group === null) {
+            nullFeatures.push(feature);
+        } else if (group) {
+            if (!groups[group]) groups[group] = [];
+            groups[group].push(feature);
+        } else {
+            console.warn(`Skipping unsupported geometry type for shapefile export: ${feature.geometry.type}`);
+        }
+    });
+
+    const groupNames = Object.keys(groups);
+    if (groupNames.length === 0) {
+        throw new Error('Layer has no geometries that can be written to a shapefile');
+    }
+
+    // Features without geometry are kept as null shapes in the first shapefile
+    groups[groupNames[0]].push(...nullFeatures);
+
+    return groupNames.map(group => {
+        const name = groupNames.length > 1 ? `${baseName}_${SHP_WRITE_TYPES[group].suffix}` : baseName;
+        const { shp, shx } = buildShpFiles(groups[group], SHP_WRITE_TYPES[group].shapeType);
+
+        zip.file(`${name}.shp`, shp);
+        zip.file(`${name}.shx`, shx);
+        zip.file(`${name}.dbf`, buildDbfFile(groups[group].map(feature => feature.properties || {})));
+        zip.file(`${name}.prj`, WGS84_PRJ);
+        zip.file(`${name}.cpg`, 'UTF-8');
+
+        console.log(`📦 Wrote shapefile "${name}": ${groups[group].length} features`);
+        return name;
+    });
+}
+
+// Shapefile group for a GeoJSON geometry (null for empty geometries, undefined if unsupported)
+function getShpWriteGroup(geometry) {
+    if (!geometry) return null;
+
+    switch (geometry.type) {
+        case 'Point':
+            return 'point';
+        case 'MultiPoint':
+            return 'multipoint';
+        case 'LineString':
+        case 'MultiLineString':
+            return 'polyline';
+        case 'Polygon':
+        case 'MultiPolygon':
+            return 'polygon';
+        default:
+            return undefined;
+    }
+}
+
+// Convert a GeoJSON geometry to shapefile parts
+// Outer rings are written clockwise and holes counter-clockwise
+function getShpParts(geometry) {
+    switch (geometry.type) {
+        case 'LineString':
+            return [geometry.coordinates];
+        case 'MultiLineString':
+            return geometry.coordinates;
+        case 'Polygon':
+            return orientPolygonRings(geometry.coordinates);
+        case 'MultiPolygon':
+            return geometry.coordinates.flatMap(orientPolygonRings);
+        default:
+            return [];
+    }
+}
+
+// Close each ring and apply shapefile winding order
+function orientPolygonRings(rings) {
+    return rings.map((ring, index) => {
+        const closed = ring.length > 0 &&
+            (ring[0][0] !== ring[ring.length - 1][0] || ring[0][1] !== ring[ring.length - 1][1])
+            ? [...ring, ring[0]]
+            : ring;
+        const isClockwise = ringSignedArea(closed) < 0;
+        const wantClockwise = index === 0;
+        return isClockwise === wantClockwise ? closed : closed.slice().reverse();
+    });
+}
+
+// Bounding box [xmin, ymin, xmax, ymax] of a list of points
+function getPointsBounds(points) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    points.forEach(([x, y]) => {
+        bounds[0] = Math.min(bounds[0], x);
+        bounds[1] = Math.min(bounds[1], y);
+        bounds[2] = Math.max(bounds[2], x);
+        bounds[3] = Math.max(bounds[3], y);
+    });
+    return bounds;
+}
+
+// Build the .shp and .shx buffers for features sharing one shape type
+function buildShpFiles(features, shapeType) {
+    const records = features.map(feature => buildShpRecord(feature.geometry, shapeType));
+    const allPoints = records.flatMap(record => record.points);
+    const bounds = allPoints.length > 0 ? getPointsBounds(allPoints) : [0, 0, 0, 0];
+
+    const shpLength = 100 + records.reduce((total, record) => total + 8 + record.content.byteLength, 0);
+    const shxLength = 100 + records.length * 8;
+    const shp = new ArrayBuffer(shpLength);
+    const shx = new ArrayBuffer(shxLength);
+    const shpView = new DataView(shp);
+    const shxView = new DataView(shx);
+
+    writeShpHeader(shpView, shpLength, shapeType, bounds);
+    writeShpHeader(shxView, shxLength, shapeType, bounds);
+
+    const shpBytes = new Uint8Array(shp);
+    let offset = 100;
+    records.forEach((record, index) => {
+        // Offsets and lengths are big-endian 16-bit word counts
+        shxView.setInt32(100 + index * 8, offset / 2, false);
+        shxView.setInt32(104 + index * 8, record.content.byteLength / 2, false);
+
+        shpView.setInt32(offset, index + 1, false);
+        shpView.setInt32(offset + 4, record.content.byteLength / 2, false);
+        shpBytes.set(new Uint8Array(record.content), offset + 8);
+        offset += 8 + record.content.byteLength;
+    });
+
+    return { shp, shx };
+}
+
+// Write the 100-byte header shared by .shp and .shx
+function writeShpHeader(view, byteLength, shapeType, bounds) {
+    view.setInt32(0, 9994, false);
+    view.setInt32(24, byteLength / 2, false);
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, shapeType, true);
+    bounds.forEach((value, index) => view.setFloat64(36 + index * 8, value, true));
+}
+
+// Encode a single shape record's content
+// Returns { content: ArrayBuffer, points } where points feed the file bounding box
+function buildShpRecord(geometry, shapeType) {
+    if (!geometry) {
+        const content = new ArrayBuffer(4);
+        new DataView(content).setInt32(0, 0, true);
+        return { content, points: [] };
+    }
+
+    if (shapeType === 1) {
+        const content = new ArrayBuffer(20);
+        const view = new DataView(content);
+        view.setInt32(0, 1, true);
+        view.setFloat64(4, geometry.coordinates[0], true);
+        view.setFloat64(12, geometry.coordinates[1], true);
+        return { content, points: [geometry.coordinates] };
+    }
+
+    if (shapeType === 8) {
+        const points = geometry.coordinates;
+        const content = new ArrayBuffer(40 + points.length * 16);
+        const view = new DataView(content);
+        view.setInt32(0, 8, true);
+        getPointsBounds(points).forEach((value, index) => view.setFloat64(4 + index * 8, value, true));
+        view.setInt32(36, points.length, true);
+        writeShpPoints(view, 40, points);
+        return { content, points };
+    }
+
+    // PolyLine and Polygon
+    const parts = getShpParts(geometry);
+    const points = parts.flat();
+    const pointsStart = 44 + parts.length * 4;
+    const content = new ArrayBuffer(pointsStart + points.length * 16);
+    const view = new DataView(content);
+
+    view.setInt32(0, shapeType, true);
+    getPointsBounds(points).forEach((value, index) => view.setFloat64(4 + index * 8, value, true));
+    view.setInt32(36, parts.length, true);
+    view.setInt32(40, points.length, true);
+
+    let partStart = 0;
+    parts.forEach((part, index) => {
+        view.setInt32(44 + index * 4, partStart, true);
+        partStart += part.length;
+    });
+    writeShpPoints(view, pointsStart, points);
+
+    return { content, points };
+}
+
+// Write an array of XY points
+function writeShpPoints(view, offset, points) {
+    points.forEach((point, index) => {
+        view.setFloat64(offset + index * 16, point[0], true);
+        view.setFloat64(offset + index * 16 + 8, point[1], true);
+    });
+}
+
+// Work out DBF field definitions from feature properties
+// Numbers become N, booleans L and everything else UTF-8 text (C)
+function buildDbfFields(records) {
+    const encoder = new TextEncoder();
+    const keys = [];
+    records.forEach(properties => {
+        Object.keys(properties).forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+        });
+    });
+
+    const usedNames = new Set();
+    const fields = keys.map(key => {
+        const values = records.map(properties => properties[key]).filter(value => value !== null && value !== undefined && value !== '');
+        let type = 'C';
+        let length = 1;
+        let decimals = 0;
+
+        if (values.length > 0 && values.every(value => typeof value === 'number' && isFinite(value))) {
+            // Loops rather than Math.max(...values), which overflows the call stack on large layers
+            values.forEach(value => {
+                decimals = Math.max(decimals, (String(value).split('.')[1] || '').length);
+            });
+            decimals = Math.min(15, decimals);
+            values.forEach(value => {
+                length = Math.max(length, value.toFixed(decimals).length);
+            });
+            if (length <= 19) {
+                type = 'N';
+            }
+        } else if (values.length > 0 && values.every(value => typeof value === 'boolean')) {
+            type = 'L';
+            length = 1;
+        }
+
+        if (type === 'C') {
+            decimals = 0;
+            length = 1;
+            values.forEach(value => {
+                length = Math.max(length, encoder.encode(formatDbfText(value)).length);
+            });
+            length = Math.min(254, length);
+        }
+
+        return { key, name: getDbfFieldName(key, usedNames), type, length, decimals };
+    });
+
+    // dBase needs at least one field
+    if (fields.length === 0) {
+        fields.push({ key: null, name: 'FID', type: 'N', length: 10, decimals: 0 });
+    }
+
+    return fields;
+}
+
+// DBF field names are limited to 10 ASCII characters and must be unique
+function getDbfFieldName(key, usedNames) {
+    const base = String(key).replace(/[^A-Za-z0-9_]/g, '_').slice(0, 10) || 'FIELD';
+    let name = base;
+    let counter = 1;
+    while (usedNames.has(name.toUpperCase())) {
+        const suffix = String(counter++);
+        name = base.slice(0, 10 - suffix.length) + suffix;
+    }
+    usedNames.add(name.toUpperCase());
+    return name;
+}
+
+// Text representation of a non-numeric attribute value
+function formatDbfText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Encode text into at most maxBytes without splitting a UTF-8 character
+function encodeDbfText(encoder, text, maxBytes) {
+    const bytes = encoder.encode(text);
+    if (bytes.length <= maxBytes) return bytes;
+
+    let end = maxBytes;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) end--;
+    return bytes.subarray(0, end);
+}
+
+// Build a dBase III file from an array of property objects
+function buildDbfFile(records) {
+    const encoder = new TextEncoder();
+    const fields = buildDbfFields(records);
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((total, field) => total + field.length, 0);
+    const buffer = new ArrayBuffer(headerLength + records.length * recordLength + 1);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const today = new Date();
+
+    view.setUint8(0, 0x03);
+    view.setUint8(1, today.getFullYear() - 1900);
+    view.setUint8(2, today.getMonth() + 1);
+    view.setUint8(3, today.getDate());
+    view.setUint32(4, records.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, index) => {
+        const offset = 32 + index * 32;
+        bytes.set(encoder.encode(field.name), offset);
+        bytes[offset + 11] = field.type.charCodeAt(0);
+        bytes[offset + 16] = field.length;
+        bytes[offset + 17] = field.decimals;
+    });
+    bytes[headerLength - 1] = 0x0D;
+
+    // Records start with a space (not deleted) and are space padded
+    bytes.fill(0x20, headerLength, headerLength + records.length * recordLength);
+
+    records.forEach((properties, recordIndex) => {
+        let offset = headerLength + recordIndex * recordLength + 1;
+
+        fields.forEach(field => {
+            const value = field.key === null ? recordIndex : properties[field.key];
+            let text = '';
+
+            if (value !== null && value !== undefined && value !== '') {
+                if (field.type === 'N') {
+                    text = value.toFixed(field.decimals).padStart(field.length, ' ');
+                } else if (field.type === 'L') {
+                    text = value ? 'T' : 'F';
+                } else {
+                    text = formatDbfText(value);
+                }
+            } else if (field.type === 'L') {
+                text = '?';
+            }
+
+            bytes.set(encodeDbfText(encoder, text, field.length), offset);
+            offset += field.length;
+        });
+    });
+
+    bytes[bytes.length - 1] = 0x1A;
+    return buffer;
+}
+
+// Export functions for use in other modules
+window.readShapefileZip = readShapefileZip;
+window.writeShapefileZip = writeShapefileZip;
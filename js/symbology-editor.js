@@ -80,6 +80,8 @@ function openSymbologyEditor(layerId) {
                 <select id="symbologyType" class="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-teal-500 focus:border-transparent">
                     <option value="single">Single Symbol</option>
                     <option value="categorical">Categorical</option>
+                    <option value="graduated">Graduated</option>
+                    <option value="rule">Rule-based</option>
                 </select>
             </div>
             
@@ -143,6 +145,88 @@ function openSymbologyEditor(layerId) {
                 </div>
             </div>
             
+            <div id="graduatedOptions" class="border-t border-gray-600 pt-4 mb-4 hidden">
+                <label class="block text-sm font-medium text-gray-300 mb-2">Value Field</label>
+                <select id="graduatedField" class="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-teal-500 focus:border-transparent mb-4">
+                    <option value="">Select a numeric field...</option>
+                </select>
+                
+                <div class="grid grid-cols-2 gap-3 mb-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-300 mb-2">Method</label>
+                        <select id="graduatedMethod" class="w-full bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-teal-500 focus:border-transparent">
+                            ${Object.entries(GRADUATED_METHODS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-300 mb-2">Classes</label>
+                        <input type="number" id="graduatedClassCount" value="${GRADUATED_DEFAULT_CLASSES}" min="2" max="${GRADUATED_MAX_CLASSES}" step="1" 
+                               class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm">
+                    </div>
+                </div>
+                
+                <label class="block text-sm font-medium text-gray-300 mb-2">Color Ramp</label>
+                <div class="flex items-center space-x-3 mb-2">
+                    <select id="graduatedRamp" class="flex-1 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 text-white focus:ring-2 focus:ring-teal-500 focus:border-transparent">
+                        ${['sequential', 'diverging'].map(type => `
+                            <optgroup label="${type === 'sequential' ? 'Sequential' : 'Diverging'}">
+                                ${Object.entries(GRADUATED_COLOR_RAMPS).filter(([, ramp]) => ramp.type === type).map(([key, ramp]) => `<option value="${key}">${ramp.name}</option>`).join('')}
+                            </optgroup>`).join('')}
+                    </select>
+                    <label class="flex items-center text-sm text-gray-300">
+                        <input type="checkbox" id="graduatedReverse" class="mr-2">Reverse
+                    </label>
+                </div>
+                <div id="graduatedRampPreview" class="graduated-ramp-preview mb-4"></div>
+                
+                <label class="block text-sm font-medium text-gray-300 mb-2">Stroke Color</label>
+                <div class="flex items-center space-x-3 mb-4">
+                    <input type="color" id="graduatedStrokeColor" value="#ffffff" 
+                           class="w-16 h-10 bg-transparent border border-gray-600 rounded cursor-pointer">
+                    <input type="text" id="graduatedStrokeColorHex" value="#ffffff" 
+                           class="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm font-mono uppercase" 
+                           placeholder="#ffffff" maxlength="7">
+                    <span class="text-sm text-gray-400">Stroke color for all classes</span>
+                </div>
+                
+                <label class="block text-sm font-medium text-gray-300 mb-2">Stroke Width (px)</label>
+                <div class="flex items-center space-x-3">
+                    <input type="number" id="graduatedStrokeWidth" value="2" min="0" max="100" step="0.5" 
+                           class="w-20 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-sm">
+                    <span class="text-sm text-gray-400">Stroke width in pixels</span>
+                </div>
+            </div>
+            
+            <div id="ruleOptions" class="border-t border-gray-600 pt-4 mb-4 hidden">
+                <div class="flex items-center justify-between mb-2">
+                    <label class="block text-sm font-medium text-gray-300">Rules</label>
+                    <button id="addRule" class="bg-teal-600 hover:bg-teal-700 text-white text-xs px-3 py-1 rounded transition-colors">
+                        <i class="fas fa-plus mr-1"></i>Add Rule
+                    </button>
+                </div>
+                <div class="text-xs text-gray-400 mb-3">
+                    Rules are checked from top to bottom and each feature takes the style of the first rule it matches.
+                    Example: <code class="text-teal-300">STATUS = 'Sold' AND AREA &gt; 500</code>.
+                    Also supports OR, NOT, IN ('a', 'b'), LIKE 'B12-%', IS NULL and "Field Names" with spaces.
+                </div>
+                <div id="ruleList" class="space-y-3 mb-4"></div>
+                
+                <div id="elseRuleCard" class="rule-card">
+                    <label class="flex items-center text-sm text-gray-300 mb-2">
+                        <input type="checkbox" id="elseRuleEnabled" class="mr-2">Else rule: style features that match no rule
+                    </label>
+                    <div id="elseRuleStyle" class="rule-style-fields"></div>
+                    <div id="elseRuleCount" class="rule-status text-gray-400"></div>
+                </div>
+            </div>
+            
+            <div id="graduatedPreview" class="mb-4 hidden">
+                <h4 class="text-sm font-medium text-gray-300 mb-2">Histogram</h4>
+                <div id="graduatedHistogram" class="graduated-histogram mb-3"></div>
+                <h4 class="text-sm font-medium text-gray-300 mb-2">Classes</h4>
+                <div id="graduatedClasses" class="space-y-2 max-h-48 overflow-y-auto"></div>
+            </div>
+            
             <div id="legendPreview" class="mb-4 hidden">
                 <h4 class="text-sm font-medium text-gray-300 mb-2">Live Legend</h4>
                 <div id="legendItems" class="space-y-2 max-h-48 overflow-y-auto"></div>
@@ -221,6 +305,15 @@ function openSymbologyEditor(layerId) {
                 option.textContent = key;
                 fieldSelect.appendChild(option);
             });
+            
+            // Graduated symbology only offers numeric fields
+            const graduatedFieldSelect = editorPanel.querySelector('#graduatedField');
+            getNumericFields(features).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = key;
+                graduatedFieldSelect.appendChild(option);
+            });
         }
     }
     
@@ -265,8 +358,17 @@ function openSymbologyEditor(layerId) {
         categoricalStrokeWidthInput.value = layerInfo.style.weight;
     }
     
-    // Set initial categorical field selection if there's existing classification
-    if (layerInfo.classification && layerInfo.classification.field) {
+    // Set initial rule controls if the layer is styled by expression rules
+    if (isRuleClassification(layerInfo.classification)) {
+        editorPanel.querySelector('#symbologyType').value = 'rule';
+        showSymbologyTypeOptions(editorPanel, 'rule');
+    } else if (isGraduatedClassification(layerInfo.classification)) {
+        editorPanel.querySelector('#symbologyType').value = 'graduated';
+        showSymbologyTypeOptions(editorPanel, 'graduated');
+        setGraduatedControls(editorPanel, layerInfo.classification);
+        editorPanel.graduatedClassification = JSON.parse(JSON.stringify(layerInfo.classification));
+    } else if (layerInfo.classification && layerInfo.classification.field) {
+        // Set initial categorical field selection if there's existing classification
         const fieldSelect = editorPanel.querySelector('#classificationField');
         if (fieldSelect) {
             fieldSelect.value = layerInfo.classification.field;
@@ -309,6 +411,9 @@ function setupSymbologyEditorListeners(editorPanel) {
     const legendPreview = editorPanel.querySelector('#legendPreview');
     const applyBtn = editorPanel.querySelector('#applySymbology');
     
+    // Symbology before any live preview, so Apply and Reset can be undone
+    const symbologyBefore = captureLayerSymbology(layerInfo);
+    
     // Opacity slider handling
     const opacitySlider = editorPanel.querySelector('#opacitySlider');
     const opacityValue = editorPanel.querySelector('#opacityValue');
@@ -330,21 +435,22 @@ function setupSymbologyEditorListeners(editorPanel) {
     symbologyTypeSelect.addEventListener('change', function() {
         const selectedType = this.value;
         
-        if (selectedType === 'single') {
-            // Show single symbol options, hide categorical options
-            singleSymbolOptions.classList.remove('hidden');
-            categoricalOptions.classList.add('hidden');
-            legendPreview.classList.add('hidden');
-        } else if (selectedType === 'categorical') {
-            // Show categorical options, hide single symbol options
-            singleSymbolOptions.classList.add('hidden');
-            categoricalOptions.classList.remove('hidden');
-            
+        showSymbologyTypeOptions(editorPanel, selectedType);
+        
+        if (selectedType === 'categorical') {
             // Enable Apply button for categorical (field selection will handle further logic)
             applyBtn.disabled = false;
+        } else if (selectedType === 'graduated' && editorPanel.querySelector('#graduatedField').value) {
+            // Bring back the graduated preview when switching back to it
+            updateGraduatedSymbology(layerId, editorPanel);
+        } else if (selectedType === 'rule') {
+            updateRuleSymbology(layerId, editorPanel);
         }
     });
     
+    setupGraduatedListeners(layerId, editorPanel);
+    setupRuleListeners(layerId, editorPanel);
+    
     // Single fill color change handler
     singleFillColor.addEventListener('input', function() {
         const selectedColor = this.value;
@@ -700,11 +806,27 @@ function setupSymbologyEditorListeners(editorPanel) {
                     };
                 }
             }
+        } else if (symbologyType === 'graduated') {
+            const classification = editorPanel.graduatedClassification || updateGraduatedSymbology(layerId, editorPanel);
+            if (classification) {
+                applyGraduatedSymbology(layerId, classification);
+                symbologyData = createGraduatedStyleData(classification);
+            }
+        } else if (symbologyType === 'rule') {
+            const classification = getValidRuleClassification(layerId, editorPanel);
+            if (!classification) {
+                // Keep the editor open so the rules can be fixed
+                return;
+            }
+            applyRuleSymbology(layerId, classification);
+            symbologyData = createRuleStyleData(classification);
         }
         
         // Save symbology to the appropriate table
+        let previousSavedStyle;
         if (symbologyData) {
             const layerName = layerInfo.name;
+            previousSavedStyle = await loadSymbologyFromDatabase(layerName);
             const success = await saveSymbologyToDatabase(layerName, symbologyData);
             
             if (success) {
@@ -714,6 +836,10 @@ function setupSymbologyEditorListeners(editorPanel) {
             }
         }
         
+        recordSymbologyCommand(`Apply symbology to "${layerInfo.name}"`, layerId,
+            { symbology: symbologyBefore, savedStyle: previousSavedStyle },
+            { symbology: captureLayerSymbology(layerInfo), savedStyle: symbologyData || undefined });
+        
         // Close the editor after applying
         editorPanel.remove();
     });
@@ -721,6 +847,7 @@ function setupSymbologyEditorListeners(editorPanel) {
     // Reset button
     editorPanel.querySelector('#resetSymbology').addEventListener('click', async function() {
         const layerName = layerInfo.name;
+        const previousSavedStyle = await loadSymbologyFromDatabase(layerName);
         
         // Reset layer symbology to default
         resetLayerSymbology(layerId);
@@ -729,6 +856,9 @@ function setupSymbologyEditorListeners(editorPanel) {
         await deleteSymbologyFromDatabase(layerName);
         
         // Layer symbology reset
+        recordSymbologyCommand(`Reset symbology of "${layerName}"`, layerId,
+            { symbology: symbologyBefore, savedStyle: previousSavedStyle },
+            { symbology: captureLayerSymbology(layerInfo), savedStyle: null });
         
         editorPanel.remove();
     });
@@ -798,6 +928,11 @@ function setupSymbologyEditorListeners(editorPanel) {
                             };
                         }
                     }
+                } else if (symbologyType === 'graduated' && editorPanel.graduatedClassification) {
+                    symbologyData = createGraduatedStyleData(editorPanel.graduatedClassification);
+                } else if (symbologyType === 'rule') {
+                    const classification = getValidRuleClassification(layerId, editorPanel);
+                    symbologyData = classification ? createRuleStyleData(classification) : null;
                 }
                 
                 if (symbologyData) {
@@ -887,6 +1022,11 @@ function setupSymbologyEditorListeners(editorPanel) {
                             };
                         }
                     }
+                } else if (symbologyType === 'graduated' && editorPanel.graduatedClassification) {
+                    symbologyData = createGraduatedStyleData(editorPanel.graduatedClassification);
+                } else if (symbologyType === 'rule') {
+                    const classification = getValidRuleClassification(layerId, editorPanel);
+                    symbologyData = classification ? createRuleStyleData(classification) : null;
                 }
                 
                 if (symbologyData) {
@@ -912,7 +1052,11 @@ function setupSymbologyEditorListeners(editorPanel) {
     }
     
     // Initialize legend preview if there's existing categorical classification
-    if (layerInfo.classification && layerInfo.classification.field) {
+    if (isRuleClassification(layerInfo.classification)) {
+        updateRuleSymbology(layerId, editorPanel);
+    } else if (isGraduatedClassification(layerInfo.classification)) {
+        updateGraduatedSymbology(layerId, editorPanel);
+    } else if (layerInfo.classification && layerInfo.classification.field) {
         const field = layerInfo.classification.field;
         console.log('Initializing legend preview for existing classification field:', field);
         const legendPreview = editorPanel.querySelector('#legendPreview');
@@ -921,6 +1065,505 @@ function setupSymbologyEditorListeners(editorPanel) {
     }
 }
 
+// Show the option panels for a symbology type
+function showSymbologyTypeOptions(editorPanel, type) {
+    editorPanel.querySelector('#singleSymbolOptions').classList.toggle('hidden', type !== 'single');
+    editorPanel.querySelector('#categoricalOptions').classList.toggle('hidden', type !== 'categorical');
+    editorPanel.querySelector('#graduatedOptions').classList.toggle('hidden', type !== 'graduated');
+    editorPanel.querySelector('#ruleOptions').classList.toggle('hidden', type !== 'rule');
+    
+    // Previews come back once a field has been classified
+    if (type !== 'categorical') {
+        editorPanel.querySelector('#legendPreview').classList.add('hidden');
+    }
+    if (type !== 'graduated') {
+        editorPanel.querySelector('#graduatedPreview').classList.add('hidden');
+    }
+}
+
+// === GRADUATED SYMBOLOGY EDITOR ===
+
+// Setup graduated symbology control listeners
+function setupGraduatedListeners(layerId, editorPanel) {
+    const strokeColor = editorPanel.querySelector('#graduatedStrokeColor');
+    const strokeColorHex = editorPanel.querySelector('#graduatedStrokeColorHex');
+    const strokeWidth = editorPanel.querySelector('#graduatedStrokeWidth');
+    
+    // A new field, method or class count recalculates the breaks
+    ['#graduatedField', '#graduatedMethod', '#graduatedClassCount'].forEach(selector => {
+        editorPanel.querySelector(selector).addEventListener('change', function() {
+            updateGraduatedSymbology(layerId, editorPanel, { recalculateBreaks: true, recolor: true });
+        });
+    });
+    
+    // A new ramp recolors the classes but keeps the breaks
+    ['#graduatedRamp', '#graduatedReverse'].forEach(selector => {
+        editorPanel.querySelector(selector).addEventListener('change', function() {
+            updateRampPreview(editorPanel);
+            updateGraduatedSymbology(layerId, editorPanel, { recolor: true });
+        });
+    });
+    
+    strokeColor.addEventListener('input', function() {
+        strokeColorHex.value = this.value.toUpperCase();
+        updateGraduatedSymbology(layerId, editorPanel);
+    });
+    
+    strokeColorHex.addEventListener('input', function() {
+        const hexValue = this.value.trim();
+        if (isValidHexColor(hexValue)) {
+            strokeColor.value = hexValue;
+            updateGraduatedSymbology(layerId, editorPanel);
+        }
+    });
+    
+    strokeColorHex.addEventListener('blur', function() {
+        const hexValue = this.value.trim();
+        // Revert to color picker value if invalid
+        this.value = isValidHexColor(hexValue) ? hexValue.toUpperCase() : strokeColor.value.toUpperCase();
+    });
+    
+    strokeWidth.addEventListener('input', function() {
+        updateGraduatedSymbology(layerId, editorPanel);
+    });
+    
+    updateRampPreview(editorPanel);
+}
+
+// Show the selected color ramp under the ramp dropdown
+function updateRampPreview(editorPanel) {
+    const ramp = editorPanel.querySelector('#graduatedRamp').value;
+    const reversed = editorPanel.querySelector('#graduatedReverse').checked;
+    editorPanel.querySelector('#graduatedRampPreview').style.background = getRampGradient(ramp, reversed);
+}
+
+// Fill the graduated controls from a classification; false when the field is not in this layer
+function setGraduatedControls(editorPanel, classification) {
+    const fieldSelect = editorPanel.querySelector('#graduatedField');
+    if (!Array.from(fieldSelect.options).some(option => option.value === classification.field)) {
+        return false;
+    }
+    
+    fieldSelect.value = classification.field;
+    editorPanel.querySelector('#graduatedMethod').value = GRADUATED_METHODS[classification.method] ? classification.method : 'manual';
+    editorPanel.querySelector('#graduatedClassCount').value = classification.breaks.length - 1;
+    editorPanel.querySelector('#graduatedRamp').value = GRADUATED_COLOR_RAMPS[classification.ramp] ? classification.ramp : 'teal';
+    editorPanel.querySelector('#graduatedReverse').checked = Boolean(classification.reversed);
+    editorPanel.querySelector('#graduatedStrokeColor').value = classification.strokeColor;
+    editorPanel.querySelector('#graduatedStrokeColorHex').value = classification.strokeColor.toUpperCase();
+    editorPanel.querySelector('#graduatedStrokeWidth').value = classification.strokeWidth;
+    updateRampPreview(editorPanel);
+    return true;
+}
+
+// Classify the selected field from the editor controls and preview it on the map
+// Breaks and class colors are kept unless options.recalculateBreaks / options.recolor are set
+function updateGraduatedSymbology(layerId, editorPanel, options = {}) {
+    const layerInfo = layers.get(layerId);
+    const field = editorPanel.querySelector('#graduatedField').value;
+    const graduatedPreview = editorPanel.querySelector('#graduatedPreview');
+    
+    if (!layerInfo || !field) {
+        graduatedPreview.classList.add('hidden');
+        return null;
+    }
+    
+    const values = getNumericFieldValues(layerInfo.data.features, field);
+    if (values.length === 0) {
+        graduatedPreview.classList.add('hidden');
+        showNotification(`Field "${field}" has no numeric values to classify`, 'warning');
+        return null;
+    }
+    
+    const methodSelect = editorPanel.querySelector('#graduatedMethod');
+    const classCountInput = editorPanel.querySelector('#graduatedClassCount');
+    const ramp = editorPanel.querySelector('#graduatedRamp').value;
+    const reversed = editorPanel.querySelector('#graduatedReverse').checked;
+    const classCount = Math.min(Math.max(parseInt(classCountInput.value) || GRADUATED_DEFAULT_CLASSES, 2), GRADUATED_MAX_CLASSES);
+    const previous = editorPanel.graduatedClassification;
+    const sameField = previous && previous.field === field;
+    
+    let breaks;
+    if (sameField && !options.recalculateBreaks) {
+        breaks = previous.breaks;
+    } else {
+        // Manual breaks start out as equal intervals
+        const method = methodSelect.value === 'manual' ? 'equal_interval' : methodSelect.value;
+        breaks = calculateClassBreaks(values, method, classCount);
+    }
+    
+    // Fields with few distinct values get fewer classes
+    classCountInput.value = breaks.length - 1;
+    
+    const colors = sameField && !options.recolor && previous.colors.length === breaks.length - 1
+        ? previous.colors
+        : getRampColors(ramp, breaks.length - 1, reversed);
+    
+    const classification = {
+        type: 'graduated',
+        field: field,
+        method: methodSelect.value,
+        ramp: ramp,
+        reversed: reversed,
+        breaks: breaks.slice(),
+        colors: colors.slice(),
+        strokeColor: editorPanel.querySelector('#graduatedStrokeColor').value,
+        strokeWidth: parseFloat(editorPanel.querySelector('#graduatedStrokeWidth').value) || 0
+    };
+    
+    editorPanel.graduatedClassification = classification;
+    applyGraduatedSymbology(layerId, classification);
+    
+    renderGraduatedHistogram(editorPanel.querySelector('#graduatedHistogram'), values, classification);
+    renderGraduatedClassList(layerId, editorPanel, values);
+    graduatedPreview.classList.remove('hidden');
+    
+    return classification;
+}
+
+// List the classes with editable colors and upper breaks
+function renderGraduatedClassList(layerId, editorPanel, values) {
+    const classification = editorPanel.graduatedClassification;
+    const classList = editorPanel.querySelector('#graduatedClasses');
+    const lastIndex = classification.colors.length - 1;
+    
+    const counts = new Array(classification.colors.length).fill(0);
+    values.forEach(value => {
+        counts[getGraduatedClassIndex(classification.breaks, value)]++;
+    });
+    
+    classList.innerHTML = getGraduatedLegendItems(classification).map((item, index) => `
+        <div class="graduated-class-row flex items-center space-x-2 text-xs">
+            <input type="color" value="${item.color}" data-class-index="${index}" 
+                   class="w-6 h-6 rounded border-0 cursor-pointer graduated-class-color">
+            <span class="text-gray-300 w-16 text-right">${formatBreakValue(item.min)}</span>
+            <span class="text-gray-500">–</span>
+            <input type="number" step="any" value="${Number(item.max.toFixed(4))}" data-break-index="${index + 1}" 
+                   class="graduated-break-input w-20 px-1 py-0.5 bg-gray-700 border border-gray-600 rounded text-white text-xs"
+                   ${index === lastIndex ? 'readonly title="Maximum value of the field"' : ''}>
+            <span class="text-gray-400 flex-1 text-right" title="Features in this class">${counts[index]}</span>
+        </div>
+    `).join('');
+    
+    classList.querySelectorAll('.graduated-class-color').forEach(picker => {
+        picker.addEventListener('change', function() {
+            editorPanel.graduatedClassification.colors[parseInt(this.dataset.classIndex)] = this.value;
+            updateGraduatedSymbology(layerId, editorPanel);
+        });
+    });
+    
+    // Editing a break switches the classification to manual
+    classList.querySelectorAll('.graduated-break-input:not([readonly])').forEach(input => {
+        input.addEventListener('change', function() {
+            const breaks = editorPanel.graduatedClassification.breaks;
+            const index = parseInt(this.dataset.breakIndex);
+            const value = parseFloat(this.value);
+            
+            if (!Number.isFinite(value) || value <= breaks[index - 1] || value >= breaks[index + 1]) {
+                showNotification(`Break must be between ${formatBreakValue(breaks[index - 1])} and ${formatBreakValue(breaks[index + 1])}`, 'warning');
+                this.value = Number(breaks[index].toFixed(4));
+                return;
+            }
+            
+            breaks[index] = value;
+            editorPanel.querySelector('#graduatedMethod').value = 'manual';
+            updateGraduatedSymbology(layerId, editorPanel);
+        });
+    });
+}
+
+// Preview rows for a saved graduated style in the load styles dialogs
+function getGraduatedStylePreviewHTML(styleData) {
+    const colors = styleData.colors || [];
+    let previewHTML = `<strong>Field:</strong> ${styleData.classification_field || 'N/A'}<br>`;
+    previewHTML += `<strong>Method:</strong> ${GRADUATED_METHODS[styleData.classification_method] || 'N/A'}<br>`;
+    previewHTML += `<strong>Classes:</strong> ${colors.length}<br>`;
+    if (colors.length > 0) {
+        const background = colors.length > 1 ? `linear-gradient(to right, ${colors.join(', ')})` : colors[0];
+        previewHTML += `<div class="graduated-ramp-preview my-1" style="background: ${background}"></div>`;
+    }
+    previewHTML += `<strong>Stroke Color:</strong> <span style="color: ${styleData.stroke_color || '#000000'}">${styleData.stroke_color || 'N/A'}</span><br>`;
+    previewHTML += `<strong>Stroke Width:</strong> ${styleData.stroke_weight !== undefined ? styleData.stroke_weight + 'px' : 'N/A'}`;
+    return previewHTML;
+}
+
+// === RULE-BASED SYMBOLOGY EDITOR ===
+
+// Setup rule-based symbology control listeners
+function setupRuleListeners(layerId, editorPanel) {
+    const layerInfo = layers.get(layerId);
+    
+    editorPanel.querySelector('#addRule').addEventListener('click', function() {
+        const rules = editorPanel.ruleClassification.rules;
+        const palette = generateColors(12);
+        rules.push(createRule('', palette[rules.length % palette.length]));
+        renderRuleList(layerId, editorPanel);
+        updateRuleSymbology(layerId, editorPanel);
+        
+        const expressions = editorPanel.querySelectorAll('#ruleList .rule-expression');
+        expressions[expressions.length - 1].focus();
+    });
+    
+    editorPanel.querySelector('#elseRuleEnabled').addEventListener('change', function() {
+        editorPanel.ruleClassification.elseRule.enabled = this.checked;
+        updateRuleSymbology(layerId, editorPanel);
+    });
+    
+    setRuleControls(layerId, editorPanel, isRuleClassification(layerInfo.classification)
+        ? JSON.parse(JSON.stringify(layerInfo.classification))
+        : getDefaultRuleClassification(layerInfo));
+}
+
+// Starting point for a layer without rules: an else rule in the layer's current colors
+function getDefaultRuleClassification(layerInfo) {
+    const style = layerInfo.style || {};
+    const isColorInputValue = color => /^#[0-9a-f]{6}$/i.test(color || '');
+    
+    return {
+        type: 'rule',
+        rules: [],
+        elseRule: {
+            id: RULE_ELSE_ID,
+            enabled: true,
+            label: 'Other',
+            expression: '',
+            fillColor: isColorInputValue(style.fillColor) ? style.fillColor : '#888888',
+            strokeColor: isColorInputValue(style.color) ? style.color : '#ffffff',
+            strokeWidth: style.weight !== undefined ? style.weight : 2,
+            fillOpacity: 1.0
+        }
+    };
+}
+
+// Field names used by a layer's features
+function getRuleEditorFields(layerId) {
+    const layerInfo = layers.get(layerId);
+    const fields = new Set();
+    ((layerInfo && layerInfo.data && layerInfo.data.features) || []).slice(0, 500).forEach(feature => {
+        Object.keys(feature.properties || {}).forEach(field => fields.add(field));
+    });
+    return Array.from(fields);
+}
+
+// Fill, stroke, width and opacity inputs for one rule
+function getRuleStyleFieldsHTML(rule) {
+    return `
+        <div class="grid grid-cols-2 gap-2 mt-2">
+            <label class="flex items-center justify-between">Fill
+                <input type="color" data-rule-property="fillColor" value="${rule.fillColor}">
+            </label>
+            <label class="flex items-center justify-between">Stroke
+                <input type="color" data-rule-property="strokeColor" value="${rule.strokeColor}">
+            </label>
+            <label class="flex items-center justify-between">Width (px)
+                <input type="number" data-rule-property="strokeWidth" value="${rule.strokeWidth}" min="0" max="100" step="0.5" class="w-16">
+            </label>
+            <label class="flex items-center justify-between">Opacity
+                <input type="range" data-rule-property="fillOpacity" value="${Math.round(rule.fillOpacity * 100)}" min="0" max="100" step="5" class="opacity-slider w-20">
+            </label>
+        </div>
+    `;
+}
+
+// Keep a rule's style in sync with its inputs
+function bindRuleStyleInputs(container, rule, onChange) {
+    container.querySelectorAll('[data-rule-property]').forEach(input => {
+        input.addEventListener('input', function() {
+            const property = this.dataset.ruleProperty;
+            if (property === 'fillOpacity') {
+                rule.fillOpacity = parseInt(this.value) / 100;
+            } else if (property === 'strokeWidth') {
+                rule.strokeWidth = parseFloat(this.value) || 0;
+            } else {
+                rule[property] = this.value;
+            }
+            onChange();
+        });
+    });
+}
+
+// Fill the rule controls from a classification
+function setRuleControls(layerId, editorPanel, classification) {
+    editorPanel.ruleClassification = classification;
+    
+    const elseRule = classification.elseRule;
+    const elseRuleStyle = editorPanel.querySelector('#elseRuleStyle');
+    editorPanel.querySelector('#elseRuleEnabled').checked = Boolean(elseRule.enabled);
+    elseRuleStyle.innerHTML = getRuleStyleFieldsHTML(elseRule);
+    bindRuleStyleInputs(elseRuleStyle, elseRule, () => updateRuleSymbology(layerId, editorPanel));
+    
+    renderRuleList(layerId, editorPanel);
+}
+
+// List the rules with their expressions, order buttons and styles
+function renderRuleList(layerId, editorPanel) {
+    const rules = editorPanel.ruleClassification.rules;
+    const ruleList = editorPanel.querySelector('#ruleList');
+    const fields = getRuleEditorFields(layerId);
+    
+    if (rules.length === 0) {
+        ruleList.innerHTML = '<div class="text-xs text-gray-400 text-center py-2">No rules yet. Add a rule to style features by expression.</div>';
+        return;
+    }
+    
+    ruleList.innerHTML = rules.map((rule, index) => `
+        <div class="rule-card" data-rule-index="${index}">
+            <div class="flex items-center space-x-2 mb-2">
+                <span class="rule-order">${index + 1}</span>
+                <input type="text" class="rule-label flex-1" placeholder="Legend label (optional)">
+                <button class="rule-move" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                <button class="rule-move" data-direction="1" title="Move down" ${index === rules.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                <button class="rule-delete" title="Delete rule"><i class="fas fa-trash"></i></button>
+            </div>
+            <textarea class="rule-expression" rows="2" spellcheck="false" placeholder="STATUS = 'Sold' AND AREA > 500"></textarea>
+            <select class="rule-field-insert w-full mt-1">
+                <option value="">Insert field...</option>
+            </select>
+            <div class="rule-style-fields">${getRuleStyleFieldsHTML(rule)}</div>
+            <div class="rule-status"></div>
+        </div>
+    `).join('');
+    
+    ruleList.querySelectorAll('.rule-card').forEach(card => {
+        const index = parseInt(card.dataset.ruleIndex);
+        const rule = rules[index];
+        const labelInput = card.querySelector('.rule-label');
+        const expressionInput = card.querySelector('.rule-expression');
+        const fieldSelect = card.querySelector('.rule-field-insert');
+        
+        // User text is set as values so quotes in expressions survive
+        labelInput.value = rule.label;
+        expressionInput.value = rule.expression;
+        fields.forEach(field => fieldSelect.add(new Option(field, field)));
+        
+        labelInput.addEventListener('input', function() {
+            rule.label = this.value;
+            updateRuleSymbology(layerId, editorPanel);
+        });
+        
+        expressionInput.addEventListener('input', function() {
+            rule.expression = this.value;
+            updateRuleSymbology(layerId, editorPanel);
+        });
+        
+        // Insert the picked field name at the cursor
+        fieldSelect.addEventListener('change', function() {
+            if (!this.value) return;
+            const fieldText = formatRuleField(this.value);
+            const start = expressionInput.selectionStart;
+            const end = expressionInput.selectionEnd;
+            expressionInput.value = expressionInput.value.slice(0, start) + fieldText + expressionInput.value.slice(end);
+            expressionInput.focus();
+            expressionInput.setSelectionRange(start + fieldText.length, start + fieldText.length);
+            this.value = '';
+            
+            rule.expression = expressionInput.value;
+            updateRuleSymbology(layerId, editorPanel);
+        });
+        
+        // The list is re-rendered, so stop the click before the outside-click handler sees a detached target
+        card.querySelectorAll('.rule-move').forEach(button => {
+            button.addEventListener('click', function(e) {
+                e.stopPropagation();
+                const target = index + parseInt(this.dataset.direction);
+                [rules[index], rules[target]] = [rules[target], rules[index]];
+                renderRuleList(layerId, editorPanel);
+                updateRuleSymbology(layerId, editorPanel);
+            });
+        });
+        
+        card.querySelector('.rule-delete').addEventListener('click', function(e) {
+            e.stopPropagation();
+            rules.splice(index, 1);
+            renderRuleList(layerId, editorPanel);
+            updateRuleSymbology(layerId, editorPanel);
+        });
+        
+        bindRuleStyleInputs(card.querySelector('.rule-style-fields'), rule, () => updateRuleSymbology(layerId, editorPanel));
+    });
+}
+
+// Validate the rules, preview them on the map and show how many features each rule styles
+function updateRuleSymbology(layerId, editorPanel) {
+    const layerInfo = layers.get(layerId);
+    const classification = editorPanel.ruleClassification;
+    if (!layerInfo || !classification) return null;
+    
+    const fields = getRuleEditorFields(layerId);
+    const counts = countRuleMatches(classification, layerInfo.data.features);
+    const featureCount = count => `${count} feature${count === 1 ? '' : 's'}`;
+    
+    editorPanel.querySelectorAll('#ruleList .rule-card').forEach(card => {
+        const rule = classification.rules[parseInt(card.dataset.ruleIndex)];
+        const error = validateRuleExpression(rule.expression, fields);
+        const status = card.querySelector('.rule-status');
+        
+        card.querySelector('.rule-expression').classList.toggle('rule-invalid', Boolean(error));
+        status.className = `rule-status ${error ? 'text-red-400' : 'text-gray-400'}`;
+        status.textContent = error || featureCount(counts[rule.id]);
+    });
+    
+    editorPanel.querySelector('#elseRuleStyle').classList.toggle('opacity-50', !classification.elseRule.enabled);
+    editorPanel.querySelector('#elseRuleCount').textContent = classification.elseRule.enabled
+        ? featureCount(counts[RULE_ELSE_ID])
+        : `${featureCount(counts.unmatched)} match no rule and are not drawn`;
+    
+    applyRuleSymbology(layerId, classification);
+    return classification;
+}
+
+// Current rules when they can be saved; otherwise explains what to fix and returns null
+function getValidRuleClassification(layerId, editorPanel) {
+    const classification = updateRuleSymbology(layerId, editorPanel);
+    if (!classification) return null;
+    
+    if (classification.rules.length === 0 && !classification.elseRule.enabled) {
+        showWarning('Add at least one rule or enable the else rule.', 'Rule-based Symbology');
+        return null;
+    }
+    
+    const fields = getRuleEditorFields(layerId);
+    const problems = classification.rules
+        .map((rule, index) => {
+            const error = validateRuleExpression(rule.expression, fields);
+            return error ? `Rule ${index + 1}: ${error}` : null;
+        })
+        .filter(Boolean);
+    
+    if (problems.length > 0) {
+        showWarning(problems.join('\n'), 'Rule-based Symbology');
+        return null;
+    }
+    
+    return classification;
+}
+
+// Escape saved rule text for HTML content and attributes
+function escapeRulePreviewText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Preview rows for a saved rule-based style in the load styles dialogs
+function getRuleStylePreviewHTML(styleData) {
+    const rules = styleData.rules || [];
+    const hasElseRule = Boolean(styleData.else_rule && styleData.else_rule.enabled);
+    let previewHTML = `<strong>Rules:</strong> ${rules.length}${hasElseRule ? ' + else' : ''}<br>`;
+    
+    rules.slice(0, 5).forEach(rule => {
+        previewHTML += `<div class="flex items-center"><span class="inline-block w-3 h-3 rounded mr-2 flex-shrink-0" style="background: ${escapeRulePreviewText(rule.fill_color || '#888888')}"></span>`;
+        previewHTML += `<span class="truncate" title="${escapeRulePreviewText(rule.expression || '')}">${escapeRulePreviewText(rule.label || rule.expression || 'Rule')}</span></div>`;
+    });
+    if (rules.length > 5) {
+        previewHTML += `<div>…and ${rules.length - 5} more</div>`;
+    }
+    return previewHTML;
+}
+
 // === DATABASE SYMBOLOGY FUNCTIONS ===
 
 // Save symbology to database (user_styles or shared_styles based on collaborative mode)
@@ -1192,6 +1835,10 @@ async function showLoadStylesDropdown(layerId, editorPanel) {
                         previewHTML += `<strong>Categories:</strong> ${categoryCount}<br>`;
                         previewHTML += `<strong>Stroke Color:</strong> <span style="color: ${styleData.stroke_color || '#000000'}">${styleData.stroke_color || 'N/A'}</span><br>`;
                         previewHTML += `<strong>Stroke Width:</strong> ${styleData.stroke_weight !== undefined ? styleData.stroke_weight + 'px' : 'N/A'}`;
+                    } else if (styleData.symbology_type === 'graduated') {
+                        previewHTML += getGraduatedStylePreviewHTML(styleData);
+                    } else if (styleData.symbology_type === 'rule') {
+                        previewHTML += getRuleStylePreviewHTML(styleData);
                     } else {
                         previewHTML += '<span class="text-yellow-400">Unsupported style type</span>';
                     }
@@ -1432,6 +2079,10 @@ async function showLoadPersonalStylesDropdown(layerId, editorPanel) {
                         previewHTML += `<strong>Categories:</strong> ${categoryCount}<br>`;
                         previewHTML += `<strong>Stroke Color:</strong> <span style="color: ${styleData.stroke_color || '#000000'}">${styleData.stroke_color || 'N/A'}</span><br>`;
                         previewHTML += `<strong>Stroke Width:</strong> ${styleData.stroke_weight !== undefined ? styleData.stroke_weight + 'px' : 'N/A'}`;
+                    } else if (styleData.symbology_type === 'graduated') {
+                        previewHTML += getGraduatedStylePreviewHTML(styleData);
+                    } else if (styleData.symbology_type === 'rule') {
+                        previewHTML += getRuleStylePreviewHTML(styleData);
                     } else {
                         previewHTML += '<span class="text-yellow-400">Unsupported style type</span>';
                     }
@@ -1828,6 +2479,53 @@ function applyCategoricalSymbologyWithCustomColors(layerId, field, customColorMa
     console.log(`Categorical symbology with custom colors applied successfully`);
 }
 
+// Apply graduated symbology to layer
+function applyGraduatedSymbology(layerId, classification) {
+    console.log(`Applying graduated symbology for field ${classification.field} to layer ${layerId}`);
+    
+    const layerInfo = layers.get(layerId);
+    if (!layerInfo) return;
+    
+    layerInfo.layer.setStyle(function(feature) {
+        return getGraduatedFeatureStyle(classification, feature);
+    });
+    
+    // Store a copy so later edits in the editor don't leak into the layer
+    layerInfo.classification = JSON.parse(JSON.stringify(classification));
+    
+    // Category toggles don't apply to classed values
+    layerInfo.hiddenCategories = new Set();
+    
+    // Update legend
+    updateLegend();
+    
+    console.log(`Graduated symbology applied successfully`);
+}
+
+// Apply rule-based symbology to layer
+function applyRuleSymbology(layerId, classification) {
+    console.log(`Applying ${classification.rules.length} symbology rules to layer ${layerId}`);
+    
+    const layerInfo = layers.get(layerId);
+    if (!layerInfo) return;
+    
+    // Store a copy so later edits in the editor don't leak into the layer
+    layerInfo.classification = JSON.parse(JSON.stringify(classification));
+    
+    // Every rule starts out visible in the legend
+    layerInfo.hiddenCategories = new Set();
+    
+    const appliedClassification = layerInfo.classification;
+    layerInfo.layer.setStyle(function(feature) {
+        return getRuleFeatureStyle(appliedClassification, feature, layerInfo.hiddenCategories);
+    });
+    
+    // Update legend
+    updateLegend();
+    
+    console.log(`Rule-based symbology applied successfully`);
+}
+
 // Generate legend preview for categorical symbology
 function generateLegendPreview(layerId, field, editorPanel) {
     const layerInfo = layers.get(layerId);
@@ -2010,6 +2708,64 @@ function resetLayerSymbology(layerId) {
     console.log(`Layer symbology reset to default`);
 }
 
+// === SYMBOLOGY UNDO/REDO ===
+
+// Copy of a layer's symbology state
+function captureLayerSymbology(layerInfo) {
+    return {
+        style: layerInfo.style ? JSON.parse(JSON.stringify(layerInfo.style)) : null,
+        classification: layerInfo.classification ? JSON.parse(JSON.stringify(layerInfo.classification)) : null,
+        hiddenCategories: Array.from(layerInfo.hiddenCategories || []),
+        opacity: layerInfo.opacity !== undefined ? layerInfo.opacity : 1.0
+    };
+}
+
+// Put captured symbology back on the layer and in user_styles/shared_styles
+// savedStyle is the stored style to restore, null when there was none, or undefined to leave the database alone
+async function restoreLayerSymbology(layerId, symbology, savedStyle) {
+    const layerInfo = layers.get(layerId);
+    if (!layerInfo) {
+        throw new Error('Layer no longer exists');
+    }
+
+    if (symbology.style) {
+        layerInfo.style = JSON.parse(JSON.stringify(symbology.style));
+    }
+    if (symbology.classification) {
+        layerInfo.classification = JSON.parse(JSON.stringify(symbology.classification));
+    } else {
+        delete layerInfo.classification;
+    }
+    layerInfo.hiddenCategories = new Set(symbology.hiddenCategories);
+
+    reapplyLayerStyling(layerId);
+    layerInfo.opacity = symbology.opacity;
+    if (symbology.opacity !== 1.0) {
+        updateLayerOpacity(layerId, symbology.opacity);
+    }
+    updateLegend();
+
+    if (savedStyle === undefined) return;
+
+    const saved = savedStyle
+        ? await saveSymbologyToDatabase(layerInfo.name, savedStyle)
+        : await deleteSymbologyFromDatabase(layerInfo.name);
+    if (!saved && window.currentUser) {
+        showNotification('Symbology restored on the map but the saved style could not be updated', 'warning');
+    }
+}
+
+// Record a symbology change; before/after are { symbology, savedStyle }
+function recordSymbologyCommand(label, layerId, before, after) {
+    if (typeof window.recordCommand !== 'function') return;
+
+    window.recordCommand({
+        label: label,
+        undo: () => restoreLayerSymbology(layerId, before.symbology, before.savedStyle),
+        redo: () => restoreLayerSymbology(layerId, after.symbology, after.savedStyle)
+    });
+}
+
 // Update layer opacity
 function updateLayerOpacity(layerId, opacityValue) {
     const layerInfo = layers.get(layerId);
@@ -2063,8 +2819,6 @@ function applySharedStyleToEditor(layerId, styleData, editorPanel) {
         const categoricalStrokeColor = editorPanel.querySelector('#categoricalStrokeColor');
         const categoricalStrokeWidth = editorPanel.querySelector('#categoricalStrokeWidth');
         const classificationField = editorPanel.querySelector('#classificationField');
-        const singleSymbolOptions = editorPanel.querySelector('#singleSymbolOptions');
-        const categoricalOptions = editorPanel.querySelector('#categoricalOptions');
         const legendPreview = editorPanel.querySelector('#legendPreview');
 
         // Apply style based on type
@@ -2076,12 +2830,8 @@ function applySharedStyleToEditor(layerId, styleData, editorPanel) {
                 symbologyTypeSelect.value = 'single';
             }
             
-            // Show single symbol options, hide categorical
-            if (singleSymbolOptions && categoricalOptions) {
-                singleSymbolOptions.classList.remove('hidden');
-                categoricalOptions.classList.add('hidden');
-                legendPreview.classList.add('hidden');
-            }
+            // Show single symbol options, hide the others
+            showSymbologyTypeOptions(editorPanel, 'single');
             
             // Populate single symbol fields
             if (singleFillColor && styleData.fill_color) {
@@ -2108,11 +2858,8 @@ function applySharedStyleToEditor(layerId, styleData, editorPanel) {
                 symbologyTypeSelect.value = 'categorical';
             }
             
-            // Show categorical options, hide single symbol
-            if (singleSymbolOptions && categoricalOptions) {
-                singleSymbolOptions.classList.add('hidden');
-                categoricalOptions.classList.remove('hidden');
-            }
+            // Show categorical options, hide the others
+            showSymbologyTypeOptions(editorPanel, 'categorical');
             
             // Populate categorical fields
             if (categoricalStrokeColor && styleData.stroke_color) {
@@ -2167,6 +2914,43 @@ function applySharedStyleToEditor(layerId, styleData, editorPanel) {
                     showNotification(`Field "${field}" not available in this layer`, 'warning');
                 }
             }
+        } else if (styleData.symbology_type === 'graduated') {
+            console.log('Applying graduated style');
+            
+            if (symbologyTypeSelect) {
+                symbologyTypeSelect.value = 'graduated';
+            }
+            showSymbologyTypeOptions(editorPanel, 'graduated');
+            
+            const classification = createGraduatedClassification(styleData);
+            if (!classification) {
+                console.warn('Graduated style is missing its breaks or colors:', styleData);
+                showNotification('Selected graduated style is incomplete', 'warning');
+            } else if (!setGraduatedControls(editorPanel, classification)) {
+                console.warn(`Graduated field "${classification.field}" not found in layer properties`);
+                showNotification(`Field "${classification.field}" not available in this layer`, 'warning');
+            } else {
+                // Keep the saved breaks and class colors for the live preview
+                editorPanel.graduatedClassification = classification;
+                updateGraduatedSymbology(layerId, editorPanel);
+            }
+        } else if (styleData.symbology_type === 'rule') {
+            console.log('Applying rule-based style');
+            
+            if (symbologyTypeSelect) {
+                symbologyTypeSelect.value = 'rule';
+            }
+            showSymbologyTypeOptions(editorPanel, 'rule');
+            
+            const classification = createRuleClassification(styleData);
+            if (!classification) {
+                console.warn('Rule-based style has no rules:', styleData);
+                showNotification('Selected rule-based style is incomplete', 'warning');
+            } else {
+                // Rules on fields this layer lacks are flagged in the rule list
+                setRuleControls(layerId, editorPanel, classification);
+                updateRuleSymbology(layerId, editorPanel);
+            }
         }
         
         console.log('✅ Shared style applied to editor successfully');
@@ -2343,7 +3127,7 @@ function generateColors(count) {
 
 // Make panel draggable
 function makeDraggable(element) {
-    const header = element.querySelector('#symbologyEditorHeader');
+    const header = element.querySelector('.symbology-editor-header');
     if (!header) return;
     
     let isDragging = false;
@@ -2351,7 +3135,7 @@ function makeDraggable(element) {
 
     header.addEventListener('mousedown', function(e) {
         // Don't drag if clicking on close button
-        if (e.target.closest('#closeSymbologyEditor')) {
+        if (e.target.closest('button')) {
             return;
         }
         
@@ -2451,6 +3235,10 @@ window.applySingleSymbolWithStroke = applySingleSymbolWithStroke;
 window.applyCategoricalSymbology = applyCategoricalSymbology;
 window.applyCategoricalSymbologyWithStroke = applyCategoricalSymbologyWithStroke;
 window.applyCategoricalSymbologyWithCustomColors = applyCategoricalSymbologyWithCustomColors;
+window.applyGraduatedSymbology = applyGraduatedSymbology;
+window.updateGraduatedSymbology = updateGraduatedSymbology;
+window.applyRuleSymbology = applyRuleSymbology;
+window.updateRuleSymbology = updateRuleSymbology;
 window.generateLegendPreview = generateLegendPreview;
 window.generateColorMap = generateColorMap;
 window.resetLayerSymbology = resetLayerSymbology;
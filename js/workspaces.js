@@ -0,0 +1,473 @@
+/**
+ * Workspaces Module for Aéra Link WebGIS
+ * Saves and reopens named map workspaces
+ *
+ * Features:
+ * - Captures layer visibility and order, the active filter, labels, basemap and map extent
+ * - Personal and team-shared workspaces in the Supabase workspaces table
+ * - Export and import of workspaces as JSON files
+ * - Layers are matched by database ID or name, since layer IDs change between sessions
+ */
+
+const WORKSPACE_FILE_TYPE = 'aera-workspace';
+const WORKSPACE_VERSION = 1;
+
+// Workspaces listed in the panel (own and shared)
+let workspaceList = [];
+
+// Wire up the workspaces panel
+function initializeWorkspaces() {
+    const saveBtn = document.getElementById('saveWorkspaceBtn');
+    if (!saveBtn) {
+        console.error('Workspaces panel not found');
+        return;
+    }
+
+    saveBtn.addEventListener('click', async () => {
+        const nameInput = document.getElementById('workspaceNameInput');
+        const isShared = document.getElementById('workspaceSharedCheckbox').checked;
+        const saved = await saveWorkspace(nameInput.value, isShared);
+        if (saved) {
+            nameInput.value = '';
+        }
+    });
+
+    document.getElementById('exportWorkspaceBtn').addEventListener('click', async () => {
+        const name = await showPrompt('Enter a name for the workspace file:', 'Workspace', 'Export Workspace');
+        if (name && name.trim() !== '') {
+            exportWorkspaceFile(name.trim(), captureWorkspaceState());
+        }
+    });
+
+    const fileInput = document.getElementById('workspaceFileInput');
+    document.getElementById('importWorkspaceBtn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) {
+            await importWorkspaceFile(file);
+        }
+    });
+
+    // Refresh the list each time the panel is opened
+    const toolBtn = document.querySelector('.tool-btn[data-tool="workspaces"]');
+    if (toolBtn) {
+        toolBtn.addEventListener('click', () => {
+            if (toolBtn.classList.contains('active')) {
+                document.getElementById('workspaceSharedCheckbox').checked = Boolean(window.collaborativeMode);
+                loadWorkspaces();
+            }
+        });
+    }
+
+    console.log('💼 Workspaces initialized');
+}
+
+// === CAPTURE AND RESTORE ===
+
+// Reference to a layer that still resolves after a reload
+function getLayerReference(layerId) {
+    const layerInfo = window.layers.get(layerId);
+    if (!layerInfo) return null;
+
+    return {
+        name: layerInfo.name,
+        databaseId: layerInfo.databaseId || null
+    };
+}
+
+// Find the current layer ID for a saved reference (database ID first, then name)
+function findLayerIdByReference(reference) {
+    if (!reference) return null;
+
+    let nameMatch = null;
+    for (const [layerId, layerInfo] of window.layers) {
+        if (reference.databaseId && layerInfo.databaseId === reference.databaseId) {
+            return layerId;
+        }
+        if (!nameMatch && layerInfo.name === reference.name) {
+            nameMatch = layerId;
+        }
+    }
+    return nameMatch;
+}
+
+// Snapshot of the current map state
+function captureWorkspaceState() {
+    // Top of the layer list first; layers missing from the order go last
+    const orderedLayerIds = window.layerOrder.filter(layerId => window.layers.has(layerId));
+    window.layers.forEach((layerInfo, layerId) => {
+        if (!orderedLayerIds.includes(layerId)) {
+            orderedLayerIds.push(layerId);
+        }
+    });
+
+    const layerStates = orderedLayerIds.map(layerId => ({
+        ...getLayerReference(layerId),
+        visible: Boolean(window.layers.get(layerId).visible)
+    }));
+
+    let filter = null;
+    const activeFilter = window.currentFilterState && window.currentFilterState.activeFilter;
+    if (activeFilter) {
+        // 'aera-direct' filters are stored against the Aera layer by name
+        filter = {
+            layer: getLayerReference(activeFilter.layerId) || { name: activeFilter.layerName, databaseId: null },
+            group: activeFilter.group
+        };
+    }
+
+    const labels = [];
+    (window.activeLabels || new Map()).forEach((config, layerId) => {
+        const reference = getLayerReference(layerId);
+        if (reference) {
+            labels.push({ layer: reference, fieldName: config.fieldName, styles: { ...config.styles } });
+        }
+    });
+
+    const center = window.map.getCenter();
+    return {
+        layers: layerStates,
+        filter: filter,
+        labels: labels,
+        basemap: typeof getBasemapState === 'function' ? getBasemapState() : null,
+        extent: {
+            center: [center.lat, center.lng],
+            zoom: window.map.getZoom()
+        }
+    };
+}
+
+// Restore a captured map state
+// Returns the names of saved layers that are not loaded in this session
+function applyWorkspaceState(state) {
+    const missingLayers = [];
+    const savedLayerIds = [];
+    const savedVisibility = new Map();
+
+    // Clearing a filter re-adds the unfiltered layer, so do it before setting visibility
+    if (window.currentFilterState && window.currentFilterState.activeFilter) {
+        clearNewFilter();
+    }
+
+    (state.layers || []).forEach(reference => {
+        const layerId = findLayerIdByReference(reference);
+        if (!layerId) {
+            missingLayers.push(reference.name);
+            return;
+        }
+        savedLayerIds.push(layerId);
+        savedVisibility.set(layerId, reference.visible);
+    });
+
+    // Layers that are not part of the workspace are hidden
+    window.layers.forEach((layerInfo, layerId) => {
+        const visible = savedVisibility.get(layerId) === true;
+        if (layerInfo.layer) {
+            if (visible && !window.map.hasLayer(layerInfo.layer)) {
+                window.map.addLayer(layerInfo.layer);
+            } else if (!visible && window.map.hasLayer(layerInfo.layer)) {
+                window.map.removeLayer(layerInfo.layer);
+            }
+        }
+        layerInfo.visible = visible;
+    });
+
+    // Saved order on top, layers added since below
+    const otherLayerIds = window.layerOrder.filter(layerId => !savedLayerIds.includes(layerId));
+    window.layerOrder.splice(0, window.layerOrder.length, ...savedLayerIds, ...otherLayerIds);
+
+    updateMapLayerOrder(true);
+    updateLayersList();
+    updateLegend();
+    updateSelectionLayerDropdown();
+    populateFilterLayers();
+
+    // Filter rebuilds the Leaflet layer, so it goes before the labels
+    if (state.filter) {
+        const filterLayerId = findLayerIdByReference(state.filter.layer);
+        const restored = restoreFilter(filterLayerId ? {
+            layerId: filterLayerId,
+            group: state.filter.group,
+            // Workspaces saved before compound filters hold a single condition
+            field: state.filter.field,
+            operator: state.filter.operator,
+            value: state.filter.value
+        } : null);
+
+        if (!restored) {
+            console.warn('⚠️ Saved filter could not be restored:', state.filter);
+        } else if (!window.layers.get(filterLayerId).visible) {
+            window.map.removeLayer(window.layers.get(filterLayerId).layer);
+        }
+    }
+
+    const labelConfigs = {};
+    (state.labels || []).forEach(label => {
+        const layerId = findLayerIdByReference(label.layer);
+        if (layerId) {
+            labelConfigs[layerId] = { fieldName: label.fieldName, styles: label.styles };
+        }
+    });
+    restoreLabels(labelConfigs);
+
+    if (state.basemap && typeof setBasemapState === 'function') {
+        setBasemapState(state.basemap);
+    }
+
+    // Extent last - filters zoom to their result
+    if (state.extent && Array.isArray(state.extent.center)) {
+        window.map.setView(state.extent.center, state.extent.zoom);
+    }
+
+    return missingLayers;
+}
+
+// Apply a workspace and tell the user what could not be restored
+function openWorkspaceState(name, state) {
+    const missingLayers = applyWorkspaceState(state);
+    console.log(`💼 Opened workspace "${name}"`);
+
+    if (missingLayers.length > 0) {
+        showWarning(`Workspace "${name}" opened, but these layers are not loaded and were skipped:\n\n${missingLayers.join('\n')}`, 'Missing Layers');
+    } else {
+        showNotification(`Opened workspace "${name}"`, 'success');
+    }
+}
+
+// === SUPABASE STORAGE ===
+
+// Load own and shared workspaces into the panel
+async function loadWorkspaces() {
+    if (!window.supabase || !window.currentUser) {
+        renderWorkspaceList();
+        return;
+    }
+
+    try {
+        const { data, error } = await supabase
+            .from('workspaces')
+            .select('id, name, user_id, is_shared, updated_at')
+            .or(`user_id.eq.${currentUser.id},is_shared.eq.true`)
+            .order('updated_at', { ascending: false });
+
+        if (error) {
+            console.error('Error loading workspaces:', error);
+            showNotification('Could not load saved workspaces', 'error');
+            return;
+        }
+
+        workspaceList = data || [];
+        renderWorkspaceList();
+    } catch (error) {
+        console.error('Network error loading workspaces:', error);
+        showNotification('Could not load saved workspaces', 'error');
+    }
+}
+
+// Save the current map under a name, overwriting an own workspace with the same name
+async function saveWorkspace(name, isShared) {
+    const workspaceName = (name || '').trim();
+    if (!workspaceName) {
+        await showWarning('Please enter a name for the workspace.', 'Name Required');
+        return false;
+    }
+    if (!window.supabase || !window.currentUser) {
+        await showWarning('Sign in to save workspaces, or use Export Current Map instead.', 'Not Signed In');
+        return false;
+    }
+
+    const existing = workspaceList.find(workspace =>
+        workspace.name === workspaceName && workspace.user_id === currentUser.id
+    );
+    if (existing) {
+        const overwrite = await showConfirm(`A workspace named "${workspaceName}" already exists. Overwrite it?`, 'Overwrite Workspace');
+        if (!overwrite) return false;
+    }
+
+    const record = {
+        name: workspaceName,
+        is_shared: isShared,
+        state: captureWorkspaceState(),
+        updated_at: new Date().toISOString()
+    };
+
+    try {
+        const { error } = existing
+            ? await supabase
+                .from('workspaces')
+                .update(record)
+                .eq('id', existing.id)
+                .eq('user_id', currentUser.id)
+            : await supabase
+                .from('workspaces')
+                .insert({ ...record, user_id: currentUser.id, created_at: record.updated_at });
+
+        if (error) {
+            console.error('Error saving workspace:', error);
+            showError(`Failed to save workspace: ${error.message}`, 'Save Error');
+            return false;
+        }
+
+        console.log(`💾 Workspace "${workspaceName}" saved`);
+        showNotification(`Workspace "${workspaceName}" saved${isShared ? ' and shared with the team' : ''}`, 'success');
+        await loadWorkspaces();
+        return true;
+    } catch (error) {
+        console.error('Network error saving workspace:', error);
+        showError('Failed to save workspace. Check your connection and try again.', 'Save Error');
+        return false;
+    }
+}
+
+// Fetch a saved workspace with its state
+async function fetchWorkspace(workspaceId) {
+    const { data, error } = await supabase
+        .from('workspaces')
+        .select('id, name, state')
+        .eq('id', workspaceId)
+        .single();
+
+    if (error) {
+        throw new Error(error.message);
+    }
+    return data;
+}
+
+// Open a saved workspace
+async function openWorkspace(workspaceId) {
+    try {
+        const workspace = await fetchWorkspace(workspaceId);
+        openWorkspaceState(workspace.name, workspace.state || {});
+    } catch (error) {
+        console.error('Error opening workspace:', error);
+        showError(`Failed to open workspace: ${error.message}`, 'Workspace Error');
+    }
+}
+
+// Delete one of the user's own workspaces
+async function deleteWorkspace(workspaceId) {
+    const workspace = workspaceList.find(item => item.id === workspaceId);
+    if (!workspace) return;
+
+    const confirmed = await showConfirm(`Delete the workspace "${workspace.name}"?`, 'Delete Workspace');
+    if (!confirmed) return;
+
+    try {
+        const { error } = await supabase
+            .from('workspaces')
+            .delete()
+            .eq('id', workspaceId)
+            .eq('user_id', currentUser.id);
+
+        if (error) {
+            console.error('Error deleting workspace:', error);
+            showError(`Failed to delete workspace: ${error.message}`, 'Delete Error');
+            return;
+        }
+
+        console.log(`🗑️ Workspace "${workspace.name}" deleted`);
+        await loadWorkspaces();
+    } catch (error) {
+        console.error('Network error deleting workspace:', error);
+        showError('Failed to delete workspace. Check your connection and try again.', 'Delete Error');
+    }
+}
+
+// Render the saved workspaces list
+function renderWorkspaceList() {
+    const listEl = document.getElementById('workspaceList');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    if (workspaceList.length === 0) {
+        listEl.innerHTML = '<p class="text-gray-400 text-xs">No saved workspaces</p>';
+        return;
+    }
+
+    workspaceList.forEach(workspace => {
+        const isOwn = window.currentUser && workspace.user_id === currentUser.id;
+
+        const item = document.createElement('div');
+        item.className = 'workspace-item';
+        item.innerHTML = `
+            <div class="workspace-item-info">
+                <div class="workspace-item-name"></div>
+                <div class="workspace-item-meta">
+                    <span class="workspace-badge ${workspace.is_shared ? 'shared' : ''}">${workspace.is_shared ? 'Shared' : 'Personal'}</span>
+                    ${isOwn ? '' : '<span>by a teammate</span>'}
+                    <span>${new Date(workspace.updated_at).toLocaleDateString()}</span>
+                </div>
+            </div>
+            <div class="workspace-item-actions">
+                <button class="workspace-open-btn" title="Open workspace"><i class="fas fa-folder-open"></i></button>
+                <button class="workspace-export-btn" title="Export as JSON"><i class="fas fa-download"></i></button>
+                ${isOwn ? '<button class="workspace-delete-btn" title="Delete workspace"><i class="fas fa-trash"></i></button>' : ''}
+            </div>
+        `;
+        item.querySelector('.workspace-item-name').textContent = workspace.name;
+
+        item.querySelector('.workspace-open-btn').addEventListener('click', () => openWorkspace(workspace.id));
+        item.querySelector('.workspace-export-btn').addEventListener('click', async () => {
+            try {
+                const saved = await fetchWorkspace(workspace.id);
+                exportWorkspaceFile(saved.name, saved.state || {});
+            } catch (error) {
+                console.error('Error exporting workspace:', error);
+                showError(`Failed to export workspace: ${error.message}`, 'Export Error');
+            }
+        });
+        const deleteBtn = item.querySelector('.workspace-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => deleteWorkspace(workspace.id));
+        }
+
+        listEl.appendChild(item);
+    });
+}
+
+// === JSON FILES ===
+
+// Download a workspace as a JSON file
+function exportWorkspaceFile(name, state) {
+    const workspaceFile = {
+        type: WORKSPACE_FILE_TYPE,
+        version: WORKSPACE_VERSION,
+        name: name,
+        exportedAt: new Date().toISOString(),
+        state: state
+    };
+
+    const fileName = `${name.replace(/[\\/:*?"<>|]+/g, '_')}.workspace.json`;
+    const blob = new Blob([JSON.stringify(workspaceFile, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, fileName);
+    console.log(`📤 Exported workspace "${name}" to ${fileName}`);
+}
+
+// Open a workspace from an exported JSON file
+async function importWorkspaceFile(file) {
+    try {
+        const workspaceFile = JSON.parse(await file.text());
+        if (!workspaceFile || workspaceFile.type !== WORKSPACE_FILE_TYPE || !workspaceFile.state) {
+            await showError('This file is not an Aéra Link workspace.', 'Invalid Workspace');
+            return;
+        }
+        if (workspaceFile.version > WORKSPACE_VERSION) {
+            console.warn(`Workspace file version ${workspaceFile.version} is newer than supported version ${WORKSPACE_VERSION}`);
+        }
+
+        openWorkspaceState(workspaceFile.name || file.name, workspaceFile.state);
+    } catch (error) {
+        console.error('Error importing workspace file:', error);
+        showError(`Failed to read workspace file: ${error.message}`, 'Import Error');
+    }
+}
+
+// Export functions for use in other modules
+window.initializeWorkspaces = initializeWorkspaces;
+window.captureWorkspaceState = captureWorkspaceState;
+window.applyWorkspaceState = applyWorkspaceState;
+window.findLayerIdByReference = findLayerIdByReference;
+window.loadWorkspaces = loadWorkspaces;
+window.saveWorkspace = saveWorkspace;
+window.openWorkspace = openWorkspace;